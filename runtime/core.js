@@ -192,6 +192,8 @@ _.mixin(_str.exports());
                 return 'read';
             case 'PATCH':
                 return 'update';
+            case 'PUT':
+                return 'upsert';
             case 'DELETE':
                 return 'delete';
             default:
@@ -215,10 +217,16 @@ _.mixin(_str.exports());
             case 'date':
                 return true;
             default:
-                return false;
+                return isJsonValue(value);
         }
     }
 
+    // determines whether the specified value is an object or array,
+    // which are stored as json text
+    function isJsonValue(value) {
+        return (isObject(value) && !Buffer.isBuffer(value)) || isArray(value);
+    }
+
     // verifies that the specified value is of a supported type, and throws an error otherwise
     function validatePropertyType(propertyName, value) {
         if (!isOfSupportedType(value)) {
@@ -869,6 +877,7 @@ _.mixin(_str.exports());
     exports.verbToOperation = verbToOperation;
     exports.isSystemColumnName = isSystemColumnName;
     exports.isOfSupportedType = isOfSupportedType;
+    exports.isJsonValue = isJsonValue;
     exports.validatePropertyType = validatePropertyType;
     exports.curry = curry;
     exports.parseDateTimeOffset = parseDateTimeOffset;
@@ -0,0 +1,217 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module handles the values of geography columns and the geography literals
+// of queries. Values are GeoJSON points, longitude first, for example:
+//
+// { "type": "Point", "coordinates": [-122.335, 47.608] }
+//
+// which are stored as their well known text, POINT(-122.335 47.608), in the WGS 84
+// spatial reference (SRID 4326). Literals are well known text, optionally prefixed
+// by SRID=4326;, of a point or of a polygon, whose rings are closed lists of points:
+//
+// geography'POINT(-122.335 47.608)'
+// geography'POLYGON((-123 47, -122 47, -122 48, -123 48, -123 47))'
+//
+// Distances are in meters, measured along the great circle of a sphere with the
+// mean radius of the earth.
+
+var core = require('../core'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+var srid = 4326,
+    earthRadius = 6371008.8,
+    numberPattern = '(-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?)',
+    sridRegex = /^\s*SRID=(\d+);/i,
+    pointRegex = new RegExp('^\\s*POINT\\s*\\(\\s*' + numberPattern + '\\s+' + numberPattern + '\\s*\\)\\s*$', 'i'),
+    polygonRegex = /^\s*POLYGON\s*\(([\s\S]*)\)\s*$/i,
+    ringRegex = /^\s*\(([^()]*)\)\s*(?:,|$)/,
+    positionRegex = new RegExp('^\\s*' + numberPattern + '\\s+' + numberPattern + '\\s*$');
+
+exports.srid = srid;
+
+// whether the value is a GeoJSON point
+exports.isPoint = function (value) {
+    return core.isObject(value) && value.type === 'Point' && isPosition(value.coordinates);
+};
+
+// whether the value is a GeoJSON point or polygon, such as a parsed literal
+exports.isGeography = function (value) {
+    return exports.isPoint(value) || (core.isObject(value) && value.type === 'Polygon' && core.isArray(value.coordinates));
+};
+
+// Returns the GeoJSON point or polygon of well known text, throwing
+// an error if the text isn't a valid point or polygon
+exports.parse = function (text) {
+    var match = sridRegex.exec(text);
+    if (match) {
+        if (parseInt(match[1], 10) !== srid) {
+            throw new Error(_.sprintf("Only the spatial reference %d is supported.", srid));
+        }
+        text = text.substr(match[0].length);
+    }
+
+    match = pointRegex.exec(text);
+    if (match) {
+        return { type: 'Point', coordinates: parsePosition(match[1], match[2]) };
+    }
+
+    match = polygonRegex.exec(text);
+    if (match) {
+        return { type: 'Polygon', coordinates: parseRings(match[1]) };
+    }
+
+    throw new Error(_.sprintf("'%s' is not the well known text of a point or polygon.", text));
+};
+
+// returns the well known text of a GeoJSON point or polygon
+exports.format = function (value) {
+    if (value.type === 'Point') {
+        return _.sprintf('POINT(%s)', formatPosition(value.coordinates));
+    }
+
+    var rings = value.coordinates.map(function (ring) {
+        return '(' + ring.map(formatPosition).join(', ') + ')';
+    });
+    return _.sprintf('POLYGON(%s)', rings.join(', '));
+};
+
+exports.formatCoordinate = function (coordinate) {
+    // fixed notation, as well known text has no exponents, to a tenth of a micrometer
+    return coordinate.toFixed(12).replace(/\.?0+$/, '');
+};
+
+// returns the GeoJSON value of a value read from storage, which is well known
+// text, or null if it isn't a geography value
+exports.toGeography = function (value) {
+    if (core.isString(value)) {
+        try {
+            return exports.parse(value);
+        }
+        catch (error) {
+            return null;
+        }
+    }
+    return exports.isGeography(value) ? value : null;
+};
+
+// returns the distance between two points in meters
+exports.distance = function (point1, point2) {
+    var lon1 = toRadians(point1.coordinates[0]),
+        lat1 = toRadians(point1.coordinates[1]),
+        lon2 = toRadians(point2.coordinates[0]),
+        lat2 = toRadians(point2.coordinates[1]);
+
+    // the haversine formula
+    var h = Math.pow(Math.sin((lat2 - lat1) / 2), 2) + Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin((lon2 - lon1) / 2), 2);
+    return 2 * earthRadius * Math.asin(Math.sqrt(Math.min(1, h)));
+};
+
+// Returns whether two values intersect, which points do if they are the same point
+// or one is within a polygon. Throws an error for two polygons.
+exports.intersects = function (value1, value2) {
+    if (value1.type === 'Point' && value2.type === 'Point') {
+        return value1.coordinates[0] === value2.coordinates[0] && value1.coordinates[1] === value2.coordinates[1];
+    }
+    else if (value1.type === 'Point' || value2.type === 'Point') {
+        var point = value1.type === 'Point' ? value1 : value2,
+            polygon = value1.type === 'Point' ? value2 : value1;
+        return exports.getCrossedEdges(polygon).filter(function (edge) {
+            return crosses(edge, point.coordinates);
+        }).length % 2 === 1;
+    }
+    throw new Error("The intersection of two polygons is not supported.");
+};
+
+// Returns the edges of the rings of the polygon that a ray from a point can cross,
+// as { minLat, maxLat, lon, lat, slope } where a ray cast from a point along its
+// latitude towards increasing longitudes crosses the edge if the latitude of the
+// point is in [minLat, maxLat) and its longitude is less than the longitude of the
+// edge at that latitude, lon + (latitude - lat) * slope. A point is within the
+// polygon if the ray crosses an odd number of edges.
+exports.getCrossedEdges = function (polygon) {
+    var edges = [];
+
+    polygon.coordinates.forEach(function (ring) {
+        for (var i = 1; i < ring.length; i++) {
+            var start = ring[i - 1],
+                end = ring[i];
+
+            // edges along a latitude are never crossed
+            if (start[1] !== end[1]) {
+                edges.push({
+                    minLat: Math.min(start[1], end[1]),
+                    maxLat: Math.max(start[1], end[1]),
+                    lon: start[0],
+                    lat: start[1],
+                    slope: (end[0] - start[0]) / (end[1] - start[1])
+                });
+            }
+        }
+    });
+
+    return edges;
+};
+
+function crosses(edge, position) {
+    return position[1] >= edge.minLat && position[1] < edge.maxLat &&
+           position[0] < edge.lon + (position[1] - edge.lat) * edge.slope;
+}
+
+function isPosition(coordinates) {
+    return core.isArray(coordinates) && coordinates.length === 2 &&
+           _.every(coordinates, function (coordinate) { return core.isNumber(coordinate) && isFinite(coordinate); }) &&
+           Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90;
+}
+
+function parsePosition(longitude, latitude) {
+    var position = [parseFloat(longitude), parseFloat(latitude)];
+    if (!isPosition(position)) {
+        throw new Error(_.sprintf("The point (%s %s) is not a valid longitude and latitude.", longitude, latitude));
+    }
+    return position;
+}
+
+function parseRings(text) {
+    var rings = [],
+        match;
+
+    while ((match = ringRegex.exec(text)) !== null) {
+        rings.push(parseRing(match[1]));
+        text = text.substr(match[0].length);
+    }
+
+    if (rings.length === 0 || text.trim().length > 0) {
+        throw new Error("A polygon must have one or more rings of points.");
+    }
+    return rings;
+}
+
+function parseRing(text) {
+    var ring = text.split(',').map(function (positionText) {
+        var match = positionRegex.exec(positionText);
+        if (!match) {
+            throw new Error(_.sprintf("'%s' is not a valid point of a polygon.", positionText.trim()));
+        }
+        return parsePosition(match[1], match[2]);
+    });
+
+    var first = ring[0],
+        last = ring[ring.length - 1];
+    if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+        throw new Error("The rings of a polygon must have four or more points and end with their first point.");
+    }
+    return ring;
+}
+
+function formatPosition(position) {
+    return exports.formatCoordinate(position[0]) + ' ' + exports.formatCoordinate(position[1]);
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
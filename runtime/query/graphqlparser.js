@@ -0,0 +1,461 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module parses GraphQL documents (see ../request/graphqlhandler). It parses
+// the executable definitions of the GraphQL language, which are operations and
+// fragments, into plain objects:
+//
+// { operations: [{ operation: 'query', name: 'Orders', variables: [...], directives: [...], selections: [...] }],
+//   fragments: { name: { name, typeCondition, directives, selections } } }
+//
+// Selections are fields { kind: 'field', alias, name, arguments, directives, selections, location },
+// fragment spreads { kind: 'fragmentSpread', name, directives } and inline fragments
+// { kind: 'inlineFragment', typeCondition, directives, selections }, where arguments map
+// names to values. Values are { kind: 'variable', name }, { kind: 'literal', value },
+// { kind: 'enum', value }, { kind: 'list', values } or { kind: 'object', fields }.
+// Syntax errors are bad input errors with the { line, column } of the error as
+// their locations.
+
+var core = require('../core'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+var TokenKind = {
+    End: 'End',
+    Punctuator: 'Punctuator',
+    Spread: 'Spread',
+    Name: 'Name',
+    Int: 'Int',
+    Float: 'Float',
+    String: 'String'
+};
+
+var ignoredRegex = /^(?:[\s,]|#[^\n\r]*)+/,
+    nameRegex = /^[_A-Za-z][_0-9A-Za-z]*/,
+    numberRegex = /^-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?(?![_A-Za-z.])/,
+    stringRegex = /^"(?:[^"\\\n\r]|\\(?:["\\\/bfnrt]|u[0-9A-Fa-f]{4}))*"/,
+    punctuators = '!$()[]{}:=@|&';
+
+function GraphQLParser(text) {
+    this.text = text;
+    this.pos = 0;
+    this._nextToken();
+}
+
+// parses the GraphQL document
+GraphQLParser.parse = function (text) {
+    if (!core.isString(text) || text.trim().length === 0) {
+        throw new core.MobileServiceError('A GraphQL query must be specified.', core.ErrorCodes.BadInput);
+    }
+
+    return new GraphQLParser(text).parseDocument();
+};
+
+// returns the { line, column } of the position in the text, both starting at 1
+GraphQLParser.getLocation = function (text, pos) {
+    var lines = text.substr(0, pos).split(/\r\n|[\n\r]/);
+    return { line: lines.length, column: _.last(lines).length + 1 };
+};
+
+exports = module.exports = GraphQLParser;
+
+var instanceMembers = {
+    parseDocument: function () {
+        var document = { operations: [], fragments: {} };
+
+        do {
+            if (this._isPunctuator('{')) {
+                document.operations.push({
+                    operation: 'query',
+                    name: null,
+                    variables: [],
+                    directives: [],
+                    selections: this._parseSelectionSet()
+                });
+            }
+            else if (this._isName('query') || this._isName('mutation') || this._isName('subscription')) {
+                document.operations.push(this._parseOperation());
+            }
+            else if (this._isName('fragment')) {
+                var fragment = this._parseFragment();
+                if (document.fragments[fragment.name]) {
+                    throw this._error(_.sprintf("There can be only one fragment named '%s'.", fragment.name), fragment.pos);
+                }
+                document.fragments[fragment.name] = fragment;
+            }
+            else {
+                throw this._unexpected();
+            }
+        }
+        while (this.token.kind !== TokenKind.End);
+
+        return document;
+    },
+
+    _parseOperation: function () {
+        var pos = this.token.pos,
+            operation = this._expectName();
+
+        if (operation === 'subscription') {
+            throw this._error('Subscriptions are not supported.', pos);
+        }
+
+        return {
+            operation: operation,
+            name: this.token.kind === TokenKind.Name ? this._expectName() : null,
+            variables: this._parseVariableDefinitions(),
+            directives: this._parseDirectives(true),
+            selections: this._parseSelectionSet()
+        };
+    },
+
+    _parseFragment: function () {
+        var pos = this.token.pos;
+        this._expectName('fragment');
+
+        var name = this._parseFragmentName();
+        this._expectName('on');
+
+        return {
+            name: name,
+            typeCondition: this._expectName(),
+            directives: this._parseDirectives(false),
+            selections: this._parseSelectionSet(),
+            pos: pos
+        };
+    },
+
+    _parseFragmentName: function () {
+        if (this._isName('on')) {
+            throw this._unexpected();
+        }
+        return this._expectName();
+    },
+
+    _parseVariableDefinitions: function () {
+        var variables = [];
+        if (!this._skipPunctuator('(')) {
+            return variables;
+        }
+
+        do {
+            this._expectPunctuator('$');
+            var variable = { name: this._expectName() };
+            this._expectPunctuator(':');
+            variable.type = this._parseType();
+            if (this._skipPunctuator('=')) {
+                variable.defaultValue = this._parseValue(true);
+            }
+            this._parseDirectives(true);
+            variables.push(variable);
+        }
+        while (!this._skipPunctuator(')'));
+
+        return variables;
+    },
+
+    // parses a type, as { name, nonNull } or { ofType, nonNull } for lists
+    _parseType: function () {
+        var type;
+        if (this._skipPunctuator('[')) {
+            type = { ofType: this._parseType() };
+            this._expectPunctuator(']');
+        }
+        else {
+            type = { name: this._expectName() };
+        }
+
+        type.nonNull = this._skipPunctuator('!');
+        return type;
+    },
+
+    _parseSelectionSet: function () {
+        var selections = [];
+        this._expectPunctuator('{');
+
+        do {
+            selections.push(this._parseSelection());
+        }
+        while (!this._skipPunctuator('}'));
+
+        return selections;
+    },
+
+    _parseSelection: function () {
+        if (this.token.kind === TokenKind.Spread) {
+            this._nextToken();
+
+            if (this.token.kind === TokenKind.Name && !this._isName('on')) {
+                return {
+                    kind: 'fragmentSpread',
+                    name: this._parseFragmentName(),
+                    directives: this._parseDirectives(false)
+                };
+            }
+
+            var typeCondition = null;
+            if (this._isName('on')) {
+                this._nextToken();
+                typeCondition = this._expectName();
+            }
+
+            return {
+                kind: 'inlineFragment',
+                typeCondition: typeCondition,
+                directives: this._parseDirectives(false),
+                selections: this._parseSelectionSet()
+            };
+        }
+
+        var pos = this.token.pos,
+            alias = null,
+            name = this._expectName();
+
+        if (this._skipPunctuator(':')) {
+            alias = name;
+            name = this._expectName();
+        }
+
+        return {
+            kind: 'field',
+            alias: alias,
+            name: name,
+            arguments: this._parseArguments(false),
+            directives: this._parseDirectives(false),
+            selections: this._isPunctuator('{') ? this._parseSelectionSet() : null,
+            location: GraphQLParser.getLocation(this.text, pos)
+        };
+    },
+
+    // parses the arguments of a field or directive into a map of names to values
+    _parseArguments: function (isConst) {
+        var args = {};
+        if (!this._skipPunctuator('(')) {
+            return args;
+        }
+
+        do {
+            var pos = this.token.pos,
+                name = this._expectName();
+
+            if (_.has(args, name)) {
+                throw this._error(_.sprintf("There can be only one argument named '%s'.", name), pos);
+            }
+            this._expectPunctuator(':');
+            args[name] = this._parseValue(isConst);
+        }
+        while (!this._skipPunctuator(')'));
+
+        return args;
+    },
+
+    _parseDirectives: function (isConst) {
+        var directives = [];
+        while (this._skipPunctuator('@')) {
+            directives.push({
+                name: this._expectName(),
+                arguments: this._parseArguments(isConst)
+            });
+        }
+        return directives;
+    },
+
+    // parses a value, where constant values can't have variables
+    _parseValue: function (isConst) {
+        var token = this.token,
+            value;
+
+        switch (token.kind) {
+            case TokenKind.Int:
+            case TokenKind.Float:
+            case TokenKind.String:
+                this._nextToken();
+                return { kind: 'literal', value: token.value };
+            case TokenKind.Name:
+                this._nextToken();
+                if (token.value === 'true' || token.value === 'false') {
+                    return { kind: 'literal', value: token.value === 'true' };
+                }
+                if (token.value === 'null') {
+                    return { kind: 'literal', value: null };
+                }
+                return { kind: 'enum', value: token.value };
+            case TokenKind.Punctuator:
+                if (token.value === '$' && !isConst) {
+                    this._nextToken();
+                    return { kind: 'variable', name: this._expectName() };
+                }
+                if (token.value === '[') {
+                    this._nextToken();
+                    value = { kind: 'list', values: [] };
+                    while (!this._skipPunctuator(']')) {
+                        value.values.push(this._parseValue(isConst));
+                    }
+                    return value;
+                }
+                if (token.value === '{') {
+                    this._nextToken();
+                    value = { kind: 'object', fields: {} };
+                    while (!this._skipPunctuator('}')) {
+                        var pos = this.token.pos,
+                            name = this._expectName();
+
+                        if (_.has(value.fields, name)) {
+                            throw this._error(_.sprintf("There can be only one input field named '%s'.", name), pos);
+                        }
+                        this._expectPunctuator(':');
+                        value.fields[name] = this._parseValue(isConst);
+                    }
+                    return value;
+                }
+                break;
+        }
+
+        throw this._unexpected();
+    },
+
+    _isName: function (name) {
+        return this.token.kind === TokenKind.Name && this.token.value === name;
+    },
+
+    _isPunctuator: function (value) {
+        return this.token.kind === TokenKind.Punctuator && this.token.value === value;
+    },
+
+    _skipPunctuator: function (value) {
+        if (this._isPunctuator(value)) {
+            this._nextToken();
+            return true;
+        }
+        return false;
+    },
+
+    _expectPunctuator: function (value) {
+        if (!this._skipPunctuator(value)) {
+            throw this._error(_.sprintf("Expected '%s', found %s.", value, this._describeToken()));
+        }
+    },
+
+    // returns the name of the current token, which must be the name if one is specified
+    _expectName: function (name) {
+        var token = this.token;
+        if (token.kind !== TokenKind.Name || (name && token.value !== name)) {
+            throw this._error(_.sprintf('Expected %s, found %s.', name ? "'" + name + "'" : 'a name', this._describeToken()));
+        }
+        this._nextToken();
+        return token.value;
+    },
+
+    _nextToken: function () {
+        var ignored = ignoredRegex.exec(this.text.substr(this.pos));
+        if (ignored) {
+            this.pos += ignored[0].length;
+        }
+
+        var pos = this.pos,
+            rest = this.text.substr(pos),
+            c = rest.charAt(0),
+            match;
+
+        if (rest.length === 0) {
+            this.token = { kind: TokenKind.End, pos: pos };
+        }
+        else if (rest.substr(0, 3) === '...') {
+            this.token = { kind: TokenKind.Spread, pos: pos, length: 3 };
+        }
+        else if (punctuators.indexOf(c) >= 0) {
+            this.token = { kind: TokenKind.Punctuator, value: c, pos: pos, length: 1 };
+        }
+        else if ((match = nameRegex.exec(rest))) {
+            this.token = { kind: TokenKind.Name, value: match[0], pos: pos, length: match[0].length };
+        }
+        else if ((match = numberRegex.exec(rest))) {
+            var isFloat = match[1] !== undefined || match[2] !== undefined;
+            this.token = {
+                kind: isFloat ? TokenKind.Float : TokenKind.Int,
+                value: isFloat ? parseFloat(match[0]) : parseInt(match[0], 10),
+                pos: pos,
+                length: match[0].length
+            };
+        }
+        else if (rest.substr(0, 3) === '"""') {
+            this.token = this._readBlockString(pos);
+        }
+        else if ((match = stringRegex.exec(rest))) {
+            this.token = { kind: TokenKind.String, value: JSON.parse(match[0]), pos: pos, length: match[0].length };
+        }
+        else if (c === '"') {
+            throw this._error('Unterminated string.', pos);
+        }
+        else {
+            throw this._error(_.sprintf("Unexpected character '%s'.", c), pos);
+        }
+
+        this.pos += this.token.length || 0;
+    },
+
+    // Reads a block string, whose lines have their common indentation and
+    // the blank lines at its start and end removed
+    _readBlockString: function (pos) {
+        var end = pos + 3;
+        while ((end = this.text.indexOf('"""', end)) >= 0 && this.text.charAt(end - 1) === '\\') {
+            end += 3;
+        }
+        if (end < 0) {
+            throw this._error('Unterminated string.', pos);
+        }
+
+        var lines = this.text.substring(pos + 3, end).replace(/\\"""/g, '"""').split(/\r\n|[\n\r]/);
+
+        var indents = _.compact(lines.slice(1).map(function (line) {
+            var indent = /^[ \t]*/.exec(line)[0].length;
+            return indent < line.length ? indent + 1 : null;
+        }));
+        if (indents.length > 0) {
+            var commonIndent = _.min(indents) - 1;
+            lines = [lines[0]].concat(lines.slice(1).map(function (line) {
+                return line.substr(commonIndent);
+            }));
+        }
+
+        while (lines.length > 0 && lines[0].trim().length === 0) {
+            lines.shift();
+        }
+        while (lines.length > 0 && _.last(lines).trim().length === 0) {
+            lines.pop();
+        }
+
+        return { kind: TokenKind.String, value: lines.join('\n'), pos: pos, length: end + 3 - pos };
+    },
+
+    _describeToken: function () {
+        var token = this.token;
+        switch (token.kind) {
+            case TokenKind.End:
+                return 'the end of the document';
+            case TokenKind.Spread:
+                return "'...'";
+            case TokenKind.String:
+                return 'a string';
+            default:
+                return "'" + token.value + "'";
+        }
+    },
+
+    _unexpected: function () {
+        return this._error(_.sprintf('Unexpected %s.', this._describeToken()));
+    },
+
+    _error: function (message, pos) {
+        var location = GraphQLParser.getLocation(this.text, pos === undefined ? this.token.pos : pos),
+            error = new core.MobileServiceError(_.sprintf('Syntax error: %s', message), core.ErrorCodes.BadInput);
+
+        error.locations = [location];
+        return error;
+    }
+};
+
+core.defineClass(GraphQLParser, instanceMembers);
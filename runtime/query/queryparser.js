@@ -8,10 +8,19 @@
 
     var _ = require('underscore'),
         _str = require('underscore.string'),
-        core = require('../core');
+        core = require('../core'),
+        Geography = require('./geography');
 
  _.mixin(_str.exports());
 
+    // the unquoted date, date time offset and time of day literals of OData v4,
+    // e.g. 2001-04-01, 2001-04-01T10:30:00Z and 10:30:00
+    var dateTimeLiteralRegex = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?/,
+        timeLiteralRegex = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?/;
+
+    // the functions of OData v4 that OData v3 doesn't have
+    var v4Functions = ['now', 'contains', 'date', 'time', 'totaloffsetminutes'];
+
     TokenId = {
         Unknown: 'Unknown',
         End: 'End',
@@ -19,6 +28,8 @@
         StringLiteral: 'StringLiteral',
         IntegerLiteral: 'IntegerLiteral',
         RealLiteral: 'RealLiteral',
+        DateTimeLiteral: 'DateTimeLiteral',
+        TimeLiteral: 'TimeLiteral',
         Not: 'Not',
         Modulo: 'Modulo',
         OpenParen: 'OpenParen',
@@ -40,8 +51,12 @@
         Or: 'Or'
     };
 
-    var ctor = function (expression) {
+    // The odataVersion is the version of the request of the expression (see ../request/request),
+    // whose syntax is that of OData v3 if it is 3. Expressions without a version, such as those
+    // of the runtime and scripts, can use the syntax of either version.
+    var ctor = function (expression, odataVersion) {
         this.keywords = this._createKeywords();
+        this.odataVersion = odataVersion;
 
         // define the default root parameter for all member expressions
         this.it = new ParameterExpression();
@@ -54,17 +69,132 @@
     };
 
     var classMembers = {
-        filter: function (predicate) {
-            var parser = new QueryParser(predicate);
+        filter: function (predicate, odataVersion) {
+            var parser = new QueryParser(predicate, odataVersion);
             var filter = parser.parse();
             return filter;
         },
 
-        orderBy: function (ordering) {
-            var parser = new QueryParser(ordering);
+        orderBy: function (ordering, odataVersion) {
+            var parser = new QueryParser(ordering, odataVersion);
             var orderings = parser.parseOrdering();
             return orderings;
+        },
+
+        // parses the subset of $apply that groups and aggregates, returning
+        // { groupBy: ['category'], aggregates: [{ method: 'sum', member: 'amount', alias: 'total' }] }
+        // the member of a $count aggregate is null
+        apply: function (transformation, odataVersion) {
+            var parser = new QueryParser(transformation, odataVersion);
+            var apply = parser.parseApply();
+            return apply;
+        },
+
+        // parses the relationships to include with the results, returning
+        // [{ name: 'orders', select: 'id,total', filter: 'total gt 10', orderBy: 'total desc', top: 5 }]
+        // for orders($select=id,total;$filter=total gt 10;$orderby=total desc;$top=5)
+        // where only the name is required
+        expand: function (expansion) {
+            var names = {};
+            return splitExpandText(expansion, ',').map(function (text) {
+                var expand = parseExpandItem(text);
+                if (names[expand.name.toLowerCase()]) {
+                    throw new Error(_.sprintf("Duplicate relationship '%s' in $expand", expand.name));
+                }
+                names[expand.name.toLowerCase()] = true;
+                return expand;
+            });
+        }
+    };
+
+    // the query options that can be applied to an expanded relationship
+    var expandOptions = {
+        '$select': 'select',
+        '$filter': 'filter',
+        '$orderby': 'orderBy',
+        '$top': 'top'
+    };
+
+    function parseExpandItem(text) {
+        var match = /^\s*([A-Za-z_][\w]*)\s*(?:\(([\s\S]*)\))?\s*$/.exec(text);
+        if (!match) {
+            throw new Error(_.sprintf("Invalid $expand item '%s'", text.trim()));
+        }
+
+        var expand = { name: match[1] };
+        if (match[2] === undefined) {
+            return expand;
+        }
+
+        splitExpandText(match[2], ';').forEach(function (optionText) {
+            var index = optionText.indexOf('='),
+                name = (index < 0 ? optionText : optionText.substr(0, index)).trim(),
+                option = expandOptions[name];
+
+            if (index < 0 || !option) {
+                throw new Error(_.sprintf("Invalid $expand option '%s'", name));
+            }
+            if (expand[option] !== undefined) {
+                throw new Error(_.sprintf("Duplicate $expand option '%s'", name));
+            }
+
+            var value = optionText.substr(index + 1).trim();
+            if (option === 'top') {
+                if (!/^\d+$/.test(value)) {
+                    throw new Error("The value of $top in $expand must be a number");
+                }
+                value = parseInt(value, 10);
+            }
+            expand[option] = value;
+        });
+
+        return expand;
+    }
+
+    // splits the text at each separator that isn't within parentheses or a string literal
+    function splitExpandText(text, separator) {
+        var parts = [],
+            start = 0,
+            depth = 0,
+            quoted = false;
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text.charAt(i);
+            if (c === "'") {
+                // an escaped quote ('') toggles twice
+                quoted = !quoted;
+            }
+            else if (!quoted && c === '(') {
+                depth++;
+            }
+            else if (!quoted && c === ')') {
+                depth--;
+                if (depth < 0) {
+                    break;
+                }
+            }
+            else if (!quoted && depth === 0 && c === separator) {
+                parts.push(text.substring(start, i));
+                start = i + 1;
+            }
+        }
+
+        if (depth !== 0 || quoted) {
+            throw new Error("Unbalanced parentheses or quotes in $expand");
         }
+
+        parts.push(text.substring(start));
+        return parts;
+    }
+
+    // the aggregation methods of $apply, including avg as an alias of average
+    var aggregateMethods = {
+        sum: 'sum',
+        average: 'average',
+        avg: 'average',
+        min: 'min',
+        max: 'max',
+        countdistinct: 'countdistinct'
     };
 
     var instanceMembers = {
@@ -101,10 +231,116 @@
             return orderings;
         },
 
+        // groupby((prop, ...)[, aggregate(...)]) or aggregate(...)
+        parseApply: function () {
+            var apply = {
+                groupBy: [],
+                aggregates: []
+            };
+
+            if (this._tokenIdentifierIs('groupby')) {
+                this._nextToken();
+                this._validateToken(TokenId.OpenParen, "'(' expected");
+                this._nextToken();
+                this._validateToken(TokenId.OpenParen, "'(' expected");
+                do {
+                    this._nextToken();
+                    apply.groupBy.push(this._parseApplyIdentifier());
+                }
+                while (this.token.id == TokenId.Comma);
+                this._validateToken(TokenId.CloseParen, "')' or ',' expected");
+                this._nextToken();
+
+                if (this.token.id == TokenId.Comma) {
+                    this._nextToken();
+                    apply.aggregates = this._parseAggregate();
+                }
+                this._validateToken(TokenId.CloseParen, "')' expected");
+                this._nextToken();
+            }
+            else {
+                apply.aggregates = this._parseAggregate();
+            }
+            this._validateToken(TokenId.End, 'Syntax error');
+
+            // the grouped properties and aliases are the properties of the results
+            var names = {};
+            apply.groupBy.concat(_.pluck(apply.aggregates, 'alias')).forEach(function (name) {
+                if (names[name.toLowerCase()]) {
+                    throw new Error(_.sprintf("Duplicate property '%s' in $apply", name));
+                }
+                names[name.toLowerCase()] = true;
+            });
+
+            return apply;
+        },
+
+        // aggregate(prop with method as alias, $count as alias, ...)
+        _parseAggregate: function () {
+            if (!this._tokenIdentifierIs('aggregate')) {
+                throw this._parseError("'groupby' or 'aggregate' expected");
+            }
+            this._nextToken();
+            this._validateToken(TokenId.OpenParen, "'(' expected");
+
+            var aggregates = [];
+            do {
+                this._nextToken();
+                var aggregate = {};
+
+                if (this._tokenIdentifierIs('$count')) {
+                    this._nextToken();
+                    aggregate.method = 'count';
+                    aggregate.member = null;
+                }
+                else {
+                    aggregate.member = this._parseApplyIdentifier();
+                    if (!this._tokenIdentifierIs('with')) {
+                        throw this._parseError("'with' expected");
+                    }
+                    this._nextToken();
+
+                    this._validateToken(TokenId.Identifier, 'Aggregation method expected');
+                    aggregate.method = aggregateMethods[this.token.text];
+                    if (!aggregate.method) {
+                        throw this._parseError(_.sprintf("Unknown aggregation method '%s'", this.token.text));
+                    }
+                    this._nextToken();
+                }
+
+                if (!this._tokenIdentifierIs('as')) {
+                    throw this._parseError("'as' expected");
+                }
+                this._nextToken();
+                aggregate.alias = this._parseApplyIdentifier();
+
+                aggregates.push(aggregate);
+            }
+            while (this.token.id == TokenId.Comma);
+
+            this._validateToken(TokenId.CloseParen, "')' or ',' expected");
+            this._nextToken();
+            return aggregates;
+        },
+
+        _parseApplyIdentifier: function () {
+            this._validateToken(TokenId.Identifier, 'Identifier expected');
+            var identifier = this.token.text;
+            this._nextToken();
+            return identifier;
+        },
+
         _tokenIdentifierIs: function (id) {
             return this.token.id == TokenId.Identifier && id == this.token.text;
         },
 
+        // throws an error if the syntax of OData v4 can't be used in the version of the expression
+        _validateV4Syntax: function (syntax, pos) {
+            if (this.odataVersion === 3) {
+                throw this._parseError(_.sprintf("%s requires an OData-Version or OData-MaxVersion header of 4.0.", syntax), pos);
+            }
+        },
+
         _parseExpression: function () {
             return this._parseLogicalOr();
         },
@@ -134,7 +370,13 @@
         _parseComparison: function () {
             var left = this._parseAdditive();
             while (this.token.id == TokenId.Equal || this.token.id == TokenId.NotEqual || this.token.id == TokenId.GreaterThan ||
-                this.token.id == TokenId.GreaterThanEqual || this.token.id == TokenId.LessThan || this.token.id == TokenId.LessThanEqual) {
+                this.token.id == TokenId.GreaterThanEqual || this.token.id == TokenId.LessThan || this.token.id == TokenId.LessThanEqual ||
+                this._tokenIdentifierIs('in')) {
+
+                if (this._tokenIdentifierIs('in')) {
+                    left = this._parseIn(left);
+                    continue;
+                }
 
                 var opId = this.token.id;
                 this._nextToken();
@@ -166,6 +408,32 @@
             return left;
         },
 
+        // The OData v4 'in' operator, e.g. category in ('books', 'music'), which is an
+        // 'or' of the equality comparisons with each of the values. 'in' isn't a keyword
+        // so that it can still be the name of a member.
+        _parseIn: function (left) {
+            var errorPos = this.token.pos;
+            this._validateV4Syntax("The 'in' operator", errorPos);
+            this._nextToken();
+            var values = this._parseArgumentList();
+            if (values.length === 0) {
+                throw this._parseError("The 'in' operator requires one or more values.", errorPos);
+            }
+            return this._createInExpression(left, values);
+        },
+
+        // the comparisons are a balanced tree of 'or' expressions rather than
+        // a chain that would nest as deeply as there are values
+        _createInExpression: function (left, values) {
+            if (values.length === 1) {
+                return new BinaryExpression(left, values[0], ExpressionType.Equal);
+            }
+
+            var middle = Math.ceil(values.length / 2);
+            return new BinaryExpression(this._createInExpression(left, values.slice(0, middle)),
+                                        this._createInExpression(left, values.slice(middle)), ExpressionType.Or);
+        },
+
         // 'add','sub' operators
         _parseAdditive: function () {
             var left = this._parseMultiplicative();
@@ -251,6 +519,14 @@
             var id = this._getIdentifier();
             this._nextToken();
             if (this.token.id == TokenId.OpenParen) {
+                if (_.contains(v4Functions, id)) {
+                    this._validateV4Syntax(_.sprintf("Function '%s'", id), errorPos);
+                }
+
+                if (id == 'now') {
+                    return this._parseNow(errorPos);
+                }
+
                 var mappedFunction = this._mapFunction(id);
                 if (mappedFunction !== null) {
                     return this._parseMappedFunction(mappedFunction, errorPos);
@@ -264,6 +540,16 @@
             }
         },
 
+        // now() is the time the query is parsed, so it is a constant of the query
+        // rather than the time of the database
+        _parseNow: function (errorPos) {
+            var args = this._parseArgumentList();
+            if (args.length !== 0) {
+                throw this._parseError("Function 'now' requires no parameters.", errorPos);
+            }
+            return new ConstantExpression(new Date());
+        },
+
         _parseMappedFunction: function (mappedMember, errorPos) {
             var type = mappedMember.type;
             var mappedMemberName = mappedMember.memberName;
@@ -331,6 +617,9 @@
                 case 'hour':
                 case 'minute':
                 case 'second':
+                case 'date':
+                case 'time':
+                case 'totaloffsetminutes':
                 case 'floor':
                 case 'ceiling':
                 case 'round':
@@ -345,6 +634,8 @@
                 case 'endswith':
                 case 'concat':
                 case 'indexof':
+                case 'geo.distance':
+                case 'geo.intersects':
                     this._validateFunctionParameters(functionName, functionArgs, 2);
                     break;
                 case 'replace':
@@ -412,6 +703,11 @@
                 return mappedMember;
             }
 
+            mappedMember = this._mapGeoFunction(functionName);
+            if (mappedMember !== null) {
+                return mappedMember;
+            }
+
             return null;
         },
 
@@ -434,6 +730,10 @@
             else if (functionName == 'trim') {
                 return new MappedMemberInfo('string', functionName, false, true);
             }
+            else if (functionName == 'contains') {
+                // contains is the OData v4 substringof, with its arguments in the order of string.Contains
+                return new MappedMemberInfo('string', 'substringof', false, true);
+            }
             else if (functionName == 'substringof') {
                 var memberInfo = new MappedMemberInfo('string', functionName, false, true);
                 memberInfo.mapParams = function (args) {
@@ -482,6 +782,16 @@
             else if (functionName == 'second') {
                 return new MappedMemberInfo('date', functionName, false, true);
             }
+            // the OData v4 date functions. time is the time of day as the text of a time literal.
+            else if (functionName == 'date') {
+                return new MappedMemberInfo('date', functionName, false, true);
+            }
+            else if (functionName == 'time') {
+                return new MappedMemberInfo('date', functionName, false, true);
+            }
+            else if (functionName == 'totaloffsetminutes') {
+                return new MappedMemberInfo('date', functionName, false, true);
+            }
             return null;
         },
 
@@ -498,6 +808,17 @@
             return null;
         },
 
+        // the geo functions take geography columns or literals in either order
+        _mapGeoFunction: function (functionName) {
+            if (functionName == 'geo.distance') {
+                return new MappedMemberInfo('geo', functionName, true, true);
+            }
+            else if (functionName == 'geo.intersects') {
+                return new MappedMemberInfo('geo', functionName, true, true);
+            }
+            return null;
+        },
+
         _getIdentifier: function () {
             this._validateToken(TokenId.Identifier, 'Identifier expected');
             return this.token.text;
@@ -513,6 +834,10 @@
                     return this._parseIntegerLiteral();
                 case TokenId.RealLiteral:
                     return this._parseRealLiteral();
+                case TokenId.DateTimeLiteral:
+                    return this._parseDateTimeLiteral();
+                case TokenId.TimeLiteral:
+                    return this._parseTimeLiteral();
                 case TokenId.OpenParen:
                     return this._parseParenExpression();
                 default:
@@ -561,6 +886,40 @@
             return new ConstantExpression(value);
         },
 
+        // dates are the start of their UTC day
+        _parseDateTimeLiteral: function () {
+            this._validateToken(TokenId.DateTimeLiteral);
+            var text = this.token.text;
+            this._validateV4Syntax(_.sprintf("The date literal '%s'", text));
+
+            var date = core.parseDateTimeOffset(text.length == 10 ? text + 'T00:00:00Z' : text);
+            if (!date) {
+                throw this._parseError(_.sprintf("Invalid date literal '%s'", text));
+            }
+
+            this._nextToken();
+            return new ConstantExpression(date);
+        },
+
+        // times of day are the text hh:mm:ss.fff, which is what the time function returns
+        _parseTimeLiteral: function () {
+            this._validateToken(TokenId.TimeLiteral);
+            var text = this.token.text;
+            this._validateV4Syntax(_.sprintf("The time literal '%s'", text));
+
+            var match = timeLiteralRegex.exec(text);
+            var hours = parseInt(match[1], 10),
+                minutes = parseInt(match[2], 10),
+                seconds = match[3] ? parseInt(match[3], 10) : 0;
+            if (hours > 23 || minutes > 59 || seconds > 59) {
+                throw this._parseError(_.sprintf("Invalid time literal '%s'", text));
+            }
+
+            var milliseconds = _.rpad((match[4] || '').substr(0, 3), 3, '0');
+            this._nextToken();
+            return new ConstantExpression(_.sprintf('%02d:%02d:%02d.%s', hours, minutes, seconds, milliseconds));
+        },
+
         _parseParenExpression: function () {
             this._validateToken(TokenId.OpenParen, "'(' expected");
             this._nextToken();
@@ -618,6 +977,9 @@
                             typeExpression = new ConstantExpression(date);
                         }
                     }
+                    else if (type == 'geography') {
+                        typeExpression = new ConstantExpression(Geography.parse(literalValue));
+                    }
                 }
                 catch (e) {
                     throw this._parseError(e, errorPos);
@@ -655,7 +1017,8 @@
 
                 // type keywords
                 datetime: 'datetime',
-                datetimeoffset: 'datetimeoffset'
+                datetimeoffset: 'datetimeoffset',
+                geography: 'geography'
             };
         },
 
@@ -708,14 +1071,30 @@
                     t = TokenId.StringLiteral;
                     break;
                 default:
-                    if (this._isIdentifierStart(this.ch) || this.ch == '@' || this.ch == '_') {
+                    if (this._isIdentifierStart(this.ch) || this.ch == '@' || this.ch == '_' || this.ch == '$') {
                         do {
                             this._nextChar();
                         }
                         while (this._isIdentifierPart(this.ch) || this.ch == '_');
+
+                        // the names of the geo functions are qualified, as in geo.distance
+                        if (this.ch == '.' && this.text.substr(tokenPos, this.textPos - tokenPos) == 'geo') {
+                            do {
+                                this._nextChar();
+                            }
+                            while (this._isIdentifierPart(this.ch) || this.ch == '_');
+                        }
                         t = TokenId.Identifier;
                         break;
                     }
+                    if (core.isDigit(this.ch) && this._nextLiteral(dateTimeLiteralRegex)) {
+                        t = TokenId.DateTimeLiteral;
+                        break;
+                    }
+                    if (core.isDigit(this.ch) && this._nextLiteral(timeLiteralRegex)) {
+                        t = TokenId.TimeLiteral;
+                        break;
+                    }
                     if (core.isDigit(this.ch)) {
                         t = TokenId.IntegerLiteral;
                         do {
@@ -811,6 +1190,16 @@
             return token.id;
         },
 
+        // advances past the literal if the text at the current position starts with it
+        _nextLiteral: function (literalRegex) {
+            var match = literalRegex.exec(this.text.substr(this.textPos));
+            if (!match) {
+                return false;
+            }
+            this._setTextPos(this.textPos + match[0].length);
+            return true;
+        },
+
         _nextChar: function () {
             if (this.textPos < this.textLen) {
                 this.textPos++;
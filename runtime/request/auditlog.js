@@ -0,0 +1,299 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module records the changes made to the items of the tables that declare
+// "audit": true in datamodel.json in the __audit table of the app schema. Every
+// insert, update, upsert, delete and undelete of an item is recorded with the
+// user that made it, the id of the request that made it and the values of the
+// columns it changed, before and after the change. An operation and its record
+// are made in a single transaction, so one is never made without the other.
+
+var core = require('../core'),
+    UserService = require('../users/userservice'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = AuditLog;
+
+var logSource = 'AuditLog',
+    auditTable = '__audit';
+
+// the columns of the __audit table, where before and after are the json
+// of the values of the columns an operation changed
+var auditTableColumns = {
+    tableName: { type: 'nvarchar', maxLength: 255, nullable: false },
+    operation: { type: 'nvarchar', maxLength: 255, nullable: false },
+    itemId: { type: 'nvarchar', maxLength: 255, nullable: false },
+    userId: { type: 'nvarchar', maxLength: 255 },
+    provider: { type: 'nvarchar', maxLength: 255 },
+    timestamp: { type: 'datetimeoffset', nullable: false },
+    requestId: { type: 'nvarchar', maxLength: 255 },
+    before: { type: 'nvarchar' },
+    after: { type: 'nvarchar' }
+};
+
+// the columns that every write changes, which aren't recorded
+var untrackedColumns = ['id', '__createdat', '__updatedat', '__version'];
+
+function AuditLog(storage, tableName, user, logger) {
+    this.storage = storage;
+    this.tableName = tableName;
+    this.user = user;
+    this.logger = logger;
+}
+
+// whether the table of the data model records its changes
+AuditLog.isAudited = function (table) {
+    return !!table && table.audit === true;
+};
+
+// returns the audit log of the table for the operations of the user, or null if the
+// table doesn't record its changes. Operations made by scripts have no user.
+AuditLog.create = function (dataModel, storage, tableName, user, logger) {
+    var table = dataModel && dataModel.getTable(tableName);
+    if (!AuditLog.isAudited(table)) {
+        return null;
+    }
+    return new AuditLog(storage, table.name, user, logger);
+};
+
+// creates or alters the __audit table to match its columns
+AuditLog.syncTable = function (storage, logger, callback) {
+    storage.syncTableSchema(auditTable, auditTableColumns, logger, callback);
+};
+
+// Calls back with the records of the changes made to the item of the table,
+// oldest first, with the before and after values of each parsed.
+AuditLog.readHistory = function (storage, tableName, id, logger, callback) {
+    var query = {
+        table: auditTable,
+        filter: _.sprintf('tableName eq %s and itemId eq %s', formatString(tableName), formatString(id.toString())),
+        orderBy: 'timestamp'
+    };
+
+    storage.query(query, logger, {}, function (error, results) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        callback(null, results.map(function (record) {
+            return _.extend(_.omit(record, 'tableName'), {
+                before: record.before ? JSON.parse(record.before) : null,
+                after: record.after ? JSON.parse(record.after) : null
+            });
+        }));
+    });
+};
+
+// Runs the storage operation, which is called with the storage to run it in and
+// a callback, and records the changes it makes to the item with the id, or to the
+// items it inserts if the id is null. Operations made in a transaction are recorded
+// in it, and other operations are run in a transaction of their own.
+AuditLog.prototype.run = function (operation, id, execute, callback) {
+    var self = this;
+
+    this._runInTransaction(function (storage, done) {
+        self._run(storage, operation, id === null ? null : [id], execute, done);
+    }, callback);
+};
+
+// Runs the bulk update or delete of the items the filter of the query selects (see
+// Storage.bulkUpdate), recording the changes it makes to each of them
+AuditLog.prototype.runBulk = function (operation, query, execute, callback) {
+    var self = this;
+
+    this._runInTransaction(function (storage, done) {
+        self._readIds(storage, query, function (error, ids) {
+            if (error) {
+                done(error);
+                return;
+            }
+            self._run(storage, operation, ids, execute, done);
+        });
+    }, callback);
+};
+
+AuditLog.prototype._runInTransaction = function (run, callback) {
+    var logger = this.logger;
+
+    if (this.storage.transaction) {
+        run(this.storage, callback);
+        return;
+    }
+
+    this.storage.beginTransaction(logger, function (error, storage) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        run(storage, function (error, result) {
+            if (error) {
+                storage.rollback(logger, function () {
+                    callback(error);
+                });
+                return;
+            }
+
+            storage.commit(logger, function (error) {
+                callback(error, error ? null : result);
+            });
+        });
+    });
+};
+
+// ids are those of the items the operation changes, or null for an insert
+AuditLog.prototype._run = function (storage, operation, ids, execute, callback) {
+    var self = this,
+        inserted = ids === null;
+
+    ids = ids || [];
+
+    this._readItems(storage, ids, function (error, itemsBefore) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        execute(storage, function (error, result) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (inserted) {
+                // the result of an insert is the inserted item or items
+                ids = _.pluck(core.isArray(result) ? result : [result], 'id');
+            }
+
+            self._readItems(storage, ids, function (error, itemsAfter) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                var records = _.compact(ids.map(function (itemId, i) {
+                    return self._createRecord(operation, itemId, itemsBefore[i] || null, itemsAfter[i]);
+                }));
+
+                self._insertRecords(storage, records, function (error) {
+                    callback(error, error ? null : result);
+                });
+            });
+        });
+    });
+};
+
+// calls back with the ids of the items the filter of the query selects
+AuditLog.prototype._readIds = function (storage, query, callback) {
+    query = _.extend(_.pick(query, 'filter', '_parsed'), { table: this.tableName, select: 'id' });
+
+    storage.query(query, this.logger, {}, function (error, results) {
+        callback(error, error ? null : _.pluck(results, 'id'));
+    });
+};
+
+// calls back with the items with the ids, or null for those that don't exist
+AuditLog.prototype._readItems = function (storage, ids, callback) {
+    var self = this,
+        items = [];
+
+    var readFunctions = ids.map(function (id) {
+        return function (done) {
+            var query = { table: self.tableName, id: id },
+                options = { systemProperties: ['*'], includeDeleted: true };
+
+            storage.query(query, self.logger, options, function (error, results) {
+                if (!error) {
+                    items.push(results[0] || null);
+                }
+                done(error);
+            });
+        };
+    });
+
+    core.async.series(readFunctions, function (error) {
+        callback(error, error ? null : items);
+    });
+};
+
+// returns the record of the change of the item, or null if it wasn't changed
+AuditLog.prototype._createRecord = function (operation, id, before, after) {
+    var changes = getChanges(before, after);
+    if (!changes) {
+        return null;
+    }
+
+    var userId = (this.user && this.user.userId) || null;
+
+    return {
+        tableName: this.tableName,
+        // an upsert either inserts or updates the item
+        operation: operation === 'upsert' ? (before ? 'update' : 'insert') : operation,
+        itemId: id.toString(),
+        userId: userId,
+        provider: userId ? UserService.getProviderNameByUserId(userId) : null,
+        timestamp: new Date(),
+        requestId: this.logger.requestID || null,
+        before: before ? JSON.stringify(changes.before) : null,
+        after: after ? JSON.stringify(changes.after) : null
+    };
+};
+
+AuditLog.prototype._insertRecords = function (storage, records, callback) {
+    if (records.length === 0) {
+        callback(null);
+        return;
+    }
+
+    this.logger.trace(logSource, _.sprintf("Recording %d change(s) to table '%s'", records.length, this.tableName));
+    storage.insert(auditTable, records, this.logger, {}, function (error) {
+        callback(error);
+    });
+};
+
+// Returns the values of the columns that differ between the item before and after
+// the change as { before, after }, or null if the item wasn't written. An item that
+// was inserted or deleted has all of its values recorded.
+function getChanges(before, after) {
+    if (!before && !after) {
+        return null;
+    }
+
+    var changes = { before: {}, after: {} },
+        written = !before || !after || !valueEquals(getValue(before, '__version'), getValue(after, '__version'));
+
+    _.union(_.keys(before || {}), _.keys(after || {})).forEach(function (column) {
+        var valueBefore = before ? getValue(before, column) : null,
+            valueAfter = after ? getValue(after, column) : null;
+
+        if (!_.contains(untrackedColumns, column.toLowerCase()) && (!before || !after || !valueEquals(valueBefore, valueAfter))) {
+            changes.before[column] = valueBefore;
+            changes.after[column] = valueAfter;
+        }
+    });
+
+    return (written || !_.isEmpty(changes.after)) ? changes : null;
+}
+
+function valueEquals(value1, value2) {
+    return JSON.stringify(value1) === JSON.stringify(value2);
+}
+
+function getValue(item, column) {
+    column = column.toLowerCase();
+
+    var property = _.find(_.keys(item), function (property) {
+        return property.toLowerCase() === column;
+    });
+
+    return property === undefined ? null : item[property];
+}
+
+function formatString(value) {
+    return "'" + value.replace(/'/g, "''") + "'";
+}
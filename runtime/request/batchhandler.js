@@ -0,0 +1,298 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is for handling requests to http://myapp.azure-mobile.net/$batch, which
+// make several requests of the table and api routes in one, such as the operations
+// queued by an offline client. The body is an array of requests, for example:
+//
+// [{ "method": "POST", "url": "/tables/todoitem", "body": { "text": "a" } },
+//  { "method": "PATCH", "url": "/tables/todoitem/1", "headers": { "if-match": "\"AAAAAAAAB9E=\"" }, "body": { "complete": true } }]
+//
+// Each request is dispatched through the routes of the app like any other request, so it is
+// authenticated, authorized and handled as it would be on its own. Requests inherit the headers
+// of the batch request, such as its keys, except for those that describe its body or its
+// preconditions. They are made one at a time, in order, and the response is an array of their
+// { statusCode, headers, body } responses in the same order, where headers are those among
+// responseHeaderNames they responded with.
+//
+// If the __atomic query parameter is set, the requests are made in a single transaction, so
+// either all or none of them succeed. If one of them fails, the transaction is rolled back, the
+// requests after it aren't made, and the other requests respond with 424 (Failed Dependency).
+// Their handlers have to make their changes in the transaction, so only requests to the items of
+// tables without a script for the operation can be atomic, much like atomic batch inserts.
+
+var core = require('../core'),
+    StatusCodes = require('../statuscodes').StatusCodes,
+    resource = require('../resources'),
+    http = require('http'),
+    url = require('url'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = BatchHandler;
+
+var logSource = 'BatchHandler';
+
+var maxBatchSize = 100;
+
+var methods = ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'];
+
+// the headers of the batch request that its requests don't inherit
+var ownHeaderNames = ['content-type', 'content-length', 'content-encoding', 'transfer-encoding', 'expect', 'if-match', 'if-none-match'];
+
+var responseHeaderNames = ['content-type', 'etag', 'location', 'link', 'x-zumo-continuation-token'];
+
+function BatchHandler(app, storage, scriptManager) {
+    this.app = app;
+    this.storage = storage;
+    this.scriptManager = scriptManager;
+}
+
+BatchHandler.prototype.handle = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback,
+        requests = req.body,
+        atomic = isAtomic(req.query);
+
+    logger.trace(logSource, 'Processing request');
+
+    if (!Array.isArray(requests)) {
+        responseCallback(new core.MobileServiceError(resource.batchRequestsExpected, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    if (requests.length > maxBatchSize) {
+        responseCallback(new core.MobileServiceError(_.sprintf(resource.maxBatchRequestsExceeded, maxBatchSize), core.ErrorCodes.BadInput));
+        return;
+    }
+
+    for (var i = 0; i < requests.length; i++) {
+        var error = getRequestError(requests[i]);
+        if (error) {
+            responseCallback(new core.MobileServiceError(_.sprintf(resource.batchRequestInvalid, i, error), core.ErrorCodes.BadInput));
+            return;
+        }
+
+        if (atomic && !this._isAtomicRequest(requests[i])) {
+            responseCallback(new core.MobileServiceError(_.sprintf(resource.atomicBatchRequestNotSupported, i), core.ErrorCodes.BadInput));
+            return;
+        }
+    }
+
+    if (atomic) {
+        this._handleAtomic(req, requests, responseCallback);
+        return;
+    }
+
+    this._dispatchAll(req, requests, null, function (results) {
+        responseCallback(null, results, StatusCodes.OK);
+    });
+};
+
+// Makes the requests in a transaction, which is committed if all of them
+// succeed, and otherwise rolled back
+BatchHandler.prototype._handleAtomic = function (req, requests, responseCallback) {
+    var logger = req._context.logger,
+        self = this;
+
+    this.storage.beginTransaction(logger, function (error, storage) {
+        if (error) {
+            responseCallback(error);
+            return;
+        }
+
+        self._dispatchAll(req, requests, storage, function (results) {
+            // the requests stop at the first that fails
+            var failedIndex = results.length - 1;
+
+            if (failedIndex < 0 || !isFailure(results[failedIndex])) {
+                storage.commit(logger, function (error) {
+                    responseCallback(error, error ? null : results, StatusCodes.OK);
+                });
+                return;
+            }
+
+            storage.rollback(logger, function () {
+                responseCallback(null, requests.map(function (request, index) {
+                    return index === failedIndex ? results[index] : { statusCode: StatusCodes.FAILED_DEPENDENCY };
+                }), StatusCodes.OK);
+            });
+        });
+    });
+};
+
+// Makes the requests one at a time, calling back with their responses. If the
+// requests share the storage of a transaction, none are made after one fails.
+BatchHandler.prototype._dispatchAll = function (req, requests, storage, callback) {
+    var self = this,
+        results = [];
+
+    var dispatches = requests.map(function (request) {
+        return function (done) {
+            self._dispatch(req, request, storage, function (result) {
+                results.push(result);
+                done(storage && isFailure(result) ? result : null);
+            });
+        };
+    });
+
+    core.async.series(dispatches, function () {
+        callback(results);
+    });
+};
+
+// Dispatches the request through the routes of the app, capturing its response
+BatchHandler.prototype._dispatch = function (batchReq, request, storage, callback) {
+    var req = createRequest(batchReq, request),
+        res = new http.ServerResponse(req),
+        chunks = [],
+        ended = false;
+
+    // the requests of an atomic batch are handled in its transaction (see ./tablehandler)
+    if (storage) {
+        req._batchStorage = storage;
+    }
+
+    res.write = function (chunk, encoding) {
+        if (chunk) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+        }
+        return true;
+    };
+
+    res.end = function (chunk, encoding) {
+        if (ended) {
+            return;
+        }
+        ended = true;
+
+        res.write(chunk, encoding);
+        callback(formatResult(res, Buffer.concat(chunks).toString('utf8')));
+    };
+
+    this.app.handle(req, res, function (error) {
+        // the app responds to the requests it can't route or handle itself,
+        // so this is only called if its error handler fails
+        res.statusCode = (error && error.status) || StatusCodes.INTERNAL_SERVER_ERROR;
+        res.end();
+    });
+};
+
+// Whether the request can be made in a transaction, which is the case if it is
+// handled by the table handler with the storage of the transaction, and doesn't
+// run a script, which would make its own requests outside of the transaction
+BatchHandler.prototype._isAtomicRequest = function (request) {
+    // only the routes of tables and their items are served by the table handler, and
+    // not those of the other table resources, such as /tables/:table/changes
+    var match = /^\/tables\/([^\/$][^\/]*)(?:\/([^\/]+))?\/?$/i.exec(url.parse(request.url).pathname),
+        method = request.method.toUpperCase(),
+        operation = core.verbToOperation(method);
+
+    if (!match || (method === 'GET' && /^changes$/i.test(match[2]))) {
+        return false;
+    }
+
+    var table = this.scriptManager.getDataModel().getTable(decodeURIComponent(match[1]));
+    return !!table && !this.scriptManager.hasTableScript(table.name, operation);
+};
+
+// returns the reason the request of the batch is invalid, or null if it is valid
+function getRequestError(request) {
+    if (!core.isObject(request)) {
+        return 'A request must be a JSON object.';
+    }
+
+    if (!_.isString(request.method) || !_.contains(methods, request.method.toUpperCase())) {
+        return _.sprintf('The method must be one of %s.', methods.join(', '));
+    }
+
+    if (!_.isString(request.url) || !/^\/(tables|api)\/[^\/?#]/i.test(request.url)) {
+        return "The url must be the path of a table or api, such as '/tables/todoitem'.";
+    }
+
+    if (request.headers !== undefined && (!core.isObject(request.headers) || !_.every(_.values(request.headers), _.isString))) {
+        return 'The headers must be a JSON object of string values.';
+    }
+
+    // the body is parsed again by the request's middleware, which expects an object
+    if (request.body !== undefined && request.body !== null && !_.isObject(request.body)) {
+        return 'The body must be a JSON object or array.';
+    }
+
+    return null;
+}
+
+// Creates the request of the batch as an incoming request, whose headers are those
+// of the batch request and its own, and whose body is already parsed
+function createRequest(batchReq, request) {
+    var req = new http.IncomingMessage(batchReq.connection);
+
+    req.method = request.method.toUpperCase();
+    req.url = request.url;
+    req.httpVersion = batchReq.httpVersion;
+    req.httpVersionMajor = batchReq.httpVersionMajor;
+    req.httpVersionMinor = batchReq.httpVersionMinor;
+
+    req.headers = _.omit(batchReq.headers, ownHeaderNames);
+    _.each(request.headers, function (value, name) {
+        req.headers[name.toLowerCase()] = value;
+    });
+
+    if (request.body !== undefined && request.body !== null) {
+        req.headers['content-type'] = req.headers['content-type'] || 'application/json';
+        req.body = request.body;
+    }
+    else {
+        req.body = {};
+    }
+
+    // flag the body as parsed, so that the body parsers don't read the request,
+    // and end the request, which has no content of its own to read
+    req._body = true;
+    req.complete = true;
+    req.push(null);
+
+    return req;
+}
+
+function formatResult(res, content) {
+    var result = {
+        statusCode: res.statusCode,
+        headers: {}
+    };
+
+    responseHeaderNames.forEach(function (name) {
+        var value = res.getHeader(name);
+        if (value !== undefined) {
+            result.headers[name] = value;
+        }
+    });
+
+    if (content) {
+        result.body = content;
+        if (_.startsWith(result.headers['content-type'] || '', 'application/json')) {
+            try {
+                result.body = JSON.parse(content);
+            }
+            catch (e) {
+                // the content isn't JSON after all, so it is returned as is
+            }
+        }
+    }
+
+    return result;
+}
+
+function isFailure(result) {
+    return result.statusCode >= StatusCodes.BAD_REQUEST;
+}
+
+function isAtomic(query) {
+    var name = _.find(_.keys(query || {}), function (name) {
+        return name.toLowerCase() === '__atomic';
+    });
+    return !!name && core.parseBoolean(query[name]) === true;
+}
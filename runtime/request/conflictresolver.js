@@ -0,0 +1,173 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module resolves the version conflicts of updates and deletes with the conflict
+// policy declared for the table in datamodel.json, which is one of:
+//
+// "conflictPolicy": "clientWins"
+// "conflictPolicy": "serverWins"
+// "conflictPolicy": { "fields": { "price": "serverWins" }, "default": "clientWins" }
+// "conflictPolicy": { "resolver": "conflicts.resolveOrder" }
+//
+// If the client wins, the operation is applied over the server item. If the server
+// wins, the operation succeeds with the server item, which is left unchanged. A field
+// level policy decides which of the values of an update win for each field, with the
+// default (clientWins unless declared) applying to other fields and to deletes. A
+// resolver is a function of a shared script that decides how to resolve each conflict:
+//
+// function resolveOrder(operation, item, serverItem, done) {
+//     done('clientWins', { quantity: item.quantity + serverItem.quantity });
+// }
+//
+// where done is passed clientWins, optionally with values to update the item with,
+// serverWins, or nothing to report the conflict as if there was no policy.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    scriptErrors = require('../script/scripterror'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = ConflictResolver;
+
+var logSource = 'ConflictResolver',
+    policies = ['clientWins', 'serverWins'];
+
+function ConflictResolver(scriptManager, tableName, policy, logger) {
+    this.scriptManager = scriptManager;
+    this.tableName = tableName;
+    this.policy = policy;
+    this.logger = logger;
+}
+
+// returns the conflict resolver of the table, or null if it doesn't declare a conflict policy
+ConflictResolver.create = function (scriptManager, tableName, logger) {
+    var table = scriptManager.getDataModel().getTable(tableName);
+    if (!table || table.conflictPolicy === undefined) {
+        return null;
+    }
+    return new ConflictResolver(scriptManager, table.name, table.conflictPolicy, logger);
+};
+
+// Calls back with the resolution of the conflict of the update or del of the item
+// with the server item, which is { policy: 'clientWins', values: {} } with the values
+// to change the item to before applying it, { policy: 'serverWins' }, or null if the
+// conflict isn't resolved.
+ConflictResolver.prototype.resolve = function (operation, item, serverItem, callback) {
+    var policy = this.policy;
+
+    if (_.contains(policies, policy)) {
+        this._complete({ policy: policy, values: {} }, callback);
+    }
+    else if (core.isObject(policy) && core.isString(policy.resolver)) {
+        this._runResolver(operation, item, serverItem, callback);
+    }
+    else if (core.isObject(policy) && core.isObject(policy.fields) && isFieldPolicyValid(policy)) {
+        this._complete(mergeFields(policy, operation, item, serverItem), callback);
+    }
+    else {
+        callback(new core.MobileServiceError(_.sprintf(resource.conflictPolicyNotValid, this.tableName)));
+    }
+};
+
+ConflictResolver.prototype._complete = function (resolution, callback) {
+    if (resolution) {
+        this.logger.trace(logSource, _.sprintf("Resolved conflict on table '%s' as %s", this.tableName, resolution.policy));
+    }
+    callback(null, resolution);
+};
+
+// calls the resolver function of the shared script, which is passed copies of the items
+ConflictResolver.prototype._runResolver = function (operation, item, serverItem, callback) {
+    var self = this,
+        resolver = this.policy.resolver,
+        names = resolver.split('.'),
+        completed = false;
+
+    if (names.length !== 2 || !this.scriptManager.hasSharedScript(names[0])) {
+        callback(new core.MobileServiceError(_.sprintf(resource.conflictPolicyNotValid, this.tableName)));
+        return;
+    }
+
+    function complete(error, resolution) {
+        if (completed) {
+            return;
+        }
+        completed = true;
+
+        if (error) {
+            callback(error);
+            return;
+        }
+        self._complete(resolution, callback);
+    }
+
+    function done(policy, values) {
+        if (policy === undefined || policy === null) {
+            complete(null, null);
+        }
+        else if (!_.contains(policies, policy) || (values !== undefined && !core.isObject(values))) {
+            complete(new core.MobileServiceError(_.sprintf(resource.conflictResolutionNotValid, resolver), core.ErrorCodes.ScriptError));
+        }
+        else {
+            complete(null, { policy: policy, values: _.omit(values || {}, 'id', '__version') });
+        }
+    }
+
+    var scriptArgs = [scriptErrors.normalizeOperationName(operation), _.clone(item), _.clone(serverItem), done];
+    this.scriptManager.runSharedScript(names[0], names[1], scriptArgs, this.logger, { responseCallback: complete });
+};
+
+function isFieldPolicyValid(policy) {
+    return (policy.default === undefined || _.contains(policies, policy.default)) &&
+           _.every(_.values(policy.fields), function (fieldPolicy) {
+               return _.contains(policies, fieldPolicy);
+           });
+}
+
+// the values of an update where the server wins are changed back to those of the
+// server item, unless none of them win for the client, in which case the server wins.
+// Deletes are resolved by the default policy.
+function mergeFields(policy, operation, item, serverItem) {
+    var defaultPolicy = policy.default || 'clientWins';
+
+    if (operation !== 'update') {
+        return { policy: defaultPolicy, values: {} };
+    }
+
+    var fieldPolicies = {};
+    _.each(policy.fields, function (fieldPolicy, field) {
+        fieldPolicies[field.toLowerCase()] = fieldPolicy;
+    });
+
+    var values = {},
+        clientWins = false;
+
+    _.each(_.keys(item), function (property) {
+        if (property === 'id' || core.isSystemColumnName(property)) {
+            return;
+        }
+
+        if ((fieldPolicies[property.toLowerCase()] || defaultPolicy) === 'serverWins') {
+            values[property] = getValue(serverItem, property);
+        }
+        else {
+            clientWins = true;
+        }
+    });
+
+    return clientWins ? { policy: 'clientWins', values: values } : { policy: 'serverWins', values: {} };
+}
+
+function getValue(item, column) {
+    column = column.toLowerCase();
+
+    var property = _.find(_.keys(item), function (property) {
+        return property.toLowerCase() === column;
+    });
+
+    return property === undefined ? null : item[property];
+}
@@ -18,17 +18,26 @@ exports = module.exports = DataOperation;
 
 var logSource = 'DataOperation';
 
-function DataOperation(storage, source, logger) {
+// conflictResolver is the optional ConflictResolver of the table, which
+// resolves the version conflicts of updates and deletes, and auditLog is the
+// optional AuditLog of the table, which records the changes made to its items
+function DataOperation(storage, source, logger, conflictResolver, auditLog) {
     this.storage = storage;
     this.source = source;
     this.logger = logger;
+    this.conflictResolver = conflictResolver || null;
+    this.auditLog = auditLog || null;
 }
 
 DataOperation.prototype.insert = function (table, item, options, responseCallback, scriptCallback) {
+    var self = this;
+
     this.operation = 'insert';
     var storageCallback = this.createStorageCallback(table, StatusCodes.CREATED, responseCallback, scriptCallback);
     this.logger.trace(logSource, 'Beginning insert operation');
-    this.storage.insert(table, item, this.logger, options, storageCallback);
+    this._runStorageOperation('insert', null, function (storage, callback) {
+        storage.insert(table, item, self.logger, options, callback);
+    }, storageCallback);
 };
 
 DataOperation.prototype.read = function (table, query, options, responseCallback, scriptCallback) {
@@ -79,10 +88,32 @@ DataOperation.prototype.update = function (table, item, options, responseCallbac
         }
     };
 
+    var update = function (callback) {
+        self._runStorageOperation(options && options.undelete ? 'undelete' : 'update', item.id, function (storage, callback) {
+            storage.update(table, item.id, item, self.logger, options, callback);
+        }, callback);
+    };
+
     this.operation = 'update';
     var storageCallback = this.createStorageCallback(table, StatusCodes.OK, responseCallback, scriptCallback, responseEvaluator);
+    storageCallback = this._createConflictCallback(table, 'update', item, storageCallback, responseCallback, scriptCallback, update);
     this.logger.trace(logSource, 'Beginning update operation');
-    this.storage.update(table, item.id, item, this.logger, options, storageCallback);
+    update(storageCallback);
+};
+
+DataOperation.prototype.upsert = function (table, item, options, responseCallback, scriptCallback) {
+    var self = this;
+
+    var responseEvaluator = function (created) {
+        return { results: item, statusCode: created ? StatusCodes.CREATED : StatusCodes.OK };
+    };
+
+    this.operation = 'upsert';
+    var storageCallback = this.createStorageCallback(table, StatusCodes.OK, responseCallback, scriptCallback, responseEvaluator);
+    this.logger.trace(logSource, 'Beginning upsert operation');
+    this._runStorageOperation('upsert', item.id, function (storage, callback) {
+        storage.upsert(table, item, self.logger, options, callback);
+    }, storageCallback);
 };
 
 DataOperation.prototype.del = function (table, itemOrId, options, responseCallback, scriptCallback) {
@@ -104,12 +135,115 @@ DataOperation.prototype.del = function (table, itemOrId, options, responseCallba
         }
     };
 
+    var del = function (callback) {
+        self._runStorageOperation('delete', id, function (storage, callback) {
+            storage.del(table, id, version, self.logger, options, callback);
+        }, callback);
+    };
+
     this.operation = 'delete';
     var storageCallback = this.createStorageCallback(table, StatusCodes.NO_CONTENT, responseCallback, scriptCallback, responseEvaluator);
+    if (core.isObject(itemOrId)) {
+        storageCallback = this._createConflictCallback(table, 'del', itemOrId, storageCallback, responseCallback, scriptCallback, function (callback) {
+            version = itemOrId.__version;
+            del(callback);
+        });
+    }
     this.logger.trace(logSource, 'Beginning delete operation');
-    this.storage.del(table, id, version, this.logger, options, storageCallback);
+    del(storageCallback);
+};
+
+// Updates the items of the table that the filter of the query selects with the
+// values of the item, responding with the number of items updated as { count: n }
+DataOperation.prototype.bulkUpdate = function (table, query, item, options, responseCallback) {
+    var self = this;
+
+    query.table = query.table || table;
+
+    this.operation = 'update';
+    var storageCallback = this.createStorageCallback(table, StatusCodes.OK, responseCallback, null, countResponseEvaluator);
+    this.logger.trace(logSource, 'Beginning bulk update operation');
+    this._runBulkStorageOperation('update', query, function (storage, callback) {
+        storage.bulkUpdate(query, item, self.logger, options, callback);
+    }, storageCallback);
 };
 
+// Deletes the items of the table that the filter of the query selects,
+// responding with the number of items deleted as { count: n }
+DataOperation.prototype.bulkDel = function (table, query, options, responseCallback) {
+    var self = this;
+
+    query.table = query.table || table;
+
+    this.operation = 'delete';
+    var storageCallback = this.createStorageCallback(table, StatusCodes.OK, responseCallback, null, countResponseEvaluator);
+    this.logger.trace(logSource, 'Beginning bulk delete operation');
+    this._runBulkStorageOperation('delete', query, function (storage, callback) {
+        storage.bulkDel(query, self.logger, options, callback);
+    }, storageCallback);
+};
+
+// Runs the storage operation, which is called with the storage to run it in and a
+// callback, recording the changes it makes in the audit log of the table if it has one
+DataOperation.prototype._runStorageOperation = function (operation, id, execute, callback) {
+    if (!this.auditLog) {
+        execute(this.storage, callback);
+        return;
+    }
+    this.auditLog.run(operation, id, execute, callback);
+};
+
+// runs the bulk storage operation of the items the query selects, recording
+// the changes it makes in the audit log of the table if it has one
+DataOperation.prototype._runBulkStorageOperation = function (operation, query, execute, callback) {
+    if (!this.auditLog) {
+        execute(this.storage, callback);
+        return;
+    }
+    this.auditLog.runBulk(operation, query, execute, callback);
+};
+
+// Returns the storage callback that resolves a version conflict of the operation with
+// the conflict policy of the table, if it has one, before reporting it. If the client
+// wins, the operation is retried once with the version of the server item, and if
+// the server wins, the operation succeeds with the server item.
+DataOperation.prototype._createConflictCallback = function (table, operation, item, storageCallback, responseCallback, scriptCallback, retry) {
+    var self = this;
+
+    if (!this.conflictResolver) {
+        return storageCallback;
+    }
+
+    return function (err, results) {
+        if (!err || !err.isMergeConflict || !core.isObject(err.item)) {
+            storageCallback(err, results);
+            return;
+        }
+
+        var serverItem = err.item;
+        self.conflictResolver.resolve(operation, item, serverItem, function (error, resolution) {
+            if (error) {
+                storageCallback(error);
+            }
+            else if (!resolution) {
+                storageCallback(err, results);
+            }
+            else if (resolution.policy === 'serverWins') {
+                self.createStorageCallback(table, StatusCodes.OK, responseCallback, scriptCallback)(null, serverItem);
+            }
+            else {
+                _.extend(item, resolution.values);
+                item.__version = serverItem.__version;
+                retry(storageCallback);
+            }
+        });
+    };
+};
+
+function countResponseEvaluator(rowCount) {
+    return { results: { count: rowCount } };
+}
+
 function unwrapInlineCount(results) {
     // If the client used includeTotalCount to pass $inlinecount=allpages,
     // our response will be an object like { results: [ ... ], count: n }
@@ -136,7 +270,7 @@ DataOperation.prototype.createStorageCallback = function (table, successCode, re
             // Use the passed in response evaluator function to update the error
             // and results objects passed back from the storage layer.
             // The responseEvaluator is expected to return an object in the form of:
-            // { error: value, results: value }
+            // { error: value, results: value, statusCode: optional value }
             // After we get this response, we will replace the existing values
             // with what is returned by the evaluator.
             var evaluatedResponse = responseEvaluator(results);
@@ -144,6 +278,7 @@ DataOperation.prototype.createStorageCallback = function (table, successCode, re
             // Assign the new values to err and results
             err = evaluatedResponse.error;
             results = evaluatedResponse.results;
+            successCode = evaluatedResponse.statusCode || successCode;
         }
 
         try {
@@ -186,6 +321,8 @@ DataOperation.prototype.unwrapQueryBuilder = function (query) {
         if (query.top || query.top === 0) unwrapped.top = query.top;
         if ((query.skip || query.skip === 0) && typeof (query.skip) !== 'function') unwrapped.skip = query.skip;
         if (query.inlineCount || query.inlineCount === 0) unwrapped.inlineCount = query.inlineCount;
+        if (query.apply) unwrapped.apply = query.apply;
+        if (query.partitionBy) unwrapped.partitionBy = query.partitionBy;
 
         var odata = Query.Providers.OData.toOData(query);
         if (odata.table) unwrapped.table = odata.table;
@@ -8,6 +8,10 @@
 
 var core = require('../core'),
     DataOperation = require('./dataoperation'),
+    ConflictResolver = require('./conflictresolver'),
+    AuditLog = require('./auditlog'),
+    RowFilter = require('./rowfilter'),
+    Search = require('../storage/search'),
     scriptErrors = require('../script/scripterror'),
     ScriptState = require('../script/scriptstate'),
     ScriptManager = require('../script/scriptmanager'),
@@ -32,7 +36,10 @@ function DataPipeline(storage, scriptManager, request, user, logger, metrics) {
     this.systemParameters = {
         systemProperties: request.query && request.query.systemProperties || [],
         undelete: false,
-        includeDeleted: request.query && request.query.includeDeleted
+        includeDeleted: request.query && request.query.includeDeleted,
+        condition: null,
+        paging: request.query && request.query.paging,
+        continuationToken: request.query && request.query.continuationToken
     };
     this.requestParameters = request.query && request.query.parameters || {};
     this.user = user;
@@ -67,6 +74,18 @@ DataPipeline.prototype.read = function (query, responseCallback) {
         });
     }
 
+    // the search text of the query is searched for in the columns
+    // the table declares, which scripts can't change
+    if (query.search) {
+        try {
+            this.systemParameters.search = Search.create(this.scriptManager.getDataModel().getTable(this.table), this.table, query.search, query.searchScore);
+        }
+        catch (error) {
+            responseCallback(error);
+            return;
+        }
+    }
+
     if (!core.isNumber(query.top)) {
         // Set default limit of 50 if no top is specified. Note that we're only
         // imposing this limit on queries originating externally, not on server side
@@ -103,11 +122,66 @@ DataPipeline.prototype.update = function (item, responseCallback) {
     this._executePipelineOperation('update', item, responseCallback, executeCallback);
 };
 
+DataPipeline.prototype.upsert = function (item, responseCallback) {
+    var self = this;
+    var originalId = item.id;
+
+    var executeCallback = function (scriptArg) {
+        if (scriptArg.id !== originalId) {
+            var error = new core.MobileServiceError("Upsert scripts cannot modify the id of the item to be upserted.", core.ErrorCodes.ScriptError);
+
+            var source = scriptErrors.getTableScriptSource(self.table, 'upsert');
+            scriptErrors.handleScriptError(error, source, self.logger, responseCallback);
+            return false;
+        }
+        return true;
+    };
+
+    this._executePipelineOperation('upsert', item, responseCallback, executeCallback);
+};
+
 DataPipeline.prototype.del = function (itemOrId, responseCallback) {
     this._executePipelineOperation('del', itemOrId, responseCallback);
 };
 
+// Updates the items the filter of the query selects with the values of the item. Bulk
+// updates and deletes can only be made by admins and don't run the table scripts.
+DataPipeline.prototype.bulkUpdate = function (query, item, responseCallback) {
+    this._createDataOperation('update').bulkUpdate(this.table, query, item, this.systemParameters, this._wrapBulkResponseCallback(responseCallback, 'update'));
+};
+
+DataPipeline.prototype.bulkDel = function (query, responseCallback) {
+    this._createDataOperation('del').bulkDel(this.table, query, this.systemParameters, this._wrapBulkResponseCallback(responseCallback, 'del'));
+};
+
+DataPipeline.prototype._wrapBulkResponseCallback = function (responseCallback, operationName) {
+    responseCallback = this._wrapWithNoScriptErrorTransforms(responseCallback);
+    return this._wrapWithUserLogging(responseCallback, operationName);
+};
+
+// Executes the operation restricted to the rows of the table the user can access,
+// if the table has a row filter (see ./rowfilter)
 DataPipeline.prototype._executePipelineOperation = function (operationName, scriptArg, responseCallback, executeCallback) {
+    var self = this,
+        rowFilter = RowFilter.create(this.scriptManager, this.table, this.user, this.logger);
+
+    if (!rowFilter) {
+        this._executeOperation(operationName, scriptArg, responseCallback, executeCallback);
+        return;
+    }
+
+    rowFilter.getValues(operationName, function (error, values, statusCode) {
+        if (error) {
+            responseCallback(error, null, statusCode);
+            return;
+        }
+
+        self.systemParameters.rowFilter = values;
+        self._executeOperation(operationName, scriptArg, responseCallback, executeCallback);
+    });
+};
+
+DataPipeline.prototype._executeOperation = function (operationName, scriptArg, responseCallback, executeCallback) {
     if (!this.scriptManager.hasTableScript(this.table, operationName) || this.noScript) {
         responseCallback = this._wrapWithNoScriptErrorTransforms(responseCallback);        
         responseCallback = this._wrapWithUserLogging(responseCallback, operationName);
@@ -145,7 +219,10 @@ DataPipeline.prototype._executeScript = function (operationName, scriptArg, resp
             // If the callback doesn't exist or returns true, run the data operation
             if (!executeCallback || executeCallback(scriptArg)) {
                 var dataOperation = self._createDataOperation(operationName);
-                var options = _.isEmpty(systemParameters) ? self.systemParameters : systemParameters;
+                // the precondition of an upsert request and the paging of a read request
+                // apply whatever options the script specifies, and the row filter and
+                // search can't be changed by scripts
+                var options = _.isEmpty(systemParameters) ? self.systemParameters : _.extend(_.pick(self.systemParameters, 'condition', 'paging', 'continuationToken'), systemParameters, _.pick(self.systemParameters, 'rowFilter', 'search'));
                 dataOperation[operationName](self.table, scriptArg, options, scriptState.responseCallback, scriptCallback);
             }
         };
@@ -178,8 +255,11 @@ DataPipeline.prototype._executeScript = function (operationName, scriptArg, resp
 };
 
 DataPipeline.prototype._createDataOperation = function (operationName) {
-    var source = scriptErrors.getTableScriptSource(this.table, scriptErrors.normalizeOperationName(operationName));
-    return new DataOperation(this.storage, source, this.logger);
+    var source = scriptErrors.getTableScriptSource(this.table, scriptErrors.normalizeOperationName(operationName)),
+        conflictResolver = ConflictResolver.create(this.scriptManager, this.table, this.logger),
+        auditLog = AuditLog.create(this.scriptManager.getDataModel(), this.storage, this.table, this.user, this.logger);
+
+    return new DataOperation(this.storage, source, this.logger, conflictResolver, auditLog);
 };
 
 DataPipeline.prototype.getQueryBuilder = function (query) {
@@ -196,6 +276,10 @@ DataPipeline.prototype.getQueryBuilder = function (query) {
            query.select,
            query.inlineCount === 'allpages');
         queryBuilder.id = query.id;
+
+        // query builders don't support $apply or partitioning, so they are kept as is
+        queryBuilder.apply = query.apply;
+        queryBuilder.partitionBy = query.partitionBy;
     }
 
     if (query._parsed) {
@@ -70,7 +70,7 @@ DiagnosticsHandler.prototype._getSqlStatus = function (req, callback) {
 
     logger.trace(logSource, 'Checking SQL connectivity');
 
-    this.storage.executeSql('SELECT', "SELECT getutcdate() AS currentDate", null, logger, options, function (err) {
+    this.storage.executeSql('SELECT', this.storage.provider.formatCurrentDateQuery(), null, logger, options, function (err) {
         if (err) {
             sqlStatus.statusCode = StatusCodes.SERVICE_UNAVAILABLE;
             var errDetails = [];
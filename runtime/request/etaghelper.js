@@ -55,6 +55,36 @@ ETagHelper.setVersionFromIfMatchHeader = function (request, item, tableMetadata,
     return true;
 };
 
+// Parses the precondition headers of a request that creates or replaces an item.
+// Returns 'exists' if the item must already exist (if-match), 'notExists' if it
+// must not (if-none-match: *) or null. An if-match etag is set as the item version.
+ETagHelper.getUpsertCondition = function (request, item, tableMetadata) {
+    var ifMatch = request.headers["if-match"],
+        ifNoneMatch = request.headers["if-none-match"];
+
+    if (ifMatch && ifNoneMatch) {
+        throw new core.MobileServiceError(resource.conflictingPreconditionHeaders, core.ErrorCodes.BadInput);
+    }
+
+    if (ifNoneMatch) {
+        if (ifNoneMatch.trim() !== '*') {
+            throw new core.MobileServiceError(resource.invalidIfNoneMatchHeader, core.ErrorCodes.BadInput);
+        }
+        return 'notExists';
+    }
+
+    if (!ifMatch) {
+        return null;
+    }
+
+    var etag = ETagHelper.parseIfMatchHeader(request);
+    if (etag && tableMetadata.supportsConflict) {
+        item.__version = etag;
+    }
+
+    return 'exists';
+};
+
 ETagHelper.parseIfMatchHeader = function (request) {
     var ifMatch = request.headers["if-match"];
     if (!ifMatch || ifMatch.trim() === '*') {
@@ -0,0 +1,218 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module has helper functions for including the rows of related tables with
+// the results of a query ($expand). Relationships are declared by name for a table
+// in datamodel.json, for example for the order and customer tables:
+//
+// "relationships": { "customer": { "table": "customer", "foreignKey": "customerId" } }
+// "relationships": { "orders": { "table": "order", "foreignKey": "customerId", "many": true } }
+//
+// The foreignKey of a relationship to a single row is the column of the table that
+// holds the id of the related row, and that of a one-to-many relationship is the
+// column of the related table that holds the id of the row it belongs to.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+require('../query/queryparser');
+
+_.mixin(_str.exports());
+
+var identifierRegex = /^[A-Za-z_][\w]*$/;
+
+// Returns the relationship of the table with the specified name as { name, table,
+// foreignKey, many }, throwing if the table doesn't declare it or declares it
+// without an existing related table and a foreign key column.
+exports.getRelationship = function (dataModel, tableName, name) {
+    var table = dataModel.getTable(tableName),
+        relationships = (table && table.relationships) || {};
+
+    var declaredName = _.find(_.keys(relationships), function (relationshipName) {
+        return relationshipName.toLowerCase() === name.toLowerCase();
+    });
+
+    if (declaredName === undefined) {
+        throw new core.MobileServiceError(_.sprintf(resource.relationshipNotFound, name, tableName), core.ErrorCodes.BadInput);
+    }
+
+    var declaration = relationships[declaredName],
+        relatedTable = (core.isObject(declaration) && core.isString(declaration.table)) ? dataModel.getTable(declaration.table) : null;
+
+    if (!relatedTable || !core.isString(declaration.foreignKey) || !identifierRegex.test(declaration.foreignKey)) {
+        throw new core.MobileServiceError(_.sprintf(resource.relationshipNotValid, declaredName, table.name));
+    }
+
+    return {
+        name: declaredName,
+        table: relatedTable.name,
+        foreignKey: declaration.foreignKey,
+        many: declaration.many === true
+    };
+};
+
+// the column of the table that holds the key of the related rows
+exports.getKeyColumn = function (relationship) {
+    return relationship.many ? 'id' : relationship.foreignKey;
+};
+
+// the column of the related table that holds the key
+exports.getRelatedKeyColumn = function (relationship) {
+    return relationship.many ? relationship.foreignKey : 'id';
+};
+
+// Returns the query of the rows of the related table whose key is one of the keys,
+// with the options of the expansion applied. The rows of a one-to-many relationship
+// are partitioned by their foreign key, so that $top applies to the rows related to
+// each item rather than to all of them.
+exports.createQuery = function (relationship, expand, keys) {
+    var keyFilter = formatKeyFilter(exports.getRelatedKeyColumn(relationship), keys);
+
+    var query = {
+        filter: expand.filter ? _.sprintf('(%s) and (%s)', expand.filter, keyFilter) : keyFilter,
+        parameters: {},
+        systemProperties: [],
+        includeDeleted: false
+    };
+
+    if (expand.select) {
+        query.select = expand.select;
+    }
+    if (expand.orderBy) {
+        query.orderBy = expand.orderBy;
+    }
+
+    if (relationship.many) {
+        query.partitionBy = relationship.foreignKey;
+        if (expand.top !== undefined) {
+            query.top = expand.top;
+        }
+    }
+    else {
+        query.top = keys.length;
+    }
+
+    query._parsed = { filter: QueryParser.filter(query.filter) };
+    if (expand._parsed && expand._parsed.orderBy) {
+        query._parsed.orderBy = expand._parsed.orderBy;
+    }
+
+    return query;
+};
+
+// Adds the column to the selection of the query unless all columns or the
+// column are already selected, returning whether it was added.
+exports.selectColumn = function (query, column) {
+    if (!query.select) {
+        return false;
+    }
+
+    var selected = query.select.split(',').some(function (selection) {
+        selection = selection.trim();
+        return selection === '*' || selection.toLowerCase() === column.toLowerCase();
+    });
+
+    if (!selected) {
+        query.select += ',' + column;
+    }
+    return !selected;
+};
+
+// returns the items of the result of a read, which is an array, the results of
+// a query with an inline count or a single item for a query by id
+exports.getItems = function (result) {
+    if (core.isObject(result) && core.isArray(result.results)) {
+        result = result.results;
+    }
+    return (core.isArray(result) ? result : [result]).filter(core.isObject);
+};
+
+// returns the distinct keys held by the column of the items
+exports.getKeys = function (items, column) {
+    var keys = {};
+
+    items.forEach(function (item) {
+        var key = getValue(item, column);
+        if (isKey(key) && !keys.hasOwnProperty(normalizeKey(key))) {
+            keys[normalizeKey(key)] = key;
+        }
+    });
+
+    return _.values(keys);
+};
+
+// Sets the relationship property of each item to the related item, or null, or to
+// the array of related items of a one-to-many relationship. Keys are compared
+// ignoring case, as the database compares them.
+exports.nest = function (items, relationship, relatedItems) {
+    var keyColumn = exports.getKeyColumn(relationship),
+        relatedKeyColumn = exports.getRelatedKeyColumn(relationship),
+        lookup = {};
+
+    relatedItems.forEach(function (relatedItem) {
+        var key = getValue(relatedItem, relatedKeyColumn);
+        if (isKey(key)) {
+            key = normalizeKey(key);
+            lookup[key] = lookup[key] || [];
+            lookup[key].push(relatedItem);
+        }
+    });
+
+    items.forEach(function (item) {
+        var key = getValue(item, keyColumn),
+            related = (isKey(key) && lookup[normalizeKey(key)]) || [];
+
+        item[relationship.name] = relationship.many ? related : (related[0] || null);
+    });
+};
+
+// removes the columns that were only selected to look up related items
+exports.removeColumns = function (items, columns) {
+    columns = columns.map(function (column) {
+        return column.toLowerCase();
+    });
+
+    items.forEach(function (item) {
+        _.each(_.keys(item), function (property) {
+            if (_.contains(columns, property.toLowerCase())) {
+                delete item[property];
+            }
+        });
+    });
+};
+
+// Formats the filter as a balanced tree of 'or' expressions, rather than a chain
+// that would nest as deeply as there are keys.
+function formatKeyFilter(column, keys) {
+    if (keys.length === 1) {
+        return _.sprintf('%s eq %s', column, formatKey(keys[0]));
+    }
+
+    var middle = Math.ceil(keys.length / 2);
+    return _.sprintf('(%s) or (%s)', formatKeyFilter(column, keys.slice(0, middle)), formatKeyFilter(column, keys.slice(middle)));
+}
+
+function formatKey(key) {
+    return core.isString(key) ? "'" + key.replace(/'/g, "''") + "'" : key.toString();
+}
+
+function isKey(value) {
+    return core.isString(value) || core.isNumber(value);
+}
+
+function normalizeKey(key) {
+    return core.isString(key) ? key.toLowerCase() : key.toString();
+}
+
+function getValue(item, column) {
+    column = column.toLowerCase();
+
+    var property = _.find(_.keys(item), function (property) {
+        return property.toLowerCase() === column;
+    });
+
+    return property === undefined ? null : item[property];
+}
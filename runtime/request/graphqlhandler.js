@@ -0,0 +1,740 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is for handling requests to http://myapp.azure-mobile.net/graphql, which
+// run GraphQL queries and mutations (see ../query/graphqlparser) over the tables of the
+// data model. Each table is a field of the Query type, for example:
+//
+// { todoitem(filter: "complete eq false", orderBy: "text", first: 10, after: "...") {
+//     nodes { id text category { name } } pageInfo { hasNextPage endCursor } totalCount } }
+//
+// where filter and orderBy are the $filter and $orderby query options, first is $top and
+// after is the endCursor of the previous page, which is its continuation token. Nodes can
+// select the columns and system properties of the items and, one level deep, their
+// relationships, which take filter, orderBy and first arguments too. Each table is also
+// the insert_<table>(item), update_<table>(id, item, version) and delete_<table>(id, version)
+// fields of the Mutation type, where version is the version the item must have. The schema
+// can't be introspected.
+//
+// Fields are run as requests of the table routes through the table handler and the data
+// pipeline, so table scripts, permissions, soft delete and version conflicts behave as they
+// do on those routes. The errors of fields are returned with their path, and the HTTP status
+// code the route would have responded with as their statusCode extension, while requests
+// that can't be run, such as those with syntax errors, fail as bad requests.
+//
+// The table requests of fields aren't dispatched through the app, so the middleware of the
+// table routes doesn't run for them, only that of the /graphql route, such as authentication.
+// The permission of each table route is authorized and its query validated here, but the
+// client version check of /tables isn't made, the queries are parsed as OData v3, and the
+// precondition headers of the request are ignored. The fields of a mutation are run one
+// after another and not in a transaction, so those before a failed field remain applied.
+
+var core = require('../core'),
+    StatusCodes = require('../statuscodes').StatusCodes,
+    GraphQLParser = require('../query/graphqlparser'),
+    ExpandHelper = require('./expandhelper'),
+    ErrorHelper = require('./errorhelper'),
+    authorize = require('./middleware/authorize'),
+    Request = require('./request'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = GraphQLHandler;
+
+var logSource = 'GraphQLHandler';
+
+// the verbs of the table routes of mutations, and their arguments
+var mutations = {
+    insert: { verb: 'POST', args: { item: 'Object!' } },
+    update: { verb: 'PATCH', args: { id: 'ID!', item: 'Object!', version: 'String' } },
+    'delete': { verb: 'DELETE', args: { id: 'ID!', version: 'String' } }
+};
+
+var mutationRegex = /^(insert|update|delete)_(\w+)$/,
+    queryArgs = { filter: 'String', orderBy: 'String', first: 'Int', after: 'String', includeDeleted: 'Boolean' },
+    relationshipArgs = { filter: 'String', orderBy: 'String', first: 'Int' };
+
+function GraphQLHandler(tableHandler, scriptManager, keys) {
+    this.tableHandler = tableHandler;
+    this.scriptManager = scriptManager;
+    this.keys = keys;
+}
+
+GraphQLHandler.prototype.handle = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback,
+        params = (req.method === 'GET' ? req.query : req.body) || {},
+        self = this,
+        fields;
+
+    logger.trace(logSource, 'Processing request');
+
+    try {
+        fields = this._planOperation(params, req.method);
+    }
+    catch (error) {
+        var statusCode = error.code === core.ErrorCodes.MethodNotAllowed ? StatusCodes.METHOD_NOT_ALLOWED : StatusCodes.BAD_REQUEST;
+        responseCallback(null, { errors: [{ message: error.message, locations: error.locations }] }, statusCode);
+        return;
+    }
+
+    var data = {},
+        errors = [];
+
+    // fields are run one at a time, as the fields of mutations must be
+    var fieldFunctions = fields.map(function (field) {
+        return function (done) {
+            self._runField(req, field, function (error, value) {
+                if (error) {
+                    errors.push(_.extend(error, { locations: [field.location], path: [field.key] }));
+                }
+                data[field.key] = error ? null : value;
+                done();
+            });
+        };
+    });
+
+    core.async.series(fieldFunctions, function () {
+        var result = { data: data };
+        if (errors.length > 0) {
+            result.errors = errors;
+        }
+        responseCallback(null, result, StatusCodes.OK);
+    });
+};
+
+// Returns the plans of the root fields of the operation of the request, which
+// are { key, location, typeName } for __typename, and otherwise { key, location,
+// table, verb, options, countOptions, id, item, version, fields }, where options
+// are the query options of the table request
+GraphQLHandler.prototype._planOperation = function (params, method) {
+    var document = GraphQLParser.parse(params.query),
+        operation = getOperation(document, params.operationName),
+        self = this;
+
+    if (method === 'GET' && operation.operation === 'mutation') {
+        throw new core.MobileServiceError('Mutations can only be sent with POST.', core.ErrorCodes.MethodNotAllowed);
+    }
+
+    var context = {
+        fragments: document.fragments,
+        variables: getVariableValues(operation, parseVariables(params.variables)),
+        fragmentPath: []
+    };
+
+    var typeName = operation.operation === 'query' ? 'Query' : 'Mutation';
+
+    return collectFields(operation.selections, typeName, context).map(function (field) {
+        if (field.name === '__typename') {
+            return { key: field.key, location: field.location, typeName: typeName };
+        }
+
+        return operation.operation === 'query' ? self._planQuery(field, context) : self._planMutation(field, context);
+    });
+};
+
+// plans the query of the table of the field, whose result is a connection of its items
+GraphQLHandler.prototype._planQuery = function (field, context) {
+    var dataModel = this.scriptManager.getDataModel(),
+        table = getTable(dataModel, field.name);
+
+    if (!table) {
+        throw fieldError(field, "Cannot query field '%s' on type 'Query'.", field.name);
+    }
+    checkArguments(field, queryArgs);
+    checkSelections(field, true);
+
+    var nodes = [],
+        connectionFields = collectFields(field.selections, table.name + 'Connection', context).map(function (connectionField) {
+            switch (connectionField.name) {
+                case '__typename':
+                    return { key: connectionField.key, typeName: table.name + 'Connection' };
+                case 'nodes':
+                    checkSelections(connectionField, true);
+                    nodes.push(planItem(dataModel, table.name, collectFields(connectionField.selections, table.name, context), context, true));
+                    return { key: connectionField.key, name: 'nodes', fields: _.last(nodes).fields };
+                case 'pageInfo':
+                    checkSelections(connectionField, true);
+                    return { key: connectionField.key, name: 'pageInfo', fields: planPageInfo(connectionField, context) };
+                case 'totalCount':
+                    checkSelections(connectionField, false);
+                    return { key: connectionField.key, name: 'totalCount' };
+                default:
+                    throw fieldError(connectionField, "Cannot query field '%s' on type '%sConnection'.", connectionField.name, table.name);
+            }
+        });
+
+    // the query options of the read of the table route
+    var args = field.args,
+        item = mergeItemPlans(field, nodes),
+        options = { $select: item.columns.join(','), __paging: 'continuation' };
+
+    if (args.filter !== undefined && args.filter !== null) {
+        options.$filter = args.filter;
+    }
+    if (args.orderBy !== undefined && args.orderBy !== null) {
+        options.$orderby = args.orderBy;
+    }
+    if (args.first !== undefined && args.first !== null) {
+        options.$top = args.first.toString();
+    }
+    if (args.after) {
+        options.__continuationToken = args.after;
+    }
+    if (args.includeDeleted) {
+        options.__includeDeleted = 'true';
+    }
+    if (item.systemProperties.length > 0) {
+        options.__systemProperties = item.systemProperties.join(',');
+    }
+    if (item.expansions.length > 0) {
+        options.$expand = item.expansions.join(',');
+    }
+
+    // the count of the items can't be read with continuation paging,
+    // so it is read by a read of the table route of its own
+    var countOptions = null;
+    if (_.find(connectionFields, function (connectionField) { return connectionField.name === 'totalCount'; })) {
+        countOptions = _.extend(_.pick(options, '$filter', '__includeDeleted'), { $top: '0', $inlinecount: 'allpages' });
+    }
+
+    return {
+        key: field.key,
+        location: field.location,
+        table: table.name,
+        verb: 'GET',
+        options: options,
+        countOptions: countOptions,
+        fields: connectionFields
+    };
+};
+
+// plans the insert, update or delete of the item of the table of the field
+GraphQLHandler.prototype._planMutation = function (field, context) {
+    var dataModel = this.scriptManager.getDataModel(),
+        match = mutationRegex.exec(field.name),
+        table = match && getTable(dataModel, match[2]);
+
+    if (!table) {
+        throw fieldError(field, "Cannot query field '%s' on type 'Mutation'.", field.name);
+    }
+
+    var mutation = mutations[match[1]],
+        args = field.args;
+
+    checkArguments(field, mutation.args);
+
+    // deletes return the id of the item, and the others the item
+    var fields = null,
+        options = {};
+
+    if (match[1] === 'delete') {
+        checkSelections(field, false);
+    }
+    else {
+        checkSelections(field, true);
+        var item = planItem(dataModel, table.name, collectFields(field.selections, table.name, context), context, false);
+        if (item.systemProperties.length > 0) {
+            options.__systemProperties = item.systemProperties.join(',');
+        }
+        fields = item.fields;
+    }
+
+    return {
+        key: field.key,
+        location: field.location,
+        table: table.name,
+        verb: mutation.verb,
+        id: (args.id === undefined || args.id === null) ? undefined : args.id.toString(),
+        item: args.item,
+        version: args.version,
+        options: options,
+        fields: fields
+    };
+};
+
+// runs the field, calling back with its error or value
+GraphQLHandler.prototype._runField = function (req, field, callback) {
+    if (field.typeName) {
+        callback(null, field.typeName);
+        return;
+    }
+
+    var self = this;
+    this._runTableRequest(req, field, field.options, function (error, result) {
+        if (error) {
+            callback(error);
+        }
+        else if (field.verb === 'DELETE') {
+            callback(null, field.id);
+        }
+        else if (field.verb !== 'GET') {
+            callback(null, project(result, field.fields));
+        }
+        else if (!field.countOptions) {
+            callback(null, project(createConnection(result, null), field.fields));
+        }
+        else {
+            self._runTableRequest(req, field, field.countOptions, function (error, countResult) {
+                callback(error, error ? null : project(createConnection(result, countResult.count), field.fields));
+            });
+        }
+    });
+};
+
+// Runs the request of the table route of the field with the query options through the
+// table handler, once the permission the route requires has been authorized, calling
+// back with its error or result
+GraphQLHandler.prototype._runTableRequest = function (req, field, options, callback) {
+    var request = req._context.parsedRequest,
+        operation = core.verbToOperation(field.verb),
+        query;
+
+    try {
+        query = Request.parseQuery(options, field.verb, 3);
+        Request.validateQuery({ query: query, id: field.id });
+    }
+    catch (error) {
+        callback(formatError(error));
+        return;
+    }
+
+    // the precondition headers of the request don't apply to its fields
+    var headers = _.omit(request.headers || {}, 'if-match', 'if-none-match');
+    if (field.version !== undefined && field.version !== null) {
+        headers['if-match'] = core.stringify(field.version.toString());
+    }
+
+    var tableRequest = _.extend({}, request, {
+        url: '/tables/' + field.table + (field.id !== undefined ? '/' + encodeURIComponent(field.id) : ''),
+        verb: field.verb,
+        headers: headers,
+        query: query,
+        odataVersion: 3,
+        requiredPermission: this.tableHandler.getRequiredPermission(field.table, operation, query, field.id)
+    });
+
+    if (!authorize.isAuthorized(tableRequest, this.keys)) {
+        callback({ message: 'Unauthorized', extensions: { statusCode: StatusCodes.UNAUTHORIZED } });
+        return;
+    }
+
+    // table scripts can respond more than once, but only the first response counts
+    var responseCallback = _.once(function (error, result, statusCode) {
+        if (error) {
+            callback(formatError(error, statusCode));
+        }
+        else if (statusCode >= 400) {
+            callback({
+                message: (core.isObject(result) && core.isString(result.error)) ? result.error : _.sprintf('The request failed with status code %d.', statusCode),
+                extensions: { statusCode: statusCode }
+            });
+        }
+        else {
+            callback(null, result);
+        }
+    });
+
+    this.tableHandler.handle({
+        _context: _.extend({}, req._context, { parsedRequest: tableRequest, responseCallback: responseCallback }),
+        params: { table: field.table, id: field.id },
+        body: field.item,
+        user: req.user
+    }, null);
+};
+
+// returns the connection of the items of the result of a read
+function createConnection(result, count) {
+    return {
+        nodes: ExpandHelper.getItems(result),
+        pageInfo: {
+            hasNextPage: !!result.continuationToken,
+            endCursor: result.continuationToken || null
+        },
+        totalCount: count
+    };
+}
+
+// returns the GraphQL error of the error of a table request
+function formatError(error, statusCode) {
+    // conflicts are returned with the server version of the item
+    if ((error.isMergeConflict || error.isConflict) && error.item) {
+        return {
+            message: error.isMergeConflict ? 'The version of the item does not match.' : 'The item already exists.',
+            extensions: {
+                statusCode: error.isMergeConflict ? StatusCodes.PRECONDITION_FAILED : StatusCodes.CONFLICT,
+                item: error.item
+            }
+        };
+    }
+
+    var formattedError = ErrorHelper.formatError(error, statusCode);
+    return {
+        message: formattedError.error,
+        extensions: { statusCode: formattedError.code }
+    };
+}
+
+// returns the operation of the document to run
+function getOperation(document, operationName) {
+    if (operationName) {
+        var operation = _.find(document.operations, function (operation) { return operation.name === operationName; });
+        if (!operation) {
+            throw new core.MobileServiceError(_.sprintf("Unknown operation named '%s'.", operationName), core.ErrorCodes.BadInput);
+        }
+        return operation;
+    }
+
+    if (document.operations.length !== 1) {
+        throw new core.MobileServiceError('An operation name must be specified for documents with more than one operation.', core.ErrorCodes.BadInput);
+    }
+    return document.operations[0];
+}
+
+// the variables of a request are a JSON object, which GET requests send as a string
+function parseVariables(variables) {
+    if (core.isString(variables)) {
+        try {
+            variables = JSON.parse(variables);
+        }
+        catch (e) {
+            throw new core.MobileServiceError('The variables of the request must be a JSON object.', core.ErrorCodes.BadInput);
+        }
+    }
+
+    if (variables !== undefined && variables !== null && !core.isObject(variables)) {
+        throw new core.MobileServiceError('The variables of the request must be a JSON object.', core.ErrorCodes.BadInput);
+    }
+    return variables || {};
+}
+
+// returns the values of the variables the operation defines, with their defaults
+function getVariableValues(operation, values) {
+    var variables = {};
+
+    operation.variables.forEach(function (definition) {
+        var value = values[definition.name];
+        if (value === undefined && definition.defaultValue) {
+            value = getValue(definition.defaultValue, {});
+        }
+        if ((value === undefined || value === null) && definition.type.nonNull) {
+            throw new core.MobileServiceError(_.sprintf("Variable '$%s' of required type '%s' was not provided.", definition.name, typeToString(definition.type)), core.ErrorCodes.BadInput);
+        }
+        variables[definition.name] = value;
+    });
+
+    return variables;
+}
+
+function typeToString(type) {
+    return (type.ofType ? '[' + typeToString(type.ofType) + ']' : type.name) + (type.nonNull ? '!' : '');
+}
+
+// returns the value of the value of an argument, or undefined for an undefined variable
+function getValue(value, variables) {
+    switch (value.kind) {
+        case 'variable':
+            if (!_.has(variables, value.name)) {
+                throw new core.MobileServiceError(_.sprintf("Variable '$%s' is not defined.", value.name), core.ErrorCodes.BadInput);
+            }
+            return variables[value.name];
+        case 'list':
+            return value.values.map(function (item) {
+                return getValue(item, variables);
+            });
+        case 'object':
+            var result = {};
+            _.each(value.fields, function (fieldValue, name) {
+                result[name] = getValue(fieldValue, variables);
+            });
+            return result;
+        default:
+            return value.value;
+    }
+}
+
+// Returns the fields of the selections on the type as [{ key, name, args, selections, location }],
+// where the key is the alias or name of the field, including the fields of the fragments on the
+// type and merging the fields with the same key. Selections are skipped or included as their
+// @skip and @include directives specify.
+function collectFields(selections, typeName, context, fields) {
+    fields = fields || [];
+
+    selections.forEach(function (selection) {
+        if (!isIncluded(selection.directives, context.variables)) {
+            return;
+        }
+
+        switch (selection.kind) {
+            case 'field':
+                var key = selection.alias || selection.name,
+                    args = {};
+
+                _.each(selection.arguments, function (value, name) {
+                    args[name] = getValue(value, context.variables);
+                });
+
+                var existing = _.find(fields, function (field) { return field.key === key; });
+                if (!existing) {
+                    fields.push({ key: key, name: selection.name, args: args, selections: selection.selections, location: selection.location });
+                }
+                else if (existing.name !== selection.name || !_.isEqual(existing.args, args)) {
+                    throw fieldError(selection, "Fields '%s' conflict because they are different fields or have different arguments.", key);
+                }
+                else if (selection.selections) {
+                    existing.selections = (existing.selections || []).concat(selection.selections);
+                }
+                break;
+            case 'fragmentSpread':
+                var fragment = context.fragments[selection.name];
+                if (!fragment) {
+                    throw new core.MobileServiceError(_.sprintf("Unknown fragment '%s'.", selection.name), core.ErrorCodes.BadInput);
+                }
+                if (_.contains(context.fragmentPath, fragment.name)) {
+                    throw new core.MobileServiceError(_.sprintf("Cannot spread fragment '%s' within itself.", fragment.name), core.ErrorCodes.BadInput);
+                }
+                if (fragment.typeCondition === typeName && isIncluded(fragment.directives, context.variables)) {
+                    context.fragmentPath.push(fragment.name);
+                    collectFields(fragment.selections, typeName, context, fields);
+                    context.fragmentPath.pop();
+                }
+                break;
+            case 'inlineFragment':
+                if (!selection.typeCondition || selection.typeCondition === typeName) {
+                    collectFields(selection.selections, typeName, context, fields);
+                }
+                break;
+        }
+    });
+
+    return fields;
+}
+
+function isIncluded(directives, variables) {
+    return _.every(directives, function (directive) {
+        var condition = directive.arguments['if'] ? getValue(directive.arguments['if'], variables) : undefined;
+
+        if ((directive.name !== 'skip' && directive.name !== 'include') || !_.isBoolean(condition)) {
+            throw new core.MobileServiceError(_.sprintf("Unknown directive '@%s', or its 'if' argument isn't a Boolean.", directive.name), core.ErrorCodes.BadInput);
+        }
+        return directive.name === 'skip' ? !condition : condition;
+    });
+}
+
+// Returns the plan of the fields of an item of the table as { fields, columns, systemProperties,
+// expansions }, where fields are the plans to project the item with and the others are the
+// $select, __systemProperties and $expand query options to read the fields with.
+function planItem(dataModel, tableName, fields, context, canExpand) {
+    var table = dataModel.getTable(tableName),
+        item = { fields: [], columns: ['id'], systemProperties: [], expansions: [] };
+
+    fields.forEach(function (field) {
+        if (field.name === '__typename') {
+            checkSelections(field, false);
+            item.fields.push({ key: field.key, typeName: table.name });
+            return;
+        }
+
+        if (_.has(table.relationships || {}, field.name)) {
+            if (!canExpand) {
+                throw fieldError(field, "The relationship '%s' can't be selected here. Relationships can only be selected on the nodes of queries, one level deep.", field.name);
+            }
+            checkArguments(field, relationshipArgs);
+            checkSelections(field, true);
+
+            var relationship;
+            try {
+                relationship = ExpandHelper.getRelationship(dataModel, table.name, field.name);
+            }
+            catch (error) {
+                throw fieldError(field, '%s', error.message);
+            }
+
+            var related = planItem(dataModel, relationship.table, collectFields(field.selections, relationship.table, context), context, false);
+            if (related.systemProperties.length > 0) {
+                throw fieldError(field, "The system properties of the items of the relationship '%s' can't be selected.", field.name);
+            }
+
+            item.expansions.push(formatExpansion(relationship.name, related.columns, field.args));
+            item.fields.push({ key: field.key, name: relationship.name, fields: related.fields });
+            return;
+        }
+
+        checkArguments(field, {});
+
+        var systemProperty = core.isSystemColumnName(field.name) && core.getSystemProperty(field.name.substring(2));
+        if (systemProperty) {
+            item.systemProperties.push(systemProperty.name);
+        }
+        else {
+            item.columns.push(field.name);
+        }
+
+        // the members of the values of json columns can be selected too
+        item.fields.push({ key: field.key, name: field.name, fields: field.selections ? planObject(field.selections, context) : null });
+    });
+
+    item.columns = _.uniq(item.columns);
+    item.systemProperties = _.uniq(item.systemProperties);
+    return item;
+}
+
+function planObject(selections, context) {
+    return collectFields(selections, null, context).map(function (field) {
+        checkArguments(field, {});
+        return { key: field.key, name: field.name, fields: field.selections ? planObject(field.selections, context) : null };
+    });
+}
+
+function planPageInfo(field, context) {
+    return collectFields(field.selections, 'PageInfo', context).map(function (pageInfoField) {
+        checkSelections(pageInfoField, false);
+        switch (pageInfoField.name) {
+            case '__typename':
+                return { key: pageInfoField.key, typeName: 'PageInfo' };
+            case 'hasNextPage':
+            case 'endCursor':
+                return { key: pageInfoField.key, name: pageInfoField.name };
+            default:
+                throw fieldError(pageInfoField, "Cannot query field '%s' on type 'PageInfo'.", pageInfoField.name);
+        }
+    });
+}
+
+// the nodes of a connection can be selected with different aliases,
+// so the items are read with the fields of all of them
+function mergeItemPlans(field, items) {
+    var item = {
+        columns: _.uniq(_.flatten(_.pluck(items, 'columns'))),
+        systemProperties: _.uniq(_.flatten(_.pluck(items, 'systemProperties'))),
+        expansions: _.uniq(_.flatten(_.pluck(items, 'expansions')))
+    };
+
+    if (item.columns.length === 0) {
+        item.columns = ['id'];
+    }
+
+    var names = item.expansions.map(function (expansion) {
+        return expansion.split('(')[0];
+    });
+    if (_.uniq(names).length !== names.length) {
+        throw fieldError(field, 'A relationship can only be selected with the same arguments and fields in the nodes of a query.');
+    }
+
+    return item;
+}
+
+// returns the $expand item of the relationship with the columns and the arguments of its field
+function formatExpansion(name, columns, args) {
+    var options = ['$select=' + columns.join(',')];
+
+    if (args.filter !== undefined && args.filter !== null) {
+        options.push('$filter=' + args.filter);
+    }
+    if (args.orderBy !== undefined && args.orderBy !== null) {
+        options.push('$orderby=' + args.orderBy);
+    }
+    if (args.first !== undefined && args.first !== null) {
+        options.push('$top=' + args.first);
+    }
+
+    return _.sprintf('%s(%s)', name, options.join(';'));
+}
+
+// returns the value projected onto the plans of its fields
+function project(value, fields) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (core.isArray(value)) {
+        return value.map(function (item) {
+            return project(item, fields);
+        });
+    }
+
+    var result = {};
+    fields.forEach(function (field) {
+        if (field.typeName) {
+            result[field.key] = field.typeName;
+            return;
+        }
+
+        var fieldValue = core.isObject(value) ? value[field.name] : undefined;
+        if (field.fields && (core.isObject(fieldValue) || core.isArray(fieldValue))) {
+            result[field.key] = project(fieldValue, field.fields);
+        }
+        else {
+            result[field.key] = fieldValue === undefined ? null : fieldValue;
+        }
+    });
+    return result;
+}
+
+// returns the table of the data model with the name, which is case sensitive
+function getTable(dataModel, name) {
+    var table = dataModel.getTable(name);
+    return (table && table.name === name) ? table : null;
+}
+
+// checks that the arguments of the field are those of the types, and that the required ones are specified
+function checkArguments(field, types) {
+    _.each(field.args, function (value, name) {
+        if (!_.has(types, name)) {
+            throw fieldError(field, "Unknown argument '%s' on field '%s'.", name, field.name);
+        }
+    });
+
+    _.each(types, function (type, name) {
+        var value = field.args[name],
+            isValid;
+
+        if (value === undefined || value === null) {
+            isValid = !_.endsWith(type, '!');
+        }
+        else {
+            switch (type.replace('!', '')) {
+                case 'String':
+                    isValid = core.isString(value);
+                    break;
+                case 'Int':
+                    isValid = core.isNumber(value) && value % 1 === 0;
+                    if (isValid && value < 0) {
+                        throw fieldError(field, "The argument '%s' of field '%s' must not be negative.", name, field.name);
+                    }
+                    break;
+                case 'Boolean':
+                    isValid = _.isBoolean(value);
+                    break;
+                case 'ID':
+                    isValid = core.isString(value) || (core.isNumber(value) && value % 1 === 0);
+                    break;
+                case 'Object':
+                    isValid = core.isObject(value);
+                    break;
+            }
+        }
+
+        if (!isValid) {
+            throw fieldError(field, "The argument '%s' of field '%s' must be of type '%s'.", name, field.name, type);
+        }
+    });
+}
+
+// checks that the field has a selection of subfields if its type is an object type, and none otherwise
+function checkSelections(field, isObjectType) {
+    if (isObjectType && !field.selections) {
+        throw fieldError(field, "Field '%s' must have a selection of subfields.", field.name);
+    }
+    if (!isObjectType && field.selections) {
+        throw fieldError(field, "Field '%s' can't have a selection of subfields.", field.name);
+    }
+}
+
+function fieldError(field, format) {
+    var error = new core.MobileServiceError(_.sprintf.apply(_, _.rest(arguments)), core.ErrorCodes.BadInput);
+    error.locations = [field.location];
+    return error;
+}
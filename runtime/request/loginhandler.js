@@ -51,7 +51,7 @@
 exports = module.exports = LoginHandler;
 
 var core = require('../core'),
-    UserService = require('../users/userService'),
+    UserService = require('../users/userservice'),
     jsonWebToken = require('../jsonwebtoken'),
     StatusCodes = require('../statuscodes').StatusCodes,
     templating = require('./html/templating'),
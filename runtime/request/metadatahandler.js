@@ -0,0 +1,248 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is for handling requests to http://myapp.azure-mobile.net/tables/$metadata,
+// which returns the OData metadata document (CSDL) of the tables of the data model, so
+// that generic OData tools can discover their schema. It describes the tables that the
+// caller has the permission to read, with their columns (see ./schemahelper), their id
+// as key, the system properties as computed properties, and their relationships as
+// navigation properties. The document is XML unless JSON is requested by $format=json
+// or an Accept header of application/json.
+
+var core = require('../core'),
+    StatusCodes = require('../statuscodes').StatusCodes,
+    SchemaHelper = require('./schemahelper'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = MetadataHandler;
+
+var logSource = 'MetadataHandler',
+    namespace = 'Default',
+    containerName = 'Container',
+    coreVocabularyUri = 'https://oasis-tcs.github.io/odata-vocabularies/vocabularies/Org.OData.Core.V1';
+
+// The EDM types of the SQL Server types of columns. json columns hold values of any
+// JSON type, which are Edm.Untyped as of OData 4.01, the version of the document.
+var edmTypes = {
+    nvarchar: 'Edm.String',
+    nchar: 'Edm.String',
+    varchar: 'Edm.String',
+    char: 'Edm.String',
+    ntext: 'Edm.String',
+    text: 'Edm.String',
+    uniqueidentifier: 'Edm.Guid',
+    bit: 'Edm.Boolean',
+    tinyint: 'Edm.Byte',
+    smallint: 'Edm.Int16',
+    int: 'Edm.Int32',
+    bigint: 'Edm.Int64',
+    real: 'Edm.Single',
+    float: 'Edm.Double',
+    numeric: 'Edm.Decimal',
+    decimal: 'Edm.Decimal',
+    money: 'Edm.Decimal',
+    date: 'Edm.Date',
+    time: 'Edm.TimeOfDay',
+    datetime: 'Edm.DateTimeOffset',
+    datetime2: 'Edm.DateTimeOffset',
+    datetimeoffset: 'Edm.DateTimeOffset',
+    binary: 'Edm.Binary',
+    varbinary: 'Edm.Binary',
+    timestamp: 'Edm.Binary',
+    json: 'Edm.Untyped',
+    geography: 'Edm.GeographyPoint'
+};
+
+function MetadataHandler(storage, scriptManager, keys) {
+    this.storage = storage;
+    this.scriptManager = scriptManager;
+    this.keys = keys;
+}
+
+MetadataHandler.prototype.handle = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback,
+        request = req._context.parsedRequest,
+        isReadable = core.curry(SchemaHelper.isReadable, this.scriptManager, this.keys, request);
+
+    logger.trace(logSource, 'Processing request');
+
+    SchemaHelper.readTables(this.storage, this.scriptManager.getDataModel(), isReadable, logger, function (error, tables) {
+        if (error) {
+            responseCallback(error);
+            return;
+        }
+
+        var headers = { 'OData-Version': '4.01' };
+        if (isJsonRequested(request)) {
+            responseCallback(null, formatJson(tables), StatusCodes.OK, headers);
+        }
+        else {
+            headers['content-type'] = 'application/xml';
+            responseCallback(null, formatXml(tables), StatusCodes.OK, headers);
+        }
+    });
+};
+
+function isJsonRequested(request) {
+    if (request.query && request.query.format) {
+        return request.query.format === 'json';
+    }
+
+    var accept = (request.headers && request.headers.accept) || '';
+    return accept.indexOf('application/json') >= 0 && accept.indexOf('application/xml') < 0;
+}
+
+// returns the metadata document in the JSON format of CSDL
+function formatJson(tables) {
+    var schema = {},
+        container = { $Kind: 'EntityContainer' };
+
+    tables.forEach(function (table) {
+        var entityType = {
+            $Kind: 'EntityType',
+            $Key: ['id']
+        };
+
+        table.columns.forEach(function (column) {
+            // properties are strings that aren't nullable unless specified
+            var property = {};
+            if (getEdmType(column) !== 'Edm.String') {
+                property.$Type = getEdmType(column);
+            }
+            if (column.nullable) {
+                property.$Nullable = true;
+            }
+            if (column.maxLength) {
+                property.$MaxLength = column.maxLength;
+            }
+            if (column.type === 'geography') {
+                property.$SRID = 4326;
+            }
+            if (column.isSystemProperty) {
+                property['@Core.Computed'] = true;
+            }
+            entityType[column.name] = property;
+        });
+
+        var entitySet = {
+            $Collection: true,
+            $Type: qualify(table.name)
+        };
+
+        table.relationships.forEach(function (relationship) {
+            var navigationProperty = {
+                $Kind: 'NavigationProperty',
+                $Type: qualify(relationship.table)
+            };
+            if (relationship.many) {
+                navigationProperty.$Collection = true;
+            }
+            else {
+                navigationProperty.$Nullable = true;
+            }
+            entityType[relationship.name] = navigationProperty;
+
+            entitySet.$NavigationPropertyBinding = entitySet.$NavigationPropertyBinding || {};
+            entitySet.$NavigationPropertyBinding[relationship.name] = relationship.table;
+        });
+
+        schema[table.name] = entityType;
+        container[table.name] = entitySet;
+    });
+
+    schema[containerName] = container;
+
+    var document = {
+        $Version: '4.01',
+        $EntityContainer: qualify(containerName),
+        $Reference: {}
+    };
+    document.$Reference[coreVocabularyUri + '.json'] = {
+        $Include: [{ $Namespace: 'Org.OData.Core.V1', $Alias: 'Core' }]
+    };
+    document[namespace] = schema;
+
+    return document;
+}
+
+// Returns the metadata document in the XML format of CSDL. The names of
+// tables and columns are identifiers, so they need no escaping.
+function formatXml(tables) {
+    var lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<edmx:Edmx Version="4.01" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">',
+        _.sprintf('  <edmx:Reference Uri="%s.xml">', coreVocabularyUri),
+        '    <edmx:Include Namespace="Org.OData.Core.V1" Alias="Core"/>',
+        '  </edmx:Reference>',
+        '  <edmx:DataServices>',
+        _.sprintf('    <Schema Namespace="%s" xmlns="http://docs.oasis-open.org/odata/ns/edm">', namespace)
+    ];
+
+    tables.forEach(function (table) {
+        lines.push(_.sprintf('      <EntityType Name="%s">', table.name));
+        lines.push('        <Key><PropertyRef Name="id"/></Key>');
+
+        table.columns.forEach(function (column) {
+            var attributes = _.sprintf('Name="%s" Type="%s"', column.name, getEdmType(column));
+            if (!column.nullable) {
+                attributes += ' Nullable="false"';
+            }
+            if (column.maxLength) {
+                attributes += _.sprintf(' MaxLength="%d"', column.maxLength);
+            }
+            if (column.type === 'geography') {
+                attributes += ' SRID="4326"';
+            }
+
+            if (column.isSystemProperty) {
+                lines.push(_.sprintf('        <Property %s>', attributes));
+                lines.push('          <Annotation Term="Core.Computed" Bool="true"/>');
+                lines.push('        </Property>');
+            }
+            else {
+                lines.push(_.sprintf('        <Property %s/>', attributes));
+            }
+        });
+
+        table.relationships.forEach(function (relationship) {
+            var type = relationship.many ? _.sprintf('Collection(%s)', qualify(relationship.table)) : qualify(relationship.table);
+            lines.push(_.sprintf('        <NavigationProperty Name="%s" Type="%s"/>', relationship.name, type));
+        });
+
+        lines.push('      </EntityType>');
+    });
+
+    lines.push(_.sprintf('      <EntityContainer Name="%s">', containerName));
+    tables.forEach(function (table) {
+        if (table.relationships.length === 0) {
+            lines.push(_.sprintf('        <EntitySet Name="%s" EntityType="%s"/>', table.name, qualify(table.name)));
+            return;
+        }
+
+        lines.push(_.sprintf('        <EntitySet Name="%s" EntityType="%s">', table.name, qualify(table.name)));
+        table.relationships.forEach(function (relationship) {
+            lines.push(_.sprintf('          <NavigationPropertyBinding Path="%s" Target="%s"/>', relationship.name, relationship.table));
+        });
+        lines.push('        </EntitySet>');
+    });
+    lines.push('      </EntityContainer>');
+
+    lines.push('    </Schema>');
+    lines.push('  </edmx:DataServices>');
+    lines.push('</edmx:Edmx>');
+
+    return lines.join('\n');
+}
+
+function getEdmType(column) {
+    return edmTypes[column.type] || 'Edm.String';
+}
+
+function qualify(name) {
+    return namespace + '.' + name;
+}
@@ -29,6 +29,9 @@ exports = module.exports = function authorize(logSource, keys) {
     };
 };
 
+// whether the request has the required permission of the request
+exports.isAuthorized = isAuthorized;
+
 function isAuthorized (request, keys) {
     // if the request has specified a valid master key, then we have admin access
     var adminAccess = request.masterKey && keys.masterKey &&
@@ -0,0 +1,40 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is for handling requests to http://myapp.azure-mobile.net/migrations,
+// which lists the status of the schema migrations, and to /migrations/rollback,
+// which rolls back the last applied migration. These endpoints are secured - they
+// require the master key header.
+
+var StatusCodes = require('../statuscodes').StatusCodes;
+
+exports = module.exports = MigrationsHandler;
+
+var logSource = 'MigrationsHandler';
+
+function MigrationsHandler(migrationManager) {
+    this.migrationManager = migrationManager;
+}
+
+MigrationsHandler.prototype.handle = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback;
+
+    logger.trace(logSource, 'Processing request');
+
+    function respond(err, status) {
+        if (err) {
+            responseCallback(err);
+            return;
+        }
+        responseCallback(null, status, StatusCodes.OK);
+    }
+
+    if (req.method === 'POST') {
+        this.migrationManager.rollback(logger, respond);
+    }
+    else {
+        this.migrationManager.getStatus(logger, respond);
+    }
+};
@@ -0,0 +1,434 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is for handling requests to http://myapp.azure-mobile.net/openapi.json,
+// which returns the OpenAPI 3 document of the app, so that clients can be generated and
+// the app explored with generic tools. It describes the table routes (see the routes of
+// ./requesthandler) with the schemas of the tables (see ./schemahelper), and the routes
+// of the custom apis (see ../script/apibuilder) with the description and the JSON
+// schemas of their request and response bodies declared in their metadata files:
+//
+// { "routes": { "/orders": { "post": { "permission": "user", "description": "...",
+//   "requestSchema": { ... }, "responseSchema": { ... } } } } }
+//
+// The permission of each operation is documented as the keys it can be called with.
+// Only the operations the caller has the permission to call are described.
+
+var StatusCodes = require('../statuscodes').StatusCodes,
+    SchemaHelper = require('./schemahelper'),
+    AuditLog = require('./auditlog'),
+    ApiBuilder = require('../script/apibuilder'),
+    Metadata = require('../script/metadata'),
+    authorize = require('./middleware/authorize'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = OpenApiHandler;
+
+var logSource = 'OpenApiHandler',
+    npmPackageVersion = require('../../package.json').version;
+
+// the security schemes of the keys operations can be called with
+var securitySchemes = {
+    applicationKey: { type: 'apiKey', 'in': 'header', name: 'X-ZUMO-APPLICATION' },
+    authenticationToken: { type: 'apiKey', 'in': 'header', name: 'X-ZUMO-AUTH' },
+    masterKey: { type: 'apiKey', 'in': 'header', name: 'X-ZUMO-MASTER' }
+};
+
+// the security requirements of the permission levels, any one of which allows a call
+var securityRequirements = {
+    'public': [],
+    application: [{ applicationKey: [] }, { masterKey: [] }],
+    user: [{ authenticationToken: [] }, { masterKey: [] }],
+    authenticated: [{ authenticationToken: [] }, { masterKey: [] }],
+    admin: [{ masterKey: [] }]
+};
+
+// the JSON schemas of the SQL Server types of columns
+var columnSchemas = {
+    nvarchar: { type: 'string' },
+    nchar: { type: 'string' },
+    varchar: { type: 'string' },
+    char: { type: 'string' },
+    ntext: { type: 'string' },
+    text: { type: 'string' },
+    uniqueidentifier: { type: 'string', format: 'uuid' },
+    bit: { type: 'boolean' },
+    tinyint: { type: 'integer', format: 'int32' },
+    smallint: { type: 'integer', format: 'int32' },
+    int: { type: 'integer', format: 'int32' },
+    bigint: { type: 'integer', format: 'int64' },
+    real: { type: 'number', format: 'float' },
+    float: { type: 'number', format: 'double' },
+    numeric: { type: 'number' },
+    decimal: { type: 'number' },
+    money: { type: 'number' },
+    date: { type: 'string', format: 'date' },
+    time: { type: 'string' },
+    datetime: { type: 'string', format: 'date-time' },
+    datetime2: { type: 'string', format: 'date-time' },
+    datetimeoffset: { type: 'string', format: 'date-time' },
+    binary: { type: 'string', format: 'byte' },
+    varbinary: { type: 'string', format: 'byte' },
+    timestamp: { type: 'string', format: 'byte' },
+    json: {},
+    geography: {
+        type: 'object',
+        description: 'A GeoJSON point.',
+        properties: {
+            type: { type: 'string', 'enum': ['Point'] },
+            coordinates: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 }
+        }
+    }
+};
+
+// the parameters of table operations
+var parameters = {
+    filter: queryParameter('$filter', 'An OData filter expression selecting the items.'),
+    select: queryParameter('$select', 'The comma separated properties to return.'),
+    orderBy: queryParameter('$orderby', 'The comma separated properties to order the items by, each optionally followed by asc or desc.'),
+    skip: queryParameter('$skip', 'The number of items to skip.', { type: 'integer', minimum: 0 }),
+    top: queryParameter('$top', 'The number of items to return.', { type: 'integer', minimum: 0 }),
+    inlineCount: queryParameter('$inlinecount', 'Whether to return the total count of the items with them.', { type: 'string', 'enum': ['allpages', 'none'] }),
+    expand: queryParameter('$expand', 'The comma separated relationships whose related items to return.'),
+    apply: queryParameter('$apply', 'The OData aggregation transformations of the items.'),
+    search: queryParameter('$search', 'The text to search the items for.'),
+    systemProperties: queryParameter('__systemProperties', 'The comma separated system properties to return, or *.'),
+    includeDeleted: queryParameter('__includeDeleted', 'Whether to return soft deleted items.', { type: 'boolean' }),
+    searchScore: queryParameter('__searchScore', 'Whether to return the relevance score of the items found by $search.', { type: 'boolean' }),
+    paging: queryParameter('__paging', 'The paging of the items.', { type: 'string', 'enum': ['continuation'] }),
+    continuationToken: queryParameter('__continuationToken', 'The continuation token of the next page of items.'),
+    atomic: queryParameter('__atomic', 'Whether to insert an array of items in a single transaction.', { type: 'boolean' }),
+    since: queryParameter('since', 'The token of the last changes read.'),
+    bulkFilter: _.extend(queryParameter('$filter', 'An OData filter expression selecting the items.'), { required: true }),
+    ifMatch: { name: 'If-Match', 'in': 'header', description: 'The ETag the item must have.', schema: { type: 'string' } }
+};
+
+var readParameters = ['filter', 'select', 'orderBy', 'skip', 'top', 'inlineCount', 'expand', 'apply', 'search',
+                      'systemProperties', 'includeDeleted', 'searchScore', 'paging', 'continuationToken'];
+
+function OpenApiHandler(appName, storage, scriptManager, apiBuilder, keys) {
+    this.appName = appName;
+    this.storage = storage;
+    this.scriptManager = scriptManager;
+    this.apiBuilder = apiBuilder;
+    this.keys = keys;
+}
+
+OpenApiHandler.prototype.handle = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback,
+        request = req._context.parsedRequest,
+        scriptManager = this.scriptManager,
+        keys = this.keys,
+        self = this;
+
+    logger.trace(logSource, 'Processing request');
+
+    function isAuthorized(permission) {
+        return authorize.isAuthorized(_.extend({}, request, { requiredPermission: permission }), keys);
+    }
+
+    // tables are described if the caller can call any of their operations
+    function isAccessible(tableName) {
+        return _.some(Metadata.tableOperations, function (operation) {
+            return isAuthorized(scriptManager.getTablePermission(tableName, operation));
+        });
+    }
+
+    SchemaHelper.readTables(this.storage, scriptManager.getDataModel(), isAccessible, logger, function (error, tables) {
+        if (error) {
+            responseCallback(error);
+            return;
+        }
+
+        var document = createDocument(self.appName);
+
+        tables.forEach(function (table) {
+            document.components.schemas[table.name] = getTableSchema(table);
+            addTablePaths(document, table, scriptManager, isAuthorized);
+        });
+
+        _.each(self.apiBuilder.apis, function (api) {
+            addApiPaths(document, api, isAuthorized);
+        });
+
+        responseCallback(null, document, StatusCodes.OK);
+    });
+};
+
+function createDocument(appName) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: appName || 'Mobile Service',
+            version: npmPackageVersion
+        },
+        paths: {},
+        components: {
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'integer' },
+                        error: { type: 'string' }
+                    }
+                }
+            },
+            parameters: parameters,
+            responses: {
+                Error: {
+                    description: 'The request failed.',
+                    content: jsonContent(schemaRef('Error'))
+                }
+            },
+            securitySchemes: securitySchemes
+        }
+    };
+}
+
+// returns the schema of the items of the table, where system properties are read only
+function getTableSchema(table) {
+    var schema = {
+        type: 'object',
+        properties: {}
+    };
+
+    table.columns.forEach(function (column) {
+        var property = _.clone(columnSchemas[column.type] || { type: 'string' });
+        if (column.nullable) {
+            property.nullable = true;
+        }
+        if (column.maxLength) {
+            property.maxLength = column.maxLength;
+        }
+        if (column.isSystemProperty) {
+            property.readOnly = true;
+        }
+        schema.properties[column.name] = property;
+    });
+
+    table.relationships.forEach(function (relationship) {
+        var relatedItem = schemaRef(relationship.table);
+        schema.properties[relationship.name] = relationship.many ?
+            { type: 'array', items: relatedItem, readOnly: true } :
+            { allOf: [relatedItem], nullable: true, readOnly: true };
+    });
+
+    return schema;
+}
+
+// adds the paths of the table routes of the operations of the table the caller can call
+function addTablePaths(document, table, scriptManager, isAuthorized) {
+    var item = schemaRef(table.name),
+        idColumn = _.find(table.columns, function (column) { return column.isKey; }),
+        idParameter = {
+            name: 'id',
+            'in': 'path',
+            required: true,
+            schema: _.clone(columnSchemas[idColumn && idColumn.type] || { type: 'string' })
+        };
+
+    function addOperation(path, method, permission, operation) {
+        if (!isAuthorized(permission)) {
+            return;
+        }
+
+        operation.tags = [table.name];
+        operation.security = securityRequirements[permission];
+        operation.responses['default'] = { $ref: '#/components/responses/Error' };
+
+        document.paths[path] = document.paths[path] || {};
+        document.paths[path][method] = operation;
+    }
+
+    function permissionOf(operation) {
+        return scriptManager.getTablePermission(table.name, operation);
+    }
+
+    var tablePath = '/tables/' + table.name,
+        itemPath = tablePath + '/{id}';
+
+    addOperation(tablePath, 'get', permissionOf('read'), {
+        summary: _.sprintf('Reads the items of %s.', table.name),
+        parameters: readParameters.map(parameterRef),
+        responses: {
+            '200': response('The items.', {
+                oneOf: [
+                    { type: 'array', items: item },
+                    { type: 'object', properties: { results: { type: 'array', items: item }, count: { type: 'integer' } } }
+                ]
+            })
+        }
+    });
+    addOperation(tablePath, 'post', permissionOf('insert'), {
+        summary: _.sprintf('Inserts an item, or an array of items, into %s.', table.name),
+        parameters: [parameterRef('atomic')],
+        requestBody: requestBody({ oneOf: [item, { type: 'array', items: item }] }),
+        responses: {
+            '200': response('The results of the items of an array.', {
+                type: 'array',
+                items: { type: 'object', properties: { statusCode: { type: 'integer' }, body: {} } }
+            }),
+            '201': response('The inserted item.', item)
+        }
+    });
+    addOperation(tablePath, 'patch', 'admin', {
+        summary: _.sprintf('Updates the items of %s selected by $filter.', table.name),
+        parameters: [parameterRef('bulkFilter')],
+        requestBody: requestBody(item),
+        responses: {
+            '200': response('The number of items updated.', countSchema())
+        }
+    });
+    addOperation(tablePath, 'delete', 'admin', {
+        summary: _.sprintf('Deletes the items of %s selected by $filter.', table.name),
+        parameters: [parameterRef('bulkFilter')],
+        responses: {
+            '200': response('The number of items deleted.', countSchema())
+        }
+    });
+
+    // changes are routed before items, so the item with the id 'changes' can't be read
+    addOperation(tablePath + '/changes', 'get', permissionOf('read'), {
+        summary: _.sprintf('Reads the items of %s changed since the token of the last changes read.', table.name),
+        parameters: [parameterRef('since'), parameterRef('filter'), parameterRef('select'), parameterRef('top')],
+        responses: {
+            '200': response('The changed items, with deleted items as tombstones.', {
+                type: 'object',
+                properties: {
+                    results: { type: 'array', items: item },
+                    token: { type: 'string' },
+                    hasMore: { type: 'boolean' }
+                }
+            })
+        }
+    });
+
+    addOperation(itemPath, 'get', permissionOf('read'), {
+        summary: _.sprintf('Reads an item of %s.', table.name),
+        parameters: [idParameter, parameterRef('select'), parameterRef('expand'), parameterRef('systemProperties'), parameterRef('includeDeleted')],
+        responses: { '200': response('The item.', item) }
+    });
+    addOperation(itemPath, 'post', permissionOf('insert'), {
+        summary: _.sprintf('Undeletes a soft deleted item of %s.', table.name),
+        parameters: [idParameter, parameterRef('ifMatch')],
+        responses: { '201': response('The undeleted item.', item) }
+    });
+    addOperation(itemPath, 'patch', permissionOf('update'), {
+        summary: _.sprintf('Updates an item of %s.', table.name),
+        parameters: [idParameter, parameterRef('ifMatch')],
+        requestBody: requestBody(item),
+        responses: { '200': response('The updated item.', item) }
+    });
+    addOperation(itemPath, 'put', permissionOf('upsert'), {
+        summary: _.sprintf('Inserts an item of %s or replaces all of its values.', table.name),
+        parameters: [idParameter, parameterRef('ifMatch')],
+        requestBody: requestBody(item),
+        responses: {
+            '200': response('The replaced item.', item),
+            '201': response('The inserted item.', item)
+        }
+    });
+    addOperation(itemPath, 'delete', permissionOf('delete'), {
+        summary: _.sprintf('Deletes an item of %s.', table.name),
+        parameters: [idParameter, parameterRef('ifMatch')],
+        responses: { '204': { description: 'The item was deleted.' } }
+    });
+
+    var declaredTable = scriptManager.getDataModel().getTable(table.name);
+    if (declaredTable && AuditLog.isAudited(declaredTable)) {
+        addOperation(itemPath + '/history', 'get', 'admin', {
+            summary: _.sprintf('Reads the records of the changes made to an item of %s, oldest first.', table.name),
+            parameters: [idParameter],
+            responses: {
+                '200': response('The records of the changes.', { type: 'array', items: { type: 'object' } })
+            }
+        });
+    }
+}
+
+// adds the paths of the routes of the custom api the caller can call
+function addApiPaths(document, api, isAuthorized) {
+    _.each(api.routes, function (route, routePath) {
+        // routes registered for all methods are described for each of them
+        var methods = _.contains(route.methods, 'all') ? Metadata.supportedHttpMethods : route.methods;
+
+        // express route parameters are path parameters
+        var path = routePath.replace(/:(\w+)\??/g, '{$1}'),
+            pathParameters = (routePath.match(/:\w+\??/g) || []).map(function (parameter) {
+                return {
+                    name: parameter.replace(/[:?]/g, ''),
+                    'in': 'path',
+                    required: true,
+                    schema: { type: 'string' }
+                };
+            });
+
+        _.uniq(methods).forEach(function (method) {
+            var permission = ApiBuilder.getRoutePermission(api, routePath, method);
+            if (!isAuthorized(permission)) {
+                return;
+            }
+
+            var routeMetadata = api.error ? null : ApiBuilder.getRouteMetadata(api, routePath, method),
+                operation = {
+                    tags: [api.name],
+                    security: securityRequirements[permission],
+                    responses: {
+                        '200': response('The response of the api.', (routeMetadata && routeMetadata.responseSchema) || {}),
+                        'default': { $ref: '#/components/responses/Error' }
+                    }
+                };
+
+            if (routeMetadata && routeMetadata.description) {
+                operation.description = routeMetadata.description;
+            }
+            if (pathParameters.length > 0) {
+                operation.parameters = pathParameters;
+            }
+            if (routeMetadata && routeMetadata.requestSchema) {
+                operation.requestBody = requestBody(routeMetadata.requestSchema);
+            }
+
+            document.paths[path] = document.paths[path] || {};
+            document.paths[path][method] = operation;
+        });
+    });
+}
+
+function queryParameter(name, description, schema) {
+    return {
+        name: name,
+        'in': 'query',
+        description: description,
+        schema: schema || { type: 'string' }
+    };
+}
+
+function parameterRef(name) {
+    return { $ref: '#/components/parameters/' + name };
+}
+
+function schemaRef(name) {
+    return { $ref: '#/components/schemas/' + name };
+}
+
+function countSchema() {
+    return { type: 'object', properties: { count: { type: 'integer' } } };
+}
+
+function jsonContent(schema) {
+    return { 'application/json': { schema: schema } };
+}
+
+function response(description, schema) {
+    return { description: description, content: jsonContent(schema) };
+}
+
+function requestBody(schema) {
+    return { required: true, content: jsonContent(schema) };
+}
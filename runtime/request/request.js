@@ -13,6 +13,13 @@
 
     _.mixin(_str.exports());
 
+    // OData v4 clients send the version of their requests, and the maximum version of
+    // the responses they accept, in these headers. Only v4 requests can use $count and the
+    // v4 syntax of queries (see ../query/queryparser), and the results of their queries
+    // are returned in the v4 envelope (see ./tablehandler).
+    var odataVersionHeaderName = 'odata-version',
+        odataMaxVersionHeaderName = 'odata-maxversion';
+
     // Parses the specified request into our request object
     function parse(req) {
         var applicationKeyHeaderName = 'x-zumo-application';
@@ -30,13 +37,15 @@
             request.operation = req.params.operation.toLowerCase();
         }
 
+        request.odataVersion = parseODataVersion(request.headers);
+
         // only parse the query for tables
         if (request.operation === 'tables' && req.query && Object.keys(req.query).length > 0) {
             var noScriptValue = getQueryParamIgnoreCase(noScriptParamName, req.query);
             if (noScriptValue) {
                 request[noScriptParamName] = noScriptValue;
             }
-            request.query = parseQuery(req.query, request.verb);
+            request.query = parseQuery(req.query, request.verb, request.odataVersion);
         } 
         else {
             request.query = {};
@@ -68,10 +77,29 @@
     function validateQuery(request) {
         if (request.query) {
             // validate the query
+            // the results of $apply are groups and aggregates of the rows, which are
+            // neither paged by $skip, nor selected, nor counted
+            if (request.query.apply && (request.query.skip > 0 || request.query.select || request.query.inlineCount === 'allpages')) {
+                throw new core.MobileServiceError('The $skip, $select, $inlinecount and $count query options cannot be used with $apply.', core.ErrorCodes.BadInput);
+            }
+
+            if (request.query.expand) {
+                // the results of $apply have no relationships
+                if (request.query.apply) {
+                    throw new core.MobileServiceError('The $expand and $apply query options cannot be used together.', core.ErrorCodes.BadInput);
+                }
+
+                request.query._parsed.expand.forEach(function (expand) {
+                    if (expand.top > 1000) {
+                        throw new core.MobileServiceError('The value of the $top option of $expand cannot exceed 1000.', core.ErrorCodes.BadInput);
+                    }
+                });
+            }
+
             if (request.id !== undefined) {
                 // query options cannot be applied to id queries
-                if (request.query.inlineCount || request.query.skip || request.query.top || request.query.orderBy) {
-                    throw new core.MobileServiceError('Query options $orderby, $inlinecount, $skip and $top cannot be applied to id queries.', core.ErrorCodes.BadInput);
+                if (request.query.inlineCount || request.query.skip || request.query.top || request.query.orderBy || request.query.apply || request.query.search) {
+                    throw new core.MobileServiceError('Query options $orderby, $inlinecount, $count, $skip, $top, $apply and $search cannot be applied to id queries.', core.ErrorCodes.BadInput);
                 }
 
             } else if (request.query.top > 1000) {
@@ -84,17 +112,30 @@
         }
     }
 
-    function parseQuery(query, verb) {
+    // Returns the major OData version of the responses to the request, which is 4 if the
+    // client accepts v4 responses, or otherwise sends a v4 request, and 3 by default
+    function parseODataVersion(headers) {
+        var maxVersion = headers && headers[odataMaxVersionHeaderName],
+            version = headers && headers[odataVersionHeaderName];
+
+        if (maxVersion) {
+            return parseFloat(maxVersion) >= 4 ? 4 : 3;
+        }
+        return (version && parseFloat(version) >= 4) ? 4 : 3;
+    }
+
+    function parseQuery(query, verb, odataVersion) {
         var queryObject = {
             parameters: {},
             systemProperties: [],
-            includeDeleted: false
+            includeDeleted: false,
+            atomic: false
         };
 
         for (var option in query) {
             var value = query[option];
 
-            if (verb != 'GET' && isODataQueryOption(option)) {
+            if (verb != 'GET' && isODataQueryOption(option) && !isBulkFilter(option, verb)) {
                 // skip any OData options incorrectly specified for non
                 // GET operations, so we don't do unecessary parsing below
                 continue;
@@ -103,6 +144,9 @@
             switch (option) {
                 case '$filter':
                 case '$select':
+                case '$apply':
+                case '$expand':
+                case '$search':
                     queryObject[option.slice(1)] = value;
                     break;
                 case '$orderby':
@@ -117,6 +161,17 @@
                 case '$inlinecount':
                     queryObject.inlineCount = parseInlineCount(value);
                     break;
+                case '$format':
+                    // only the metadata document has a format other than json
+                    queryObject.format = parseFormat(value);
+                    break;
+                case '$count':
+                    // the OData v4 $inlinecount
+                    if (odataVersion !== 4) {
+                        throw new core.MobileServiceError("The $count query option requires an OData-Version or OData-MaxVersion header of 4.0.", core.ErrorCodes.BadInput);
+                    }
+                    queryObject.inlineCount = parseCount(value);
+                    break;
                 default:
                     if (option.toLowerCase() === '__systemproperties') {
                         queryObject.systemProperties = core.validateAndNormalizeSystemProperties(value.split(','));
@@ -124,6 +179,20 @@
                     else if (option.toLowerCase() === '__includedeleted') {
                         queryObject.includeDeleted = core.parseBoolean(value || 'false');
                     }
+                    else if (option.toLowerCase() === '__atomic') {
+                        queryObject.atomic = core.parseBoolean(value || 'false');
+                    }
+                    else if (option.toLowerCase() === '__searchscore') {
+                        queryObject.searchScore = core.parseBoolean(value || 'false');
+                    }
+                    else if (option.toLowerCase() === '__paging') {
+                        queryObject.paging = parsePaging(value);
+                    }
+                    else if (option.toLowerCase() === '__continuationtoken') {
+                        // a continuation token is only issued for continuation paging
+                        queryObject.paging = 'continuation';
+                        queryObject.continuationToken = value;
+                    }
                     else if (option.match(/^(?:\$|__)/)) {
                         throw new core.MobileServiceError(_.sprintf("Invalid query parameter name '%s'. Custom query parameter names must not start with $ or __.", option), core.ErrorCodes.BadInput);
                     } else {
@@ -142,12 +211,28 @@
         try {
             if (queryObject.filter) {
                 queryObject._parsed = queryObject._parsed || {};
-                queryObject._parsed.filter = QueryParser.filter(queryObject.filter);
+                queryObject._parsed.filter = QueryParser.filter(queryObject.filter, odataVersion);
             }
 
             if (queryObject.orderBy) {
                 queryObject._parsed = queryObject._parsed || {};
-                queryObject._parsed.orderBy = QueryParser.orderBy(queryObject.orderBy);
+                queryObject._parsed.orderBy = QueryParser.orderBy(queryObject.orderBy, odataVersion);
+            }
+
+            if (queryObject.apply) {
+                queryObject._parsed = queryObject._parsed || {};
+                queryObject._parsed.apply = QueryParser.apply(queryObject.apply, odataVersion);
+            }
+
+            if (queryObject.expand) {
+                queryObject._parsed = queryObject._parsed || {};
+                queryObject._parsed.expand = QueryParser.expand(queryObject.expand);
+                queryObject._parsed.expand.forEach(function (expand) {
+                    expand._parsed = {
+                        filter: expand.filter ? QueryParser.filter(expand.filter, odataVersion) : undefined,
+                        orderBy: expand.orderBy ? QueryParser.orderBy(expand.orderBy, odataVersion) : undefined
+                    };
+                });
             }
         }
         catch (e) {
@@ -164,6 +249,36 @@
         throw new core.MobileServiceError("The value specified for inlinecount must be either 'allpages' or 'none'.", core.ErrorCodes.BadInput);
     }
 
+    function parseCount(value) {
+        if (value === 'true' || value === 'false') {
+            return value === 'true' ? 'allpages' : 'none';
+        }
+        throw new core.MobileServiceError("The value specified for $count must be either 'true' or 'false'.", core.ErrorCodes.BadInput);
+    }
+
+    function parseFormat(value) {
+        var mediaType = value.split(';')[0].trim().toLowerCase();
+        if (mediaType === 'json' || mediaType === 'application/json') {
+            return 'json';
+        }
+        else if (mediaType === 'xml' || mediaType === 'application/xml') {
+            return 'xml';
+        }
+        throw new core.MobileServiceError("The value specified for $format must be either 'json' or 'xml'.", core.ErrorCodes.BadInput);
+    }
+
+    function parsePaging(value) {
+        if (value === 'continuation') {
+            return value;
+        }
+        throw new core.MobileServiceError("The value specified for __paging must be 'continuation'.", core.ErrorCodes.BadInput);
+    }
+
+    // the $filter of updates and deletes selects the items of bulk updates and deletes
+    function isBulkFilter(option, verb) {
+        return option === '$filter' && (verb == 'PATCH' || verb == 'DELETE');
+    }
+
     function isODataQueryOption(option) {
         switch (option) {
             case '$filter':
@@ -172,6 +287,11 @@
             case '$skip':
             case '$top':
             case '$inlinecount':
+            case '$count':
+            case '$format':
+            case '$apply':
+            case '$expand':
+            case '$search':
                 return true;
             default:
                 return false;
@@ -181,5 +301,6 @@
     Request = global;
     Request.parse = parse;
     Request.validateQuery = validateQuery;
+    Request.parseQuery = parseQuery;
 
 })(typeof exports === "undefined" ? (this.Request = {}) : exports);
@@ -11,6 +11,11 @@ var core = require('../core'),
     SchedulerHandler = require('./schedulerhandler'),
     StatusHandler = require('./statushandler'),
     DiagnosticsHandler = require('./diagnosticshandler'),
+    MigrationsHandler = require('./migrationshandler'),
+    MetadataHandler = require('./metadatahandler'),
+    OpenApiHandler = require('./openapihandler'),
+    GraphQLHandler = require('./graphqlhandler'),
+    BatchHandler = require('./batchhandler'),
     CrossDomainHandler = require('./html/crossdomainhandler'),
     ApiBuilder = require('../script/apibuilder'),
     util = require('util'),
@@ -44,7 +49,8 @@ var logSource = 'RequestHandler',
     version = null,
     npmPackageVersion = require('../../package.json').version;
 
-function RequestHandler(configPath, masterKey, systemKey, appName, authenticationCredentials, crossDomainWhitelist, applicationKey, runtimeVersion, requestTimeout, storage, scriptManager, logger, metrics, logLevel, logServiceURL, logServiceToken, maxRequestBodySize, newRelicAdapter, userService, pushAdapter, domainSuffix, requireHttps, skipVersionCheck) {
+function RequestHandler(configPath, masterKey, systemKey, appName, authenticationCredentials, crossDomainWhitelist, applicationKey, runtimeVersion, requestTimeout, storage, scriptManager, logger, metrics, logLevel, logServiceURL, logServiceToken, maxRequestBodySize, newRelicAdapter, userService, pushAdapter, domainSuffix, requireHttps, skipVersionCheck, migrationManager) {
+    this.appName = appName;
     this.requestTimeout = requestTimeout || 30 * 1000;
     this.storage = storage;
     this.scriptManager = scriptManager;
@@ -69,6 +75,7 @@ function RequestHandler(configPath, masterKey, systemKey, appName, authenticatio
     this.schedulerHandler = new SchedulerHandler(scriptManager, masterKey, appName, metrics);
     this.statusHandler = new StatusHandler();
     this.diagnosticsHandler = new DiagnosticsHandler(appName, version, storage);
+    this.migrationsHandler = new MigrationsHandler(migrationManager);
     this.crossDomainHandler = new CrossDomainHandler(this.corsHelper);
     this.pushAdapter = pushAdapter;
 
@@ -77,6 +84,9 @@ function RequestHandler(configPath, masterKey, systemKey, appName, authenticatio
         applicationKey: applicationKey,
         systemKey: systemKey
     };
+
+    this.metadataHandler = new MetadataHandler(storage, scriptManager, this.keys);
+    this.graphqlHandler = new GraphQLHandler(this.tableHandler, scriptManager, this.keys);
 }
 
 RequestHandler.prototype.initialize = function (app, extensionManager, done) {
@@ -97,7 +107,6 @@ RequestHandler.prototype.initialize = function (app, extensionManager, done) {
         authenticate: authenticate(logSource, this.keys, this.userService),
         authorize: authorize(logSource, this.keys)
     };
-    this._configureRoutes(app, sharedMiddleware);
 
     var apiMiddleware = [
         this._traceRequest.bind(this),
@@ -106,6 +115,14 @@ RequestHandler.prototype.initialize = function (app, extensionManager, done) {
     ];
     this.apiBuilder = new ApiBuilder(app, apiMiddleware, this.scriptManager, this.logger, this.metrics);
 
+    // the OpenAPI document describes the routes of the custom apis the api builder builds
+    this.openApiHandler = new OpenApiHandler(this.appName, this.storage, this.scriptManager, this.apiBuilder, this.keys);
+
+    // batch requests are dispatched through the routes of the app
+    this.batchHandler = new BatchHandler(app, this.storage, this.scriptManager);
+
+    this._configureRoutes(app, sharedMiddleware);
+
     core.async.parallel([
         function (done) { self.scriptManager.initialize(done); },
         function (done) { self.apiBuilder.build(done); },
@@ -146,10 +163,22 @@ RequestHandler.prototype._configureRoutes = function (app, sharedMiddleware) {
     app.param('table', this._validateTable.bind(this));
     app.param('job', this._validateJob.bind(this));
 
+    // Metadata route
+    // The metadata document describes the tables the caller can read, so it doesn't require a
+    // permission of its own. It is routed by a regular expression, as '$' isn't escaped in paths,
+    // and before reads, which would otherwise read it as the table '$metadata'.
+    var middleware = [
+        traceRequest,
+        sharedMiddleware.authenticate,
+        bindHandler(this.metadataHandler)
+    ];
+    app.get(/^\/tables\/\$metadata\/?$/i, middleware);
+    app.all(/^\/tables\/\$metadata\/?$/i, allowHandler('GET'));
+
     // Table routes
     // Note: the middleware array is the set of middleware to run for each
     // matched route. These are called in a chain for each route.
-    var middleware = [
+    middleware = [
         traceRequest,
         sharedMiddleware.authenticate,
         sharedMiddleware.authorize,
@@ -157,13 +186,50 @@ RequestHandler.prototype._configureRoutes = function (app, sharedMiddleware) {
         bindHandler(this.tableHandler)
     ];
 
+    // changes are routed before reads, which would otherwise read them as the item with id 'changes'
+    app.get('/tables/:table/changes', _.initial(middleware).concat(_.bind(this.tableHandler.handleChanges, this.tableHandler))); // for delta sync
     app.post('/tables/:table', middleware); // for create
     app.post('/tables/:table/:id', middleware); // for undelete
     app.get('/tables/:table/:id?', middleware); // for read
     app.patch('/tables/:table/:id?', middleware); // for update
-    app['delete']('/tables/:table/:id', middleware); // for delete
-    app.all('/tables/:table', allowHandler('GET', 'POST'));
-    app.all('/tables/:table/:id', allowHandler('GET', 'POST', 'PATCH', 'DELETE'));
+    app.put('/tables/:table/:id', middleware); // for upsert
+    app['delete']('/tables/:table/:id?', middleware); // for delete
+    app.all('/tables/:table', allowHandler('GET', 'POST', 'PATCH', 'DELETE'));
+    app.all('/tables/:table/:id', allowHandler('GET', 'POST', 'PATCH', 'PUT', 'DELETE'));
+
+    // Audit history route
+    middleware = [
+        traceRequest,
+        requireAuthorization('admin'),
+        sharedMiddleware.authorize,
+        _.bind(this.tableHandler.handleHistory, this.tableHandler)
+    ];
+    app.get('/tables/:table/:id/history', middleware);
+    app.all('/tables/:table/:id/history', allowHandler('GET'));
+
+    // GraphQL route
+    // Each field of a GraphQL request requires the permission of the table route it
+    // runs as, so the request doesn't require a permission of its own.
+    middleware = [
+        traceRequest,
+        sharedMiddleware.authenticate,
+        bindHandler(this.graphqlHandler)
+    ];
+    app.get('/graphql', middleware);
+    app.post('/graphql', middleware);
+    app.all('/graphql', allowHandler('GET', 'POST'));
+
+    // Batch route
+    // Each request of a batch is dispatched through the routes above, which authorize it,
+    // so the batch doesn't require a permission of its own. Like the metadata route, it is
+    // routed by a regular expression, as '$' isn't escaped in paths.
+    middleware = [
+        traceRequest,
+        sharedMiddleware.authenticate,
+        bindHandler(this.batchHandler)
+    ];
+    app.post(/^\/\$batch\/?$/i, middleware);
+    app.all(/^\/\$batch\/?$/i, allowHandler('POST'));
 
     // Scheduler route
     middleware = [
@@ -175,6 +241,17 @@ RequestHandler.prototype._configureRoutes = function (app, sharedMiddleware) {
     app.post('/jobs/:job', middleware);
     app.all('/jobs/:job', allowHandler('POST'));
 
+    // OpenAPI route
+    // Like the metadata document, the OpenAPI document describes the operations the caller
+    // can call, so it doesn't require a permission of its own.
+    middleware = [
+        traceRequest,
+        sharedMiddleware.authenticate,
+        bindHandler(this.openApiHandler)
+    ];
+    app.get('/openapi.json', middleware);
+    app.all('/openapi.json', allowHandler('GET'));
+
     // Status route
     middleware = [traceRequest, bindHandler(this.statusHandler)];
     app.get('/status', middleware);
@@ -190,6 +267,18 @@ RequestHandler.prototype._configureRoutes = function (app, sharedMiddleware) {
     app.get('/diagnostics', middleware);
     app.all('/diagnostics', allowHandler('GET'));
 
+    // Migration routes
+    middleware = [
+        traceRequest,
+        requireAuthorization('admin'),
+        sharedMiddleware.authorize,
+        bindHandler(this.migrationsHandler)
+    ];
+    app.get('/migrations', middleware);
+    app.all('/migrations', allowHandler('GET'));
+    app.post('/migrations/rollback', middleware);
+    app.all('/migrations/rollback', allowHandler('POST'));
+
     // Login routes
     middleware = [traceRequest, bindHandler(this.loginHandler)];
     app.get('/login/:authenticationProvider', middleware);
@@ -250,6 +339,11 @@ RequestHandler.prototype._beginRequest = function (req, res, next) {
         responseCallback: core.curry(writeResponse, requestLogger, req, res)
     };
 
+    // the requests of an atomic batch share the storage of its transaction (see ./batchhandler)
+    if (req._batchStorage) {
+        req._context.storage = req._batchStorage;
+    }
+
     // remove the "powered by" header express adds to all
     // responses by default
     res.removeHeader("X-Powered-By");
@@ -365,7 +459,7 @@ RequestHandler.prototype._validateTable = function (req, res, next, tableName) {
 
     var operation = core.verbToOperation(req.method);
     if (operation) {
-        var requiredPermission = this.scriptManager.getTablePermission(tableName, operation);
+        var requiredPermission = this.tableHandler.getRequiredPermission(table.name, operation, parsedRequest.query, req.params.id);
         if (requiredPermission) {
             parsedRequest.requiredPermission = requiredPermission;
         }
@@ -496,9 +590,9 @@ RequestHandler.prototype._traceRequest = function (req, res, next) {
 function writeResponse(logger, req, res, error, result, statusCode, additionalHeaders) {
     additionalHeaders = additionalHeaders || {};
 
-    // Currently our responses are always JSON or HTML. So if it's not explicitly HTML,
-    // we will JSON-serialize it.
-    var responseIsJson = additionalHeaders['content-type'] !== 'text/html';
+    // Our responses are JSON unless another content type is specified, such as the HTML
+    // of templates or the XML of the metadata document, so we will JSON-serialize them.
+    var responseIsJson = !additionalHeaders['content-type'] || additionalHeaders['content-type'] === 'application/json';
 
     // Prevent attempts to write to the response more than once.
     // This can happen in certain situations, for example if we've
@@ -0,0 +1,129 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module restricts the rows of a table that users can read and write with the
+// row filter declared for the table in datamodel.json, which is one of:
+//
+// "rowFilter": { "ownerColumn": "userId" }
+// "rowFilter": { "predicate": "security.filterRows" }
+//
+// The owner column of a row holds the userId of the user it belongs to, so only
+// authenticated users can access the table. A predicate is a function of a shared
+// script that calls back with the values of the columns of the rows the user can
+// access, for example:
+//
+// function filterRows(user, operation, done) {
+//     done({ teamId: getTeamOfUser(user.userId) });
+// }
+//
+// Storage restricts queries, updates and deletes to the rows with the values and sets
+// them on the items that are inserted, updated or upserted, whether or not the table
+// has scripts. Requests made with the master key aren't filtered.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    scriptErrors = require('../script/scripterror'),
+    StatusCodes = require('../statuscodes').StatusCodes,
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = RowFilter;
+
+var logSource = 'RowFilter',
+    identifierRegex = /^[A-Za-z_][\w]*$/;
+
+function RowFilter(scriptManager, tableName, declaration, user, logger) {
+    this.scriptManager = scriptManager;
+    this.tableName = tableName;
+    this.declaration = declaration;
+    this.user = user;
+    this.logger = logger;
+}
+
+// returns the row filter of the table for the user, or null if the table doesn't
+// declare one or the user is an admin
+RowFilter.create = function (scriptManager, tableName, user, logger) {
+    var table = scriptManager.getDataModel().getTable(tableName);
+    if (!table || table.rowFilter === undefined || (user && user.level === 'admin')) {
+        return null;
+    }
+    return new RowFilter(scriptManager, table.name, table.rowFilter, user, logger);
+};
+
+// Calls back with the values of the columns of the rows the user can access with
+// the operation, or with an error and the status code to respond with.
+RowFilter.prototype.getValues = function (operation, callback) {
+    var declaration = this.declaration;
+
+    if (core.isObject(declaration) && core.isString(declaration.ownerColumn) && isColumnValid(declaration.ownerColumn)) {
+        var userId = this.user && this.user.userId;
+        if (!userId) {
+            callback(new core.MobileServiceError(_.sprintf(resource.rowFilterUserRequired, this.tableName)), null, StatusCodes.UNAUTHORIZED);
+            return;
+        }
+
+        var values = {};
+        values[declaration.ownerColumn] = userId;
+        this._complete(values, callback);
+    }
+    else if (core.isObject(declaration) && core.isString(declaration.predicate)) {
+        this._runPredicate(operation, callback);
+    }
+    else {
+        callback(new core.MobileServiceError(_.sprintf(resource.rowFilterNotValid, this.tableName)));
+    }
+};
+
+RowFilter.prototype._complete = function (values, callback) {
+    this.logger.trace(logSource, _.sprintf("Filtering rows of table '%s' by %s", this.tableName, _.keys(values).join(', ')));
+    callback(null, values);
+};
+
+// calls the predicate function of the shared script, which is passed the user
+RowFilter.prototype._runPredicate = function (operation, callback) {
+    var self = this,
+        predicate = this.declaration.predicate,
+        names = predicate.split('.'),
+        completed = false;
+
+    if (names.length !== 2 || !this.scriptManager.hasSharedScript(names[0])) {
+        callback(new core.MobileServiceError(_.sprintf(resource.rowFilterNotValid, this.tableName)));
+        return;
+    }
+
+    function complete(error, values) {
+        if (completed) {
+            return;
+        }
+        completed = true;
+
+        if (error) {
+            callback(error);
+            return;
+        }
+        self._complete(values, callback);
+    }
+
+    function done(values) {
+        if (!core.isObject(values) || !_.every(values, isValueValid) || !_.every(_.keys(values), isColumnValid)) {
+            complete(new core.MobileServiceError(_.sprintf(resource.rowFilterValuesNotValid, predicate), core.ErrorCodes.ScriptError));
+        }
+        else {
+            complete(null, _.clone(values));
+        }
+    }
+
+    var scriptArgs = [this.user, scriptErrors.normalizeOperationName(operation), done];
+    this.scriptManager.runSharedScript(names[0], names[1], scriptArgs, this.logger, { responseCallback: complete });
+};
+
+function isColumnValid(column) {
+    return identifierRegex.test(column) && column.toLowerCase() !== 'id' && !core.isSystemColumnName(column);
+}
+
+function isValueValid(value) {
+    return value === null || core.isString(value) || core.isNumber(value) || typeof value === 'boolean';
+}
@@ -0,0 +1,106 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module has helper functions for describing the schema of the tables of the
+// data model to clients, such as in the OData metadata document (see ./metadatahandler)
+// and the OpenAPI document (see ./openapihandler).
+// The columns of each table are those of the table in the database, as reported by
+// INFORMATION_SCHEMA, named as they are declared in datamodel.json if they are.
+
+var core = require('../core'),
+    ExpandHelper = require('./expandhelper'),
+    authorize = require('./middleware/authorize'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+var identifierRegex = /^[A-Za-z_][\w]*$/;
+
+// Reads the schema of the tables of the data model that isReadable(tableName) returns
+// true for, calling back with an array of { name, columns, relationships } ordered by
+// name. Columns are { name, type, nullable, maxLength, isKey, isSystemProperty }, where
+// the type is the SQL Server type name, and relationships are those returned by
+// ExpandHelper.getRelationship whose table is also readable. Tables that don't exist
+// in the database yet are left out, as are names that aren't identifiers.
+exports.readTables = function (storage, dataModel, isReadable, logger, callback) {
+    var tables = _.sortBy((dataModel.tables || []).filter(function (table) {
+        return identifierRegex.test(table.name) && isReadable(table.name);
+    }), 'name');
+
+    var schemas = [];
+    var readFunctions = tables.map(function (table) {
+        return function (next) {
+            storage._getTableColumns(table.name, logger, function (error, columns) {
+                if (!error && columns.length > 0) {
+                    schemas.push({
+                        name: table.name,
+                        columns: getColumns(table, columns),
+                        relationships: getRelationships(dataModel, table, tables)
+                    });
+                }
+                next(error);
+            });
+        };
+    });
+
+    core.async.series(readFunctions, function (error) {
+        callback(error, error ? null : schemas);
+    });
+};
+
+// whether the caller of the request has the permission to read the table
+exports.isReadable = function (scriptManager, keys, request, tableName) {
+    var requiredPermission = scriptManager.getTablePermission(tableName, 'read');
+    return authorize.isAuthorized(_.extend({}, request, { requiredPermission: requiredPermission }), keys);
+};
+
+function getColumns(table, columns) {
+    return columns.filter(function (column) {
+        return identifierRegex.test(column.name);
+    }).map(function (column) {
+        var isSystemProperty = core.isSystemColumnName(column.name) && !!core.getSystemProperty(column.name.substring(2));
+
+        var name = isSystemProperty ? core.systemPropertyToColumnName(core.getSystemProperty(column.name.substring(2)).name) : getDeclaredName(table, column.name);
+
+        return {
+            name: name,
+            type: getDeclaredType(table, name) === 'json' ? 'json' : column.type,
+            nullable: column.name !== 'id' && column.nullable !== false,
+            maxLength: column.maxLength || null,
+            isKey: column.name === 'id',
+            isSystemProperty: isSystemProperty
+        };
+    });
+}
+
+// INFORMATION_SCHEMA reports the names of columns in lower case
+function getDeclaredName(table, columnName) {
+    var declaredName = _.find(_.keys(table.columns || {}), function (name) {
+        return name.toLowerCase() === columnName;
+    });
+    return declaredName || columnName;
+}
+
+// json columns hold json text on providers without a json type, which
+// INFORMATION_SCHEMA reports by its text type
+function getDeclaredType(table, name) {
+    var declaration = table.columns && table.columns[name];
+    return (declaration && core.isString(declaration.type)) ? declaration.type.toLowerCase() : null;
+}
+
+// the relationships of the table to the other tables, ignoring those that aren't valid
+function getRelationships(dataModel, table, tables) {
+    var tableNames = _.pluck(tables, 'name');
+
+    return _.compact(_.keys(table.relationships || {}).map(function (name) {
+        try {
+            var relationship = ExpandHelper.getRelationship(dataModel, table.name, name);
+            return (identifierRegex.test(relationship.name) && _.contains(tableNames, relationship.table)) ? relationship : null;
+        }
+        catch (e) {
+            return null;
+        }
+    }));
+}
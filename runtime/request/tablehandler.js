@@ -2,34 +2,108 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // ----------------------------------------------------------------------------
 //
-// This module is responsible for handling table requests end to end (query/insert/update/delete).
+// This module is responsible for handling table requests end to end (query/insert/update/upsert/delete).
 
 var DataPipeline = require('./datapipeline'),
     core = require('../core'),
     StatusCodes = require('../statuscodes').StatusCodes,
     resource = require('../resources'),
     ETagHelper = require('./etaghelper'),
+    ExpandHelper = require('./expandhelper'),
+    AuditLog = require('./auditlog'),
+    ErrorHelper = require('./errorhelper'),
+    TableSchema = require('../storage/tableschema'),
+    KeysetPaging = require('../storage/keysetpaging'),
+    url = require('url'),
+    querystring = require('querystring'),
     _ = require('underscore'),
     _str = require('underscore.string');
 
+require('../query/queryparser');
+
  _.mixin(_str.exports());
 
 exports = module.exports = TableHandler;
 
 var logSource = 'TableHandler';
 
+var maxBatchInsertSize = 1000;
+
+// changes are ordered by when they were made, and then by id
+var changesOrdering = '__updatedAt,id';
+
+// the system properties of the items returned as changes, which are
+// all of the properties of items that have been deleted
+var changesSystemProperties = ['updatedAt', 'version', 'deleted'];
+
 function TableHandler(storage, scriptManager, metrics) {
     this.storage = storage;
     this.scriptManager = scriptManager;
     this.metrics = metrics;
 }
 
+// Handles GET /tables/:table/changes, which reads the items of the table that have
+// changed since the position encoded in the since token, including those that were
+// deleted. The response is { results: [...], token: 'token', hasMore: true }, where
+// the token is the position of the last change to read the next changes from.
+TableHandler.prototype.handleChanges = function (req, res) {
+    req._context.parsedRequest.changes = true;
+    this.handle(req, res);
+};
+
+// Handles GET /tables/:table/:id/history, which reads the records of the changes
+// made to the item of an audited table, oldest first (see ./auditlog)
+TableHandler.prototype.handleHistory = function (req, res) {
+    var logger = req._context.logger,
+        responseCallback = req._context.responseCallback,
+        table = this.scriptManager.getDataModel().getTable(req.params.table);
+
+    if (!AuditLog.isAudited(table)) {
+        responseCallback(new core.MobileServiceError(_.sprintf(resource.auditNotEnabled, req.params.table), core.ErrorCodes.BadInput));
+        return;
+    }
+
+    logger.trace(logSource, 'Processing history request');
+
+    AuditLog.readHistory(this.storage, table.name, req.params.id, logger, function (error, records) {
+        if (error) {
+            responseCallback(error);
+            return;
+        }
+        responseCallback(null, records, StatusCodes.OK);
+    });
+};
+
+// Returns the permission required for the operation on the items of the table
+// selected by the query and the id
+TableHandler.prototype.getRequiredPermission = function (tableName, operation, query, id) {
+    // updates and deletes of the items selected by a $filter are admin only
+    if ((operation === 'update' || operation === 'delete') && !id && query && query.filter) {
+        return 'admin';
+    }
+
+    // reading the items of related tables requires their read permissions too
+    if (operation === 'read') {
+        return this.scriptManager.getReadPermission(tableName, getExpandedTables(this.scriptManager.getDataModel(), tableName, query));
+    }
+
+    return this.scriptManager.getTablePermission(tableName, operation);
+};
+
 TableHandler.prototype.handle = function (req, res) {
     var logger = req._context.logger,
         responseCallback = req._context.responseCallback,
         request = req._context.parsedRequest,
         self = this;
 
+    // the requests of an atomic batch are handled with the storage of its transaction (see ./batchhandler)
+    if (req._context.storage && req._context.storage !== this.storage) {
+        var handler = Object.create(this);
+        handler.storage = req._context.storage;
+        handler.handle(req, res);
+        return;
+    }
+
     request.table = req.params.table;
     request.id = req.params.id;
     request.body = req.body;
@@ -60,11 +134,19 @@ TableHandler.prototype.handle = function (req, res) {
                 }
                 break;
             case 'GET':
-                self._handleRead(request, dataPipeline, responseCallback);
+                if (request.changes) {
+                    self._handleChanges(request, tableMetadata, dataPipeline, responseCallback);
+                }
+                else {
+                    self._handleRead(request, dataPipeline, logger, responseCallback);
+                }
                 break;
             case 'PATCH':
                 self._handleUpdate(request, tableMetadata, dataPipeline, responseCallback);
                 break;
+            case 'PUT':
+                self._handleUpsert(request, tableMetadata, dataPipeline, responseCallback);
+                break;
             case 'DELETE':
                 self._handleDelete(request, tableMetadata, dataPipeline, responseCallback);
                 break;
@@ -72,14 +154,197 @@ TableHandler.prototype.handle = function (req, res) {
     });
 };
 
-TableHandler.prototype._handleRead = function (request, dataPipeline, responseCallback) {
+TableHandler.prototype._handleRead = function (request, dataPipeline, logger, responseCallback) {
+    var self = this;
+
     if (request.id !== undefined) {
         request.query.id = request.id;
     }
 
+    var expansions;
+    try {
+        expansions = this._getExpansions(request);
+    }
+    catch (error) {
+        responseCallback(error);
+        return;
+    }
+
+    responseCallback = _.wrap(responseCallback, function (oldCallback, error, result, statusCode) {
+        var additionalHeaders = null;
+        if (!error && result && result.continuationToken) {
+            // if there is another page of a continuation query, link to it
+            additionalHeaders = {
+                'x-zumo-continuation-token': result.continuationToken,
+                'Link': _.sprintf('<%s>; rel="next"', getNextPageUrl(request, result.continuationToken))
+            };
+        }
+
+        if (request.odataVersion === 4) {
+            additionalHeaders = _.extend(additionalHeaders || {}, { 'OData-Version': '4.0' });
+            if (!error && result && request.id === undefined) {
+                result = createODataV4Result(request, result);
+            }
+        }
+
+        oldCallback(error, result, statusCode, additionalHeaders);
+    });
+
+    if (expansions.length > 0) {
+        // include the related items with the results before responding
+        responseCallback = _.wrap(responseCallback, function (oldCallback, error, result, statusCode) {
+            if (error) {
+                oldCallback(error, result, statusCode);
+                return;
+            }
+
+            self._expandResults(request, expansions, result, logger, function (error) {
+                oldCallback(error, error ? null : result, statusCode);
+            });
+        });
+    }
+
     dataPipeline.read(request.query, responseCallback);
 };
 
+// Changes are read with continuation paging ordered by __updatedAt and id, so that
+// items updated at the same time are neither skipped nor read twice across pages.
+// The read script of the table runs as it does for any other read.
+TableHandler.prototype._handleChanges = function (request, tableMetadata, dataPipeline, responseCallback) {
+    if (!tableMetadata.supportsSoftDelete || !_.contains(tableMetadata.systemProperties, 'updatedAt')) {
+        responseCallback(new core.MobileServiceError(resource.changesNotSupported, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    var query = request.query;
+    if (query.orderBy) {
+        responseCallback(new core.MobileServiceError(resource.changesOrderingNotSupported, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    var since = (query.parameters && query.parameters.since) || null,
+        orderings = QueryParser.orderBy(changesOrdering);
+
+    query.orderBy = changesOrdering;
+    query._parsed = query._parsed || {};
+    query._parsed.orderBy = orderings;
+
+    // the items must include their id to be synced
+    if (query.select && !_.contains(query.select.split(',').map(normalizeColumnName), 'id')) {
+        query.select += ',id';
+    }
+
+    _.extend(dataPipeline.systemParameters, {
+        systemProperties: _.union(dataPipeline.systemParameters.systemProperties, _.intersection(changesSystemProperties, tableMetadata.systemProperties)),
+        includeDeleted: true,
+        paging: 'continuation',
+        continuationToken: since
+    });
+
+    dataPipeline.read(query, function (error, results, statusCode) {
+        if (error || !core.isArray(results)) {
+            responseCallback(error, results, statusCode);
+            return;
+        }
+
+        // if a read script responded with its own array of items, the
+        // position of its last item is where the changes continue from
+        var token = results.positionToken || (results.length > 0 ? KeysetPaging.createToken(orderings, _.last(results)) : since),
+            hasMore = results.positionToken ? !!results.continuationToken : results.length === query.top;
+
+        var changes = {
+            results: results.map(function (item) {
+                // a deleted item is returned as a tombstone
+                return item.__deleted ? _.pick(item, 'id', '__updatedAt', '__version', '__deleted') : item;
+            }),
+            token: token,
+            hasMore: hasMore
+        };
+
+        var additionalHeaders = null;
+        if (hasMore) {
+            additionalHeaders = { 'Link': _.sprintf('<%s>; rel="next"', getNextChangesUrl(request, token)) };
+        }
+
+        responseCallback(null, changes, statusCode, additionalHeaders);
+    });
+};
+
+// Returns the relationships of the $expand query option, adding the columns
+// the related items are looked up by to the selection of the query
+TableHandler.prototype._getExpansions = function (request) {
+    var query = request.query,
+        dataModel = this.scriptManager.getDataModel();
+
+    if (!query._parsed || !query._parsed.expand) {
+        return [];
+    }
+
+    return query._parsed.expand.map(function (expand) {
+        var relationship = ExpandHelper.getRelationship(dataModel, request.table, expand.name),
+            keyColumn = ExpandHelper.getKeyColumn(relationship);
+
+        return {
+            relationship: relationship,
+            options: expand,
+            addedColumn: ExpandHelper.selectColumn(query, keyColumn) ? keyColumn : null
+        };
+    });
+};
+
+TableHandler.prototype._expandResults = function (request, expansions, result, logger, callback) {
+    var self = this,
+        items = ExpandHelper.getItems(result);
+
+    var expandFunctions = expansions.map(function (expansion) {
+        return function (next) {
+            self._expand(request, expansion, items, logger, next);
+        };
+    });
+
+    core.async.series(expandFunctions, function (error) {
+        if (!error) {
+            ExpandHelper.removeColumns(items, _.compact(_.pluck(expansions, 'addedColumn')));
+        }
+        callback(error);
+    });
+};
+
+// Reads the items related to the items through the pipeline of the related table,
+// so that its read script runs, and nests them in the items. The permission of
+// the related table was already required for the request.
+TableHandler.prototype._expand = function (request, expansion, items, logger, callback) {
+    var relationship = expansion.relationship,
+        keys = ExpandHelper.getKeys(items, ExpandHelper.getKeyColumn(relationship));
+
+    if (keys.length === 0) {
+        ExpandHelper.nest(items, relationship, []);
+        callback();
+        return;
+    }
+
+    var query = ExpandHelper.createQuery(relationship, expansion.options, keys),
+        relatedKeyColumn = ExpandHelper.getRelatedKeyColumn(relationship),
+        keyColumnAdded = ExpandHelper.selectColumn(query, relatedKeyColumn);
+
+    var relatedRequest = _.extend({}, request, { table: relationship.table, id: undefined, query: query }),
+        dataPipeline = this._createDataPipeline(relatedRequest, logger);
+
+    dataPipeline.read(query, function (error, results) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        var relatedItems = ExpandHelper.getItems(results);
+        ExpandHelper.nest(items, relationship, relatedItems);
+        if (keyColumnAdded) {
+            ExpandHelper.removeColumns(relatedItems, [relatedKeyColumn]);
+        }
+        callback();
+    });
+};
+
 TableHandler.prototype._handleUndelete = function (request, tableMetadata, dataPipeline, responseCallback) {
     if (!tableMetadata.supportsSoftDelete) {
         responseCallback(new core.MobileServiceError(resource.undeleteNotSupported, core.ErrorCodes.BadInput));
@@ -111,17 +376,22 @@ TableHandler.prototype._handleInsert = function (request, tableMetadata, dataPip
         return;
     }
 
+    if (core.isArray(request.body)) {
+        this._handleBatchInsert(request, tableMetadata, dataPipeline, responseCallback);
+        return;
+    }
+
     if (!core.isObject(request.body)) {
         responseCallback(new core.MobileServiceError(resource.validJsonObjectExpected, core.ErrorCodes.BadInput));
         return;
     }
 
-    if (!isIdFieldValid(request, responseCallback)) {
+    if (!isIdFieldValid(request.body, responseCallback)) {
         return;
     }
 
     try {
-        validateAndNormalizeItem(request.body, tableMetadata);
+        validateAndNormalizeItem(request.body, tableMetadata, this._getDeclaredTable(request.table));
     }
     catch (error) {
         responseCallback(error);
@@ -141,7 +411,80 @@ TableHandler.prototype._handleInsert = function (request, tableMetadata, dataPip
     dataPipeline.insert(request.body, responseCallback);
 };
 
+// Inserts each item of an array, responding with an array of { statusCode, body }
+// results in the order of the items. Each item is run through the insert script
+// and succeeds or fails on its own. If the __atomic query parameter is set, the
+// items are inserted in a single transaction, so either all or none of them are
+// inserted, and any failure fails the whole request.
+TableHandler.prototype._handleBatchInsert = function (request, tableMetadata, dataPipeline, responseCallback) {
+    var items = request.body,
+        atomic = request.query && request.query.atomic;
+
+    if (items.length > maxBatchInsertSize) {
+        responseCallback(new core.MobileServiceError(_.sprintf(resource.maxBatchSizeExceeded, maxBatchInsertSize), core.ErrorCodes.BadInput));
+        return;
+    }
+
+    var declaredTable = this._getDeclaredTable(request.table);
+    var errors = items.map(function (item) {
+        return getBatchItemError(item, tableMetadata, declaredTable);
+    });
+
+    if (atomic) {
+        if (this.scriptManager.hasTableScript(request.table, 'insert') && !request.noScript) {
+            responseCallback(new core.MobileServiceError(resource.atomicBatchInsertNotSupported, core.ErrorCodes.BadInput));
+            return;
+        }
+
+        for (var i = 0; i < errors.length; i++) {
+            if (errors[i]) {
+                responseCallback(new core.MobileServiceError(_.sprintf(resource.batchItemInvalid, i, errors[i].message), core.ErrorCodes.BadInput));
+                return;
+            }
+        }
+
+        dataPipeline.insert(items, function (error, results, statusCode) {
+            if (error) {
+                responseCallback(error);
+                return;
+            }
+
+            responseCallback(null, results.map(function (result) {
+                return formatBatchResult(null, result, statusCode);
+            }), StatusCodes.OK);
+        });
+        return;
+    }
+
+    // the items are inserted one at a time, so that their scripts
+    // run in the order of the items
+    var results = [];
+    var inserts = items.map(function (item, index) {
+        return function (done) {
+            if (errors[index]) {
+                results.push(formatBatchResult(errors[index]));
+                done();
+                return;
+            }
+
+            dataPipeline.insert(item, function (error, result, statusCode) {
+                results.push(formatBatchResult(error, result, statusCode));
+                done();
+            });
+        };
+    });
+
+    core.async.series(inserts, function () {
+        responseCallback(null, results, StatusCodes.OK);
+    });
+};
+
 TableHandler.prototype._handleUpdate = function (request, tableMetadata, dataPipeline, responseCallback) {
+    if (!request.id && isBulkRequest(request)) {
+        this._handleBulkUpdate(request, tableMetadata, dataPipeline, responseCallback);
+        return;
+    }
+
     if (!request.id) {
         responseCallback(new core.MobileServiceError(resource.idValueRequiredOnUpdate, core.ErrorCodes.BadInput));
         return;
@@ -153,7 +496,7 @@ TableHandler.prototype._handleUpdate = function (request, tableMetadata, dataPip
         return;
     }
 
-    if (!isIdFieldValid(request, responseCallback)) {
+    if (!isIdFieldValid(item, responseCallback)) {
         return;
     }
 
@@ -163,7 +506,7 @@ TableHandler.prototype._handleUpdate = function (request, tableMetadata, dataPip
     }
 
     try {
-        validateAndNormalizeItem(item, tableMetadata);
+        validateAndNormalizeItem(item, tableMetadata, this._getDeclaredTable(request.table));
     }
     catch (error) {
         responseCallback(error);
@@ -178,7 +521,79 @@ TableHandler.prototype._handleUpdate = function (request, tableMetadata, dataPip
     dataPipeline.update(item, responseCallback);
 };
 
+// Handles PATCH /tables/:table?$filter=..., which updates all of the items the filter
+// selects with the values of the body and responds with { count: n }, the number of
+// items updated. Bulk updates and deletes can only be made by admins.
+TableHandler.prototype._handleBulkUpdate = function (request, tableMetadata, dataPipeline, responseCallback) {
+    var item = request.body;
+    if (!core.isObject(item)) {
+        responseCallback(new core.MobileServiceError(resource.validJsonObjectExpected, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    if (!isIdFieldValid(item, responseCallback)) {
+        return;
+    }
+
+    if (item.id !== undefined) {
+        responseCallback(new core.MobileServiceError(resource.idNotAllowedOnBulkUpdate, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    try {
+        validateAndNormalizeItem(item, tableMetadata, this._getDeclaredTable(request.table));
+    }
+    catch (error) {
+        responseCallback(error);
+        return;
+    }
+
+    dataPipeline.bulkUpdate(request.query, item, responseCallback);
+};
+
+// Inserts the item or replaces all of its values if it already exists. Values
+// that aren't specified are set to null. The if-match and if-none-match: *
+// headers can require the item to exist or not to exist.
+TableHandler.prototype._handleUpsert = function (request, tableMetadata, dataPipeline, responseCallback) {
+    if (!tableMetadata.hasStringId) {
+        responseCallback(new core.MobileServiceError(resource.upsertNotSupported, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    var item = request.body;
+    if (!core.isObject(item)) {
+        responseCallback(new core.MobileServiceError(resource.validJsonObjectExpected, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    if (!isIdFieldValid(item, responseCallback)) {
+        return;
+    }
+
+    if (item.id !== undefined && item.id != request.id) {
+        responseCallback(new core.MobileServiceError(resource.idInBodyDoesNotMatchUrl, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    try {
+        validateAndNormalizeItem(item, tableMetadata, this._getDeclaredTable(request.table));
+        dataPipeline.systemParameters.condition = ETagHelper.getUpsertCondition(request, item, tableMetadata);
+    }
+    catch (error) {
+        responseCallback(error);
+        return;
+    }
+
+    item.id = request.id;
+    dataPipeline.upsert(item, responseCallback);
+};
+
 TableHandler.prototype._handleDelete = function (request, tableMetadata, dataPipeline, responseCallback) {
+    if (!request.id && isBulkRequest(request)) {
+        dataPipeline.bulkDel(request.query, responseCallback);
+        return;
+    }
+
     if (!request.id) {
         responseCallback(new core.MobileServiceError(resource.idValueRequiredOnDelete, core.ErrorCodes.BadInput));
         return;
@@ -193,11 +608,19 @@ TableHandler.prototype._handleDelete = function (request, tableMetadata, dataPip
     dataPipeline.del(item, responseCallback);
 };
 
+// returns the data model table if it declares its columns, otherwise null
+TableHandler.prototype._getDeclaredTable = function (tableName) {
+    var table = this.scriptManager.getDataModel().getTable(tableName);
+    return (table && table.columns) ? table : null;
+};
+
 TableHandler.prototype._createDataPipeline = function (request, logger) {
     return new DataPipeline(this.storage, this.scriptManager, request, request.user, logger, this.metrics);
 };
 
-function validateAndNormalizeItem(item, tableMetadata) {
+// declaredTable is the data model table if it declares its columns, in
+// which case the item can only have properties for the declared columns
+function validateAndNormalizeItem(item, tableMetadata, declaredTable) {
     core.performTypeConversions(item, tableMetadata);
 
     if (tableMetadata.hasStringId) {        
@@ -206,6 +629,130 @@ function validateAndNormalizeItem(item, tableMetadata) {
             throw new core.MobileServiceError(_.sprintf("The property '%s' can not be set. Properties that begin with a '__' are considered system properties.", systemColumnName), core.ErrorCodes.BadInput);
         }
     }
+
+    if (declaredTable) {
+        var undeclaredProperty = TableSchema.getUndeclaredProperties(item, declaredTable.columns)[0];
+        if (undeclaredProperty) {
+            throw new core.MobileServiceError(_.sprintf(resource.propertyNotDeclared, undeclaredProperty, declaredTable.name), core.ErrorCodes.BadInput);
+        }
+    }
+}
+
+// returns the error for an item of a batch insert, or null if it is valid
+function getBatchItemError(item, tableMetadata, declaredTable) {
+    var error = null;
+
+    function setError(err) {
+        error = err;
+    }
+
+    if (!core.isObject(item)) {
+        return new core.MobileServiceError(resource.batchItemObjectExpected, core.ErrorCodes.BadInput);
+    }
+
+    if (!isIdFieldValid(item, setError) ||
+        (tableMetadata.hasStringId && !isStringIdFieldValid(item, setError))) {
+        return error;
+    }
+
+    try {
+        validateAndNormalizeItem(item, tableMetadata, declaredTable);
+    }
+    catch (e) {
+        return e;
+    }
+
+    return null;
+}
+
+// formats the result of inserting an item of a batch the way
+// it would be written as the response to a single insert
+function formatBatchResult(error, result, statusCode) {
+    if (!error) {
+        return { statusCode: statusCode || StatusCodes.CREATED, body: result };
+    }
+
+    if ((error.isMergeConflict || error.isConflict) && error.item) {
+        return {
+            statusCode: error.isMergeConflict ? StatusCodes.PRECONDITION_FAILED : StatusCodes.CONFLICT,
+            body: error.item
+        };
+    }
+
+    var formattedError = ErrorHelper.formatError(error, statusCode);
+    return { statusCode: formattedError.code, body: formattedError };
+}
+
+// whether the update or delete request without an id applies to the items
+// selected by its $filter (see ./requesthandler)
+function isBulkRequest(request) {
+    return !!(request.query && request.query.filter);
+}
+
+// Returns the results of a query in the envelope of OData v4 responses, which is
+// { "@odata.count": 10, "value": [...], "@odata.nextLink": "url" } where the count
+// is that of an inline count and the link is that of the next page of a continuation
+// query. Results that aren't those of the query, such as a script's, are returned as is.
+function createODataV4Result(request, result) {
+    var envelope = {};
+
+    if (core.isArray(result)) {
+        envelope.value = result;
+    }
+    else if (core.isArray(result.results) && result.count !== undefined) {
+        envelope['@odata.count'] = result.count;
+        envelope.value = result.results;
+    }
+    else {
+        return result;
+    }
+
+    if (result.continuationToken) {
+        envelope['@odata.nextLink'] = getNextPageUrl(request, result.continuationToken);
+    }
+
+    return envelope;
+}
+
+// returns the tables of the relationships of the $expand query option, ignoring those that aren't valid
+function getExpandedTables(dataModel, tableName, query) {
+    var expansions = (query && query._parsed && query._parsed.expand) || [];
+
+    return _.compact(expansions.map(function (expand) {
+        try {
+            return ExpandHelper.getRelationship(dataModel, tableName, expand.name).table;
+        }
+        catch (e) {
+            return null;
+        }
+    }));
+}
+
+// returns the url of the request with the continuation token of the next page
+function getNextPageUrl(request, continuationToken) {
+    var requestUrl = url.parse(request.url, true),
+        query = {};
+
+    _.each(requestUrl.query, function (value, name) {
+        if (name.toLowerCase() !== '__continuationtoken') {
+            query[name] = value;
+        }
+    });
+    query.__continuationToken = continuationToken;
+
+    return _.sprintf("https://%s%s?%s", request.headers.host, requestUrl.pathname, querystring.stringify(query));
+}
+
+// returns the url of the request with the since token of the next changes
+function getNextChangesUrl(request, token) {
+    var requestUrl = url.parse(request.url, true),
+        query = _.extend({}, requestUrl.query, { since: token });
+
+    return _.sprintf("https://%s%s?%s", request.headers.host, requestUrl.pathname, querystring.stringify(query));
+}
+
+function normalizeColumnName(column) {
+    return column.trim().toLowerCase();
 }
 
 function isIdValid(request, tableMetadata, responseCallback) {
@@ -237,17 +784,21 @@ function isStringIdValid(request, responseCallback) {
         return false;
     }
 
-    if (!request.body ||
-        request.body.id === null ||
-        request.body.id === undefined) {
+    return isStringIdFieldValid(request.body, responseCallback);
+}
+
+function isStringIdFieldValid(item, responseCallback) {
+    if (!item ||
+        item.id === null ||
+        item.id === undefined) {
         return true;
     }
     
-    if (!core.isString(request.body.id)) {
+    if (!core.isString(item.id)) {
         responseCallback(new core.MobileServiceError(resource.idMustBeAString, core.ErrorCodes.BadInput));
         return false;
     }
-    if (!core.isValidStringId(request.body.id)) {
+    if (!core.isValidStringId(item.id)) {
         responseCallback(new core.MobileServiceError(resource.stringIdNotValid, core.ErrorCodes.BadInput));
         return false;
     }
@@ -255,10 +806,10 @@ function isStringIdValid(request, responseCallback) {
     return true;
 }
 
-function isIdFieldValid(request, responseCallback) {
+function isIdFieldValid(item, responseCallback) {
     // If an object has any id casing other than 'id', return an error.
     if (['ID', 'Id', 'iD'].some(function (idFormat) {
-        return request.body.hasOwnProperty(idFormat);
+        return item.hasOwnProperty(idFormat);
     })) {
         responseCallback(new core.MobileServiceError(resource.idPropertyCaseMismatch, core.ErrorCodes.BadInput));
         return false;
@@ -9,7 +9,14 @@
     exports.maxColSizeExceeded = "Could not save item because it exceeds a maximum column size restriction. Note that indexed columns are restricted to 450 characters.";
     exports.invalidIdentifier = "'%s' is not a valid identifier. Identifiers must be under 128 characters in length, start with a letter or underscore, and can contain only alpha-numeric and underscore characters.";
     exports.badRequest = "Bad request.";
+    exports.transactionCompleted = "The transaction has already been committed or rolled back.";
     exports.itemWithIdAlreadyExists = "Could not insert the item because an item with that id already exists.";
+    exports.cannotAlterDeclaredColumns = "The column(s) '%2$s' of table '%1$s' don't match their declaration in the data model and cannot be altered by the '%3$s' storage provider.";
+    exports.geographyArgumentNotValid = "The arguments of %s must be geography columns or geography literals.";
+    exports.geographyLiteralNotValid = "Geography literals can only be arguments of geo.distance and geo.intersects.";
+    exports.geographyPolygonNotValid = "Polygons can only be intersected with points, and distances can only be measured between points.";
+    exports.geographyDistanceNotSupported = "geo.distance is not supported by the '%s' storage provider.";
+    exports.memberPathNotValid = "The member path '%s' is not valid. Member paths can only reach into the objects of json columns, and '%s' is not a json column.";
 
     // server messages
     exports.maxBodySizeExceeded = "Request body maximum size limit was exceeded.";
@@ -32,6 +39,10 @@
     // table handler errors
     exports.idInUrlNotAllowedOnInsert = 'An id cannot be specified in the url for an insert operation.';
     exports.idMustBeAString = "The value specified for property 'id' must be a string";
+    exports.batchItemObjectExpected = "Each item of a batch insert must be a (valid) JSON object.";
+    exports.batchItemInvalid = "The item at index %d of the batch is invalid. %s";
+    exports.maxBatchSizeExceeded = "A batch insert cannot contain more than %d items.";
+    exports.atomicBatchInsertNotSupported = "An atomic batch insert is not supported for a table with an insert script.";
     exports.undeleteNotSupported = "The undelete operation is not supported on this table.";
     exports.stringIdNotValid = "The value specified for property 'id' is invalid. An id must not contain any control characters or the characters \",+,?,\\,`.";
     exports.intIdValueNotAllowedOnInsert = "A value cannot be specified for property 'id'";
@@ -40,7 +51,54 @@
     exports.invalidIfMatchHeader = "Invalid 'if-match' header.";
     exports.onlySingleIfMatchHeaderSupported = "Only single etag 'if-match' headers are supported.";
     exports.idValueRequiredOnDelete = 'An id value must be specified in the URL for a delete operation.';
+    exports.upsertNotSupported = "The upsert operation is only supported on tables with string ids.";
+    exports.invalidIfNoneMatchHeader = "Only a '*' 'if-none-match' header is supported for an upsert operation.";
+    exports.conflictingPreconditionHeaders = "The 'if-match' and 'if-none-match' headers cannot both be specified.";
     exports.idPropertyCaseMismatch = "Item identifiers can only be specified via the 'id' property.";
+    exports.propertyNotDeclared = "The property '%s' is not declared as a column of table '%s'.";
+    exports.idNotAllowedOnBulkUpdate = "An id cannot be specified in the body of an update of the items selected by a $filter.";
+
+    // batch handler errors
+    exports.batchRequestsExpected = "The body of a batch request must be a JSON array of requests.";
+    exports.batchRequestInvalid = "The request at index %d of the batch is invalid. %s";
+    exports.maxBatchRequestsExceeded = "A batch cannot contain more than %d requests.";
+    exports.atomicBatchRequestNotSupported = "The request at index %d of the batch cannot be made atomically. An atomic batch can only contain requests to the items of tables without a script for the operation.";
+
+    // conflict policy errors
+    exports.conflictPolicyNotValid = "The conflict policy of table '%s' must be 'clientWins', 'serverWins', field policies or the name of a function of a shared script, such as 'conflicts.resolve'.";
+    exports.conflictResolutionNotValid = "The conflict resolver '%s' must call done with 'clientWins' and optionally the values to update the item with, 'serverWins', or nothing.";
+
+    // row filter errors
+    exports.rowFilterNotValid = "The row filter of table '%s' must have an ownerColumn or the name of a function of a shared script as its predicate, such as 'security.filterRows'.";
+    exports.rowFilterValuesNotValid = "The row filter predicate '%s' must call done with an object of the values of columns other than id and the system columns.";
+    exports.rowFilterUserRequired = "The rows of table '%s' can only be accessed by authenticated users.";
+
+    // audit errors
+    exports.auditNotEnabled = "The changes to the items of table '%s' aren't audited.";
+
+    // retention errors
+    exports.retentionNotValid = "The retention of table '%s' must declare a positive number of purgeDeletedAfterDays or expireAfterDays, and optionally the expireColumn of the date rows expire after.";
+
+    // migration errors
+    exports.noMigrationToRollBack = "There are no applied migrations to roll back.";
+    exports.migrationCannotBeRolledBack = "Migration %s cannot be rolled back as its script is missing or doesn't export a down function.";
+    exports.migrationsRunning = "Migrations are already being applied or rolled back.";
+
+    // paging errors
+    exports.invalidContinuationToken = "The continuation token is invalid or was issued for a query with a different ordering.";
+    exports.continuationPagingOptionNotSupported = "The $skip, $inlinecount and $apply query options cannot be used with continuation paging.";
+    exports.continuationOrderingNotSupported = "Continuation paging only supports ordering by columns.";
+    exports.changesNotSupported = "Changes can only be read from tables with string ids that have soft delete enabled.";
+    exports.changesOrderingNotSupported = "The $orderby query option cannot be used with changes, which are ordered by __updatedAt and id.";
+
+    // search errors
+    exports.searchNotSupported = "Table '%s' can't be searched. Tables can be searched if they declare the columns to search in datamodel.json.";
+    exports.searchNotValid = "The search of table '%s' must declare the columns to search, and optionally a mode of 'contains' or 'freetext'.";
+    exports.searchTextNotValid = "The value of the $search query option must have one or more search terms.";
+
+    // expand errors
+    exports.relationshipNotFound = "'%s' is not a relationship of table '%s'.";
+    exports.relationshipNotValid = "The relationship '%s' of table '%s' must specify an existing table and the column of its foreignKey.";
 
     // misc errors
     exports.responseAlreadySent = 'Unable to write to the response - it has already been written. Ensure that for a given code path in your script, the response is only written to once (e.g. by using the execute/respond methods of the request object).';
@@ -188,39 +188,44 @@ function apiLoadErrorHandler(req, res) {
     throw new Error('Error loading the api.');
 }
 
-// middleware used to set the required permission on the request,
-// based on the permission configured for the api route
-function requirePermission(api, req, res, next) {
-    var requiredPermission = 'admin',
-        logger = req._context.logger,
-        parsedRequest = req._context.parsedRequest;
+// returns the metadata of the route of the api for the http method, e.g. its
+// permission and description, or null if the api doesn't declare any
+ApiBuilder.getRouteMetadata = function (api, route, method) {
+    if (!api.metadata || !api.metadata.getRouteMetadata) {
+        return null;
+    }
 
+    // chop off the base route to get the sub route to
+    // use as search key into route metadata
+    var apiSubRoute = route.substring(api.baseRoute.length) || '/';
+
+    return api.metadata.getRouteMetadata(apiSubRoute, method) || null;
+};
+
+// returns the permission required by the route of the api for the http method
+ApiBuilder.getRoutePermission = function (api, route, method) {
     // if we faild to register the apis or load the metadata file, we don't know what permissions it would have
     // since we're going to return an error from the api, it is safe to make it public
     if (api.error) {
-        parsedRequest.requiredPermission = 'public';
+        return 'public';
     }
-    else {
-        // chop off the base route to get the sub route to
-        // use as search key into route metadata
-        var apiSubRoute = req.route.path.substring(api.baseRoute.length) || '/';
 
-        if (api.metadata) {
-            if (api.metadata.getRouteMetadata) {
-                var routeMetadata = api.metadata.getRouteMetadata(apiSubRoute, req.method);
+    var routeMetadata = ApiBuilder.getRouteMetadata(api, route, method);
+    return (routeMetadata && routeMetadata.permission) || 'admin';
+};
 
-                if (routeMetadata && routeMetadata.permission) {
-                    requiredPermission = routeMetadata.permission || requiredPermission;
-                }
-            }
-            else {
-                logger.error('api.metadata.getRouteMetadata method not found for api ' + api.name + ' and metadata ' + JSON.stringify(api.metadata));
-            }
-        }
+// middleware used to set the required permission on the request,
+// based on the permission configured for the api route
+function requirePermission(api, req, res, next) {
+    var logger = req._context.logger,
+        parsedRequest = req._context.parsedRequest;
 
-        parsedRequest.requiredPermission = requiredPermission;
+    if (!api.error && api.metadata && !api.metadata.getRouteMetadata) {
+        logger.error('api.metadata.getRouteMetadata method not found for api ' + api.name + ' and metadata ' + JSON.stringify(api.metadata));
     }
 
+    parsedRequest.requiredPermission = ApiBuilder.getRoutePermission(api, req.route.path, req.method);
+
     next();
 }
 
@@ -13,7 +13,7 @@ _.mixin(_str.exports());
 exports = module.exports = Metadata;
 
 var supportedHttpMethods = ['get', 'put', 'post', 'patch', 'delete'],
-    tableOperations = ['read', 'insert', 'update', 'delete'];
+    tableOperations = ['read', 'insert', 'update', 'delete', 'upsert'];
 
 function Metadata(metadata, filename) {
     this.metadata = metadata;
@@ -66,7 +66,9 @@ Metadata.prototype._matchRoute = function (route) {
 };
 
 function validateMetadata(metadata, fileName) {
-    var validMetadataProperties = ['permission'],
+    // the description and the JSON schemas of the request and response bodies of
+    // routes are documented in the OpenAPI document of the app (/openapi.json)
+    var validMetadataProperties = ['permission', 'description', 'requestSchema', 'responseSchema'],
         validPermissions = ['application', 'user', 'authenticated', 'admin', 'public'];
 
     function throwMetadataError(reason) {
@@ -83,6 +85,12 @@ function validateMetadata(metadata, fileName) {
                     throwMetadataError(_.sprintf("Invalid route metadata for route '%s'. '%s' is not a valid permission level.", route, value));
                 }
             }
+            if (key === 'description' && !core.isString(value)) {
+                throwMetadataError(_.sprintf("Invalid route metadata for route '%s'. 'description' must be a string.", route));
+            }
+            if ((key === 'requestSchema' || key === 'responseSchema') && !core.isObject(value)) {
+                throwMetadataError(_.sprintf("Invalid route metadata for route '%s'. '%s' must be an object.", route, key));
+            }
         });
     }
 
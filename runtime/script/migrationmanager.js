@@ -0,0 +1,348 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module is responsible for loading and running the schema migration scripts
+// in the migrations directory. Migrations are named with the number that orders
+// them (e.g. 001-add-orders.js) and export up and down functions that are passed
+// the script service (tables, mssql, push, config) and a done callback:
+//
+// exports.up = function (service, done) { ...; done(); };
+// exports.down = function (service, done) { ...; done(); };
+//
+// Applied migrations are recorded in the __migrations table of the app schema.
+// Pending migrations are applied in order on startup, stopping at the first one
+// that fails. Migrations are rolled back one at a time, from the last applied.
+
+var path = require('path'),
+    fs = require('fs'),
+    core = require('../core'),
+    resource = require('../resources'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = MigrationManager;
+
+var logSource = 'MigrationManager',
+    migrationsDirectory = 'migrations',
+    migrationsTable = '__migrations',
+    migrationFileNameRegex = /^(\d+)(?:[-_.](.*))?\.js$/;
+
+// the columns of the __migrations table, whose ids are the migration numbers
+var migrationsTableColumns = {
+    name: { type: 'nvarchar', maxLength: 255, nullable: false },
+    appliedAt: { type: 'datetimeoffset', nullable: false }
+};
+
+function MigrationManager(scriptManager, storage, logger, metrics, configPath) {
+    this.scriptManager = scriptManager;
+    this.storage = storage;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.configPath = configPath;
+    this.scriptRunTimeout = 5 * 60 * 1000;
+
+    // the loaded migrations ordered by number
+    this.migrations = [];
+
+    // set while migrations are being applied or rolled back
+    this.running = false;
+}
+
+MigrationManager.prototype.initialize = function (done) {
+    var self = this;
+
+    if (!this._migrationsFolderExists()) {
+        done();
+        return;
+    }
+
+    var options = {
+        load: this._onScriptLoad.bind(this),
+        error: function (err, scriptInfo) {
+            // script load errors are logged by the script loader
+            if (!scriptInfo) {
+                self.logger.logUser(logSource, LogType.Error, err.toString());
+                done();
+            }
+        }
+    };
+
+    this.scriptManager.scriptLoader.loadScriptDirectory(migrationsDirectory, options, done);
+};
+
+// Applies the migrations that haven't been applied in order. Failures are
+// logged rather than reported, so that the server still starts.
+MigrationManager.prototype.migrate = function (done) {
+    var self = this;
+
+    if (this.migrations.length === 0) {
+        done();
+        return;
+    }
+
+    this._runExclusive(this.logger, function (callback) {
+        self._getAppliedMigrations(self.logger, function (err, records) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var pending = self.migrations.filter(function (migration) {
+                return !isApplied(records[migration.id]);
+            });
+
+            var applyFunctions = pending.map(function (migration) {
+                return function (next) {
+                    self._applyMigration(migration, records[migration.id], self.logger, next);
+                };
+            });
+
+            core.async.series(applyFunctions, callback);
+        });
+    }, function (err) {
+        if (err) {
+            self.logger.logUser(logSource, LogType.Error, _.sprintf('Applying migrations failed: %s', err.toString()));
+        }
+        done();
+    });
+};
+
+// Calls back with the status of each migration, ordered by number, as
+// { version, name, applied, appliedAt }. Migrations that were applied
+// and whose scripts have since been removed are included.
+MigrationManager.prototype.getStatus = function (logger, callback) {
+    var self = this;
+
+    this._getAppliedMigrations(logger, function (err, records) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var status = self.migrations.map(function (migration) {
+            var record = records[migration.id];
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: isApplied(record),
+                appliedAt: isApplied(record) ? record.appliedAt : null
+            };
+        });
+
+        _.each(records, function (record) {
+            if (isApplied(record) && !self._getMigration(record.id)) {
+                status.push({ version: parseInt(record.id, 10), name: record.name, applied: true, appliedAt: record.appliedAt });
+            }
+        });
+
+        callback(null, _.sortBy(status, 'version'));
+    });
+};
+
+// Rolls back the last applied migration, calling back with the new status
+MigrationManager.prototype.rollback = function (logger, callback) {
+    var self = this;
+
+    this._runExclusive(logger, function (callback) {
+        self._getAppliedMigrations(logger, function (err, records) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var applied = _.filter(records, isApplied);
+            if (applied.length === 0) {
+                callback(new core.MobileServiceError(resource.noMigrationToRollBack, core.ErrorCodes.BadInput));
+                return;
+            }
+
+            var record = _.max(applied, function (record) { return parseInt(record.id, 10); }),
+                migration = self._getMigration(record.id);
+
+            if (!migration || !core.isFunction(migration.module.down)) {
+                callback(new core.MobileServiceError(_.sprintf(resource.migrationCannotBeRolledBack, record.id), core.ErrorCodes.BadInput));
+                return;
+            }
+
+            self._rollbackMigration(migration, logger, callback);
+        });
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.getStatus(logger, callback);
+    });
+};
+
+MigrationManager.prototype._applyMigration = function (migration, record, logger, callback) {
+    var self = this;
+
+    logger.trace(logSource, _.sprintf("Applying migration '%s'", migration.fileName));
+
+    this._callMigration(migration, 'up', logger, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var item = { id: migration.id, name: migration.name, appliedAt: new Date() };
+
+        if (record) {
+            // the migration was applied and rolled back before
+            item.__deleted = false;
+            self.storage.update(migrationsTable, migration.id, item, logger, {}, function (err) {
+                callback(err);
+            });
+        }
+        else {
+            self.storage.insert(migrationsTable, item, logger, {}, function (err) {
+                callback(err);
+            });
+        }
+    });
+};
+
+MigrationManager.prototype._rollbackMigration = function (migration, logger, callback) {
+    var self = this;
+
+    logger.trace(logSource, _.sprintf("Rolling back migration '%s'", migration.fileName));
+
+    this._callMigration(migration, 'down', logger, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.storage.del(migrationsTable, migration.id, null, logger, {}, function (err) {
+            callback(err);
+        });
+    });
+};
+
+// calls the up or down function of the migration, failing if it throws,
+// reports an error or doesn't call done within the time limit
+MigrationManager.prototype._callMigration = function (migration, method, logger, callback) {
+    var self = this,
+        source = path.join('/', migrationsDirectory, migration.fileName),
+        timer = null,
+        doneCalled = false;
+
+    function done(err) {
+        if (doneCalled) {
+            return;
+        }
+        doneCalled = true;
+        clearTimeout(timer);
+
+        if (err) {
+            err = new core.MobileServiceError(_.sprintf("'%s' of migration '%s' failed: %s", method, migration.fileName, err.toString()), core.ErrorCodes.ScriptError);
+        }
+        callback(err);
+    }
+
+    this.metrics.event('migration.' + method);
+
+    var service = this.scriptManager.buildScriptService(source, logger, { responseCallback: done });
+
+    timer = setTimeout(function () {
+        done(_.sprintf("done was not called within %d ms", self.scriptRunTimeout));
+    }, this.scriptRunTimeout);
+
+    try {
+        migration.module[method](service, done);
+    }
+    catch (e) {
+        done(e);
+    }
+};
+
+// calls back with the records of the __migrations table keyed by id,
+// including those of rolled back migrations, creating the table if needed
+MigrationManager.prototype._getAppliedMigrations = function (logger, callback) {
+    var self = this;
+
+    this.storage.syncTableSchema(migrationsTable, migrationsTableColumns, logger, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var options = { systemProperties: ['deleted'], includeDeleted: true };
+        self.storage.query({ table: migrationsTable }, logger, options, function (err, results) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var records = {};
+            core.toLookup(results, records, function (record) {
+                return record.id;
+            });
+            callback(null, records);
+        });
+    });
+};
+
+// runs one apply or rollback at a time
+MigrationManager.prototype._runExclusive = function (logger, fn, callback) {
+    var self = this;
+
+    if (this.running) {
+        callback(new core.MobileServiceError(resource.migrationsRunning, core.ErrorCodes.Conflict));
+        return;
+    }
+
+    this.running = true;
+    fn(function (err) {
+        self.running = false;
+        callback(err);
+    });
+};
+
+MigrationManager.prototype._getMigration = function (id) {
+    return _.find(this.migrations, function (migration) {
+        return migration.id === id;
+    });
+};
+
+MigrationManager.prototype._migrationsFolderExists = function () {
+    var migrationsPath = path.join(this.configPath, core.getScriptsDirName(this.configPath), migrationsDirectory);
+    return fs.existsSync(migrationsPath);
+};
+
+MigrationManager.prototype._onScriptLoad = function (scriptInfo) {
+    var match = migrationFileNameRegex.exec(scriptInfo.scriptFileName);
+
+    if (!match || !core.isFunction(scriptInfo.module.up)) {
+        this.logger.logUser(logSource, LogType.Warning, _.sprintf("Skipping '%s' as migrations must be named with their number and export an up function.", scriptInfo.scriptFileName));
+        return;
+    }
+
+    var version = parseInt(match[1], 10),
+        existing = _.find(this.migrations, function (migration) { return migration.version === version; });
+
+    if (existing) {
+        this.logger.logUser(logSource, LogType.Error, _.sprintf("Skipping '%s' as migration %d is already defined by '%s'.", scriptInfo.scriptFileName, version, existing.fileName));
+        return;
+    }
+
+    var migration = {
+        id: version.toString(),
+        version: version,
+        name: match[2] || scriptInfo.name,
+        fileName: scriptInfo.scriptFileName,
+        module: scriptInfo.module
+    };
+
+    var index = _.sortedIndex(this.migrations, migration, 'version');
+    this.migrations.splice(index, 0, migration);
+};
+
+function isApplied(record) {
+    return !!record && !record.__deleted;
+}
@@ -0,0 +1,276 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module enforces the retention rules declared for tables in datamodel.json,
+// which delete the rows of a table once they are older than a number of days:
+//
+// "retention": { "purgeDeletedAfterDays": 30 }
+// "retention": { "expireAfterDays": 90, "expireColumn": "__createdAt" }
+//
+// Soft deleted rows are purged, that is deleted permanently, once they were deleted
+// (their __updatedAt) more than purgeDeletedAfterDays ago. Rows expire once the date
+// of their expireColumn (__createdAt unless declared) is more than expireAfterDays
+// ago, and are deleted as they would be by a delete request, so the rows of tables
+// that support soft delete are soft deleted, and purged later if the table also
+// declares purgeDeletedAfterDays. Expired rows of audited tables are recorded in
+// the audit log, but purges aren't.
+//
+// The rules of all tables are enforced in the background every interval, deleting
+// at most batchSize rows per statement. Failures are logged to the user log.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    AuditLog = require('../request/auditlog'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+require('../query/expressions');
+require('../query/queryparser');
+
+_.mixin(_str.exports());
+
+exports = module.exports = RetentionManager;
+
+var logSource = 'RetentionManager',
+    identifierRegex = /^[A-Za-z_][\w]*$/,
+    msPerDay = 24 * 60 * 60 * 1000;
+
+function RetentionManager(scriptManager, storage, logger, metrics) {
+    this.scriptManager = scriptManager;
+    this.storage = storage;
+    this.logger = logger;
+    this.metrics = metrics;
+
+    // the ids of the rows to delete are statement parameters, which
+    // SQL Server limits to 2100 per statement
+    this.batchSize = 500;
+
+    // set while the rules are being enforced
+    this.running = false;
+}
+
+// Enforces the retention rules now and then every interval ms, if any
+// table of the data model declares them
+RetentionManager.prototype.start = function (interval) {
+    var self = this;
+
+    if (this._getTables().length === 0) {
+        return;
+    }
+
+    this.purgeInterval = setInterval(function () {
+        self.purge();
+    }, interval);
+
+    this.purge();
+};
+
+RetentionManager.prototype.stop = function () {
+    clearInterval(this.purgeInterval);
+};
+
+// Enforces the retention rules of all tables, calling back once they are enforced.
+// The rules aren't enforced again while they are still being enforced.
+RetentionManager.prototype.purge = function (done) {
+    var self = this;
+
+    done = done || function () { };
+
+    if (this.running) {
+        done();
+        return;
+    }
+    this.running = true;
+
+    var purgeFunctions = this._getTables().map(function (table) {
+        return function (next) {
+            self._enforceRules(table, next);
+        };
+    });
+
+    core.async.series(purgeFunctions, function () {
+        self.running = false;
+        done();
+    });
+};
+
+RetentionManager.prototype._getTables = function () {
+    var dataModel = this.scriptManager.getDataModel(),
+        tables = (dataModel && dataModel.tables) || [];
+
+    return tables.filter(function (table) {
+        return table.retention !== undefined;
+    });
+};
+
+// enforces the rules of the table, logging rather than reporting failures
+RetentionManager.prototype._enforceRules = function (table, callback) {
+    var self = this,
+        rules;
+
+    try {
+        rules = getRules(table);
+    }
+    catch (error) {
+        this.logger.logUser(logSource, LogType.Error, error.toString());
+        callback();
+        return;
+    }
+
+    this.storage.getTableMetadata(table.name, this.logger, function (error, tableMetadata) {
+        if (error) {
+            self._logFailure(table.name, error);
+            callback();
+            return;
+        }
+
+        var ruleFunctions = rules.filter(function (rule) {
+            // only tables that support soft delete have deleted rows to purge
+            return !rule.purge || tableMetadata.supportsSoftDelete;
+        }).map(function (rule) {
+            return function (next) {
+                self._enforceRule(table.name, rule, next);
+            };
+        });
+
+        core.async.series(ruleFunctions, function () {
+            callback();
+        });
+    });
+};
+
+// deletes the rows the rule applies to a batch at a time, until there are none left
+RetentionManager.prototype._enforceRule = function (tableName, rule, callback) {
+    var self = this,
+        event = this.metrics.startEvent('retention.' + rule.name),
+        cutoff = new Date(Date.now() - rule.days * msPerDay),
+        rowCount = 0;
+
+    function deleteBatch() {
+        self._deleteBatch(tableName, rule, cutoff, function (error, batchRowCount, more) {
+            if (error) {
+                self.metrics.endEvent(event);
+                self._logFailure(tableName, error);
+                callback();
+                return;
+            }
+
+            rowCount += batchRowCount;
+            if (more) {
+                deleteBatch();
+                return;
+            }
+
+            self.metrics.endEvent(event);
+            if (rowCount > 0) {
+                self.logger.logUser(logSource, LogType.Information,
+                    _.sprintf("%s %d row(s) of table '%s' whose %s was more than %d days ago.", rule.purge ? 'Purged' : 'Expired', rowCount, tableName, rule.column, rule.days));
+            }
+            callback();
+        });
+    }
+
+    deleteBatch();
+};
+
+// Deletes a batch of at most batchSize of the rows the rule applies to, calling back
+// with the number of rows deleted and whether there may be more rows to delete
+RetentionManager.prototype._deleteBatch = function (tableName, rule, cutoff, callback) {
+    var self = this,
+        filter = new BinaryExpression(createMember(rule.column), new ConstantExpression(cutoff), ExpressionType.LessThan);
+
+    if (rule.purge) {
+        filter = new BinaryExpression(filter, QueryParser.filter('__deleted eq true'), ExpressionType.And);
+    }
+
+    var query = {
+        table: tableName,
+        select: 'id',
+        top: this.batchSize,
+        _parsed: { filter: filter }
+    };
+
+    this.storage.query(query, this.logger, { includeDeleted: rule.purge }, function (error, results) {
+        if (error || results.length === 0) {
+            callback(error, 0, false);
+            return;
+        }
+
+        // the rows are deleted by id only if the rule still applies to them,
+        // in case they have changed since they were read
+        var deleteQuery = {
+            table: tableName,
+            _parsed: { filter: new BinaryExpression(filter, createIdFilter(_.pluck(results, 'id')), ExpressionType.And) }
+        };
+
+        self._deleteRows(tableName, rule, deleteQuery, function (error, rowCount) {
+            callback(error, rowCount, !error && results.length === self.batchSize);
+        });
+    });
+};
+
+RetentionManager.prototype._deleteRows = function (tableName, rule, query, callback) {
+    var self = this,
+        options = { purge: rule.purge },
+        auditLog = rule.purge ? null : AuditLog.create(this.scriptManager.getDataModel(), this.storage, tableName, null, this.logger);
+
+    function execute(storage, callback) {
+        storage.bulkDel(query, self.logger, options, callback);
+    }
+
+    if (auditLog) {
+        auditLog.runBulk('delete', query, execute, callback);
+    }
+    else {
+        execute(this.storage, callback);
+    }
+};
+
+RetentionManager.prototype._logFailure = function (tableName, error) {
+    this.metrics.event('retention.error');
+    this.logger.logUser(logSource, LogType.Error, _.sprintf("Enforcing the retention of table '%s' failed: %s", tableName, error.toString()));
+};
+
+// Returns the rules of the retention declared for the table as { name, column,
+// days, purge }, throwing if the declaration isn't valid
+function getRules(table) {
+    var retention = table.retention,
+        rules = [];
+
+    if (!core.isObject(retention) ||
+        (retention.purgeDeletedAfterDays === undefined && retention.expireAfterDays === undefined) ||
+        (retention.purgeDeletedAfterDays !== undefined && !isDays(retention.purgeDeletedAfterDays)) ||
+        (retention.expireAfterDays !== undefined && !isDays(retention.expireAfterDays)) ||
+        (retention.expireColumn !== undefined && !(core.isString(retention.expireColumn) && identifierRegex.test(retention.expireColumn)))) {
+        throw new core.MobileServiceError(_.sprintf(resource.retentionNotValid, table.name));
+    }
+
+    if (retention.expireAfterDays !== undefined) {
+        rules.push({ name: 'expire', column: retention.expireColumn || '__createdAt', days: retention.expireAfterDays, purge: false });
+    }
+    if (retention.purgeDeletedAfterDays !== undefined) {
+        rules.push({ name: 'purge', column: '__updatedAt', days: retention.purgeDeletedAfterDays, purge: true });
+    }
+
+    return rules;
+}
+
+function isDays(value) {
+    return core.isNumber(value) && value > 0;
+}
+
+function createMember(column) {
+    return new MemberExpression(new ParameterExpression(), column);
+}
+
+// Returns the expression that selects the rows with the ids as a balanced tree of
+// 'or' expressions, rather than a chain that would nest as deeply as there are ids.
+function createIdFilter(ids) {
+    if (ids.length === 1) {
+        return new BinaryExpression(createMember('id'), new ConstantExpression(ids[0]), ExpressionType.Equal);
+    }
+
+    var middle = Math.ceil(ids.length / 2);
+    return new BinaryExpression(createIdFilter(ids.slice(0, middle)), createIdFilter(ids.slice(middle)), ExpressionType.Or);
+}
@@ -236,6 +236,10 @@ ScriptLoader.prototype.getTableScript = function (table, operation) {
         throw new Error('Operation must be a non-empty string');
     }
 
+    if (!_.contains(Metadata.tableOperations, operation)) {
+        throw new Error(_.sprintf("'%s' is not a supported table operation", operation));
+    }
+
     var key = this.cache.getKey('table', _.sprintf("%s.%s.js", table, operation));
     var scriptInfo = this.cache.get(key);
 
@@ -371,7 +375,7 @@ function isModule(scriptType, filepath, filename) {
     // Once we support v2 style table/job/etc scripts, this will need to be updated for
     // those script types
     var ext = path.extname(filename).toLowerCase();
-    return (ext === '.json' || scriptType === 'api' || scriptType === 'extensions');
+    return (ext === '.json' || scriptType === 'api' || scriptType === 'extensions' || scriptType === 'migrations');
 }
 
 function isMetadataFile(filename) {
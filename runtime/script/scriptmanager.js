@@ -13,6 +13,7 @@ var vm = require('vm'),
     sqlAdapter = require('./sqladapter'),
     tripwire = require('tripwire'),
     Table = require('./table'),
+    Transaction = require('./transaction'),
     ScriptLoader = require('./scriptloader'),
     path = require('path'),
     _ = require('underscore'),
@@ -25,6 +26,9 @@ exports = module.exports = ScriptManager;
 
 var logSource = 'ScriptManager';
 
+// permission levels from the least to the most restrictive
+var permissionLevels = ['public', 'application', 'user', 'admin'];
+
 // define globals we want to provide user
 // scripts access to
 statusCodes = StatusCodes;
@@ -64,9 +68,26 @@ ScriptManager.prototype.getTablePermission = function (tableName, operation) {
         }
     }
 
+    // an upsert either inserts or updates the item, so unless a permission
+    // is declared for it, it requires the permissions of both
+    if (operation === 'upsert') {
+        return getStricterPermission(this.getTablePermission(tableName, 'insert'),
+                                     this.getTablePermission(tableName, 'update'));
+    }
+
     return null;
 };
 
+// Return the required permission level for reading the table along with the
+// related tables whose items are included with the results
+ScriptManager.prototype.getReadPermission = function (tableName, relatedTableNames) {
+    var self = this;
+
+    return relatedTableNames.reduce(function (permission, relatedTableName) {
+        return getStricterPermission(permission, self.getTablePermission(relatedTableName, 'read'));
+    }, this.getTablePermission(tableName, 'read'));
+};
+
 ScriptManager.prototype.getRoutePermission = function (scriptType, rootFileName, path, operation) {
     // first see if there is a permissions file in the script directory
     // if so, that takes precedence
@@ -87,6 +108,10 @@ ScriptManager.prototype.hasTableScript = function (table, operation) {
     return this.scriptLoader.getTableScript(table, scriptErrors.normalizeOperationName(operation)) !== null;
 };
 
+ScriptManager.prototype.hasSharedScript = function (scriptName) {
+    return this.scriptLoader.getScript('shared', scriptName) !== null;
+};
+
 ScriptManager.prototype.getLogSourceName = function (table, operation) {
     var normalizedOperationName = scriptErrors.normalizeOperationName(operation);
     var source = scriptErrors.getTableScriptSource(table, normalizedOperationName);
@@ -231,14 +256,21 @@ ScriptManager.prototype._createServicesForSandbox = function (services, source,
                 throw new core.MobileServiceError("Table name cannot be null or empty.", core.ErrorCodes.ScriptError);
             }
 
-            return new Table(self.storage, tableName, source, logger, self.metrics, responseCallback);
+            return new Table(self.storage, tableName, source, logger, self.metrics, responseCallback, self.getDataModel());
+        },
+
+        // runs the table operations and mssql queries made through the object passed
+        // to the callback in a single transaction (see ./transaction)
+        transaction: function (callback, callbackOptions) {
+            var transaction = new Transaction(self.storage, source, logger, self.metrics, responseCallback, self.getDataModel());
+            transaction.run(callback, callbackOptions);
         }
     };
 
     // expose the current table name programmatically in server scripts as tables.current.
     if (options.currentTableName !== undefined) {
         core.createLazyProperty(services.tables, 'current', function () {
-            return new Table(self.storage, options.currentTableName, source, logger, self.metrics, responseCallback);
+            return new Table(self.storage, options.currentTableName, source, logger, self.metrics, responseCallback, self.getDataModel());
         });
     }
 
@@ -248,7 +280,7 @@ ScriptManager.prototype._createServicesForSandbox = function (services, source,
 
     // define lazy property for mssql wrapper
     core.createLazyProperty(services, 'mssql', function () {
-        return sqlAdapter.create(self.storage.connection, logger, self.metrics, source, responseCallback);
+        return sqlAdapter.create(self.storage.provider, self.storage.connection, logger, self.metrics, source, responseCallback);
     });
 };
 
@@ -302,3 +334,18 @@ ScriptManager.prototype._createConsoleObject = function (source, logger) {
         error: core.curry(logUser, LogType.Error)
     };
 };
+
+// returns the more restrictive of two permissions, where no permission
+// means the default, admin
+function getStricterPermission(permission1, permission2) {
+    if (!permission1 || !permission2) {
+        return null;
+    }
+
+    function getLevel(permission) {
+        // user and authenticated are synonyms
+        return permissionLevels.indexOf(permission === 'authenticated' ? 'user' : permission);
+    }
+
+    return getLevel(permission1) >= getLevel(permission2) ? permission1 : permission2;
+}
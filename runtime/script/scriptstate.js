@@ -53,7 +53,7 @@ function ScriptState(operation, scriptArg, tableMetadata, responseCallback, logg
 ScriptState.prototype.execute = function (callbackOptions) {
 
     var options = {
-        supportsConflict: (this.operation === 'update' || this.operation === 'del') &&
+        supportsConflict: (this.operation === 'update' || this.operation === 'upsert' || this.operation === 'del') &&
                            this.tableMetadata.supportsConflict,
 
         supportsIncludeDeleted: (this.operation == 'read' &&
@@ -94,7 +94,7 @@ ScriptState.prototype.execute = function (callbackOptions) {
         }
 
         if (callbackOptions) {
-            var operationIsDeleteOrUpdate = self.operation === 'update' || self.operation === 'del';
+            var operationIsDeleteOrUpdate = self.operation === 'update' || self.operation === 'upsert' || self.operation === 'del';
             if (!err) {
                 var args = [results];
                 if (self.operation == 'insert' || operationIsDeleteOrUpdate) {
@@ -2,21 +2,24 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // ----------------------------------------------------------------------------
 //
-// Adapts the sqlserver module for direct use from ZUMO scripts
+// Adapts the storage provider's driver for direct use from ZUMO scripts. When
+// created for a storage transaction, queries are run in the transaction.
 
 var core = require('../core'),
-    sqlserver = require('sqlserver'),
+    resource = require('../resources'),
     scriptErrors = require('./scripterror'),
     util = require('util');
 
-module.exports.create = function(connectionString, logger, metrics, source, responseCallback) {
-    var adapter = new SqlAdapter(connectionString, logger, metrics, source, responseCallback);
+module.exports.create = function(provider, connectionString, logger, metrics, source, responseCallback, transaction) {
+    var adapter = new SqlAdapter(provider, connectionString, logger, metrics, source, responseCallback, transaction);
     return adapter.createMSSQLModule();
 };
 
 var logSource = 'SqlAdapter';
 
-function SqlAdapter(connectionString, logger, metrics, source, responseCallback) {
+function SqlAdapter(provider, connectionString, logger, metrics, source, responseCallback, transaction) {
+    this.provider = provider;
+    this.transaction = transaction;
     this.connectionString = connectionString;
     this.logger = logger;
     this.source = source;
@@ -28,12 +31,12 @@ SqlAdapter.prototype.createMSSQLModule = function () {
     var self = this;
 
     self.logger.trace(logSource, 'Creating MSSQL Module', self.getTraceDetails());
-    return {
+    var mssql = {
         open: function (callbackOptions) {
             var traceDetails = self.getTraceDetails("open");
             var args = self.prepareArgs('open', null, callbackOptions, traceDetails, "Unable to open connection: ");
             self.executeSqlServerFunction(traceDetails, function () {
-                return sqlserver.open(self.connectionString, args.callback);
+                return self.provider.open(self.connectionString, args.callback);
             });
         },
         query: function (query, paramsOrCallback, callbackOptions) {
@@ -41,7 +44,7 @@ SqlAdapter.prototype.createMSSQLModule = function () {
             var args = self.prepareArgs('query', paramsOrCallback, callbackOptions, traceDetails, "Error occurred executing query: ");
 
             self.executeSqlServerFunction(traceDetails, function () {
-                return sqlserver.query(self.connectionString, query, args.params, args.callback);
+                return self.executeQuery('query', query, args.params, args.callback);
             });
         },
         queryRaw: function (query, paramsOrCallback, callbackOptions) {
@@ -49,10 +52,30 @@ SqlAdapter.prototype.createMSSQLModule = function () {
             var args = self.prepareArgs('queryRaw', paramsOrCallback, callbackOptions, traceDetails, "Error occurred executing query: ");
 
             self.executeSqlServerFunction(traceDetails, function () {
-                return sqlserver.queryRaw(self.connectionString, query, args.params, args.callback);
+                return self.executeQuery('queryRaw', query, args.params, args.callback);
             });
         }
     };
+
+    if (this.transaction) {
+        // a connection opened by the script wouldn't be part of the transaction
+        delete mssql.open;
+    }
+
+    return mssql;
+};
+
+SqlAdapter.prototype.executeQuery = function (method, query, params, callback) {
+    if (!this.transaction) {
+        return this.provider[method](this.connectionString, query, params, callback);
+    }
+
+    if (this.transaction.completed) {
+        callback(new core.MobileServiceError(resource.transactionCompleted));
+        return;
+    }
+
+    return this.transaction[method](query, params, callback);
 };
 
 SqlAdapter.prototype.prepareArgs = function (method, paramsOrCallbackOptions, callbackOptions, traceDetails, errormsg) {
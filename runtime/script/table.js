@@ -7,6 +7,7 @@
 // runs tables.getTable passing in the name of a table.
 
 var DataOperation = require('../request/dataoperation'),
+    AuditLog = require('../request/auditlog'),
     core = require('../core'),
     scriptErrors = require('./scripterror'),
     Query = require('../Zumo.Node').Query,
@@ -17,7 +18,9 @@ var DataOperation = require('../request/dataoperation'),
 
 exports = module.exports = Table;
 
-function Table(storage, table, source, logger, metrics, responseCallback) {
+// the changes made to the items of tables of the data model that are
+// audited are recorded in their audit logs (see ../request/auditlog)
+function Table(storage, table, source, logger, metrics, responseCallback, dataModel) {
 
     var validateItemForTableOperation = function (item, operation, mustHaveId) {
         if (!core.isObject(item)) {
@@ -167,7 +170,7 @@ function Table(storage, table, source, logger, metrics, responseCallback) {
                 }
             });
 
-            var dataOperation = new DataOperation(storage, source, logger);
+            var dataOperation = new DataOperation(storage, source, logger, null, AuditLog.create(dataModel, storage, table, null, logger));
             var options = { systemProperties: systemProperties, includeDeleted: includeDeleted };
             dataOperation[operationName](table, operationArg, options, responseCallback, scriptCallback);
         });
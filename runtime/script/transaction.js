@@ -0,0 +1,258 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module implements tables.transaction for server scripts. The tables and
+// mssql module of the transaction object passed to the transaction callback
+// share a single SQL transaction. The transaction is committed once the callback
+// and the callbacks of all of the operations it started have returned. It is
+// rolled back if any of them throws, if an operation fails without an error
+// callback to handle the failure, or if the transaction doesn't complete in time.
+
+var Table = require('./table'),
+    sqlAdapter = require('./sqladapter'),
+    scriptErrors = require('./scripterror'),
+    core = require('../core'),
+    resource = require('../resources'),
+    Query = require('../Zumo.Node').Query,
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+exports = module.exports = Transaction;
+
+var logSource = 'Transaction';
+
+var timeoutMS = 30 * 1000;
+
+var tableOperations = ['read', 'insert', 'update', 'del', 'lookup'];
+
+function Transaction(storage, source, logger, metrics, responseCallback, dataModel) {
+    this.storage = storage;
+    this.source = source;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.responseCallback = responseCallback;
+    this.dataModel = dataModel;
+
+    // the number of callbacks that have yet to return
+    this.pendingCount = 0;
+    this.completed = false;
+}
+
+Transaction.prototype.run = function (callback, callbackOptions) {
+    var self = this;
+
+    if (!core.isFunction(callback)) {
+        throw new core.MobileServiceError("The transaction callback must be a function.", core.ErrorCodes.ScriptError);
+    }
+    core.validateCallbackOptions(callbackOptions, 'transaction');
+
+    this.callbackOptions = callbackOptions;
+    this.metrics.event('api.table.transaction');
+
+    this.storage.beginTransaction(this.logger, function (err, storage) {
+        if (err) {
+            self._complete(err);
+            return;
+        }
+
+        self.transactionStorage = storage;
+        self.timer = setTimeout(function () {
+            self._abort(new core.MobileServiceError(_.sprintf("The transaction did not complete within %d milliseconds and was rolled back.", timeoutMS), core.ErrorCodes.ScriptError));
+        }, timeoutMS);
+
+        self._runCallback(function () {
+            callback(self._createTransactionObject());
+        });
+    });
+};
+
+Transaction.prototype._createTransactionObject = function () {
+    var self = this,
+        storage = this.transactionStorage,
+        tx = {};
+
+    // errors that aren't handled by the script end the transaction
+    // before they are handled as they are outside of a transaction
+    var responseCallback = function (error) {
+        if (error) {
+            self._abort(error);
+        }
+    };
+
+    tx.getTable = function (tableName) {
+        if (!core.isString(tableName)) {
+            throw new core.MobileServiceError("Table name cannot be null or empty.", core.ErrorCodes.ScriptError);
+        }
+
+        var table = new Table(storage, tableName, self.source, self.logger, self.metrics, responseCallback, self.dataModel);
+        tableOperations.forEach(function (operation) {
+            self._trackOperation(table, operation, function (args) {
+                // a read can be passed callback options without a query
+                var hasQuery = operation !== 'read' || (args[0] && args[0].constructor == Query);
+                return hasQuery ? 1 : 0;
+            });
+        });
+
+        return table;
+    };
+
+    core.createLazyProperty(tx, 'mssql', function () {
+        var mssql = sqlAdapter.create(storage.provider, storage.connection, self.logger, self.metrics, self.source, responseCallback, storage.transaction);
+        ['query', 'queryRaw'].forEach(function (operation) {
+            self._trackOperation(mssql, operation, function (args) {
+                // the parameters are optional
+                var hasParameters = args.length > 2 || !(core.isObject(args[1]) || core.isFunction(args[1]));
+                return hasParameters ? 2 : 1;
+            });
+        });
+
+        return mssql;
+    });
+
+    return tx;
+};
+
+// Wraps an operation of the target so that the transaction waits for its
+// callbacks to return. getCallbackOptionsIndex(args) returns the index of the
+// operation's callback options in its arguments.
+Transaction.prototype._trackOperation = function (target, operation, getCallbackOptionsIndex) {
+    var self = this,
+        execute = target[operation];
+
+    target[operation] = function () {
+        var args = _.toArray(arguments),
+            index = getCallbackOptionsIndex(args);
+
+        if (self.completed) {
+            throw new core.MobileServiceError(resource.transactionCompleted, core.ErrorCodes.ScriptError);
+        }
+
+        args[index] = self._wrapCallbackOptions(args[index]);
+
+        self.pendingCount++;
+        try {
+            return execute.apply(target, args);
+        }
+        catch (e) {
+            self.pendingCount--;
+            throw e;
+        }
+    };
+};
+
+Transaction.prototype._wrapCallbackOptions = function (callbackOptions) {
+    var self = this;
+
+    if (callbackOptions !== undefined && !core.isObject(callbackOptions)) {
+        // invalid options are reported by the operation
+        return callbackOptions;
+    }
+
+    var options = _.clone(callbackOptions) || {};
+
+    _.each(['success', 'error', 'conflict'], function (name) {
+        var callback = options[name];
+        if (core.isFunction(callback)) {
+            options[name] = function () {
+                // query results can be returned in more than one call
+                var more = name === 'success' && arguments[1] === true;
+                callback.apply(null, arguments);
+                if (!more) {
+                    self._operationCompleted();
+                }
+            };
+        }
+    });
+
+    if (!options.success) {
+        options.success = function (results, more) {
+            if (more !== true) {
+                self._operationCompleted();
+            }
+        };
+    }
+
+    return options;
+};
+
+Transaction.prototype._runCallback = function (callback) {
+    this.pendingCount++;
+    try {
+        callback();
+    }
+    catch (e) {
+        var error = e;
+        if (e.constructor !== core.MobileServiceError) {
+            error = new core.MobileServiceError(e, core.ErrorCodes.ScriptError);
+        }
+        scriptErrors.handleScriptError(error, this.source, this.logger);
+        this._abort(error);
+        return;
+    }
+    this._operationCompleted();
+};
+
+Transaction.prototype._operationCompleted = function () {
+    var self = this;
+
+    if (--this.pendingCount > 0 || this.completed) {
+        return;
+    }
+
+    this.completed = true;
+    clearTimeout(this.timer);
+
+    this.logger.trace(logSource, 'Committing transaction');
+    this.transactionStorage.commit(this.logger, function (err) {
+        self._complete(err);
+    });
+};
+
+Transaction.prototype._abort = function (error) {
+    var self = this;
+
+    if (this.completed) {
+        return;
+    }
+
+    this.completed = true;
+    clearTimeout(this.timer);
+
+    this.logger.trace(logSource, 'Rolling back transaction');
+    this.transactionStorage.rollback(this.logger, function () {
+        self._complete(error);
+    });
+};
+
+// reports the outcome of the transaction to the script
+Transaction.prototype._complete = function (error) {
+    var callbackOptions = this.callbackOptions,
+        callback;
+
+    if (error) {
+        if (!callbackOptions || !callbackOptions.error) {
+            error.code = core.ErrorCodes.ScriptError;
+            scriptErrors.handleScriptError(error, this.source, this.logger, this.responseCallback);
+            return;
+        }
+
+        callback = function () {
+            callbackOptions.error(scriptErrors.prepareUserError(error));
+        };
+    }
+    else if (callbackOptions && callbackOptions.success) {
+        callback = callbackOptions.success;
+    }
+
+    if (callback) {
+        try {
+            callback();
+        }
+        catch (e) {
+            scriptErrors.handleScriptError(new core.MobileServiceError(e, core.ErrorCodes.ScriptError), this.source, this.logger, this.responseCallback);
+        }
+    }
+};
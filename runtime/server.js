@@ -24,6 +24,9 @@ var RequestHandler = require('./request/requesthandler'),
     Metrics = require('./metrics'),
     ScriptManager = require('./script/scriptmanager'),
     ExtensionManager = require('./script/extensionmanager'),
+    MigrationManager = require('./script/migrationmanager'),
+    RetentionManager = require('./script/retentionmanager'),
+    AuditLog = require('./request/auditlog'),
     Storage = require('./storage/Storage'),
     UserService = require('./users/userservice'),
     resource = require('./resources'),
@@ -53,6 +56,7 @@ function Server(env, options) {
     this._sentinelFilePollInterval = parseInt(env.MS_SentinelFilePollInterval, 10) || 5000;
     this._processShutdownTimeout = parseInt(env.MS_ProcessShutdownTimeout, 10) || 2000;
     this._metricsFlushTimeout = parseInt(env.MS_MetricsTimeout, 10) || 300000;
+    this._retentionPurgeInterval = parseInt(env.MS_RetentionPurgeInterval, 10) || 3600000;
     this._iisNodeControlPipe = env.IISNODE_CONTROL_PIPE;
     this._homePath = env.HOME;
 
@@ -110,9 +114,11 @@ Server.prototype._createAndInitializeServices = function (env) {
 
     this._userService = UserService.create(env, previewFeatures, this._metrics, this._globalLogger);
     this._pushAdapter = new PushAdapter(configPath, env, authenticationCredentials);
-    this._storage = new Storage(env.MS_SqlConnectionString, env.MS_MobileServiceName, core.parseBoolean(env.MS_DynamicSchemaEnabled), this._globalLogger, this._metrics);
+    this._storage = Storage.create(env.MS_StorageProvider, env.MS_SqlConnectionString, env.MS_MobileServiceName, core.parseBoolean(env.MS_DynamicSchemaEnabled), this._globalLogger, this._metrics);
     this._scriptManager = new ScriptManager(configPath, this._storage, this._globalLogger, this._metrics, this._pushAdapter);
-    this._requestHandler = new RequestHandler(configPath, env.MS_MasterKey, env.MS_ApplicationSystemKey, env.MS_MobileServiceName, authenticationCredentials, crossDomainWhitelist, env.MS_ApplicationKey, this._runtimeVersion, env.requestTimeout, this._storage, this._scriptManager, this._globalLogger, this._metrics, env.MS_LogLevel, env.MS_LogServiceURL, env.MS_LogServiceToken, maxRequestBodySize, newRelicAdapter, this._userService, this._pushAdapter, env.MS_MobileServiceDomainSuffix, env.MS_RequireHttps, !!env.MS_SkipVersionCheck);
+    this._migrationManager = new MigrationManager(this._scriptManager, this._storage, this._globalLogger, this._metrics, configPath);
+    this._retentionManager = new RetentionManager(this._scriptManager, this._storage, this._globalLogger, this._metrics);
+    this._requestHandler = new RequestHandler(configPath, env.MS_MasterKey, env.MS_ApplicationSystemKey, env.MS_MobileServiceName, authenticationCredentials, crossDomainWhitelist, env.MS_ApplicationKey, this._runtimeVersion, env.requestTimeout, this._storage, this._scriptManager, this._globalLogger, this._metrics, env.MS_LogLevel, env.MS_LogServiceURL, env.MS_LogServiceToken, maxRequestBodySize, newRelicAdapter, this._userService, this._pushAdapter, env.MS_MobileServiceDomainSuffix, env.MS_RequireHttps, !!env.MS_SkipVersionCheck, this._migrationManager);
     this._extensionManager = new ExtensionManager(this._app, this._scriptManager, this._globalLogger, this._metrics, configPath);
 
     // Ensure any calls to console are redirected to the log
@@ -141,6 +147,22 @@ Server.prototype._createHttpServer = function (env) {
             function (done) { self._requestHandler.initialize(self._app, self._extensionManager, done); }
         ];
 
+        if (self._storage.provider.autoCreateTables) {
+            asyncStartupFunctions.push(function (done) { self._createTables(done); });
+        }
+
+        asyncStartupFunctions.push(function (done) { self._syncTableSchemas(done); });
+
+        // migrations are applied once the tables they change exist
+        asyncStartupFunctions.push(function (done) { self._migrationManager.initialize(done); });
+        asyncStartupFunctions.push(function (done) { self._migrationManager.migrate(done); });
+
+        // the retention rules of tables are enforced in the background (hourly by default)
+        asyncStartupFunctions.push(function (done) {
+            self._retentionManager.start(self._retentionPurgeInterval);
+            done();
+        });
+
         if (!self._pushAdapter.notificationHubPush) {
             asyncStartupFunctions.push(function (done) {
                 self._scriptManager.runFeedbackScript(3600000);
@@ -160,6 +182,62 @@ Server.prototype._createHttpServer = function (env) {
     return server;
 };
 
+// Create the tables declared in the data model, for storage providers
+// whose tables aren't provisioned through the portal
+Server.prototype._createTables = function (done) {
+    var self = this,
+        dataModel = this._scriptManager.getDataModel(),
+        tables = (dataModel && dataModel.tables) || [];
+
+    var createTableFunctions = tables.map(function (table) {
+        return function (next) {
+            self._storage.createTable(table.name, self._globalLogger, function (err) {
+                if (err) {
+                    self._globalLogger.error(logSource, err);
+                }
+                next();
+            });
+        };
+    });
+
+    core.async.series(createTableFunctions, done);
+};
+
+// Create or alter the tables that declare their columns in the data model
+// so that their schema matches the declaration
+Server.prototype._syncTableSchemas = function (done) {
+    var self = this,
+        dataModel = this._scriptManager.getDataModel(),
+        tables = (dataModel && dataModel.tables) || [];
+
+    var syncFunctions = tables.filter(function (table) {
+        return table.columns !== undefined;
+    }).map(function (table) {
+        return function (next) {
+            self._storage.syncTableSchema(table.name, table.columns, self._globalLogger, function (err) {
+                if (err) {
+                    self._globalLogger.error(logSource, err);
+                }
+                next();
+            });
+        };
+    });
+
+    // the changes made to audited tables are recorded in the __audit table
+    if (_.some(tables, AuditLog.isAudited)) {
+        syncFunctions.push(function (next) {
+            AuditLog.syncTable(self._storage, self._globalLogger, function (err) {
+                if (err) {
+                    self._globalLogger.error(logSource, err);
+                }
+                next();
+            });
+        });
+    }
+
+    core.async.series(syncFunctions, done);
+};
+
 // Set up our filewatcher on the sentinel file
 Server.prototype._setupFileWatcher = function () {
     var self = this;
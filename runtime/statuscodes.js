@@ -25,6 +25,7 @@
         GONE: 410,
         PRECONDITION_FAILED: 412,
         REQUEST_ENTITY_TOO_LARGE: 413,
+        FAILED_DEPENDENCY: 424,
         INTERNAL_SERVER_ERROR: 500,
         BAD_GATEWAY: 502,
         SERVICE_UNAVAILABLE: 503
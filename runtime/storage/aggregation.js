@@ -0,0 +1,42 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module validates queries that group and aggregate rows with $apply (see
+// QueryParser.apply). The results of such queries have a property per grouped
+// column and per aggregate, which are all they can be ordered by.
+
+var core = require('../core'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+require('../query/queryparser');
+
+_.mixin(_str.exports());
+
+// Returns the parsed $apply of the query, throwing if the query is ordered by other
+// than its properties. The query options that can't be used with $apply are rejected
+// by the validation of requests (see Request.validateQuery).
+exports.getApply = function (query) {
+    var apply = (query._parsed && query._parsed.apply) || QueryParser.apply(query.apply);
+
+    var properties = exports.getProperties(apply).map(function (property) {
+        return property.toLowerCase();
+    });
+
+    var orderings = (query._parsed && query._parsed.orderBy) || (query.orderBy ? QueryParser.orderBy(query.orderBy) : []);
+    orderings.forEach(function (ordering) {
+        var selector = ordering.selector;
+        if (selector.expressionType !== ExpressionType.MemberAccess || !core.isString(selector.member) ||
+            !_.contains(properties, selector.member.toLowerCase())) {
+            throw new Error('The results of $apply can only be ordered by its grouped properties and aggregates.');
+        }
+    });
+
+    return apply;
+};
+
+// returns the names of the properties of the results
+exports.getProperties = function (apply) {
+    return apply.groupBy.concat(_.pluck(apply.aggregates, 'alias'));
+};
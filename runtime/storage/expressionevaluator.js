@@ -0,0 +1,316 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Evaluates query expressions against an item in javascript, following the
+// semantics of the SQL SqlFormatter generates. Comparisons against null are
+// unknown (null) rather than false, and strings are compared case insensitively
+// as they are with SQL Server's default collation.
+
+(function (global) {
+
+    var core = require('../core'),
+        Geography = require('../query/geography'),
+        _ = require('underscore'),
+        _str = require('underscore.string');
+
+        require('../query/expressions');
+        require('../query/expressionvisitor');
+
+    _.mixin(_str.exports());
+
+    // getMember(item, memberName) returns the value of the member of the item
+    var ctor = function (getMember) {
+        this.getMember = getMember;
+    };
+
+    var instanceMembers = {
+
+        evaluate: function (expr, item) {
+            this.item = item;
+            return this.visit(expr);
+        },
+
+        visitConstant: function (expr) {
+            return expr.value;
+        },
+
+        visitMember: function (expr) {
+            if (typeof expr.member === 'string' && expr.instance.expressionType === ExpressionType.MemberAccess) {
+                return getJsonMember(this.visit(expr.instance), expr.member);
+            }
+            else if (typeof expr.member === 'string') {
+                return this.getMember(this.item, expr.member);
+            }
+
+            // mapped members (e.g. length) are evaluated as functions
+            return this._evaluateMappedFunction(expr.member, this.visit(expr.instance), []);
+        },
+
+        visitUnary: function (expr) {
+            var operand = this.visit(expr.operand);
+
+            if (expr.expressionType == ExpressionType.Not) {
+                return operand === null ? null : !operand;
+            }
+            else if (expr.expressionType == ExpressionType.Negate) {
+                return operand === null ? null : -operand;
+            }
+
+            // conversions only change the SQL type of a value
+            return operand;
+        },
+
+        visitBinary: function (expr) {
+            // both sides are always evaluated so that every member is
+            // validated, as it is when SQL compiles the statement
+            var left = this.visit(expr.left);
+
+            if (expr.right && (expr.right.value === null)) {
+                // equality against a null literal tests for null, as IS NULL does
+                if (expr.expressionType == ExpressionType.Equal) {
+                    return left === null;
+                }
+                else if (expr.expressionType == ExpressionType.NotEqual) {
+                    return left !== null;
+                }
+            }
+
+            var right = this.visit(expr.right);
+
+            switch (expr.expressionType) {
+                case ExpressionType.And:
+                    if (left === false || right === false) {
+                        return false;
+                    }
+                    return (left === true && right === true) ? true : null;
+                case ExpressionType.Or:
+                    if (left === true || right === true) {
+                        return true;
+                    }
+                    return (left === false && right === false) ? false : null;
+            }
+
+            if (left === null || right === null) {
+                return null;
+            }
+
+            switch (expr.expressionType) {
+                case ExpressionType.Equal:
+                    return ExpressionEvaluator.compare(left, right) === 0;
+                case ExpressionType.NotEqual:
+                    return ExpressionEvaluator.compare(left, right) !== 0;
+                case ExpressionType.LessThan:
+                    return ExpressionEvaluator.compare(left, right) < 0;
+                case ExpressionType.LessThanOrEqual:
+                    return ExpressionEvaluator.compare(left, right) <= 0;
+                case ExpressionType.GreaterThan:
+                    return ExpressionEvaluator.compare(left, right) > 0;
+                case ExpressionType.GreaterThanOrEqual:
+                    return ExpressionEvaluator.compare(left, right) >= 0;
+                case ExpressionType.Add:
+                    return left + right;
+                case ExpressionType.Subtract:
+                    return left - right;
+                case ExpressionType.Multiply:
+                    return left * right;
+                case ExpressionType.Divide:
+                    return left / right;
+                case ExpressionType.Modulo:
+                    return left % right;
+            }
+
+            throw new Error(_.sprintf("Unsupported expression type '%s'.", expr.expressionType));
+        },
+
+        visitFunction: function (expr) {
+            var instance = expr.instance ? this.visit(expr.instance) : null,
+                self = this;
+
+            var args = expr.args.map(function (arg) {
+                return self.visit(arg);
+            });
+
+            return this._evaluateMappedFunction(expr.memberInfo, instance, args);
+        },
+
+        _evaluateMappedFunction: function (mappedMemberInfo, instance, args) {
+            // as with SQL, functions of null values are null
+            if ((!mappedMemberInfo.isStatic && instance === null) || _.contains(args, null)) {
+                return null;
+            }
+
+            if (mappedMemberInfo.type == 'string') {
+                return this._evaluateMappedStringMember(instance, mappedMemberInfo, args);
+            }
+            else if (mappedMemberInfo.type == 'date') {
+                return this._evaluateMappedDateMember(instance, mappedMemberInfo, args);
+            }
+            else if (mappedMemberInfo.type == 'math') {
+                return this._evaluateMappedMathMember(instance, mappedMemberInfo, args);
+            }
+            else if (mappedMemberInfo.type == 'geo') {
+                return this._evaluateMappedGeoMember(mappedMemberInfo, args);
+            }
+        },
+
+        _evaluateMappedGeoMember: function (mappedMemberInfo, args) {
+            // geography columns hold the well known text of their points
+            var values = args.map(Geography.toGeography);
+            if (_.contains(values, null)) {
+                return null;
+            }
+
+            if (mappedMemberInfo.memberName == 'geo.distance') {
+                return Geography.distance(values[0], values[1]);
+            }
+            else if (mappedMemberInfo.memberName == 'geo.intersects') {
+                return Geography.intersects(values[0], values[1]);
+            }
+        },
+
+        _evaluateMappedDateMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            // date parts are those of the UTC time, which is what SQL Server stores
+            if (functionName == 'day') {
+                return instance.getUTCDate();
+            }
+            else if (functionName == 'month') {
+                return instance.getUTCMonth() + 1;
+            }
+            else if (functionName == 'year') {
+                return instance.getUTCFullYear();
+            }
+            else if (functionName == 'hour') {
+                return instance.getUTCHours();
+            }
+            else if (functionName == 'minute') {
+                return instance.getUTCMinutes();
+            }
+            else if (functionName == 'second') {
+                return instance.getUTCSeconds();
+            }
+            else if (functionName == 'date') {
+                return new Date(Date.UTC(instance.getUTCFullYear(), instance.getUTCMonth(), instance.getUTCDate()));
+            }
+            else if (functionName == 'time') {
+                // hh:mm:ss.fff, as time literals are
+                return instance.toISOString().substr(11, 12);
+            }
+            else if (functionName == 'totaloffsetminutes') {
+                // dates are stored as UTC times
+                return 0;
+            }
+        },
+
+        _evaluateMappedMathMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (functionName == 'floor') {
+                return Math.floor(instance);
+            }
+            else if (functionName == 'ceiling') {
+                return Math.ceil(instance);
+            }
+            else if (functionName == 'round') {
+                // midpoints are rounded away from zero, as SQL does
+                return (instance < 0 ? -1 : 1) * Math.round(Math.abs(instance));
+            }
+        },
+
+        _evaluateMappedStringMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (functionName == 'substringof') {
+                return instance.toLowerCase().indexOf(args[0].toLowerCase()) >= 0;
+            }
+            else if (functionName == 'startswith') {
+                return _.startsWith(instance.toLowerCase(), args[0].toLowerCase());
+            }
+            else if (functionName == 'endswith') {
+                return _.endsWith(instance.toLowerCase(), args[0].toLowerCase());
+            }
+            else if (functionName == 'concat') {
+                return String(args[0]) + String(args[1]);
+            }
+            else if (functionName == 'tolower') {
+                return instance.toLowerCase();
+            }
+            else if (functionName == 'toupper') {
+                return instance.toUpperCase();
+            }
+            else if (functionName == 'length') {
+                return instance.length;
+            }
+            else if (functionName == 'trim') {
+                return instance.trim();
+            }
+            else if (functionName == 'indexof') {
+                return instance.toLowerCase().indexOf(args[0].toLowerCase());
+            }
+            else if (functionName == 'replace') {
+                return instance.split(args[0]).join(args[1]);
+            }
+            else if (functionName == 'substring') {
+                return args.length == 2 ? instance.substr(args[0], args[1]) : instance.substr(args[0]);
+            }
+        }
+    };
+
+    var classMembers = {
+        // compares two values the way SQL Server does, returning a negative
+        // number, zero or a positive number. null is less than any value.
+        compare: function (value1, value2) {
+            if (value1 === null || value2 === null) {
+                return (value1 === null ? 0 : 1) - (value2 === null ? 0 : 1);
+            }
+
+            value1 = toComparable(value1);
+            value2 = toComparable(value2);
+
+            if (value1 < value2) {
+                return -1;
+            }
+            return value1 > value2 ? 1 : 0;
+        }
+    };
+
+    // returns the member of an object, or of the object of json text, as JSON_VALUE
+    // does for a member path (e.g. address/city), or null if there isn't one
+    function getJsonMember(value, member) {
+        if (core.isString(value)) {
+            try {
+                value = JSON.parse(value);
+            }
+            catch (error) {
+                return null;
+            }
+        }
+
+        if (!core.isObject(value) || value[member] === undefined) {
+            return null;
+        }
+        return value[member];
+    }
+
+    function toComparable(value) {
+        if (core.isString(value)) {
+            return value.toLowerCase();
+        }
+        else if (core.isDate(value)) {
+            return value.getTime();
+        }
+        else if (Buffer.isBuffer(value)) {
+            return value.toString('hex');
+        }
+        else if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        return value;
+    }
+
+    ExpressionEvaluator = core.deriveClass(ExpressionVisitor, ctor, instanceMembers);
+    core.defineClass(ExpressionEvaluator, null, classMembers);
+
+})(typeof exports === "undefined" ? this : exports);
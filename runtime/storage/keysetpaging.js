@@ -0,0 +1,202 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module implements continuation (keyset) paging of queries. Rather than
+// skipping the rows of the previous pages, each page seeks past the sort key of
+// the last row of the previous page, which is encoded in an opaque continuation
+// token. Queries are also ordered by id, so the position of every row is unique.
+//
+// The seek filter relies on nulls sorting before any value, as they do in SQL
+// Server, so storage providers that sort them differently must order them
+// explicitly for continuation queries.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+require('../query/expressions');
+require('../query/queryparser');
+
+_.mixin(_str.exports());
+
+// Returns the orderings of the query followed by an ordering by id, unless it is
+// already ordered by id, throwing if it is ordered by anything other than columns.
+exports.getOrderings = function (query) {
+    var orderings = [];
+
+    if (query._parsed && query._parsed.orderBy) {
+        orderings = query._parsed.orderBy;
+    }
+    else if (query.orderBy) {
+        try {
+            orderings = QueryParser.orderBy(query.orderBy);
+        }
+        catch (e) {
+            throw new core.MobileServiceError('Invalid query specified. ' + e, core.ErrorCodes.BadInput);
+        }
+    }
+
+    var orderedById = false;
+    orderings.forEach(function (ordering) {
+        // member paths into json columns (e.g. address/city) aren't columns
+        if (ordering.selector.expressionType !== ExpressionType.MemberAccess || !core.isString(ordering.selector.member) ||
+            ordering.selector.instance.expressionType === ExpressionType.MemberAccess) {
+            throw new core.MobileServiceError(resource.continuationOrderingNotSupported, core.ErrorCodes.BadInput);
+        }
+        orderedById = orderedById || ordering.selector.member.toLowerCase() === 'id';
+    });
+
+    if (!orderedById) {
+        orderings = orderings.concat(QueryParser.orderBy('id'));
+    }
+
+    return orderings;
+};
+
+// returns the $orderby expression of the orderings
+exports.formatOrderBy = function (orderings) {
+    return orderings.map(function (ordering) {
+        return ordering.selector.member + (ordering.ascending ? '' : ' desc');
+    }).join(',');
+};
+
+// returns the names of the columns the orderings sort by
+exports.getColumns = function (orderings) {
+    return orderings.map(function (ordering) {
+        return ordering.selector.member;
+    });
+};
+
+// Returns the continuation token of the page following the specified row,
+// which must include the values of all of the columns the query is ordered by.
+exports.createToken = function (orderings, row) {
+    var values = orderings.map(function (ordering) {
+        return encodeValue(getValue(row, ordering.selector.member));
+    });
+
+    var token = {
+        o: getOrderingKey(orderings),
+        v: values
+    };
+
+    return core.base64UrlEncode(JSON.stringify(token));
+};
+
+// Returns the filter that selects the rows following the position encoded
+// in the token, throwing if the token isn't valid for the orderings.
+exports.createSeekFilter = function (orderings, token) {
+    var values = parseToken(orderings, token),
+        filter = null,
+        equalities = null;
+
+    // a row follows the position if its first n - 1 sort keys equal those of
+    // the position and its nth key sorts after that of the position
+    orderings.forEach(function (ordering, i) {
+        var after = createAfterExpression(ordering, values[i]);
+        if (after) {
+            after = equalities ? new BinaryExpression(equalities, after, ExpressionType.And) : after;
+            filter = filter ? new BinaryExpression(filter, after, ExpressionType.Or) : after;
+        }
+
+        var equal = new BinaryExpression(createMember(ordering), new ConstantExpression(values[i]), ExpressionType.Equal);
+        equalities = equalities ? new BinaryExpression(equalities, equal, ExpressionType.And) : equal;
+    });
+
+    return filter;
+};
+
+// returns the expression that tests if the column of the ordering sorts
+// after the value, or null if no value can sort after it
+function createAfterExpression(ordering, value) {
+    if (ordering.ascending) {
+        if (value === null) {
+            return new BinaryExpression(createMember(ordering), new ConstantExpression(null), ExpressionType.NotEqual);
+        }
+        return new BinaryExpression(createMember(ordering), new ConstantExpression(value), ExpressionType.GreaterThan);
+    }
+
+    if (value === null) {
+        return null;
+    }
+
+    // nulls sort last when descending
+    return new BinaryExpression(
+        new BinaryExpression(createMember(ordering), new ConstantExpression(value), ExpressionType.LessThan),
+        new BinaryExpression(createMember(ordering), new ConstantExpression(null), ExpressionType.Equal),
+        ExpressionType.Or);
+}
+
+function createMember(ordering) {
+    return new MemberExpression(ordering.selector.instance, ordering.selector.member);
+}
+
+function parseToken(orderings, token) {
+    var invalidToken = new core.MobileServiceError(resource.invalidContinuationToken, core.ErrorCodes.BadInput),
+        parsed;
+
+    try {
+        parsed = JSON.parse(core.base64UrlDecode(token));
+    }
+    catch (e) {
+        throw invalidToken;
+    }
+
+    if (!core.isObject(parsed) || parsed.o !== getOrderingKey(orderings) ||
+        !core.isArray(parsed.v) || parsed.v.length !== orderings.length) {
+        throw invalidToken;
+    }
+
+    return parsed.v.map(function (value) {
+        value = decodeValue(value);
+        if (value === undefined) {
+            throw invalidToken;
+        }
+        return value;
+    });
+}
+
+// identifies the orderings a token was created for, ignoring the
+// casing of the column names as the database does
+function getOrderingKey(orderings) {
+    return exports.formatOrderBy(orderings).toLowerCase();
+}
+
+function getValue(row, column) {
+    column = column.toLowerCase();
+
+    var property = _.find(_.keys(row), function (property) {
+        return property.toLowerCase() === column;
+    });
+
+    return property === undefined ? null : row[property];
+}
+
+// dates and binary values (e.g. __version) aren't json values
+function encodeValue(value) {
+    if (core.isDate(value)) {
+        return { d: value.toISOString() };
+    }
+    else if (Buffer.isBuffer(value)) {
+        return { b: value.toString('base64') };
+    }
+    return value;
+}
+
+// returns the encoded value, or undefined if it isn't valid
+function decodeValue(value) {
+    if (core.isObject(value)) {
+        if (core.isString(value.d)) {
+            return core.parseISODate(value.d) || undefined;
+        }
+        else if (core.isString(value.b)) {
+            return new Buffer(value.b, 'base64');
+        }
+        return undefined;
+    }
+    else if (value === null || core.isString(value) || core.isNumber(value) || typeof value === 'boolean') {
+        return value;
+    }
+    return undefined;
+}
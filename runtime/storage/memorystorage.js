@@ -0,0 +1,1089 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Storage that keeps tables in memory instead of a database, for testing
+// scripts and for prototyping. It derives from Storage and keeps its contracts:
+// inserts return the id and system properties, updates and deletes return row
+// counts and report merge conflicts, tables with a __deleted column are soft
+// deleted and inline counts return { results, count }. Queries are evaluated
+// in javascript from the parsed query expressions (see ./expressionevaluator).
+//
+// Tables must be created using createTable, which creates a table with a string
+// id and all system columns. New columns are added as they are on SQL Server
+// when dynamic schema is enabled. The nullability and max length of columns
+// declared in the data model are enforced as they are by SQL Server.
+//
+// Rolling back a transaction restores the tables as they were when it began.
+// Transactions aren't isolated, so changes made outside of a transaction while
+// it is open are rolled back with it.
+
+var util = require('util'),
+    _ = require('underscore'),
+    _str = require('underscore.string'),
+    uuid = require('request/uuid'),
+    resource = require('../resources'),
+    core = require('../core'),
+    Storage = require('./storage'),
+    TableMetadata = require('./tablemetadata'),
+    Aggregation = require('./aggregation'),
+    Search = require('./search'),
+    Geography = require('../query/geography');
+
+require('./sqlhelpers');
+require('./typeconverter');
+require('./expressionevaluator');
+require('../query/queryparser');
+
+_.mixin(_str.exports());
+
+exports = module.exports = MemoryStorage;
+
+var logSource = 'MemoryStorage';
+
+var sqlNotSupported = 'SQL statements cannot be executed against in-memory storage.';
+
+function MemoryStorage(appName, dynamicSchemaEnabled, logger, metrics) {
+    Storage.call(this, null, appName, dynamicSchemaEnabled, logger, metrics, { provider: new MemoryProvider() });
+
+    // tables keyed by lower case name, since names are case insensitive in SQL Server
+    this.tables = {};
+    this.lastVersion = 0;
+}
+
+util.inherits(MemoryStorage, Storage);
+
+MemoryStorage.prototype.getTableMetadata = function (table, logger, callback) {
+    var memoryTable = this._getTable(table),
+        columns = [];
+
+    if (memoryTable) {
+        columns = _.map(memoryTable.columns, function (column, name) {
+            return { name: name, type: column.type };
+        });
+    }
+
+    callback(null, TableMetadata.fromColumns(columns));
+};
+
+MemoryStorage.prototype.beginTransaction = function (logger, callback) {
+    var tables = this.tables,
+        snapshot = copyTables(tables);
+
+    logger.trace(logSource, 'Beginning transaction');
+
+    function query(statement, parameters, callback) {
+        defer(callback)(new core.MobileServiceError(sqlNotSupported));
+    }
+
+    var transaction = {
+        query: query,
+        queryRaw: query,
+        commit: function (callback) {
+            defer(callback)(null);
+        },
+        rollback: function (callback) {
+            _.each(_.keys(tables), function (name) {
+                delete tables[name];
+            });
+            _.extend(tables, snapshot);
+            defer(callback)(null);
+        }
+    };
+
+    var storage = Object.create(this);
+    storage.transaction = transaction;
+    defer(callback)(null, storage);
+};
+
+MemoryStorage.prototype._getTableColumns = function (table, logger, callback) {
+    var memoryTable = this._getTable(table),
+        columns = [];
+
+    if (memoryTable) {
+        columns = _.map(memoryTable.columns, function (column, name) {
+            return { name: name, type: column.type, nullable: column.nullable !== false, maxLength: column.maxLength || null };
+        });
+    }
+
+    defer(callback)(null, columns);
+};
+
+// adds the columns with their defaults, which fill the column of existing
+// rows, and changes the type, nullability and length of altered columns
+MemoryStorage.prototype._alterTableSchema = function (table, changes, logger, callback) {
+    var done = defer(callback);
+
+    try {
+        var memoryTable = this._getExistingTable(table);
+
+        changes.add.concat(changes.alter).forEach(function (declaredColumn) {
+            var name = declaredColumn.name.toLowerCase(),
+                defaultValue = declaredColumn.defaultValue,
+                column = memoryTable.columns[name];
+
+            if (!column) {
+                column = { name: declaredColumn.name };
+                if (defaultValue !== null) {
+                    column.defaultValue = function () { return copyValue(defaultValue); };
+                }
+                memoryTable.rows.forEach(function (row) {
+                    row[name] = copyValue(defaultValue);
+                });
+            }
+
+            var columns = _.clone(memoryTable.columns);
+            columns[name] = _.extend({}, column, {
+                type: declaredColumn.type,
+                nullable: declaredColumn.nullable,
+                maxLength: declaredColumn.maxLength
+            });
+
+            memoryTable.rows.forEach(function (row) {
+                checkConstraints({ columns: columns }, row);
+            });
+            memoryTable.columns = columns;
+        });
+    }
+    catch (e) {
+        logger.trace(logSource, 'Declared schema update failed. ' + e.toString());
+        done(toMobileServiceError(e));
+        return;
+    }
+
+    logger.trace(logSource, _.sprintf("Updated the schema of table '%s' to match its declaration.", table));
+    done(null);
+};
+
+MemoryStorage.prototype.createTable = function (table, logger, callback) {
+    var done = defer(callback),
+        self = this;
+
+    try {
+        SqlHelpers.validateIdentifier(table);
+    }
+    catch (error) {
+        done(error);
+        return;
+    }
+
+    if (!this._getTable(table)) {
+        logger.trace(logSource, 'Creating table ' + table);
+
+        var memoryTable = this.tables[table.toLowerCase()] = { name: table, columns: {}, rows: [] };
+
+        // the defaults of the system columns are those of tables created through the portal
+        addColumn(memoryTable, 'id', 'nvarchar', function () { return uuid().toUpperCase(); });
+        addColumn(memoryTable, '__createdAt', 'datetimeoffset', function () { return new Date(); });
+        addColumn(memoryTable, '__updatedAt', 'datetimeoffset', function () { return new Date(); });
+        addColumn(memoryTable, '__version', 'timestamp', function () { return self._createVersion(); });
+        addColumn(memoryTable, '__deleted', 'bit', function () { return false; });
+    }
+
+    done(null);
+};
+
+MemoryStorage.prototype._insert = function (options, callback) {
+    var self = this,
+        logger = options.logger,
+        item = options.item,
+        done = defer(callback);
+
+    this._getTableMetadataAndSupportedSystemProperties(options.table, options.systemProperties, logger, function (error, systemProperties, tableMetadata) {
+        if (error) {
+            done(error);
+            return;
+        }
+
+        // the items of an array are inserted all or none, as they are in
+        // a single SQL transaction
+        var items = core.isArray(item) ? item : [item],
+            memoryTable = self._getTable(options.table),
+            rowCount = memoryTable ? memoryTable.rows.length : 0,
+            results;
+
+        try {
+            results = items.map(function (item) {
+                return self._insertItem(options.table, item, tableMetadata, systemProperties);
+            });
+        }
+        catch (e) {
+            if (memoryTable) {
+                memoryTable.rows.splice(rowCount);
+            }
+            logger.trace(logSource, 'Insert failed. ' + e.toString());
+            done(toMobileServiceError(e));
+            return;
+        }
+
+        logger.trace(logSource, 'Insert completed successfully.');
+        items.forEach(function (item, index) {
+            core.extend(item, results[index]);
+        });
+        done(null, item);
+    });
+};
+
+MemoryStorage.prototype._insertItem = function (table, item, tableMetadata, systemProperties) {
+    var memoryTable = this._getExistingTable(table),
+        hasStringId = tableMetadata.hasStringId,
+        self = this;
+
+    _.each(item, function (value, prop) {
+        self._validateProperty(prop, value);
+
+        if (prop === 'id' && value) {
+            if (!hasStringId) {
+                throw new core.MobileServiceError(resource.intIdValueNotAllowedOnInsert, core.ErrorCodes.BadInput);
+            }
+            else if (!core.isValidStringId(value)) {
+                throw new core.MobileServiceError("The value specified for property 'id' is invalid. An id must not contain any control characters or the characters \",+,?,\\,`.", core.ErrorCodes.BadInput);
+            }
+        }
+    });
+
+    // a default id is ignored
+    var values = _.omit(item, item.id ? [] : ['id']);
+    this._addColumns(memoryTable, values, tableMetadata);
+
+    if (values.id && findRows(memoryTable, values.id).length > 0) {
+        throw new core.MobileServiceError(resource.itemWithIdAlreadyExists, core.ErrorCodes.Conflict);
+    }
+
+    var row = {};
+    _.each(memoryTable.columns, function (column, name) {
+        row[name] = column.defaultValue ? column.defaultValue() : null;
+    });
+    setValues(memoryTable, row, values);
+    memoryTable.rows.push(row);
+
+    var systemColumns = hasStringId ? systemProperties.map(core.systemPropertyToColumnName) : [];
+    return selectColumns(row, ['id'].concat(systemColumns));
+};
+
+MemoryStorage.prototype._update = function (options, callback) {
+    var self = this,
+        table = options.table,
+        logger = options.logger,
+        item = options.item,
+        done = defer(callback);
+
+    if (item.__version) {
+        item.__version = core.normalizeVersion(item.__version);
+    }
+
+    this._getTableMetadataAndSupportedSystemProperties(table, options.systemProperties, logger, function (error, systemProperties, tableMetadata) {
+        if (error) {
+            done(error);
+            return;
+        }
+
+        var update;
+        try {
+            update = self._updateItem(table, options.id, item, tableMetadata, systemProperties, options.rowFilter);
+        }
+        catch (e) {
+            logger.trace(logSource, 'Update failed. ' + e.toString());
+            done(toMobileServiceError(e));
+            return;
+        }
+
+        // if update fails then we want to detect if the row was soft deleted
+        var isUndelete = item.__deleted === false;
+
+        if ((!update.version && isUndelete) || update.rowCount > 0) {
+            logger.trace(logSource, 'Update completed successfully. Rows affected: ' + update.rowCount);
+            core.extend(item, update.result);
+            done(null, update.rowCount);
+            return;
+        }
+
+        // find the row to see if version mismatch occured or the record was soft deleted
+        self._handleUpdateOrDeleteFailure(logger, table, item, callback, 'update', options.rowFilter);
+    });
+};
+
+MemoryStorage.prototype._updateItem = function (table, id, item, tableMetadata, systemProperties, rowFilter) {
+    var memoryTable = this._getExistingTable(table),
+        hasStringId = tableMetadata.hasStringId,
+        isUndelete = item.__deleted === false,
+        values = {},
+        resultColumns = [],
+        version = null;
+
+    for (var prop in item) {
+        var value = item[prop];
+
+        if (hasStringId && prop.toLowerCase() === '__version') {
+            resultColumns.push(prop);
+            version = value;
+            continue;
+        }
+
+        // the id pk cannot be updated
+        if (prop.toLowerCase() == 'id') {
+            continue;
+        }
+
+        this._validateProperty(prop, value);
+        values[prop] = value;
+    }
+
+    this._addColumns(memoryTable, values, tableMetadata);
+
+    var self = this;
+    var rows = findRows(memoryTable, id).filter(function (row) {
+        // deleted rows are filtered out unless we want to undelete the item
+        return (!version || versionEquals(row.__version, version)) &&
+               (!tableMetadata.supportsSoftDelete || isUndelete || !row.__deleted) &&
+               matchesRowFilter(row, rowFilter);
+    });
+
+    rows.forEach(function (row) {
+        setValues(memoryTable, row, values);
+        self._touchRow(memoryTable, row);
+    });
+
+    if (hasStringId) {
+        _.each(systemProperties, function (systemProperty) {
+            if (!version || systemProperty !== 'version') {
+                resultColumns.push(core.systemPropertyToColumnName(systemProperty));
+            }
+        });
+    }
+
+    var row = findRows(memoryTable, id)[0];
+
+    return {
+        rowCount: rows.length,
+        version: version,
+        result: (row && resultColumns.length > 0) ? selectColumns(row, resultColumns) : null
+    };
+};
+
+MemoryStorage.prototype._merge = function (options, tableMetadata, systemProperties, callback) {
+    var item = options.item,
+        logger = options.logger,
+        done = defer(callback),
+        created = false,
+        result;
+
+    try {
+        var memoryTable = this._getExistingTable(options.table),
+            row = findRows(memoryTable, item.id)[0];
+
+        if (!row) {
+            result = this._insertItem(options.table, item, tableMetadata, systemProperties);
+            created = true;
+        }
+        else if (tableMetadata.supportsSoftDelete && row.__deleted) {
+            throw new core.MobileServiceError(_.sprintf(resource.itemNotFound, item.id), core.ErrorCodes.ItemSoftDeleted);
+        }
+        else {
+            result = this._updateItem(options.table, item.id, item, tableMetadata, systemProperties).result;
+        }
+    }
+    catch (e) {
+        logger.trace(logSource, 'Upsert failed. ' + e.toString());
+        done(toMobileServiceError(e));
+        return;
+    }
+
+    logger.trace(logSource, _.sprintf('Upsert completed successfully. The item was %s.', created ? 'inserted' : 'replaced'));
+    core.extend(item, result);
+    done(null, created);
+};
+
+MemoryStorage.prototype._del = function (table, id, version, logger, options, callback) {
+    var self = this,
+        done = defer(callback);
+
+    this.getTableMetadata(table, logger, function (error, tableMetadata) {
+        var errorPrefix = tableMetadata.supportsSoftDelete ? 'Soft delete' : 'Delete',
+            forOperation = tableMetadata.supportsSoftDelete ? 'update' : 'delete',
+            deleteRowCount;
+
+        try {
+            deleteRowCount = self._deleteItem(table, id, version, tableMetadata, options && options.rowFilter);
+        }
+        catch (e) {
+            logger.trace(logSource, _.sprintf('%s failed. %s', errorPrefix, e.toString()));
+            done(toMobileServiceError(e));
+            return;
+        }
+
+        if (!version || deleteRowCount > 0) {
+            logger.trace(logSource, _.sprintf('%s completed successfully. Rows affected: %d', errorPrefix, deleteRowCount));
+            done(null, deleteRowCount);
+            return;
+        }
+
+        self._handleUpdateOrDeleteFailure(logger, table, { id: id, __version: version }, callback, forOperation, options && options.rowFilter);
+    });
+};
+
+MemoryStorage.prototype._deleteItem = function (table, id, version, tableMetadata, rowFilter) {
+    var memoryTable = this._getExistingTable(table),
+        self = this;
+
+    var rows = findRows(memoryTable, id).filter(function (row) {
+        return (!version || versionEquals(row.__version, version)) &&
+               (!tableMetadata.supportsSoftDelete || !row.__deleted) &&
+               matchesRowFilter(row, rowFilter);
+    });
+
+    if (tableMetadata.supportsSoftDelete) {
+        rows.forEach(function (row) {
+            row.__deleted = true;
+            self._touchRow(memoryTable, row);
+        });
+    }
+    else {
+        memoryTable.rows = _.difference(memoryTable.rows, rows);
+    }
+
+    return rows.length;
+};
+
+MemoryStorage.prototype._bulkUpdate = function (options, callback) {
+    var self = this,
+        logger = options.logger,
+        done = defer(callback);
+
+    this.getTableMetadata(options.table, logger, function (error, tableMetadata) {
+        var rows;
+        try {
+            var memoryTable = self._getExistingTable(options.table),
+                values = {};
+
+            rows = self._findBulkRows(memoryTable, options.query, tableMetadata);
+
+            _.each(options.item, function (value, prop) {
+                if (!_.contains(['id', '__version'], prop.toLowerCase())) {
+                    self._validateProperty(prop, value);
+                    values[prop] = value;
+                }
+            });
+
+            if (_.isEmpty(values)) {
+                throw new core.MobileServiceError('One or more update values must be specified.', core.ErrorCodes.BadInput);
+            }
+
+            self._addColumns(memoryTable, values, tableMetadata);
+
+            // the values are checked against all of the rows before any are updated,
+            // so that either all or none of them are, as in a single statement
+            rows.forEach(function (row) {
+                setValues(memoryTable, _.clone(row), values);
+            });
+            rows.forEach(function (row) {
+                setValues(memoryTable, row, values);
+                self._touchRow(memoryTable, row);
+            });
+        }
+        catch (e) {
+            logger.trace(logSource, 'Bulk update failed. ' + e.toString());
+            done(toMobileServiceError(e));
+            return;
+        }
+
+        logger.trace(logSource, 'Bulk update completed successfully. Rows affected: ' + rows.length);
+        done(null, rows.length);
+    });
+};
+
+MemoryStorage.prototype._bulkDel = function (query, logger, purge, callback) {
+    var self = this,
+        done = defer(callback);
+
+    this.getTableMetadata(query.table, logger, function (error, tableMetadata) {
+        var softDelete = tableMetadata.supportsSoftDelete && !purge,
+            errorPrefix = softDelete ? 'Bulk soft delete' : 'Bulk delete',
+            rows;
+
+        try {
+            var memoryTable = self._getExistingTable(query.table);
+            rows = self._findBulkRows(memoryTable, query, tableMetadata);
+
+            if (softDelete) {
+                rows.forEach(function (row) {
+                    row.__deleted = true;
+                    self._touchRow(memoryTable, row);
+                });
+            }
+            else {
+                memoryTable.rows = _.difference(memoryTable.rows, rows);
+            }
+        }
+        catch (e) {
+            logger.trace(logSource, _.sprintf('%s failed. %s', errorPrefix, e.toString()));
+            done(toMobileServiceError(e));
+            return;
+        }
+
+        logger.trace(logSource, _.sprintf('%s completed successfully. Rows affected: %d', errorPrefix, rows.length));
+        done(null, rows.length);
+    });
+};
+
+// returns the rows of the table that the bulk query selects, which are
+// evaluated as they are for queries
+MemoryStorage.prototype._findBulkRows = function (memoryTable, query, tableMetadata) {
+    var results = this._queryRows(_.extend({}, query, { select: 'id', systemProperties: [] }), tableMetadata)[0];
+
+    return memoryTable.rows.filter(function (row) {
+        return _.some(results, function (result) {
+            return ExpressionEvaluator.compare(row.id, result.id) === 0;
+        });
+    });
+};
+
+MemoryStorage.prototype._query = function (query, logger, callback) {
+    var self = this,
+        done = defer(callback);
+
+    this._getTableMetadataAndSupportedSystemProperties(query.table, query.systemProperties, logger, function (error, systemProperties, tableMetadata) {
+        if (error) {
+            done(error);
+            return;
+        }
+
+        query.systemProperties = systemProperties;
+
+        var results;
+        try {
+            results = self._queryRows(query, tableMetadata);
+        }
+        catch (e) {
+            if (e.sqlstate) {
+                self._handleQueryError(query, e, logger, done);
+            }
+            else {
+                logger.trace(logSource, 'Query failed. ' + e.toString());
+                done(toMobileServiceError(e));
+            }
+            return;
+        }
+
+        self._handleQuerySuccess(query, results, tableMetadata, logger, done);
+    });
+};
+
+// returns the result sets SQL would: the rows, followed by the count of
+// all matching rows if an inline count was requested
+MemoryStorage.prototype._queryRows = function (query, tableMetadata) {
+    var memoryTable = this._getExistingTable(query.table),
+        filter = null,
+        orderings = [],
+        columns = null,
+        apply = null;
+
+    try {
+        if (query.apply) {
+            apply = Aggregation.getApply(query);
+        }
+
+        if (query._parsed && query._parsed.filter) {
+            filter = query._parsed.filter;
+        }
+        else if (query.filter && query.filter.length > 0) {
+            filter = QueryParser.filter(query.filter);
+        }
+
+        if (query._parsed && query._parsed.orderBy) {
+            orderings = query._parsed.orderBy;
+        }
+        else if (query.orderBy) {
+            orderings = QueryParser.orderBy(query.orderBy);
+        }
+    }
+    catch (error) {
+        throw new core.MobileServiceError('Invalid query specified. ' + error, core.ErrorCodes.BadInput);
+    }
+
+    if (filter) {
+        filter = TypeConverter.convertTypes(filter, tableMetadata);
+    }
+
+    // if a skip is requested but no top is defined, the query is still paged
+    var top = (query.skip > 0 && query.top === undefined) ? core.MAX_INT : query.top,
+        paged = query.skip >= 0 && top >= 0 && !apply,
+        partitioned = !!query.partitionBy && !apply;
+
+    // paged and partitioned queries are ordered by id by default
+    if ((paged || partitioned) && orderings.length === 0) {
+        orderings = QueryParser.orderBy('id');
+    }
+
+    if (query.select) {
+        columns = query.select.split(',').concat(query.systemProperties.map(core.systemPropertyToColumnName));
+        columns = columns.map(function (column) {
+            column = column.trim();
+            getColumn(memoryTable, column);
+            return column;
+        });
+    }
+
+    var evaluator = new ExpressionEvaluator(function (row, member) {
+        var value = row[getColumn(memoryTable, member)];
+        return value === undefined ? null : value;
+    });
+
+    // evaluate the expressions against an empty row first, so that invalid
+    // columns are reported even when there are no rows, as they are by SQL
+    if (filter) {
+        evaluator.evaluate(filter, {});
+    }
+    if (apply) {
+        apply.groupBy.concat(_.compact(_.pluck(apply.aggregates, 'member'))).forEach(function (member) {
+            getColumn(memoryTable, member);
+        });
+    }
+    else {
+        orderings.forEach(function (ordering) {
+            // member paths into json columns are validated as they are in the filter
+            TypeConverter.convertTypes(ordering.selector, tableMetadata);
+            evaluator.evaluate(ordering.selector, {});
+        });
+    }
+
+    var search = query.search,
+        getScore = function (row) {
+            return Search.getScore(search, function (column) {
+                return row[getColumn(memoryTable, column)];
+            });
+        };
+
+    if (search) {
+        search.columns.forEach(function (column) {
+            getColumn(memoryTable, column);
+        });
+    }
+
+    var rows = memoryTable.rows.filter(function (row) {
+        return (query.id === undefined || ExpressionEvaluator.compare(row.id, query.id) === 0) &&
+               (!tableMetadata.supportsSoftDelete || query.includeDeleted || !row.__deleted) &&
+               (!filter || evaluator.evaluate(filter, row) === true) &&
+               (!search || getScore(row) > 0);
+    });
+
+    var count = rows.length;
+
+    if (apply) {
+        // the results are ordered by their own properties
+        rows = aggregateRows(memoryTable, rows, apply);
+        evaluator = new ExpressionEvaluator(function (result, member) {
+            var property = _.find(_.keys(result), function (property) {
+                return property.toLowerCase() === member.toLowerCase();
+            });
+            return result[property];
+        });
+    }
+
+    rows = sortRows(rows, orderings, evaluator);
+
+    // rows with the same score keep their order, as sortBy is stable
+    if (Search.isOrderedByScore(query)) {
+        rows = _.sortBy(rows, function (row) {
+            return -getScore(row);
+        });
+    }
+
+    if (partitioned) {
+        rows = partitionRows(memoryTable, rows, query.partitionBy, query.skip > 0 ? query.skip : 0,
+                             Math.min(top >= 0 ? top : Number.MAX_VALUE, query.resultLimit || Number.MAX_VALUE));
+    }
+    else if (paged) {
+        rows = rows.slice(query.skip, query.skip + top);
+    }
+    else {
+        var limit = Math.min(top >= 0 ? top : Number.MAX_VALUE, query.resultLimit || Number.MAX_VALUE);
+        rows = rows.slice(0, limit);
+    }
+
+    var results = apply ? rows : rows.map(function (row) {
+        var result = selectColumns(row, columns || _.pluck(memoryTable.columns, 'name'));
+        if (search && search.score) {
+            result[Search.scoreProperty] = getScore(row);
+        }
+        return result;
+    });
+
+    if (query.inlineCount === 'allpages') {
+        return [results, [{ count: count }]];
+    }
+
+    return [results];
+};
+
+// there is no database to execute sql against
+MemoryStorage.prototype._executeSql = function (sqlEventName, sqlStmt, parameters, logger, options, callback, sqlCallback) {
+    defer(sqlCallback)(new core.MobileServiceError(sqlNotSupported));
+};
+
+MemoryStorage.prototype._getTable = function (table) {
+    return this.tables[table.toLowerCase()];
+};
+
+MemoryStorage.prototype._getExistingTable = function (table) {
+    var memoryTable = this._getTable(table);
+    if (!memoryTable) {
+        throw createSqlError(_.sprintf("Invalid object name '%s'.", table), SqlErrorCodes.CannotDropTable);
+    }
+    return memoryTable;
+};
+
+// adds columns for the properties of the item that aren't in the table,
+// if dynamic schema is enabled
+MemoryStorage.prototype._addColumns = function (memoryTable, item, tableMetadata) {
+    var properties = _.filter(_.keys(item), function (property) {
+        return !memoryTable.columns[property.toLowerCase()];
+    });
+
+    if (properties.length === 0) {
+        return;
+    }
+
+    if (!this._isDynamicSchemaEnabled(memoryTable.name)) {
+        throw new core.MobileServiceError(resource.colNotInSchema, core.ErrorCodes.BadInput);
+    }
+
+    properties.forEach(function (property) {
+        if (item[property] === null) {
+            throw new core.MobileServiceError(_.sprintf("Unable to insert a null value for new property '%s'", property), core.ErrorCodes.BadInput);
+        }
+        if (core.isSystemColumnName(property) && tableMetadata.hasStringId) {
+            throw new core.MobileServiceError(_.sprintf("The column '%s' can not be dynamically added. Columns that begin with a '__' are considered system columns.", property), core.ErrorCodes.BadInput);
+        }
+    });
+
+    properties.forEach(function (property) {
+        // the type of the column SQL Server would create, without its length,
+        // or json for the columns that hold objects and arrays
+        var type = SqlHelpers.getSqlType(item[property], 'JSON').replace(/\(.*\)$/, '').toLowerCase();
+        addColumn(memoryTable, property, type);
+    });
+};
+
+// plays the part of the trigger that maintains the __updatedAt and __version columns
+MemoryStorage.prototype._touchRow = function (memoryTable, row) {
+    if (memoryTable.columns.__updatedat) {
+        row.__updatedat = new Date();
+    }
+    if (memoryTable.columns.__version) {
+        row.__version = this._createVersion();
+    }
+};
+
+// versions are 8 byte, increasing values like SQL Server rowversions
+MemoryStorage.prototype._createVersion = function () {
+    var version = new Buffer(8);
+    version.fill(0);
+    version.writeUInt32BE(++this.lastVersion, 4);
+    return version;
+};
+
+// The provider of the in-memory storage. Only the members used outside of
+// Storage are implemented, and there is no database to open for mssql.
+function MemoryProvider() {
+    this.name = 'memory';
+
+    // tables declared in the data model are created on startup
+    this.autoCreateTables = true;
+}
+
+MemoryProvider.prototype.open = function (connection, callback) {
+    defer(callback)(new core.MobileServiceError(sqlNotSupported));
+};
+
+MemoryProvider.prototype.query = function (connection, statement, parameters, callback) {
+    defer(callback)(new core.MobileServiceError(sqlNotSupported));
+};
+
+MemoryProvider.prototype.queryRaw = MemoryProvider.prototype.query;
+
+MemoryProvider.prototype.formatCurrentDateQuery = function () {
+    return 'SELECT getutcdate() AS currentDate';
+};
+
+MemoryProvider.prototype.convertResults = function (results, tableMetadata) {
+    return SqlHelpers.parseGeographyColumns(SqlHelpers.parseJsonColumns(results, tableMetadata), tableMetadata);
+};
+
+MemoryProvider.prototype.isTableNotFoundError = function (err) {
+    return err.sqlstate === SqlErrorCodes.CannotDropTable;
+};
+
+MemoryProvider.prototype.isUniqueConstraintViolation = function (err) {
+    return false;
+};
+
+function addColumn(memoryTable, name, type, defaultValue) {
+    memoryTable.columns[name.toLowerCase()] = { name: name, type: type, defaultValue: defaultValue };
+}
+
+// returns the row property of the column, as rows are keyed by lower case
+// column names. Throws the error SQL would for an unknown column.
+function getColumn(memoryTable, name) {
+    var column = name.toLowerCase();
+    if (!memoryTable.columns[column]) {
+        throw createSqlError(_.sprintf("Invalid column name '%s'.", name), SqlErrorCodes.InvalidColumnName);
+    }
+    return column;
+}
+
+function findRows(memoryTable, id) {
+    return memoryTable.rows.filter(function (row) {
+        return ExpressionEvaluator.compare(row.id, id) === 0;
+    });
+}
+
+// whether the row has the values of the row filter, compared as they are by queries
+function matchesRowFilter(row, rowFilter) {
+    return _.every(rowFilter || {}, function (value, column) {
+        var rowValue = row[column.toLowerCase()];
+        return ExpressionEvaluator.compare(rowValue === undefined ? null : rowValue, value) === 0;
+    });
+}
+
+function setValues(memoryTable, row, values) {
+    var columnValues = {};
+    _.each(values, function (value, prop) {
+        var column = getColumn(memoryTable, prop);
+
+        // binary values are sent as base64 strings
+        if (_.contains(['binary', 'timestamp'], memoryTable.columns[column].type) && core.isString(value)) {
+            value = new Buffer(value, 'base64');
+        }
+
+        // points are stored as their well known text, and other objects and
+        // arrays as json text, as they are in SQL
+        if (memoryTable.columns[column].type === 'geography' && Geography.isPoint(value)) {
+            value = Geography.format(value);
+        }
+        else if (core.isJsonValue(value)) {
+            value = JSON.stringify(value);
+        }
+
+        columnValues[column] = value;
+    });
+
+    checkConstraints(memoryTable, _.extend({}, row, columnValues));
+
+    _.each(columnValues, function (value, column) {
+        row[column] = copyValue(value);
+    });
+}
+
+// throws the error SQL would if the row violates the nullability
+// or max length of a column declared in the data model
+function checkConstraints(memoryTable, row) {
+    _.each(memoryTable.columns, function (column, name) {
+        var value = row[name];
+
+        if (column.nullable === false && (value === null || value === undefined)) {
+            throw createSqlError(_.sprintf("Cannot insert the value NULL into column '%s'.", column.name), SqlErrorCodes.ConstraintViolation);
+        }
+
+        if (column.maxLength && core.isString(value) && value.length > column.maxLength) {
+            throw new core.MobileServiceError(resource.maxColSizeExceeded, core.ErrorCodes.BadInput);
+        }
+    });
+}
+
+// returns a copy of the row with the specified columns, named as requested
+function selectColumns(row, columns) {
+    var result = {};
+    columns.forEach(function (column) {
+        var value = row[column.toLowerCase()];
+        result[column] = copyValue(value === undefined ? null : value);
+    });
+    return result;
+}
+
+function sortRows(rows, orderings, evaluator) {
+    if (orderings.length === 0) {
+        return rows;
+    }
+
+    var sortItems = rows.map(function (row, index) {
+        return {
+            row: row,
+            index: index,
+            keys: orderings.map(function (ordering) { return evaluator.evaluate(ordering.selector, row); })
+        };
+    });
+
+    sortItems.sort(function (item1, item2) {
+        for (var i = 0; i < orderings.length; i++) {
+            var result = ExpressionEvaluator.compare(item1.keys[i], item2.keys[i]);
+            if (result !== 0) {
+                return orderings[i].ascending ? result : -result;
+            }
+        }
+        // keep the sort stable
+        return item1.index - item2.index;
+    });
+
+    return _.pluck(sortItems, 'row');
+}
+
+// Skips and limits the rows of each partition of the sorted rows that have the same
+// value of the column, ordering the partitions by that value, as SQL does for
+// ROW_NUMBER() OVER (PARTITION BY column ...)
+function partitionRows(memoryTable, rows, column, skip, top) {
+    column = getColumn(memoryTable, column);
+
+    function getValue(row) {
+        return row[column] === undefined ? null : row[column];
+    }
+
+    var sortItems = rows.map(function (row, index) {
+        return { row: row, index: index };
+    });
+
+    sortItems.sort(function (item1, item2) {
+        return ExpressionEvaluator.compare(getValue(item1.row), getValue(item2.row)) || (item1.index - item2.index);
+    });
+
+    var position = 0;
+    return _.pluck(sortItems.filter(function (item, i) {
+        if (i > 0 && ExpressionEvaluator.compare(getValue(item.row), getValue(sortItems[i - 1].row)) !== 0) {
+            position = 0;
+        }
+        position++;
+        return position > skip && position <= skip + top;
+    }), 'row');
+}
+
+// groups the rows by the grouped columns of $apply and computes its aggregates
+// for each group. Without grouped columns, the rows form a single group even if
+// there are none, as they do in SQL.
+function aggregateRows(memoryTable, rows, apply) {
+    function getValue(row, member) {
+        var value = row[getColumn(memoryTable, member)];
+        return value === undefined ? null : value;
+    }
+
+    var groups = [];
+    if (apply.groupBy.length === 0) {
+        groups.push(rows);
+    }
+    else {
+        rows.forEach(function (row) {
+            var group = _.find(groups, function (group) {
+                return _.every(apply.groupBy, function (member) {
+                    return ExpressionEvaluator.compare(getValue(group[0], member), getValue(row, member)) === 0;
+                });
+            });
+
+            if (group) {
+                group.push(row);
+            }
+            else {
+                groups.push([row]);
+            }
+        });
+    }
+
+    return groups.map(function (group) {
+        var result = {};
+
+        apply.groupBy.forEach(function (member) {
+            result[member] = getValue(group[0], member);
+        });
+
+        apply.aggregates.forEach(function (aggregate) {
+            // aggregates other than $count ignore nulls
+            var values = group;
+            if (aggregate.member !== null) {
+                values = _.filter(group.map(function (row) { return getValue(row, aggregate.member); }), function (value) {
+                    return value !== null;
+                });
+            }
+            result[aggregate.alias] = computeAggregate(aggregate.method, values);
+        });
+
+        return result;
+    });
+}
+
+function computeAggregate(method, values) {
+    switch (method) {
+        case 'count':
+            return values.length;
+        case 'countdistinct':
+            var distinctValues = [];
+            values.forEach(function (value) {
+                if (!_.any(distinctValues, function (distinctValue) { return ExpressionEvaluator.compare(distinctValue, value) === 0; })) {
+                    distinctValues.push(value);
+                }
+            });
+            return distinctValues.length;
+        case 'min':
+        case 'max':
+            if (values.length === 0) {
+                return null;
+            }
+            return _.reduce(values, function (result, value) {
+                var comparison = ExpressionEvaluator.compare(value, result);
+                return (method === 'min' ? comparison < 0 : comparison > 0) ? value : result;
+            });
+        default:
+            // sum and average
+            if (values.length === 0) {
+                return null;
+            }
+            if (!_.every(values, core.isNumber)) {
+                throw createSqlError(_.sprintf("Operand data type is invalid for %s operator.", method), SqlErrorCodes.GeneralError);
+            }
+            var sum = _.reduce(values, function (sum, value) { return sum + value; }, 0);
+            return method === 'sum' ? sum : sum / values.length;
+    }
+}
+
+function versionEquals(rowVersion, version) {
+    return !!rowVersion && rowVersion.toString('base64') === new Buffer(version, 'base64').toString('base64');
+}
+
+function copyTables(tables) {
+    var copy = {};
+    _.each(tables, function (memoryTable, name) {
+        copy[name] = {
+            name: memoryTable.name,
+            columns: _.clone(memoryTable.columns),
+            rows: memoryTable.rows.map(function (row) {
+                return _.clone(row);
+            })
+        };
+    });
+    return copy;
+}
+
+function copyValue(value) {
+    if (core.isDate(value)) {
+        return new Date(value.getTime());
+    }
+    return value;
+}
+
+function createSqlError(message, sqlstate) {
+    var error = new Error(message);
+    error.sqlstate = sqlstate;
+    return error;
+}
+
+// errors of the table are reported wrapped, as Storage reports driver errors
+function toMobileServiceError(error) {
+    return error.constructor === core.MobileServiceError ? error : new core.MobileServiceError(error);
+}
+
+// returns a callback that is called asynchronously, as a database driver would
+function defer(callback) {
+    return function () {
+        var args = arguments;
+        process.nextTick(function () {
+            callback.apply(null, args);
+        });
+    };
+}
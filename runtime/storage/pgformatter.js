@@ -0,0 +1,241 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// SqlFormatter for the PostgreSQL dialect. Identifiers are double quoted, and
+// so are case sensitive.
+
+(function (global) {
+
+    var core = require('../core'),
+        _ = require('underscore'),
+        _str = require('underscore.string');
+
+        require('./sqlformatter');
+        require('./sqlhelpers');
+
+    var Geography = require('../query/geography');
+
+    _.mixin(_str.exports());
+
+    var ctor = function (schemaName, tableMetadata) {
+        this.schemaName = schemaName;
+        this.tableMetadata = tableMetadata;
+    };
+
+    var instanceMembers = {
+
+        _formatTableName: function (table) {
+            return PgFormatter.formatTableName(this.schemaName, table);
+        },
+
+        _formatMember: function (member) {
+            return PgFormatter.formatMember(member);
+        },
+
+        // the value at the path is selected as text, which untyped
+        // parameters compared with it are taken to be
+        _formatJsonPath: function (column, path) {
+            return _.sprintf("(%s #>> '{%s}')", column, path.join(','));
+        },
+
+        _formatQuery: function (query) {
+            return this._formatLimitQuery(query);
+        },
+
+        _formatPagedQuery: function (query) {
+            return this._formatLimitPagedQuery(query);
+        },
+
+        // counts are bigints and sums and averages of integers are numerics,
+        // which the driver returns as strings
+        _formatAggregate: function (aggregate) {
+            var formatted = this._super._formatAggregate.call(this, aggregate);
+
+            if (aggregate.method === 'count' || aggregate.method === 'countdistinct') {
+                return _.sprintf('CAST(%s AS integer)', formatted);
+            }
+            else if (aggregate.method === 'sum' || aggregate.method === 'average') {
+                return _.sprintf('CAST(%s AS double precision)', formatted);
+            }
+            return formatted;
+        },
+
+        // nulls sort last when ascending, so continuation queries, which
+        // rely on the SQL Server ordering, order them explicitly
+        _formatNullsOrder: function (query, ordering) {
+            if (!query.continuation) {
+                return '';
+            }
+            return ordering.ascending ? ' NULLS FIRST' : ' NULLS LAST';
+        },
+
+        visitUnary: function (expr) {
+            if (expr.expressionType == ExpressionType.Convert) {
+                this.sql += 'CAST(';
+                this.visit(expr.operand);
+                this.sql += _.sprintf(" AS %s)", expr.desiredType);
+                return expr;
+            }
+
+            return this._super.visitUnary.call(this, expr);
+        },
+
+        // parameters are sent untyped, so cast them where the function
+        // arguments don't determine their type
+        _visitText: function (expr) {
+            this.sql += 'CAST(';
+            this.visit(expr);
+            this.sql += ' AS text)';
+        },
+
+        _formatMappedDateMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (_.contains(['day', 'month', 'year', 'hour', 'minute', 'second'], functionName)) {
+                // date parts are those of the UTC time, which is what SQL Server stores.
+                // seconds include the fractional part, which DATEPART doesn't.
+                this.sql += _.sprintf("CAST(FLOOR(DATE_PART('%s', ", functionName);
+                this.visit(instance);
+                this.sql += " AT TIME ZONE 'UTC')) AS integer)";
+            }
+            else if (functionName == 'date') {
+                // the start of the UTC day, whatever the time zone of the session
+                this.sql += "(DATE_TRUNC('day', ";
+                this.visit(instance);
+                this.sql += " AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')";
+            }
+            else if (functionName == 'time') {
+                this.sql += 'CAST(';
+                this.visit(instance);
+                this.sql += " AT TIME ZONE 'UTC' AS time(3))";
+            }
+            else if (functionName == 'totaloffsetminutes') {
+                // timestamptz values don't keep their offset, and are read as UTC times
+                this.sql += '(CASE WHEN ';
+                this.visit(instance);
+                this.sql += ' IS NULL THEN NULL ELSE 0 END)';
+            }
+        },
+
+        // tables are searched without their full-text index, and
+        // ILIKE compares the terms with the columns case insensitively
+        _formatSearchCondition: function (query) {
+            return this._formatLikeSearchCondition(query);
+        },
+
+        _formatSearchScore: function (query) {
+            return this._formatLikeSearchScore(query);
+        },
+
+        _formatLike: function (column, term) {
+            return column + ' ILIKE ' + this._formatLikePattern(term);
+        },
+
+        // geography columns are PostGIS geography columns
+        _formatMappedGeoMember: function (mappedMemberInfo, args) {
+            this.sql += mappedMemberInfo.memberName == 'geo.distance' ? 'ST_Distance(' : 'ST_Intersects(';
+            this._visitGeography(args[0]);
+            this.sql += ', ';
+            this._visitGeography(args[1]);
+            this.sql += ')';
+        },
+
+        _formatGeographyLiteral: function (value) {
+            return _.sprintf("ST_GeogFromText('SRID=%d;%s')", Geography.srid, Geography.format(value));
+        },
+
+        _formatMappedMathMember: function (instance, mappedMemberInfo, args) {
+            if (mappedMemberInfo.memberName == 'round') {
+                // ROUND only rounds midpoints away from zero for numeric values
+                this.sql += 'ROUND(CAST(';
+                this.visit(instance);
+                this.sql += ' AS numeric))';
+            }
+            else {
+                this._super._formatMappedMathMember.call(this, instance, mappedMemberInfo, args);
+            }
+        },
+
+        _formatMappedStringMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (functionName == 'substringof') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += " LIKE ('%' || ";
+                this._visitText(args[0]);
+                this.sql += " || '%'))";
+            }
+            else if (functionName == 'startswith') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += ' LIKE (';
+                this._visitText(args[0]);
+                this.sql += " || '%'))";
+            }
+            else if (functionName == 'endswith') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += " LIKE ('%' || ";
+                this._visitText(args[0]);
+                this.sql += '))';
+            }
+            else if (functionName == 'concat') {
+                this.sql += '(';
+                this._visitText(args[0]);
+                this.sql += ' || ';
+                this._visitText(args[1]);
+                this.sql += ')';
+            }
+            else if (functionName == 'length') {
+                this.sql += 'LENGTH(';
+                this.visit(instance);
+                this.sql += ')';
+            }
+            else if (functionName == 'indexof') {
+                this.sql += '(STRPOS(';
+                this.visit(instance);
+                this.sql += ', ';
+                this._visitText(args[0]);
+                this.sql += ') - 1)';
+            }
+            else if (functionName == 'substring') {
+                this.sql += 'SUBSTR(';
+                this.visit(instance);
+                this.sql += ', ';
+                this.visit(args[0]);
+                this.sql += ' + 1';  // need to add 1 since SQL is 1 based, but OData is zero based
+
+                if (args.length == 2) {
+                    this.sql += ', ';
+                    this.visit(args[1]);
+                }
+
+                this.sql += ')';
+            }
+            else {
+                this._super._formatMappedStringMember.call(this, instance, mappedMemberInfo, args);
+            }
+        }
+    };
+
+    var classMembers = {
+        // SECURITY - identifiers are validated before they are quoted, as
+        // SqlHelpers does for SQL Server
+        formatTableName: function (schemaName, tableName) {
+            SqlHelpers.validateIdentifier(schemaName);
+            SqlHelpers.validateIdentifier(tableName);
+            return _.sprintf('"%s"."%s"', schemaName, tableName);
+        },
+
+        formatMember: function (memberName) {
+            SqlHelpers.validateIdentifier(memberName);
+            return _.sprintf('"%s"', memberName);
+        }
+    };
+
+    PgFormatter = core.deriveClass(SqlFormatter, ctor, instanceMembers);
+    core.defineClass(PgFormatter, null, classMembers);
+
+})(typeof exports === "undefined" ? this : exports);
@@ -0,0 +1,518 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Storage provider for PostgreSQL using the pg driver. The connection string
+// is a postgres:// connection URI. Each application's tables live in a schema
+// named after the application, as they do on SQL Server. See ../storage.js for
+// the provider interface.
+//
+// Postgres has no rowversion type, so __version is a bytea column that a
+// trigger stamps with the next value of a schema wide sequence on every insert
+// and update, encoded as 8 bytes like a SQL Server rowversion.
+
+var _ = require('underscore'),
+    _str = require('underscore.string'),
+    core = require('../../core'),
+    statementBatch = require('../statementbatch'),
+    pg = null;
+
+require('../sqlhelpers');
+require('../pgformatter');
+
+_.mixin(_str.exports());
+
+exports = module.exports = PostgresProvider;
+
+// connection pools, keyed by connection string and shared by all providers in the process
+var pools = {};
+
+// OID of the bigint type. COUNT(*) and bigint ids are returned as
+// numbers rather than the driver's default of strings.
+var int8TypeId = 20;
+
+// the type of the columns that hold objects and arrays
+var jsonType = 'JSONB';
+
+// the type names Storage expects, keyed by information_schema data types
+var columnTypes = {
+    'character varying': 'nvarchar',
+    'character': 'nchar',
+    'text': 'nvarchar',
+    'bigint': 'bigint',
+    'integer': 'int',
+    'smallint': 'smallint',
+    'numeric': 'numeric',
+    'double precision': 'float',
+    'real': 'real',
+    'boolean': 'bit',
+    'timestamp with time zone': 'datetimeoffset',
+    'timestamp without time zone': 'datetime2',
+    'date': 'date',
+    'bytea': 'binary',
+    'jsonb': 'json',
+    'json': 'json',
+    'geography': 'geography'
+};
+
+var sqlTypes = {
+    'NVARCHAR(MAX)': 'text',
+    'FLOAT(53)': 'double precision',
+    'BIT': 'boolean',
+    'DATETIMEOFFSET(3)': 'timestamp(3) with time zone',
+    'INT': 'integer',
+    'BIGINT': 'bigint',
+    'JSONB': 'jsonb',
+    'GEOGRAPHY': 'geography(Point, 4326)'
+};
+
+var postgresErrorStates = {
+    '42P01': SqlErrorCodes.CannotDropTable,             // undefined_table
+    '42703': SqlErrorCodes.InvalidColumnName,           // undefined_column
+    '42701': SqlErrorCodes.ColumnNamesMustBeUnique,     // duplicate_column
+    '22001': SqlErrorCodes.ColumnSizeExceeded,          // string_data_right_truncation
+    '28000': SqlErrorCodes.LoginFailed,                 // invalid_authorization_specification
+    '28P01': SqlErrorCodes.LoginFailed,                 // invalid_password
+    '40001': SqlTemporaryErrorCodes.TimeoutExpired,     // serialization_failure
+    '40P01': SqlTemporaryErrorCodes.TimeoutExpired,     // deadlock_detected
+    '55P03': SqlTemporaryErrorCodes.TimeoutExpired,     // lock_not_available
+    '57014': SqlTemporaryErrorCodes.TimeoutExpired,     // query_canceled
+    '57P01': SqlTemporaryErrorCodes.ConnectionForciblyClosed,  // admin_shutdown
+    '53300': SqlTemporaryErrorCodes.ServerRejectedConnection   // too_many_connections
+};
+
+var uniqueViolation = '23505';
+
+function PostgresProvider() {
+    this.name = 'postgres';
+
+    // tables aren't provisioned through the management portal, so tables
+    // declared in the data model are created on startup
+    this.autoCreateTables = true;
+
+    // the protocol counts the parameters of a statement in 16 bits
+    this.maxParameterCount = 65535;
+}
+
+PostgresProvider.prototype.open = function (connection, callback) {
+    var self = this;
+
+    function getArguments(args) {
+        var parameters = args[1], callback = args[2];
+        if (core.isFunction(parameters)) {
+            callback = parameters;
+            parameters = [];
+        }
+        return { parameters: parameters, callback: callback };
+    }
+
+    var conn = {
+        query: function (statement) {
+            var args = getArguments(arguments);
+            return self.query(connection, statement, args.parameters, args.callback);
+        },
+        queryRaw: function (statement) {
+            var args = getArguments(arguments);
+            return self.queryRaw(connection, statement, args.parameters, args.callback);
+        },
+        close: function (callback) {
+            if (callback) {
+                process.nextTick(callback);
+            }
+        }
+    };
+
+    getPool(connection).connect(function (err, client, release) {
+        if (err) {
+            callback(normalizeError(err));
+            return;
+        }
+
+        release();
+        callback(null, conn);
+    });
+};
+
+PostgresProvider.prototype.query = function (connection, statement, parameters, callback) {
+    return executeBatch(connection, statement, parameters, callback);
+};
+
+PostgresProvider.prototype.queryRaw = function (connection, statement, parameters, callback) {
+    return executeBatch(connection, statement, parameters, callback, statementBatch.formatRawRows);
+};
+
+PostgresProvider.prototype.beginTransaction = function (connection, callback) {
+    getPool(connection).connect(function (err, client, release) {
+        if (err) {
+            callback(normalizeError(err));
+            return;
+        }
+
+        client.query('BEGIN', function (err) {
+            if (err) {
+                release(err);
+                callback(normalizeError(err));
+                return;
+            }
+
+            var queue = statementBatch.createQueue();
+
+            function end(statement) {
+                return function (callback) {
+                    queue.enqueue(function () {
+                        client.query(statement, function (err) {
+                            // a connection whose transaction failed to end isn't reused
+                            release(err);
+                            callback(err ? normalizeError(err) : null);
+                        });
+                    });
+                };
+            }
+
+            callback(null, {
+                query: function (statement, parameters, callback) {
+                    return executeTransactionBatch(client, queue, statement, parameters, callback);
+                },
+                queryRaw: function (statement, parameters, callback) {
+                    return executeTransactionBatch(client, queue, statement, parameters, callback, statementBatch.formatRawRows);
+                },
+                commit: end('COMMIT'),
+                rollback: end('ROLLBACK')
+            });
+        });
+    });
+};
+
+PostgresProvider.prototype.createFormatter = function (schemaName, tableMetadata) {
+    return new PgFormatter(schemaName, tableMetadata);
+};
+
+PostgresProvider.prototype.formatTableName = function (schemaName, table) {
+    return PgFormatter.formatTableName(schemaName, table);
+};
+
+PostgresProvider.prototype.formatMember = function (name) {
+    return PgFormatter.formatMember(name);
+};
+
+PostgresProvider.prototype.getSqlType = function (value) {
+    return sqlTypes[SqlHelpers.getSqlType(value, jsonType)];
+};
+
+PostgresProvider.prototype.formatTableColumnsQuery = function (schemaName, table) {
+    SqlHelpers.validateIdentifier(schemaName);
+    SqlHelpers.validateIdentifier(table);
+
+    // the __version column is reported as timestamp, the SQL Server rowversion type,
+    // and PostGIS types, which are user defined, by their names
+    var typeCases = _.map(columnTypes, function (type, dataType) {
+        return _.sprintf("WHEN '%s' THEN '%s'", dataType, type);
+    }).join(' ');
+
+    return _.sprintf("SELECT column_name AS \"COLUMN_NAME\", " +
+        "CASE WHEN column_name = '__version' AND data_type = 'bytea' THEN 'timestamp' " +
+        "ELSE CASE CASE data_type WHEN 'USER-DEFINED' THEN udt_name ELSE data_type END %s ELSE data_type END END AS \"DATA_TYPE\", " +
+        "is_nullable AS \"IS_NULLABLE\", character_maximum_length AS \"CHARACTER_MAXIMUM_LENGTH\" " +
+        "FROM information_schema.columns WHERE table_name = '%s' AND table_schema = '%s'", typeCases, table, schemaName);
+};
+
+PostgresProvider.prototype.getColumnType = function (column) {
+    if (column.type === 'nvarchar' && column.maxLength) {
+        return _.sprintf('varchar(%d)', column.maxLength);
+    }
+    return sqlTypes[SqlHelpers.getColumnType(column, jsonType)];
+};
+
+PostgresProvider.prototype.formatAddColumns = function (tableName, columns) {
+    var self = this;
+    var addColumnsSql = columns.map(function (column) {
+        var columnSql = _.sprintf("ADD COLUMN %s %s %s", self.formatMember(column.name), column.type, column.nullable === false ? 'NOT NULL' : 'NULL');
+        if (column.defaultValue !== undefined && column.defaultValue !== null) {
+            columnSql += ' DEFAULT ' + formatLiteral(column.defaultValue);
+        }
+        return columnSql;
+    }).join(', ');
+
+    return _.sprintf("ALTER TABLE %s %s", tableName, addColumnsSql);
+};
+
+PostgresProvider.prototype.formatAlterColumn = function (tableName, column) {
+    var columnName = this.formatMember(column.name);
+    return _.sprintf("ALTER TABLE %1$s ALTER COLUMN %2$s TYPE %3$s USING %2$s::%3$s, ALTER COLUMN %2$s %4$s NOT NULL",
+        tableName, columnName, column.type, column.nullable ? 'DROP' : 'SET');
+};
+
+PostgresProvider.prototype.formatInsert = function (tableName, columns, hasStringId, systemColumns, rowCount) {
+    var self = this,
+        insertStmt;
+
+    rowCount = rowCount || 1;
+
+    if (columns.length > 0) {
+        var columnNames = columns.map(function (column) { return self.formatMember(column); }).join(', ');
+        var valueParams = _.sprintf('(%s)', columns.map(function () { return '?'; }).join(', '));
+        insertStmt = _.sprintf("INSERT INTO %s (%s) VALUES %s", tableName, columnNames, _.times(rowCount, function () { return valueParams; }).join(', '));
+    }
+    else if (rowCount > 1) {
+        // DEFAULT VALUES inserts a single row
+        insertStmt = _.sprintf("INSERT INTO %s (%s) VALUES %s", tableName, this.formatMember('id'), _.times(rowCount, function () { return '(DEFAULT)'; }).join(', '));
+    }
+    else {
+        insertStmt = _.sprintf("INSERT INTO %s DEFAULT VALUES", tableName);
+    }
+
+    var returning = ['id'].concat(systemColumns).map(function (column) {
+        return _.sprintf('%1$s AS %1$s', self.formatMember(column));
+    });
+
+    return insertStmt + ' RETURNING ' + returning.join(', ');
+};
+
+PostgresProvider.prototype.formatUpdate = function (tableName, setClause, whereClause, selectClause) {
+    // there is no equivalent of @@rowcount, so count the rows the update returns
+    var updateStmt = _.sprintf("WITH updated AS (UPDATE %s SET %s WHERE %s RETURNING 1) " +
+        "SELECT COUNT(*) AS __rowcount FROM updated", tableName, setClause, whereClause);
+
+    if (selectClause) {
+        updateStmt += _.sprintf("; SELECT %s FROM %s WHERE %s = ?", selectClause, tableName, this.formatMember('id'));
+    }
+
+    return updateStmt;
+};
+
+// The statements of a WITH query see the table as it was before the query,
+// so whether the row existed is selected along with the upserted row.
+// ?1 refers to the id again.
+PostgresProvider.prototype.formatUpsert = function (tableName, columns, systemColumns, supportsSoftDelete) {
+    var self = this,
+        columnNames = columns.map(function (column) { return self.formatMember(column); });
+
+    // the first column is the id, which is only set if there are no other columns
+    var setClause = (columns.length > 1 ? _.rest(columnNames) : columnNames).map(function (column) {
+        return _.sprintf('%1$s = EXCLUDED.%1$s', column);
+    }).join(', ');
+
+    var returning = ['id'].concat(systemColumns).map(function (column) {
+        return _.sprintf('%1$s AS %1$s', self.formatMember(column));
+    });
+
+    return _.sprintf("WITH upserted AS (INSERT INTO %s (%s) VALUES (%s) ON CONFLICT (%s) DO UPDATE SET %s%s RETURNING %s) " +
+        "SELECT upserted.*, NOT EXISTS (SELECT 1 FROM %s WHERE %s = ?1) AS __created FROM upserted",
+        tableName, columnNames.join(', '), columns.map(function () { return '?'; }).join(', '), this.formatMember('id'), setClause,
+        supportsSoftDelete ? _.sprintf(' WHERE %s.%s = false', tableName, this.formatMember('__deleted')) : '',
+        returning.join(', '), tableName, this.formatMember('id'));
+};
+
+// Creates a table with a string id and all system columns, along with the
+// sequence and trigger that maintain __version and __updatedAt
+PostgresProvider.prototype.formatCreateTable = function (schemaName, table) {
+    var schema = this.formatMember(schemaName),
+        tableName = this.formatTableName(schemaName, table),
+        sequenceName = schema + '."__version_seq"',
+        functionName = schema + '."__update_system_columns"',
+        triggerName = this.formatMember('TR_' + table + '_InsertUpdate'),
+        nextVersion = _.sprintf("decode(lpad(to_hex(nextval('%s')), 16, '0'), 'hex')", sequenceName);
+
+    return [
+        _.sprintf('CREATE SCHEMA IF NOT EXISTS %s', schema),
+        _.sprintf('CREATE SEQUENCE IF NOT EXISTS %s', sequenceName),
+        _.sprintf('CREATE TABLE IF NOT EXISTS %s (' +
+            '"id" varchar(255) NOT NULL PRIMARY KEY DEFAULT upper(gen_random_uuid()::text), ' +
+            '"__createdAt" timestamp(3) with time zone NOT NULL DEFAULT now(), ' +
+            '"__updatedAt" timestamp(3) with time zone NULL, ' +
+            '"__version" bytea NOT NULL DEFAULT %s, ' +
+            '"__deleted" boolean NOT NULL DEFAULT false)', tableName, nextVersion),
+        _.sprintf('CREATE OR REPLACE FUNCTION %s() RETURNS trigger AS $$ BEGIN ' +
+            'NEW."__updatedAt" := now(); NEW."__version" := %s; RETURN NEW; ' +
+            'END $$ LANGUAGE plpgsql', functionName, nextVersion),
+        _.sprintf('DROP TRIGGER IF EXISTS %s ON %s', triggerName, tableName),
+        _.sprintf('CREATE TRIGGER %s BEFORE INSERT OR UPDATE ON %s FOR EACH ROW EXECUTE PROCEDURE %s()', triggerName, tableName, functionName)
+    ].join('; ');
+};
+
+PostgresProvider.prototype.formatCurrentDateQuery = function () {
+    return 'SELECT now() AS "currentDate"';
+};
+
+PostgresProvider.prototype.convertResults = function (results, tableMetadata) {
+    // the driver already returns values as their javascript types, including
+    // the objects and arrays of jsonb columns, except for those of geography
+    // columns, which it returns as the hex of their extended well known binary
+    if (results && tableMetadata && tableMetadata.geographyColumns.length > 0) {
+        _.each(results, function (result) {
+            _.each(_.keys(result), function (property) {
+                if (tableMetadata.hasGeographyColumn(property) && core.isString(result[property])) {
+                    result[property] = readGeographyPoint(result[property]) || result[property];
+                }
+            });
+        });
+    }
+
+    return results;
+};
+
+PostgresProvider.prototype.isTableNotFoundError = function (err) {
+    return err.sqlstate === SqlErrorCodes.CannotDropTable;
+};
+
+PostgresProvider.prototype.isUniqueConstraintViolation = function (err) {
+    return err.code === uniqueViolation;
+};
+
+// Returns the GeoJSON point of the hex of an extended well known binary value, or
+// null if it isn't a point. Values are the byte order (1 byte, 1 for little endian),
+// the geometry type (4 bytes, 1 for a point, flagged if an SRID follows), the
+// optional SRID (4 bytes) and the longitude and latitude of a point as doubles.
+function readGeographyPoint(hex) {
+    var sridFlag = 0x20000000,
+        pointType = 1;
+
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) {
+        return null;
+    }
+
+    var buffer = new Buffer(hex, 'hex');
+    if (buffer.length < 21) {
+        return null;
+    }
+
+    var littleEndian = buffer.readUInt8(0) === 1,
+        type = littleEndian ? buffer.readUInt32LE(1) : buffer.readUInt32BE(1),
+        offset = (type & sridFlag) ? 9 : 5;
+
+    if ((type & 0xffff) !== pointType || buffer.length < offset + 16) {
+        return null;
+    }
+
+    function readDouble(offset) {
+        return littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+    }
+
+    return { type: 'Point', coordinates: [readDouble(offset), readDouble(offset + 8)] };
+}
+
+// formats a default value declared in the data model as a sql literal
+function formatLiteral(value) {
+    if (core.isString(value)) {
+        return _.sprintf("'%s'", value.replace(/'/g, "''"));
+    }
+    else if (core.isDate(value)) {
+        return _.sprintf("'%s'", value.toISOString());
+    }
+    return value.toString();
+}
+
+function getPool(connectionString) {
+    var pool = pools[connectionString];
+
+    if (!pool) {
+        if (!pg) {
+            pg = require('pg');
+            pg.types.setTypeParser(int8TypeId, function (value) {
+                return parseInt(value, 10);
+            });
+        }
+
+        pool = pools[connectionString] = new pg.Pool({ connectionString: connectionString });
+
+        // errors on idle clients are reported to the queries that use the pool
+        pool.on('error', function () { });
+    }
+
+    return pool;
+}
+
+function executeBatch(connection, batch, parameters, callback, formatRows) {
+    var stmt = statementBatch.createStatement();
+
+    getPool(connection).connect(function (err, client, release) {
+        if (err) {
+            callback(normalizeError(err));
+            return;
+        }
+
+        // all statements of a batch are run on the same connection
+        runBatch(client, batch, parameters, function (err, results) {
+            release(err);
+            reportResults(err, results, stmt, callback, formatRows);
+        });
+    });
+
+    return stmt;
+}
+
+// Runs a batch in the transaction's connection. A failed statement aborts a
+// postgres transaction, so each batch runs in a savepoint that is rolled back
+// if the batch fails, leaving the transaction usable as it is on SQL Server.
+function executeTransactionBatch(client, queue, batch, parameters, callback, formatRows) {
+    var stmt = statementBatch.createStatement();
+
+    queue.enqueue(function (done) {
+        client.query('SAVEPOINT batch', function (err) {
+            if (err) {
+                done();
+                callback(normalizeError(err));
+                return;
+            }
+
+            runBatch(client, batch, parameters, function (err, results) {
+                client.query(err ? 'ROLLBACK TO SAVEPOINT batch' : 'RELEASE SAVEPOINT batch', function () {
+                    done();
+                    reportResults(err, results, stmt, callback, formatRows);
+                });
+            });
+        });
+    });
+
+    return stmt;
+}
+
+function runBatch(client, batch, parameters, callback) {
+    var statements = statementBatch.split(batch, parameters, function (index) {
+        return '$' + (index + 1);
+    });
+
+    statementBatch.run(statements, function (statement, callback) {
+        client.query(statement.sql, statement.parameters, function (err, result) {
+            if (err) {
+                callback(err);
+            }
+            else if (result.fields && result.fields.length > 0) {
+                callback(null, result.rows);
+            }
+            else {
+                callback(null, null, result.rowCount);
+            }
+        });
+    }, callback);
+}
+
+function reportResults(err, results, stmt, callback, formatRows) {
+    if (err) {
+        callback(normalizeError(err));
+        return;
+    }
+
+    statementBatch.replay(results, stmt, callback, formatRows);
+}
+
+// the runtime classifies sql errors by their ODBC sqlstate, so assign the
+// equivalent state to postgres errors. The postgres SQLSTATE remains the code.
+function normalizeError(err) {
+    var state = err.code;
+
+    if (postgresErrorStates[state]) {
+        err.sqlstate = postgresErrorStates[state];
+    }
+    else if (_.startsWith(state, '23')) {
+        err.sqlstate = SqlErrorCodes.ConstraintViolation;
+    }
+    else if (_.startsWith(state, '08') || state === 'ECONNREFUSED' || state === 'ECONNRESET' || state === 'ETIMEDOUT') {
+        err.sqlstate = SqlTemporaryErrorCodes.UnableToEstablishConnection;
+    }
+    else {
+        err.sqlstate = SqlErrorCodes.GeneralError;
+    }
+
+    return err;
+}
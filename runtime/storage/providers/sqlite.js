@@ -0,0 +1,458 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Storage provider backed by a local SQLite database, for running the runtime
+// on a development machine or in CI without SQL Server. The connection string
+// is the path of the database file (or ':memory:'). See ../storage.js for the
+// provider interface.
+//
+// The sqlite3 driver runs one statement per call, so batches are split and run
+// using ../statementbatch. Batches against a database are run one at a time so
+// that changes() and last_insert_rowid() always refer to the batch reading them.
+
+var _ = require('underscore'),
+    _str = require('underscore.string'),
+    core = require('../../core'),
+    statementBatch = require('../statementbatch'),
+    Geography = require('../../query/geography'),
+    sqlite3 = null;
+
+require('../sqlhelpers');
+require('../sqliteformatter');
+
+_.mixin(_str.exports());
+
+exports = module.exports = SqliteProvider;
+
+// open databases, keyed by file name and shared by all providers in the process
+var databases = {};
+
+var busyTimeoutMS = 5000;
+
+var currentDate = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+var newGuid = "(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-' || hex(randomblob(2)) || '-' || " +
+              "hex(randomblob(2)) || '-' || hex(randomblob(6)))";
+
+var dateColumnTypes = ['date', 'datetime', 'datetime2', 'datetimeoffset'];
+
+// the type of the columns that hold objects and arrays as json text
+var jsonType = 'TEXT';
+
+function SqliteProvider() {
+    this.name = 'sqlite';
+
+    // there is no management portal for a local database, so tables declared
+    // in the data model are created on startup
+    this.autoCreateTables = true;
+
+    // the default SQLITE_MAX_VARIABLE_NUMBER
+    this.maxParameterCount = 999;
+}
+
+SqliteProvider.prototype.open = function (connection, callback) {
+    var self = this;
+
+    function getArguments(args) {
+        var parameters = args[1], callback = args[2];
+        if (core.isFunction(parameters)) {
+            callback = parameters;
+            parameters = [];
+        }
+        return { parameters: parameters, callback: callback };
+    }
+
+    var conn = {
+        query: function (statement) {
+            var args = getArguments(arguments);
+            return self.query(connection, statement, args.parameters, args.callback);
+        },
+        queryRaw: function (statement) {
+            var args = getArguments(arguments);
+            return self.queryRaw(connection, statement, args.parameters, args.callback);
+        },
+        close: function (callback) {
+            if (callback) {
+                process.nextTick(callback);
+            }
+        }
+    };
+
+    try {
+        getDatabase(connection);
+    }
+    catch (error) {
+        process.nextTick(function () { callback(error); });
+        return;
+    }
+
+    process.nextTick(function () { callback(null, conn); });
+};
+
+SqliteProvider.prototype.query = function (connection, statement, parameters, callback) {
+    return executeBatch(connection, statement, parameters, callback);
+};
+
+SqliteProvider.prototype.queryRaw = function (connection, statement, parameters, callback) {
+    return executeBatch(connection, statement, parameters, callback, statementBatch.formatRawRows);
+};
+
+// The transaction holds the database until it ends, so batches from outside
+// of the transaction wait for it. Its own batches are run one at a time.
+SqliteProvider.prototype.beginTransaction = function (connection, callback) {
+    var database;
+
+    try {
+        database = getDatabase(connection);
+    }
+    catch (error) {
+        process.nextTick(function () { callback(error); });
+        return;
+    }
+
+    database.queue.enqueue(function (done) {
+        database.db.run('BEGIN', function (err) {
+            if (err) {
+                done();
+                callback(normalizeError(err));
+                return;
+            }
+
+            var queue = statementBatch.createQueue();
+
+            function end(statement) {
+                return function (callback) {
+                    queue.enqueue(function () {
+                        database.db.run(statement, function (err) {
+                            if (!err) {
+                                done();
+                                callback(null);
+                                return;
+                            }
+
+                            // a failed commit leaves the transaction open
+                            database.db.run('ROLLBACK', function () {
+                                done();
+                                callback(normalizeError(err));
+                            });
+                        });
+                    });
+                };
+            }
+
+            callback(null, {
+                query: function (statement, parameters, callback) {
+                    return queueBatch(database, queue, statement, parameters, callback);
+                },
+                queryRaw: function (statement, parameters, callback) {
+                    return queueBatch(database, queue, statement, parameters, callback, statementBatch.formatRawRows);
+                },
+                commit: end('COMMIT'),
+                rollback: end('ROLLBACK')
+            });
+        });
+    });
+};
+
+SqliteProvider.prototype.createFormatter = function (schemaName, tableMetadata) {
+    return new SqliteFormatter(schemaName, tableMetadata);
+};
+
+SqliteProvider.prototype.formatTableName = function (schemaName, table) {
+    // SQLite has no schemas
+    SqlHelpers.validateIdentifier(schemaName);
+    return SqlHelpers.formatMember(table);
+};
+
+SqliteProvider.prototype.formatMember = function (name) {
+    return SqlHelpers.formatMember(name);
+};
+
+SqliteProvider.prototype.getSqlType = function (value) {
+    // the column types are those of SQL Server, which SQLite accepts and maps
+    // to the right type affinity. MAX isn't a valid length in SQLite though.
+    return SqlHelpers.getSqlType(value, jsonType).replace('(MAX)', '');
+};
+
+SqliteProvider.prototype.getColumnType = function (column) {
+    return SqlHelpers.getColumnType(column, jsonType).replace('(MAX)', '');
+};
+
+SqliteProvider.prototype.formatTableColumnsQuery = function (schemaName, table) {
+    SqlHelpers.validateIdentifier(table);
+
+    // report the declared type without its length, as INFORMATION_SCHEMA does,
+    // and the length of character types separately
+    return _.sprintf("SELECT name AS COLUMN_NAME, " +
+        "lower(trim(CASE WHEN instr(type, '(') > 0 THEN substr(type, 1, instr(type, '(') - 1) ELSE type END)) AS DATA_TYPE, " +
+        "CASE WHEN [notnull] THEN 'NO' ELSE 'YES' END AS IS_NULLABLE, " +
+        "CASE WHEN instr(type, '(') > 0 AND lower(type) LIKE '%%char%%' THEN CAST(substr(type, instr(type, '(') + 1) AS INTEGER) END AS CHARACTER_MAXIMUM_LENGTH " +
+        "FROM pragma_table_info('%s')", table);
+};
+
+SqliteProvider.prototype.formatAddColumns = function (tableName, columns) {
+    // SQLite only supports adding a single column per statement
+    var self = this;
+    return columns.map(function (column) {
+        var columnSql = _.sprintf("ALTER TABLE %s ADD COLUMN %s %s %s", tableName, self.formatMember(column.name), column.type, column.nullable === false ? 'NOT NULL' : 'NULL');
+        if (column.defaultValue !== undefined && column.defaultValue !== null) {
+            columnSql += ' DEFAULT ' + formatLiteral(column.defaultValue);
+        }
+        return columnSql;
+    }).join('; ');
+};
+
+SqliteProvider.prototype.formatInsert = function (tableName, columns, hasStringId, systemColumns, rowCount) {
+    var self = this,
+        insertStmt;
+
+    rowCount = rowCount || 1;
+
+    if (columns.length > 0) {
+        var columnNames = columns.map(function (column) { return self.formatMember(column); }).join(', ');
+        var valueParams = _.sprintf('(%s)', columns.map(function () { return '?'; }).join(', '));
+        insertStmt = _.sprintf("INSERT INTO %s (%s) VALUES %s", tableName, columnNames, _.times(rowCount, function () { return valueParams; }).join(', '));
+    }
+    else {
+        // DEFAULT VALUES inserts a single row, so it is repeated for each row
+        insertStmt = _.times(rowCount, function () {
+            return _.sprintf("INSERT INTO %s DEFAULT VALUES", tableName);
+        }).join('; ');
+    }
+
+    // the rows of a batch are given consecutive rowids, ending with last_insert_rowid()
+    var insertedRows = rowCount > 1 ?
+        _.sprintf("[rowid] > last_insert_rowid() - %d ORDER BY [rowid]", rowCount) :
+        "[rowid] = last_insert_rowid()";
+
+    if (hasStringId) {
+        var selectItemProperties = '[id] AS [id]';
+        systemColumns.forEach(function (systemColumn) {
+            selectItemProperties += _.sprintf(', [%1$s] AS [%1$s]', systemColumn);
+        });
+        insertStmt += _.sprintf("; SELECT %s FROM %s WHERE %s", selectItemProperties, tableName, insertedRows);
+    }
+    else if (rowCount > 1) {
+        insertStmt += _.sprintf("; SELECT [rowid] AS [id] FROM %s WHERE %s", tableName, insertedRows);
+    }
+    else {
+        insertStmt += '; SELECT last_insert_rowid() AS [id]';
+    }
+
+    return insertStmt;
+};
+
+SqliteProvider.prototype.formatUpdate = function (tableName, setClause, whereClause, selectClause) {
+    var updateStmt = _.sprintf("UPDATE %s SET %s WHERE %s", tableName, setClause, whereClause);
+    updateStmt += '; SELECT changes() AS __rowcount';
+
+    if (selectClause) {
+        updateStmt += _.sprintf("; SELECT %s FROM %s WHERE [id] = ?", selectClause, tableName);
+    }
+
+    return updateStmt;
+};
+
+// changes() is one whether the upsert inserts or updates the row, so whether
+// the row exists is selected before the upsert. ?1 refers to the id again.
+SqliteProvider.prototype.formatUpsert = function (tableName, columns, systemColumns, supportsSoftDelete) {
+    var self = this,
+        columnNames = columns.map(function (column) { return self.formatMember(column); });
+
+    // the first column is the id, which is only set if there are no other columns
+    var setClause = (columns.length > 1 ? _.rest(columnNames) : columnNames).map(function (column) {
+        return _.sprintf('%1$s = excluded.%1$s', column);
+    }).join(', ');
+
+    var upsertStmt = _.sprintf("SELECT NOT EXISTS (SELECT 1 FROM %s WHERE [id] = ?1) AS [__created]; ", tableName);
+    upsertStmt += _.sprintf("INSERT INTO %s (%s) VALUES (%s) ON CONFLICT([id]) DO UPDATE SET %s%s; ",
+        tableName, columnNames.join(', '), columns.map(function () { return '?'; }).join(', '), setClause,
+        supportsSoftDelete ? ' WHERE [__deleted] = 0' : '');
+
+    var selectItemProperties = '[id] AS [id]';
+    systemColumns.forEach(function (systemColumn) {
+        selectItemProperties += _.sprintf(', [%1$s] AS [%1$s]', systemColumn);
+    });
+    upsertStmt += _.sprintf("SELECT %s FROM %s WHERE [id] = ?1 AND changes() > 0", selectItemProperties, tableName);
+
+    return upsertStmt;
+};
+
+// Creates a table with a string id and all system columns. The trigger plays
+// the part of the SQL Server rowversion column and __updatedAt trigger.
+SqliteProvider.prototype.formatCreateTable = function (schemaName, table) {
+    var tableName = this.formatTableName(schemaName, table);
+
+    return _.sprintf("CREATE TABLE IF NOT EXISTS %s (" +
+            "[id] NVARCHAR(255) NOT NULL PRIMARY KEY DEFAULT %s, " +
+            "[__createdAt] DATETIMEOFFSET(3) NOT NULL DEFAULT (%s), " +
+            "[__updatedAt] DATETIMEOFFSET(3) NULL DEFAULT (%s), " +
+            "[__version] TIMESTAMP NOT NULL DEFAULT (randomblob(8)), " +
+            "[__deleted] BIT NOT NULL DEFAULT 0); ",
+            tableName, newGuid, currentDate, currentDate) +
+        _.sprintf("CREATE TRIGGER IF NOT EXISTS [TR_%s_Update] AFTER UPDATE ON %s FOR EACH ROW BEGIN " +
+            "UPDATE %s SET [__updatedAt] = %s, [__version] = randomblob(8) WHERE [rowid] = NEW.[rowid]; END",
+            table, tableName, tableName, currentDate);
+};
+
+SqliteProvider.prototype.formatCurrentDateQuery = function () {
+    return "SELECT " + currentDate + " AS currentDate";
+};
+
+// SQLite has no date, boolean, json or geography types, so values read back
+// from those columns are converted using the declared column types
+SqliteProvider.prototype.convertResults = function (results, tableMetadata) {
+    if (!results || !tableMetadata) {
+        return results;
+    }
+
+    _.each(results, function (result) {
+        _.each(_.keys(result), function (property) {
+            var value = result[property],
+                type = tableMetadata.columnTypes[property.toLowerCase()];
+
+            if (value === null || value === undefined) {
+                return;
+            }
+
+            if (type === 'bit') {
+                result[property] = !!value;
+            }
+            else if (_.contains(dateColumnTypes, type) && core.isString(value)) {
+                result[property] = new Date(value);
+            }
+            else if (type === 'json') {
+                result[property] = SqlHelpers.parseJson(value);
+            }
+            else if (type === 'geography') {
+                result[property] = Geography.toGeography(value) || value;
+            }
+        });
+    });
+
+    return results;
+};
+
+SqliteProvider.prototype.isTableNotFoundError = function (err) {
+    return err.sqlstate === SqlErrorCodes.CannotDropTable;
+};
+
+SqliteProvider.prototype.isUniqueConstraintViolation = function (err) {
+    return err.sqlstate === SqlErrorCodes.ConstraintViolation && /UNIQUE|PRIMARY KEY/.test(err.message);
+};
+
+function getDatabase(filename) {
+    var database = databases[filename];
+
+    if (!database) {
+        sqlite3 = sqlite3 || require('sqlite3');
+
+        database = databases[filename] = {
+            queue: statementBatch.createQueue()
+        };
+
+        database.db = new sqlite3.Database(filename, function (err) {
+            if (err) {
+                // queued statements will fail, and the next one will try to open it again
+                delete databases[filename];
+            }
+        });
+        database.db.configure('busyTimeout', busyTimeoutMS);
+    }
+
+    return database;
+}
+
+function executeBatch(connection, batch, parameters, callback, formatRows) {
+    var database = getDatabase(connection);
+    return queueBatch(database, database.queue, batch, parameters, callback, formatRows);
+}
+
+// runs the batch once the work queued before it has completed
+function queueBatch(database, queue, batch, parameters, callback, formatRows) {
+    var stmt = statementBatch.createStatement(),
+        statements = statementBatch.split(batch, (parameters || []).map(toSqliteValue));
+
+    queue.enqueue(function (done) {
+        statementBatch.run(statements, function (statement, callback) {
+            if (returnsRows(statement.sql)) {
+                database.db.all(statement.sql, statement.parameters, callback);
+            }
+            else {
+                database.db.run(statement.sql, statement.parameters, function (err) {
+                    callback(err, null, this.changes);
+                });
+            }
+        }, function (err, results) {
+            done();
+
+            if (err) {
+                callback(normalizeError(err));
+                return;
+            }
+
+            statementBatch.replay(results, stmt, callback, formatRows);
+        });
+    });
+
+    return stmt;
+}
+
+function returnsRows(statement) {
+    return (/^(SELECT|PRAGMA|WITH|VALUES|EXPLAIN)\b/i).test(statement);
+}
+
+// formats a default value declared in the data model as a sql literal,
+// stored as the value itself would be
+function formatLiteral(value) {
+    value = toSqliteValue(value);
+    if (core.isString(value)) {
+        return _.sprintf("'%s'", value.replace(/'/g, "''"));
+    }
+    else if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    return value.toString();
+}
+
+function toSqliteValue(value) {
+    // dates are stored as ISO 8601 strings, which sort chronologically
+    if (core.isDate(value)) {
+        return value.toISOString();
+    }
+    return value === undefined ? null : value;
+}
+
+// the runtime classifies sql errors by their ODBC sqlstate, so assign
+// the equivalent state to sqlite errors
+function normalizeError(err) {
+    var message = err.message || '';
+
+    if (/no such table/.test(message)) {
+        err.sqlstate = SqlErrorCodes.CannotDropTable;
+    }
+    else if (/no such column|has no column named/.test(message)) {
+        err.sqlstate = SqlErrorCodes.InvalidColumnName;
+    }
+    else if (/duplicate column name/.test(message)) {
+        err.sqlstate = SqlErrorCodes.ColumnNamesMustBeUnique;
+    }
+    else if (err.code === 'SQLITE_CONSTRAINT') {
+        err.sqlstate = SqlErrorCodes.ConstraintViolation;
+    }
+    else if (err.code === 'SQLITE_TOOBIG') {
+        err.sqlstate = SqlErrorCodes.ColumnSizeExceeded;
+    }
+    else if (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED') {
+        err.sqlstate = SqlTemporaryErrorCodes.TimeoutExpired;
+    }
+    else if (err.code === 'SQLITE_CANTOPEN') {
+        err.sqlstate = SqlTemporaryErrorCodes.UnableToEstablishConnection;
+    }
+    else {
+        err.sqlstate = SqlErrorCodes.GeneralError;
+    }
+
+    return err;
+}
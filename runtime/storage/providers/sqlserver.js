@@ -0,0 +1,281 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Storage provider for SQL Server / SQL Azure using the sqlserver driver. This
+// is the default provider. See ../storage.js for the provider interface.
+
+var sql = require('sqlserver'),
+    core = require('../../core'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+require('../sqlhelpers');
+require('../sqlformatter');
+
+_.mixin(_str.exports());
+
+exports = module.exports = SqlServerProvider;
+
+function SqlServerProvider() {
+    this.name = 'sqlserver';
+
+    // tables are created through the management portal
+    this.autoCreateTables = false;
+
+    this.maxParameterCount = 2100;
+    this.maxInsertRowCount = 1000;
+}
+
+SqlServerProvider.prototype.open = function (connection, callback) {
+    return sql.open(connection, callback);
+};
+
+SqlServerProvider.prototype.query = function (connection, statement, parameters, callback) {
+    return sql.query(connection, statement, parameters, callback);
+};
+
+SqlServerProvider.prototype.queryRaw = function (connection, statement, parameters, callback) {
+    return sql.queryRaw(connection, statement, parameters, callback);
+};
+
+SqlServerProvider.prototype.beginTransaction = function (connection, callback) {
+    sql.open(connection, function (err, conn) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        conn.beginTransaction(function (err) {
+            if (err) {
+                conn.close();
+                callback(err);
+                return;
+            }
+
+            function end(method) {
+                return function (callback) {
+                    conn[method](function (err) {
+                        conn.close();
+                        callback(err);
+                    });
+                };
+            }
+
+            callback(null, {
+                query: function (statement, parameters, callback) {
+                    return conn.query(statement, parameters, callback);
+                },
+                queryRaw: function (statement, parameters, callback) {
+                    return conn.queryRaw(statement, parameters, callback);
+                },
+                commit: end('commit'),
+                rollback: end('rollback')
+            });
+        });
+    });
+};
+
+SqlServerProvider.prototype.createFormatter = function (schemaName, tableMetadata) {
+    return new SqlFormatter(schemaName, tableMetadata);
+};
+
+SqlServerProvider.prototype.formatTableName = function (schemaName, table) {
+    return SqlHelpers.formatTableName(schemaName, table);
+};
+
+SqlServerProvider.prototype.formatMember = function (name) {
+    return SqlHelpers.formatMember(name);
+};
+
+SqlServerProvider.prototype.getSqlType = function (value) {
+    return SqlHelpers.getSqlType(value);
+};
+
+SqlServerProvider.prototype.getColumnType = function (column) {
+    return SqlHelpers.getColumnType(column);
+};
+
+SqlServerProvider.prototype.formatTableColumnsQuery = function (schemaName, table) {
+    return _.sprintf("SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = '%s' AND TABLE_SCHEMA = '%s'", table, schemaName);
+};
+
+SqlServerProvider.prototype.formatAddColumns = function (tableName, columns) {
+    var self = this;
+    var addColumnsSql = columns.map(function (column) {
+        var columnSql = _.sprintf("%s %s %s", self.formatMember(column.name), column.type, column.nullable === false ? 'NOT NULL' : 'NULL');
+        if (column.defaultValue !== undefined && column.defaultValue !== null) {
+            // the default fills the column of existing rows
+            columnSql += _.sprintf(" DEFAULT %s WITH VALUES", formatLiteral(column.defaultValue));
+        }
+        return columnSql;
+    }).join(', ');
+
+    return _.sprintf("ALTER TABLE %s ADD %s;", tableName, addColumnsSql);
+};
+
+SqlServerProvider.prototype.formatAlterColumn = function (tableName, column) {
+    return _.sprintf("ALTER TABLE %s ALTER COLUMN %s %s %s;", tableName, this.formatMember(column.name), column.type, column.nullable ? 'NULL' : 'NOT NULL');
+};
+
+SqlServerProvider.prototype.formatInsert = function (tableName, columns, hasStringId, systemColumns, rowCount) {
+    var self = this;
+
+    rowCount = rowCount || 1;
+
+    // to select the inserted row's id we need to use OUTPUT clause and for a table with triggers OUTPUT INTO is required so we need a temp table
+    var insertStmt = _.sprintf('DECLARE  @temp table(id %s) ', hasStringId ? 'nvarchar(MAX)' : 'bigint');
+
+    // Add the OUTPUT clause
+    var outputClause = ' OUTPUT INSERTED.id INTO @temp';
+
+    // Create the VALUES clause and add the INSERT clause
+    if (columns.length > 0) {
+        var columnNames = columns.map(function (column) { return self.formatMember(column); }).join(', ');
+        var valueParams = _.sprintf('(%s)', columns.map(function () { return '?'; }).join(', '));
+        var valuesClause = _.sprintf(" VALUES %s ", _.times(rowCount, function () { return valueParams; }).join(', '));
+        insertStmt += _.sprintf("INSERT INTO %s (%s)", tableName, columnNames) + outputClause + valuesClause;
+    }
+    else {
+        // no values being inserted, so insert defaults. DEFAULT VALUES
+        // inserts a single row, so it is repeated for each row.
+        insertStmt += _.times(rowCount, function () {
+            return _.sprintf("INSERT INTO %s ", tableName) + outputClause + " DEFAULT VALUES ";
+        }).join('');
+    }
+
+    if (hasStringId) {
+        var selectItemProperties = '[appTable].[id] AS [id]';
+        systemColumns.forEach(function (systemColumn) {
+            selectItemProperties += _.sprintf(', [appTable].[%1$s] AS [%1$s]', systemColumn);
+        });
+        // select the system properties and generated ids for the rows from data added to temp table using output clause
+        insertStmt += _.sprintf('SELECT %s FROM %s AS appTable INNER JOIN @temp AS temp ON [appTable].[id] = [temp].[id] ', selectItemProperties, tableName);
+    }
+    else {
+        // identity values are assigned in insert order
+        insertStmt += rowCount > 1 ? 'SELECT id from @temp ORDER BY id' : 'SELECT id from @temp';
+    }
+
+    return insertStmt;
+};
+
+SqlServerProvider.prototype.formatUpdate = function (tableName, setClause, whereClause, selectClause) {
+    var updateStmt = _.sprintf("UPDATE %s SET %s WHERE %s", tableName, setClause, whereClause);
+    updateStmt += '; SELECT @@rowcount as __rowcount';
+
+    if (selectClause) {
+        updateStmt += _.sprintf("; SELECT %s FROM %s WHERE [id] = ?", selectClause, tableName);
+    }
+
+    return updateStmt;
+};
+
+SqlServerProvider.prototype.formatUpsert = function (tableName, columns, systemColumns, supportsSoftDelete) {
+    var self = this,
+        columnNames = columns.map(function (column) { return self.formatMember(column); }),
+        sourceColumns = columnNames.map(function (column) { return '[source].' + column; });
+
+    // the first column is the id, which is only set if there are no other columns
+    var setClause = (columns.length > 1 ? _.rest(columnNames) : columnNames).map(function (column) {
+        return _.sprintf('%1$s = [source].%1$s', column);
+    }).join(', ');
+
+    // the action of the OUTPUT clause tells whether the row was inserted
+    var upsertStmt = 'DECLARE @temp table(id nvarchar(MAX), action nvarchar(10)); ';
+    upsertStmt += _.sprintf("MERGE INTO %s AS [target] USING (VALUES (%s)) AS [source] (%s) ON [target].[id] = [source].[id] ",
+        tableName, columns.map(function () { return '?'; }).join(', '), columnNames.join(', '));
+    upsertStmt += _.sprintf("WHEN MATCHED%s THEN UPDATE SET %s ", supportsSoftDelete ? ' AND [target].[__deleted] = 0' : '', setClause);
+    upsertStmt += _.sprintf("WHEN NOT MATCHED THEN INSERT (%s) VALUES (%s) ", columnNames.join(', '), sourceColumns.join(', '));
+    upsertStmt += "OUTPUT INSERTED.id, $action INTO @temp; ";
+
+    var selectItemProperties = '[appTable].[id] AS [id]';
+    systemColumns.forEach(function (systemColumn) {
+        selectItemProperties += _.sprintf(', [appTable].[%1$s] AS [%1$s]', systemColumn);
+    });
+    selectItemProperties += ", CASE WHEN [temp].[action] = 'INSERT' THEN 1 ELSE 0 END AS [__created]";
+    upsertStmt += _.sprintf('SELECT %s FROM %s AS appTable INNER JOIN @temp AS temp ON [appTable].[id] = [temp].[id]', selectItemProperties, tableName);
+
+    return upsertStmt;
+};
+
+// Creates a table with a string id and all system columns, as tables are
+// created through the portal, for tables that declare their columns in the
+// data model. CREATE TRIGGER must be the only statement of its batch.
+SqlServerProvider.prototype.formatCreateTable = function (schemaName, table) {
+    var tableName = this.formatTableName(schemaName, table),
+        triggerName = this.formatTableName(schemaName, 'TR_' + table + '_InsertUpdateDelete'),
+        currentDate = 'CONVERT(DATETIMEOFFSET(3), SYSUTCDATETIME())';
+
+    return _.sprintf("IF SCHEMA_ID('%1$s') IS NULL EXEC('CREATE SCHEMA [%1$s]'); ", schemaName) +
+        _.sprintf("IF OBJECT_ID('%s', 'U') IS NULL BEGIN ", tableName) +
+        _.sprintf("CREATE TABLE %s (" +
+            "[id] NVARCHAR(255) NOT NULL PRIMARY KEY NONCLUSTERED DEFAULT (CONVERT(NVARCHAR(255), NEWID())), " +
+            "[__createdAt] DATETIMEOFFSET(3) NOT NULL DEFAULT (%s), " +
+            "[__updatedAt] DATETIMEOFFSET(3) NULL, " +
+            "[__version] ROWVERSION NOT NULL, " +
+            "[__deleted] BIT NOT NULL DEFAULT 0); ", tableName, currentDate) +
+        _.sprintf("CREATE CLUSTERED INDEX [__createdAt] ON %s ([__createdAt]); ", tableName) +
+        _.sprintf("EXEC('CREATE TRIGGER %s ON %s AFTER INSERT, UPDATE AS BEGIN " +
+            "SET NOCOUNT ON; IF TRIGGER_NESTLEVEL() > 3 RETURN; " +
+            "UPDATE %s SET [__updatedAt] = %s FROM %s AS [appTable] INNER JOIN INSERTED ON [appTable].[id] = INSERTED.[id] END') END",
+            triggerName, tableName, '[appTable]', currentDate, tableName);
+};
+
+SqlServerProvider.prototype.formatCurrentDateQuery = function () {
+    return "SELECT getutcdate() AS currentDate";
+};
+
+SqlServerProvider.prototype.convertResults = function (results, tableMetadata) {
+    // the driver returns values as their javascript types, except for those
+    // of json columns, which it returns as text, and of geography columns,
+    // which it returns in their binary serialization
+    results = SqlHelpers.parseJsonColumns(results, tableMetadata);
+
+    if (results && tableMetadata && tableMetadata.geographyColumns.length > 0) {
+        _.each(results, function (result) {
+            _.each(_.keys(result), function (property) {
+                if (tableMetadata.hasGeographyColumn(property) && Buffer.isBuffer(result[property])) {
+                    result[property] = readGeographyPoint(result[property]) || result[property];
+                }
+            });
+        });
+    }
+
+    return results;
+};
+
+SqlServerProvider.prototype.isTableNotFoundError = function (err) {
+    return err.sqlstate === SqlErrorCodes.CannotDropTable && err.code === 208;
+};
+
+SqlServerProvider.prototype.isUniqueConstraintViolation = function (err) {
+    return err.sqlstate === SqlErrorCodes.ConstraintViolation && err.code === SqlErrorNumbers.SqlUniqueConstraintViolationError;
+};
+
+// Returns the GeoJSON point of a serialized geography value, or null if it isn't a
+// single point. Values are the SRID (4 bytes), version (1 byte) and flags (1 byte),
+// followed for a single point by its latitude and longitude as little endian doubles.
+function readGeographyPoint(buffer) {
+    var singlePointFlag = 0x08;
+
+    if (buffer.length < 22 || !(buffer.readUInt8(5) & singlePointFlag)) {
+        return null;
+    }
+
+    return { type: 'Point', coordinates: [buffer.readDoubleLE(14), buffer.readDoubleLE(6)] };
+}
+
+// formats a default value declared in the data model as a sql literal
+function formatLiteral(value) {
+    if (core.isString(value)) {
+        return _.sprintf("N'%s'", value.replace(/'/g, "''"));
+    }
+    else if (core.isDate(value)) {
+        return _.sprintf("'%s'", value.toISOString());
+    }
+    else if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    return value.toString();
+}
@@ -0,0 +1,104 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module handles the full-text search of tables with the $search query option.
+// Tables can be searched if they declare the text columns to search in datamodel.json:
+//
+// "search": { "columns": ["title", "description"], "mode": "freetext" }
+//
+// The search text is a list of terms separated by spaces, where a phrase in double
+// quotes is a single term. In the default 'contains' mode rows match if each of the
+// terms is found in one of the columns, and in 'freetext' mode rows match if any of
+// them is, or on SQL Server if they match the meaning of the text.
+//
+// SQL Server searches the full-text index of the table with CONTAINS or FREETEXT, so
+// the columns must have one. Other providers compare each term with the columns using
+// LIKE, which reads every row but is faster than a substringof filter per term and
+// column. The relevance score of the rows can be requested with __searchScore=true,
+// which returns it as their __score and orders them by it unless $orderby is specified.
+// Scores are the RANK of the rows on SQL Server and otherwise the number of columns
+// each term is found in, so they are only comparable within the results of a query.
+
+var core = require('../core'),
+    resource = require('../resources'),
+    _ = require('underscore'),
+    _str = require('underscore.string');
+
+_.mixin(_str.exports());
+
+var modes = ['contains', 'freetext'],
+    identifierRegex = /^[A-Za-z_][\w]*$/,
+    termRegex = /"([^"]*)"|([^\s"]+)/g;
+
+// the property the relevance score of the results is returned as
+exports.scoreProperty = '__score';
+
+// Returns the search of the table of the data model for the text as { columns, mode,
+// terms, score }, throwing if the table can't be searched or the text has no terms
+exports.create = function (table, tableName, text, score) {
+    if (!table || table.search === undefined) {
+        throw new core.MobileServiceError(_.sprintf(resource.searchNotSupported, tableName), core.ErrorCodes.BadInput);
+    }
+
+    var declaration = table.search;
+    if (!core.isObject(declaration) || !core.isArray(declaration.columns) || declaration.columns.length === 0 ||
+        !_.every(declaration.columns, function (column) { return core.isString(column) && identifierRegex.test(column); }) ||
+        (declaration.mode !== undefined && !_.contains(modes, declaration.mode))) {
+        throw new core.MobileServiceError(_.sprintf(resource.searchNotValid, table.name));
+    }
+
+    var terms = exports.parseTerms(text);
+    if (terms.length === 0) {
+        throw new core.MobileServiceError(resource.searchTextNotValid, core.ErrorCodes.BadInput);
+    }
+
+    return {
+        columns: declaration.columns,
+        mode: declaration.mode || 'contains',
+        terms: terms,
+        score: !!score
+    };
+};
+
+// returns the terms of the search text, where phrases in double quotes are single terms
+exports.parseTerms = function (text) {
+    var terms = [],
+        match;
+
+    termRegex.lastIndex = 0;
+    while ((match = termRegex.exec(text || '')) !== null) {
+        var term = (match[1] !== undefined ? match[1] : match[2]).replace(/\s+/g, ' ').trim();
+        if (term.length > 0) {
+            terms.push(term);
+        }
+    }
+
+    return terms;
+};
+
+// Returns the score of the row, which getValue(column) returns the values of, as the
+// number of columns each term is found in, or 0 if the row doesn't match the search.
+// Terms are compared case insensitively, as they are by LIKE.
+exports.getScore = function (search, getValue) {
+    var values = search.columns.map(function (column) {
+        var value = getValue(column);
+        return (value === null || value === undefined) ? null : value.toString().toLowerCase();
+    });
+
+    var counts = search.terms.map(function (term) {
+        term = term.toLowerCase();
+        return values.filter(function (value) {
+            return value !== null && value.indexOf(term) >= 0;
+        }).length;
+    });
+
+    var matched = search.mode === 'freetext' ? _.some(counts) : _.every(counts);
+    return matched ? counts.reduce(function (sum, count) { return sum + count; }, 0) : 0;
+};
+
+// whether the results of the query are ordered by their score
+exports.isOrderedByScore = function (query) {
+    return !!query.search && query.search.score && !query.apply &&
+           !query.orderBy && !(query._parsed && query._parsed.orderBy);
+};
@@ -117,6 +117,7 @@
                 case 'startswith':
                 case 'endswith':
                 case 'substringof':
+                case 'geo.intersects':
                     return true;
                 default:
                     break;
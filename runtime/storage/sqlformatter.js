@@ -15,6 +15,10 @@
         require('./typeconverter');
         require('./sqlhelpers');
 
+    var Aggregation = require('./aggregation'),
+        Search = require('./search'),
+        Geography = require('../query/geography');
+
     _.mixin(_str.exports());
 
     var ctor = function (schemaName, tableMetadata) {
@@ -28,6 +32,7 @@
             this.sql = '';
             this.paramNumber = 0;
             this.parameters = [];
+            this.apply = query.apply ? Aggregation.getApply(query) : null;
             
             // if a skip is requested but no top is defined, we need
             // to still generate the paging query, so default top to
@@ -37,7 +42,11 @@
                 query.top = core.MAX_INT;
             }
 
-            if (query.skip >= 0 && query.top >= 0) {
+            // aggregated results are only limited by top
+            if (query.partitionBy && !this.apply) {
+                this.sql = this._formatPartitionedQuery(query);
+            }
+            else if (query.skip >= 0 && query.top >= 0 && !this.apply) {
                 this.sql = this._formatPagedQuery(query);
             }
             else {
@@ -47,34 +56,39 @@
             this.sql = this.sql.trim();
         },
 
+        // formats the where clause of an update or delete of the rows that the
+        // filter of the query selects, which excludes soft deleted rows
+        formatWhere: function (query) {
+            this.sql = '';
+            this.paramNumber = 0;
+            this.parameters = [];
+
+            this.sql = this._formatFilter(query, '(1 = 1)').trim();
+        },
+
         _formatQuery: function (query) {
             var formattedSql;
 
-            var selection = query.select ? this._formatSelection(query.select, query.systemProperties) : '*';
+            var selection = this._formatQuerySelection(query);
 
-            // set the top clause to be the minimumn of the top
-            // and result limit values if either has been set.
             var top = '';
-            var limit = -1;
-            var resultLimit = query.resultLimit || Number.MAX_VALUE;
-            if (query.top >= 0) {
-                limit = Math.min(resultLimit, query.top);
-            }
-            else if (resultLimit != Number.MAX_VALUE) {
-                limit = query.resultLimit;
-            }
+            var limit = this._getLimit(query);
             if (limit != -1) {
                 top = 'TOP ' + limit.toString() + ' ';
             }
 
             var filter = this._formatFilter(query);
+            var groupBy = this._formatGroupBy();
             var order = this._formatOrderBy(query);
 
-            var tableName = SqlHelpers.formatTableName(this.schemaName, query.table);
+            var tableName = this._formatTableName(query.table);
             formattedSql = _.sprintf("SELECT %s%s FROM %s", top, selection, tableName);
             if (filter.length > 0) {
                 formattedSql += ' WHERE ' + filter;
             }
+            if (groupBy.length > 0) {
+                formattedSql += ' GROUP BY ' + groupBy;
+            }
             if (order.length > 0) {
                 formattedSql += ' ORDER BY ' + order;
             }
@@ -86,10 +100,28 @@
             return formattedSql;
         },
 
+        // returns the minimum of the top and result limit values if
+        // either has been set, otherwise -1
+        _getLimit: function (query) {
+            var limit = -1;
+            var resultLimit = query.resultLimit || Number.MAX_VALUE;
+            if (query.top >= 0) {
+                limit = Math.min(resultLimit, query.top);
+            }
+            else if (resultLimit != Number.MAX_VALUE) {
+                limit = query.resultLimit;
+            }
+            return limit;
+        },
+
         _formatPagedQuery: function (query) {
             var formattedSql, selection = '',
                 aliasedSelection = '';
 
+            // the ordering is formatted before the selection and filter, so that
+            // the parameters are in the order of the statement
+            var order = this._formatOrderBy(query, '[id]');
+
             if (query.select) {
                 selection = this._formatSelection(query.select, query.systemProperties);
                 aliasedSelection = '[t1].[ROW_NUMBER], ' + this._formatSelection(query.select, query.systemProperties, '[t1].');
@@ -98,11 +130,17 @@
                 selection = aliasedSelection = "*";
             }
 
+            if (query.search && query.search.score) {
+                selection += ', ' + this._formatSearchScoreSelection(query);
+                if (query.select) {
+                    aliasedSelection += ', [t1].' + this._formatMember(Search.scoreProperty);
+                }
+            }
+
             var filter = this._formatFilter(query, '(1 = 1)');
-            var order = this._formatOrderBy(query, '[id]');
 
             // Plug all the pieces into the template to get the paging sql
-            var tableName = SqlHelpers.formatTableName(this.schemaName, query.table);
+            var tableName = this._formatTableName(query.table);
             formattedSql = _.sprintf(
                 "SELECT %s FROM (SELECT ROW_NUMBER() OVER (ORDER BY %s) AS [ROW_NUMBER], %s " +
                 "FROM %s WHERE %s) AS [t1] " +
@@ -117,15 +155,90 @@
             return formattedSql;
         },
 
+        // Selects the rows of each partition of rows that have the same value of the
+        // partitionBy column, skipping and limiting the rows of each partition rather
+        // than all of them. The results are ordered by the partitionBy column and
+        // then by the ordering of the query.
+        _formatPartitionedQuery: function (query) {
+            // as in paged queries, the ordering is formatted first
+            var order = this._formatOrderBy(query, this._formatMember('id'));
+            var selection = this._formatQuerySelection(query);
+            var filter = this._formatFilter(query, '(1 = 1)');
+            var partition = this._formatMember(query.partitionBy);
+            var rowNumber = this._formatMember('ROW_NUMBER');
+            var limit = this._getLimit(query);
+            var skip = query.skip > 0 ? query.skip : 0;
+
+            var tableName = this._formatTableName(query.table);
+            var formattedSql = _.sprintf(
+                "SELECT * FROM (SELECT ROW_NUMBER() OVER (PARTITION BY %s ORDER BY %s) AS %s, %s " +
+                "FROM %s WHERE %s) AS %s WHERE %s > %d",
+                partition, order, rowNumber, selection, tableName, filter, this._formatMember('t1'), rowNumber, skip);
+            if (limit != -1) {
+                formattedSql += _.sprintf(" AND %s <= %d", rowNumber, skip + limit);
+            }
+            formattedSql += _.sprintf(" ORDER BY %s, %s", partition, rowNumber);
+
+            return formattedSql;
+        },
+
+        // query and paged query for dialects that support LIMIT and OFFSET
+        _formatLimitQuery: function (query) {
+            var formattedSql;
+
+            var selection = this._formatQuerySelection(query);
+            var limit = this._getLimit(query);
+            var filter = this._formatFilter(query);
+            var groupBy = this._formatGroupBy();
+            var order = this._formatOrderBy(query);
+
+            var tableName = this._formatTableName(query.table);
+            formattedSql = _.sprintf("SELECT %s FROM %s", selection, tableName);
+            if (filter.length > 0) {
+                formattedSql += ' WHERE ' + filter;
+            }
+            if (groupBy.length > 0) {
+                formattedSql += ' GROUP BY ' + groupBy;
+            }
+            if (order.length > 0) {
+                formattedSql += ' ORDER BY ' + order;
+            }
+            if (limit != -1) {
+                formattedSql += ' LIMIT ' + limit.toString();
+            }
+
+            if (query.inlineCount === 'allpages') {
+                formattedSql += '; ' + this._formatCountQuery(tableName, query);
+            }
+
+            return formattedSql;
+        },
+
+        _formatLimitPagedQuery: function (query) {
+            var selection = this._formatQuerySelection(query);
+            var filter = this._formatFilter(query, '(1 = 1)');
+            var order = this._formatOrderBy(query, this._formatMember('id'));
+
+            var tableName = this._formatTableName(query.table);
+            var formattedSql = _.sprintf("SELECT %s FROM %s WHERE %s ORDER BY %s LIMIT %d OFFSET %d",
+                selection, tableName, filter, order, query.top, query.skip);
+
+            if (query.inlineCount === 'allpages') {
+                formattedSql += '; ' + this._formatCountQuery(tableName, query);
+            }
+
+            return formattedSql;
+        },
+
         _formatCountQuery: function (table, query) {
             var filter;
 
-            if (query.filter || query.id !== undefined || this.tableMetadata.supportsSoftDelete) {
+            if (query.filter || query.id !== undefined || query.search || this.tableMetadata.supportsSoftDelete) {
                 this.sql = '';
                 filter = this._formatFilter(query);
             }
 
-            var sql = 'SELECT COUNT(*) AS [count] FROM ' + table;
+            var sql = 'SELECT COUNT(*) AS ' + this._formatMember('count') + ' FROM ' + table;
             if (filter) {
                 sql += ' WHERE ' + filter;
             }
@@ -135,6 +248,11 @@
         _formatOrderBy: function (query, defaultOrder) {
             var orderBy = query.orderBy;
 
+            // searches for the score of their results are ordered by it by default
+            if (Search.isOrderedByScore(query)) {
+                return this._formatSearchScore(query) + ' DESC' + (defaultOrder ? ', ' + defaultOrder : '');
+            }
+
             if (!orderBy) {
                 return defaultOrder || '';
             }
@@ -160,29 +278,181 @@
                 if (!ordering.ascending) {
                     self.sql += ' DESC';
                 }
+                self.sql += self._formatNullsOrder(query, ordering);
                 order += self.sql;
             });
 
             return order;
         },
 
+        // nulls sort first when ascending and last when descending,
+        // which dialects that sort them differently can override
+        _formatNullsOrder: function (query, ordering) {
+            return '';
+        },
+
+        _formatQuerySelection: function (query) {
+            if (this.apply) {
+                return this._formatAggregateSelection(this.apply);
+            }
+
+            var selection = query.select ? this._formatSelection(query.select, query.systemProperties) : '*';
+            if (query.search && query.search.score) {
+                selection += ', ' + this._formatSearchScoreSelection(query);
+            }
+            return selection;
+        },
+
+        _formatSearchScoreSelection: function (query) {
+            return this._formatSearchScore(query) + ' AS ' + this._formatMember(Search.scoreProperty);
+        },
+
+        // The condition and score of the search of the query (see ./search), which uses
+        // the full-text index of the table. The search is a parameter of each of them, so
+        // they must be formatted in the order of the statement.
+        _formatSearchCondition: function (query) {
+            var search = query.search;
+            return _.sprintf("%s((%s), %s)", search.mode === 'freetext' ? 'FREETEXT' : 'CONTAINS',
+                this._formatSearchColumns(search), this._formatFullTextSearch(search));
+        },
+
+        // the RANK of the row in the results of the full-text search of the table
+        _formatSearchScore: function (query) {
+            var search = query.search,
+                searchTable = this._formatMember('search');
+
+            return _.sprintf("(SELECT %s.[RANK] FROM %s(%s, (%s), %s) AS %s WHERE %s.[KEY] = %s)",
+                searchTable, search.mode === 'freetext' ? 'FREETEXTTABLE' : 'CONTAINSTABLE', this._formatTableName(query.table),
+                this._formatSearchColumns(search), this._formatFullTextSearch(search), searchTable, searchTable, this._formatMember('id'));
+        },
+
+        _formatSearchColumns: function (search) {
+            return search.columns.map(this._formatMember, this).join(', ');
+        },
+
+        // freetext searches are for the text of the terms, and contains searches
+        // for each of them, as phrases so that their words aren't operators, which
+        // terms can't break out of, as they have no double quotes (see ./search)
+        _formatFullTextSearch: function (search) {
+            var text = search.terms.join(' ');
+            if (search.mode !== 'freetext') {
+                text = search.terms.map(function (term) {
+                    return '"' + term + '"';
+                }).join(' AND ');
+            }
+            return this._createParameter(text);
+        },
+
+        // The condition and score of the search of the query for dialects without full-text
+        // search, which compare each term with each column using LIKE. A row matches if each
+        // term, or with the freetext mode any term, is found in a column, and its score is
+        // the number of columns each term is found in.
+        _formatLikeSearchCondition: function (query) {
+            var search = query.search,
+                self = this;
+
+            var conditions = search.terms.map(function (term) {
+                return '(' + search.columns.map(function (column) {
+                    return self._formatLike(self._formatMember(column), term);
+                }).join(' OR ') + ')';
+            });
+
+            return '(' + conditions.join(search.mode === 'freetext' ? ' OR ' : ' AND ') + ')';
+        },
+
+        _formatLikeSearchScore: function (query) {
+            var search = query.search,
+                self = this,
+                matches = [];
+
+            search.terms.forEach(function (term) {
+                search.columns.forEach(function (column) {
+                    matches.push(_.sprintf('(CASE WHEN %s THEN 1 ELSE 0 END)', self._formatLike(self._formatMember(column), term)));
+                });
+            });
+
+            return '(' + matches.join(' + ') + ')';
+        },
+
+        // whether the column contains the term
+        _formatLike: function (column, term) {
+            return column + ' LIKE ' + this._formatLikePattern(term);
+        },
+
+        // the pattern of the text that contains the term, escaping its wildcards
+        _formatLikePattern: function (term) {
+            var pattern = term.replace(/[\\%_]/g, '\\$&').replace(/'/g, "''");
+            return _.sprintf("'%%%s%%' ESCAPE '\\'", pattern);
+        },
+
+        // selects the grouped columns followed by the aggregates of $apply
+        _formatAggregateSelection: function (apply) {
+            var self = this;
+
+            var columns = apply.groupBy.map(function (member) {
+                return self._formatMember(member);
+            });
+
+            apply.aggregates.forEach(function (aggregate) {
+                columns.push(self._formatAggregate(aggregate) + ' AS ' + self._formatMember(aggregate.alias));
+            });
+
+            return columns.join(', ');
+        },
+
+        _formatAggregate: function (aggregate) {
+            switch (aggregate.method) {
+                case 'count':
+                    return 'COUNT(*)';
+                case 'countdistinct':
+                    return _.sprintf('COUNT(DISTINCT %s)', this._formatMember(aggregate.member));
+                case 'average':
+                    return _.sprintf('AVG(%s)', this._formatMember(aggregate.member));
+                default:
+                    // sum, min and max
+                    return _.sprintf('%s(%s)', aggregate.method.toUpperCase(), this._formatMember(aggregate.member));
+            }
+        },
+
+        _formatGroupBy: function () {
+            if (!this.apply) {
+                return '';
+            }
+
+            var self = this;
+            return this.apply.groupBy.map(function (member) {
+                return self._formatMember(member);
+            }).join(', ');
+        },
+
         _formatSelection: function (selection, systemProperties, prefix) {
             systemProperties = (systemProperties || []).map(core.systemPropertyToColumnName);
 
             var formattedSelection = '',
-                columns = selection.split(',').concat(systemProperties);
+                columns = selection.split(',').concat(systemProperties),
+                self = this;
 
             columns.forEach(function (column) {
                 var member = column.trim();
                 if (formattedSelection.length > 0) {
                     formattedSelection += ', ';
                 }
-                formattedSelection += (prefix || '') + SqlHelpers.formatMember(member);
+                formattedSelection += (prefix || '') + self._formatMember(member);
             });            
 
             return formattedSelection;
         },
 
+        // identifier formatting is routed through these members so that
+        // formatters for other sql dialects can apply their own quoting
+        _formatTableName: function (table) {
+            return SqlHelpers.formatTableName(this.schemaName, table);
+        },
+
+        _formatMember: function (member) {
+            return SqlHelpers.formatMember(member);
+        },
+
         _formatFilter: function (query, defaultFilter) {
             // if we already have a parsed filter use it,
             // otherwise parse the filter
@@ -219,13 +489,18 @@
             }
 
             if (!filterExpr) {
-                return defaultFilter || '';
+                return (query.search ? this._formatSearchCondition(query) : '') || defaultFilter || '';
             }
 
             this.sql = '';
             filterExpr = this._finalizeExpression(filterExpr);
             this.visit(filterExpr);
 
+            // the search condition follows the filter, as do its parameters
+            if (query.search) {
+                this.sql = _.sprintf('(%s AND %s)', this.sql, this._formatSearchCondition(query));
+            }
+
             return this.sql;
         },
 
@@ -348,8 +623,11 @@
         },
 
         visitMember: function (expr) {
-            if (typeof expr.member === 'string') {
-                this.sql += SqlHelpers.formatMember(expr.member);
+            if (typeof expr.member === 'string' && expr.instance.expressionType === ExpressionType.MemberAccess) {
+                this._formatJsonMember(expr);
+            }
+            else if (typeof expr.member === 'string') {
+                this.sql += this._formatMember(expr.member);
             }
             else {
                 this._formatMappedMember(expr);
@@ -358,6 +636,17 @@
             return expr;
         },
 
+        // formats a member path into the objects of a json column, such as
+        // address/city, as the value at that path
+        _formatJsonMember: function (expr) {
+            var path = SqlHelpers.getJsonPath(expr, this.tableMetadata);
+            this.sql += this._formatJsonPath(this._formatMember(path[0]), _.rest(path));
+        },
+
+        _formatJsonPath: function (column, path) {
+            return _.sprintf("JSON_VALUE(%s, '$.%s')", column, path.join('.'));
+        },
+
         visitUnary: function (expr) {
             if (expr.expressionType == ExpressionType.Not) {
                 this.sql += 'NOT ';
@@ -389,6 +678,43 @@
             else if (expr.memberInfo.type == 'math') {
                 this._formatMappedMathMember(expr.instance, expr.memberInfo, expr.args);
             }
+            else if (expr.memberInfo.type == 'geo') {
+                this._formatMappedGeoMember(expr.memberInfo, expr.args);
+            }
+        },
+
+        // distances are in meters, as they are for the WGS 84 spatial reference
+        _formatMappedGeoMember: function (mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (functionName == 'geo.distance') {
+                this._visitGeography(args[0]);
+                this.sql += '.STDistance(';
+                this._visitGeography(args[1]);
+                this.sql += ')';
+            }
+            else if (functionName == 'geo.intersects') {
+                this.sql += '(';
+                this._visitGeography(args[0]);
+                this.sql += '.STIntersects(';
+                this._visitGeography(args[1]);
+                this.sql += ') = 1)';
+            }
+        },
+
+        // geography literals are formatted from their parsed coordinates, so
+        // unlike other constants they can safely be formatted inline
+        _visitGeography: function (expr) {
+            if (expr.expressionType == ExpressionType.Constant) {
+                this.sql += this._formatGeographyLiteral(expr.value);
+            }
+            else {
+                this.visit(expr);
+            }
+        },
+
+        _formatGeographyLiteral: function (value) {
+            return _.sprintf("geography::STGeomFromText('%s', %d)", Geography.format(value), Geography.srid);
         },
 
         _formatMappedMember: function (expr) {
@@ -430,6 +756,22 @@
                 this.visit(instance);
                 this.sql += ')';
             }
+            else if (mappedMemberInfo.memberName == 'date') {
+                // the date is compared with dates as the start of its day
+                this.sql += 'CAST(';
+                this.visit(instance);
+                this.sql += ' AS DATE)';
+            }
+            else if (mappedMemberInfo.memberName == 'time') {
+                this.sql += 'CAST(';
+                this.visit(instance);
+                this.sql += ' AS TIME(3))';
+            }
+            else if (mappedMemberInfo.memberName == 'totaloffsetminutes') {
+                this.sql += 'DATEPART(TZOFFSET, ';
+                this.visit(instance);
+                this.sql += ')';
+            }
         },
 
         _formatMappedMathMember: function (instance, mappedMemberInfo, args) {
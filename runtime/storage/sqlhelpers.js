@@ -7,7 +7,8 @@
     var _ = require('underscore'),
         _str = require('underscore.string'),
         resource = require('../resources'),
-        core = require('../core');
+        core = require('../core'),
+        Geography = require('../query/geography');
 
     _.mixin(_str.exports());
 
@@ -182,8 +183,13 @@
             return _.sprintf('[%s]', memberName);
         },
 
-        // map json datatypes to SqlTypes
-        getSqlType: function (value) {
+        // Map json datatypes to SqlTypes. Objects and arrays are stored as json text,
+        // in columns of the jsonType of the provider, which is NVARCHAR(MAX) by default.
+        getSqlType: function (value, jsonType) {
+            if (Geography.isPoint(value)) {
+                return "GEOGRAPHY";
+            }
+
             var type = core.classof(value);
             switch (type) {
                 case 'string':
@@ -194,9 +200,100 @@
                     return "BIT";
                 case 'date':
                     return "DATETIMEOFFSET(3)";
+                case 'object':
+                case 'array':
+                    return jsonType || "NVARCHAR(MAX)";
                 default:
                     throw new core.MobileServiceError(_.sprintf("Unable to map type '%s' to a SQL type.", type), core.ErrorCodes.BadInput);
             }
+        },
+
+        // map a column declared in the data model (see ./tableschema) to its SqlType
+        getColumnType: function (column, jsonType) {
+            switch (column.type) {
+                case 'json':
+                    return jsonType || "NVARCHAR(MAX)";
+                case 'nvarchar':
+                    return _.sprintf("NVARCHAR(%s)", column.maxLength || 'MAX');
+                case 'float':
+                    return "FLOAT(53)";
+                case 'datetimeoffset':
+                    return "DATETIMEOFFSET(3)";
+                default:
+                    return column.type.toUpperCase();
+            }
+        },
+
+        // Returns the members of a member path into the objects of a json column, such
+        // as address/city, starting with the column. Throws if the path doesn't start
+        // with a json column of the table or has members that aren't identifiers, as
+        // paths are formatted as literals.
+        getJsonPath: function (expr, tableMetadata) {
+            var path = [];
+            for (; expr && core.isString(expr.member); expr = expr.instance) {
+                path.unshift(expr.member);
+            }
+
+            var column = path[0];
+            if (!tableMetadata || !tableMetadata.hasJsonColumn(column)) {
+                throw new core.MobileServiceError(_.sprintf(resource.memberPathNotValid, path.join('/'), column), core.ErrorCodes.BadInput);
+            }
+
+            path.forEach(function (member) {
+                this.validateIdentifier(member);
+            }, this);
+
+            return path;
+        },
+
+        // replaces the json text of the json columns of the results with the
+        // objects and arrays it represents. Text that isn't json is left as is.
+        parseJsonColumns: function (results, tableMetadata) {
+            if (!results || !tableMetadata || tableMetadata.jsonColumns.length === 0) {
+                return results;
+            }
+
+            var self = this;
+            _.each(results, function (result) {
+                _.each(_.keys(result), function (property) {
+                    if (tableMetadata.hasJsonColumn(property)) {
+                        result[property] = self.parseJson(result[property]);
+                    }
+                });
+            });
+
+            return results;
+        },
+
+        // replaces the well known text of the geography columns of the results
+        // with the GeoJSON points it represents
+        parseGeographyColumns: function (results, tableMetadata) {
+            if (!results || !tableMetadata || tableMetadata.geographyColumns.length === 0) {
+                return results;
+            }
+
+            _.each(results, function (result) {
+                _.each(_.keys(result), function (property) {
+                    if (tableMetadata.hasGeographyColumn(property) && core.isString(result[property])) {
+                        result[property] = Geography.toGeography(result[property]) || result[property];
+                    }
+                });
+            });
+
+            return results;
+        },
+
+        parseJson: function (value) {
+            if (!core.isString(value)) {
+                return value;
+            }
+
+            try {
+                return JSON.parse(value);
+            }
+            catch (error) {
+                return value;
+            }
         }
     };
 
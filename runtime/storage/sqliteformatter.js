@@ -0,0 +1,249 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// SqlFormatter for the SQLite dialect. SQLite has no schemas, so tables are
+// addressed by name only - each application uses its own database file.
+
+(function (global) {
+
+    var core = require('../core'),
+        resource = require('../resources'),
+        _ = require('underscore'),
+        _str = require('underscore.string');
+
+        require('./sqlformatter');
+        require('./sqlhelpers');
+
+    var Geography = require('../query/geography');
+
+    _.mixin(_str.exports());
+
+    var ctor = function (schemaName, tableMetadata) {
+        this.schemaName = schemaName;
+        this.tableMetadata = tableMetadata;
+    };
+
+    var instanceMembers = {
+
+        _formatTableName: function (table) {
+            SqlHelpers.validateIdentifier(this.schemaName);
+            return SqlHelpers.formatMember(table);
+        },
+
+        _formatQuery: function (query) {
+            return this._formatLimitQuery(query);
+        },
+
+        _formatPagedQuery: function (query) {
+            return this._formatLimitPagedQuery(query);
+        },
+
+        // SQLite has no full-text index to search, and LIKE
+        // compares ASCII characters case insensitively
+        _formatSearchCondition: function (query) {
+            return this._formatLikeSearchCondition(query);
+        },
+
+        _formatSearchScore: function (query) {
+            return this._formatLikeSearchScore(query);
+        },
+
+        _formatJsonPath: function (column, path) {
+            return _.sprintf("json_extract(%s, '$.%s')", column, path.join('.'));
+        },
+
+        // SQLite has no geography type, so geography columns hold the well known text
+        // of their points and geo.intersects is computed from its coordinates. Distances
+        // would need the trigonometric functions, which like FLOOR and CEILING are only
+        // available in SQLite builds that include the math extension, so geo.distance
+        // is rejected as bad input.
+        _formatMappedGeoMember: function (mappedMemberInfo, args) {
+            if (mappedMemberInfo.memberName == 'geo.distance') {
+                throw new core.MobileServiceError(_.sprintf(resource.geographyDistanceNotSupported, 'sqlite'), core.ErrorCodes.BadInput);
+            }
+
+            var point1 = this._formatGeoCoordinates(args[0]),
+                point2 = this._formatGeoCoordinates(args[1]);
+
+            if (!point1.polygon && !point2.polygon) {
+                this.sql += _.sprintf('(%s = %s AND %s = %s)', point1.lon, point2.lon, point1.lat, point2.lat);
+            }
+            else {
+                this._formatWithinPolygon(point1.polygon ? point2 : point1, (point1.polygon || point2.polygon));
+            }
+        },
+
+        // counts the edges of the polygon a ray cast from the point crosses,
+        // as Geography.intersects does, which is odd if the point is within it
+        _formatWithinPolygon: function (point, polygon) {
+            var crossings = Geography.getCrossedEdges(polygon).map(function (edge) {
+                return _.sprintf('(CASE WHEN %1$s >= %2$s AND %1$s < %3$s AND %4$s < %5$s + (%1$s - %6$s) * %7$s THEN 1 ELSE 0 END)',
+                    point.lat, Geography.formatCoordinate(edge.minLat), Geography.formatCoordinate(edge.maxLat),
+                    point.lon, Geography.formatCoordinate(edge.lon), Geography.formatCoordinate(edge.lat), Geography.formatCoordinate(edge.slope));
+            });
+
+            this.sql += _.sprintf('((%s) %% 2 = 1)', crossings.length > 0 ? crossings.join(' + ') : '0');
+        },
+
+        // Returns the SQL of the longitude and latitude of a geography column or point
+        // literal as { lon, lat }, or { polygon } for a polygon literal. The coordinates
+        // of literals are formatted from their parsed values, so they are safe inline.
+        _formatGeoCoordinates: function (expr) {
+            if (expr.expressionType == ExpressionType.Constant) {
+                if (!Geography.isPoint(expr.value)) {
+                    return { polygon: expr.value };
+                }
+                return {
+                    lon: Geography.formatCoordinate(expr.value.coordinates[0]),
+                    lat: Geography.formatCoordinate(expr.value.coordinates[1])
+                };
+            }
+
+            var sql = this.sql;
+            this.sql = '';
+            this.visit(expr);
+            var column = this.sql;
+            this.sql = sql;
+
+            // the text is POINT(lon lat)
+            return {
+                lon: _.sprintf("CAST(SUBSTR(%1$s, 7, INSTR(%1$s, ' ') - 7) AS REAL)", column),
+                lat: _.sprintf("CAST(SUBSTR(%1$s, INSTR(%1$s, ' ') + 1) AS REAL)", column)
+            };
+        },
+
+        visitUnary: function (expr) {
+            if (expr.expressionType == ExpressionType.Convert) {
+                this.sql += 'CAST(';
+                this.visit(expr.operand);
+                this.sql += _.sprintf(" AS %s)", expr.desiredType);
+                return expr;
+            }
+
+            return this._super.visitUnary.call(this, expr);
+        },
+
+        _formatMappedDateMember: function (instance, mappedMemberInfo, args) {
+            // dates are stored as ISO 8601 strings, which strftime understands
+            var formats = {
+                day: '%d',
+                month: '%m',
+                year: '%Y',
+                hour: '%H',
+                minute: '%M',
+                second: '%S'
+            };
+
+            var format = formats[mappedMemberInfo.memberName];
+            if (format) {
+                this.sql += "CAST(strftime('" + format + "', ";
+                this.visit(instance);
+                this.sql += ') AS INTEGER)';
+            }
+            else if (mappedMemberInfo.memberName == 'date') {
+                // the start of the day, as the ISO 8601 string dates are compared with
+                this.sql += "strftime('%Y-%m-%dT00:00:00.000Z', ";
+                this.visit(instance);
+                this.sql += ')';
+            }
+            else if (mappedMemberInfo.memberName == 'time') {
+                this.sql += "strftime('%H:%M:%f', ";
+                this.visit(instance);
+                this.sql += ')';
+            }
+            else if (mappedMemberInfo.memberName == 'totaloffsetminutes') {
+                // the strings are UTC times
+                this.sql += '(CASE WHEN ';
+                this.visit(instance);
+                this.sql += ' IS NULL THEN NULL ELSE 0 END)';
+            }
+        },
+
+        _formatMappedMathMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            // FLOOR and CEILING are only available in SQLite builds that include
+            // the math extension, so compute them from the truncated value
+            if (functionName == 'floor' || functionName == 'ceiling') {
+                var isFloor = functionName == 'floor';
+                this.sql += '(CAST(';
+                this.visit(instance);
+                this.sql += isFloor ? ' AS INTEGER) - (' : ' AS INTEGER) + (';
+                this.visit(instance);
+                this.sql += isFloor ? ' < CAST(' : ' > CAST(';
+                this.visit(instance);
+                this.sql += ' AS INTEGER)))';
+            }
+            else {
+                this._super._formatMappedMathMember.call(this, instance, mappedMemberInfo, args);
+            }
+        },
+
+        _formatMappedStringMember: function (instance, mappedMemberInfo, args) {
+            var functionName = mappedMemberInfo.memberName;
+
+            if (functionName == 'substringof') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += " LIKE ('%' || ";
+                this.visit(args[0]);
+                this.sql += " || '%'))";
+            }
+            else if (functionName == 'startswith') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += ' LIKE (';
+                this.visit(args[0]);
+                this.sql += " || '%'))";
+            }
+            else if (functionName == 'endswith') {
+                this.sql += '(';
+                this.visit(instance);
+                this.sql += " LIKE ('%' || ";
+                this.visit(args[0]);
+                this.sql += '))';
+            }
+            else if (functionName == 'concat') {
+                // the concatenation operator converts both operands to text
+                this.sql += '(';
+                this.visit(args[0]);
+                this.sql += ' || ';
+                this.visit(args[1]);
+                this.sql += ')';
+            }
+            else if (functionName == 'length') {
+                this.sql += 'LENGTH(';
+                this.visit(instance);
+                this.sql += ')';
+            }
+            else if (functionName == 'indexof') {
+                this.sql += '(INSTR(';
+                this.visit(instance);
+                this.sql += ', ';
+                this.visit(args[0]);
+                this.sql += ') - 1)';
+            }
+            else if (functionName == 'substring') {
+                this.sql += 'SUBSTR(';
+                this.visit(instance);
+                this.sql += ', ';
+                this.visit(args[0]);
+                this.sql += ' + 1';  // need to add 1 since SQL is 1 based, but OData is zero based
+
+                if (args.length == 2) {
+                    this.sql += ', ';
+                    this.visit(args[1]);
+                }
+
+                this.sql += ')';
+            }
+            else {
+                this._super._formatMappedStringMember.call(this, instance, mappedMemberInfo, args);
+            }
+        }
+    };
+
+    SqliteFormatter = core.deriveClass(SqlFormatter, ctor, instanceMembers);
+
+})(typeof exports === "undefined" ? this : exports);
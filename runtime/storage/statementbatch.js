@@ -0,0 +1,199 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Helpers for storage providers whose drivers run a single statement per call.
+// Storage issues batches of statements and expects the sqlserver driver's
+// semantics: callback(err, results, more) once per result set, and a
+// 'rowcount' event for each statement that modifies rows.
+
+var events = require('events'),
+    _ = require('underscore'),
+    core = require('../core');
+
+// Splits a batch into its statements, dividing the positional parameters
+// between them. A numbered placeholder (?1) refers to that parameter of the
+// batch again, without consuming a positional parameter. Semicolons inside of
+// quotes, comments, dollar quoted bodies and trigger bodies don't end a
+// statement. If specified, formatParameter(index) returns the placeholder text
+// for the index'th parameter of a statement.
+exports.split = function (batch, parameters, formatParameter) {
+    var statements = [],
+        sql = '',
+        start = 0,
+        parameterIndex = 0,
+        statementParameters = [],
+        blockDepth = 0,
+        i = 0;
+
+    parameters = parameters || [];
+
+    function endStatement(end) {
+        sql = (sql + batch.substring(start, end)).trim();
+        if (sql.length > 0) {
+            statements.push({
+                sql: sql,
+                parameters: statementParameters
+            });
+        }
+        statementParameters = [];
+        sql = '';
+        start = end + 1;
+    }
+
+    function skipTo(terminator, from) {
+        var end = batch.indexOf(terminator, from);
+        i = end < 0 ? batch.length : end + terminator.length;
+    }
+
+    while (i < batch.length) {
+        var c = batch[i],
+            dollarTag;
+
+        if (c === "'" || c === '"' || c === '`') {
+            // escaped quotes are doubled, which reads as two adjacent quoted strings
+            skipTo(c, i + 1);
+        }
+        else if (c === '[') {
+            skipTo(']', i + 1);
+        }
+        else if (c === '-' && batch[i + 1] === '-') {
+            skipTo('\n', i + 1);
+        }
+        else if (c === '/' && batch[i + 1] === '*') {
+            skipTo('*/', i + 2);
+        }
+        else if (c === '$' && (dollarTag = /^\$[A-Za-z_]*\$/.exec(batch.substring(i)))) {
+            skipTo(dollarTag[0], i + dollarTag[0].length);
+        }
+        else if (core.isLetter(c) || c === '_') {
+            var end = i;
+            while (end < batch.length && (core.isLetter(batch[end]) || core.isDigit(batch[end]) || batch[end] === '_')) {
+                end++;
+            }
+
+            var word = batch.substring(i, end).toUpperCase();
+            if (word === 'BEGIN' && (/^\s*CREATE\s+(TEMP\w*\s+)?TRIGGER\b/i).test(sql + batch.substring(start, i))) {
+                blockDepth++;
+            }
+            else if (word === 'CASE' && blockDepth > 0) {
+                blockDepth++;
+            }
+            else if (word === 'END' && blockDepth > 0) {
+                blockDepth--;
+            }
+            i = end;
+        }
+        else {
+            if (c === '?') {
+                var numberEnd = i + 1;
+                while (numberEnd < batch.length && core.isDigit(batch[numberEnd])) {
+                    numberEnd++;
+                }
+
+                var number = batch.substring(i + 1, numberEnd);
+                if (formatParameter || number) {
+                    sql += batch.substring(start, i) + (formatParameter ? formatParameter(statementParameters.length) : '?');
+                    start = numberEnd;
+                }
+                statementParameters.push(number ? parameters[number - 1] : parameters[parameterIndex++]);
+                i = numberEnd - 1;
+            }
+            else if (c === ';' && blockDepth === 0) {
+                endStatement(i);
+            }
+            i++;
+        }
+    }
+
+    endStatement(batch.length);
+
+    return statements;
+};
+
+// Runs the statements one after another. runStatement(statement, callback) must
+// call back with either (err, rows) or (err, null, rowCount). The results are
+// returned as an array of { rows: [] } or { rowCount: n } entries.
+exports.run = function (statements, runStatement, callback) {
+    var results = [];
+
+    function runNext(index) {
+        if (index === statements.length) {
+            callback(null, results);
+            return;
+        }
+
+        runStatement(statements[index], function (err, rows, rowCount) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            results.push(rows ? { rows: rows } : { rowCount: rowCount });
+            runNext(index + 1);
+        });
+    }
+
+    runNext(0);
+};
+
+// Reports the results of a batch through the statement emitter and callback,
+// optionally transforming each result set with formatRows.
+exports.replay = function (results, stmt, callback, formatRows) {
+    var resultSets = results.filter(function (result) { return result.rows; });
+    formatRows = formatRows || _.identity;
+
+    results.forEach(function (result) {
+        if (result.rows) {
+            var more = result !== _.last(resultSets);
+            callback(null, formatRows(result.rows), more);
+        }
+        else {
+            stmt.emit('rowcount', result.rowCount);
+        }
+    });
+
+    // a batch without any result sets still completes with an empty one
+    if (resultSets.length === 0) {
+        callback(null, formatRows([]), false);
+    }
+};
+
+// Creates a queue that runs work one item at a time. work(done) must call
+// done when it completes, after which the next item is run.
+exports.createQueue = function () {
+    var queue = [],
+        busy = false;
+
+    function dequeue() {
+        var work = queue.shift();
+        busy = !!work;
+        if (work) {
+            work(dequeue);
+        }
+    }
+
+    return {
+        enqueue: function (work) {
+            queue.push(work);
+            if (!busy) {
+                dequeue();
+            }
+        }
+    };
+};
+
+exports.createStatement = function () {
+    return new events.EventEmitter();
+};
+
+// formats rows the way the sqlserver driver's queryRaw does
+exports.formatRawRows = function (rows) {
+    var columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    return {
+        meta: columns.map(function (column) { return { name: column }; }),
+        rows: rows.map(function (row) {
+            return columns.map(function (column) { return row[column]; });
+        })
+    };
+};
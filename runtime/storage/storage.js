@@ -1,39 +1,215 @@
 ﻿// ----------------------------------------------------------------------------
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // ----------------------------------------------------------------------------
-
-var sql = require('sqlserver'),
-    _ = require('underscore'),
+//
+// Storage works with a storage provider that owns the database driver and the
+// sql dialect. The providers are found at: ./providers/*, and the provider is
+// selected by name using the MS_StorageProvider setting (default 'sqlserver').
+// The 'memory' setting selects MemoryStorage, which doesn't use a database.
+//
+// To add a new provider, you must create a module that implements the following
+// interface:
+//
+// provider.name = 'sqlserver';
+// provider.autoCreateTables = false;       // true if tables declared in the data
+//                                          // model should be created on startup
+// provider.maxParameterCount = 2100;       // the most parameters a statement can have
+// provider.maxInsertRowCount = 1000;       // optional, the most rows a statement can insert
+//
+// provider.open = function (connection, callback) { callback(err, conn); }
+// provider.query = function (connection, sql, parameters, callback) { }
+// provider.queryRaw = function (connection, sql, parameters, callback) { }
+//      // these have the same signature and semantics as the sqlserver driver:
+//      // a batch of statements invokes callback(err, results, more) once per
+//      // result set, and query returns an event emitter that raises 'rowcount'
+//      // with the number of rows affected by each statement. Errors must carry
+//      // the equivalent ODBC sqlstate (see SqlErrorCodes).
+//
+// provider.beginTransaction = function (connection, callback) { callback(err, transaction); }
+//      // transaction.query(sql, parameters, callback) and transaction.queryRaw behave as
+//      // provider.query and queryRaw, running batches one at a time in a single database
+//      // transaction. transaction.commit(callback) and transaction.rollback(callback) end it.
+//
+// provider.createFormatter = function (schemaName, tableMetadata) { return formatter; }
+//      // a SqlFormatter (or derived class) for the provider's dialect. The orderings of
+//      // continuation queries (see ./keysetpaging) must sort nulls first when ascending.
+//
+// provider.formatTableName = function (schemaName, table) { return '[schema].[table]'; }
+// provider.formatMember = function (name) { return '[name]'; }
+// provider.getSqlType = function (value) { return 'NVARCHAR(MAX)'; }
+// provider.getColumnType = function (column) { return 'NVARCHAR(255)'; }
+//      // the type of a column declared in the data model (see ./tableschema). Objects
+//      // and arrays are stored in the provider's json type, or as text if it has none.
+// provider.formatTableColumnsQuery = function (schemaName, table) { return sql; }
+//      // selects a COLUMN_NAME, DATA_TYPE, IS_NULLABLE ('YES' or 'NO') and
+//      // CHARACTER_MAXIMUM_LENGTH row per column. Types are reported using
+//      // the SQL Server type names (e.g. nvarchar, bit, timestamp), with json for
+//      // the columns of the provider's json type, if it has one, and geography for
+//      // the columns that hold points (see ../query/geography). Columns that hold
+//      // json text are reported by their text type.
+// provider.formatAddColumns = function (tableName, columns) { return sql; }
+//      // columns: [{ name: 'text', type: 'NVARCHAR(MAX)', nullable: true, defaultValue: null }]
+//      // where nullable and defaultValue are optional
+// provider.formatAlterColumn = function (tableName, column) { return sql; }
+//      // column: { name: 'text', type: 'NVARCHAR(255)', nullable: false }. Optional,
+//      // declared columns that don't match the table can't be altered without it
+// provider.formatInsert = function (tableName, columns, hasStringId, systemColumns, rowCount) { return sql; }
+//      // inserts rowCount rows (default 1) in a single statement, with the parameters
+//      // given row by row. The batch must end by selecting the id and requested system
+//      // columns of the inserted rows, in insert order for tables with integer ids.
+//      // The rows of a batch insert are split into statements within maxParameterCount
+//      // and maxInsertRowCount.
+// provider.formatUpdate = function (tableName, setClause, whereClause, selectClause) { return sql; }
+//      // the batch must select the number of updated rows as __rowcount, followed
+//      // by the selectClause for the updated row (by id) if one is specified
+// provider.formatUpsert = function (tableName, columns, systemColumns, supportsSoftDelete) { return sql; }
+//      // inserts a row or updates the columns of the existing row with the same id, unless
+//      // it is soft deleted. The parameters are the column values, the first column being id.
+//      // The batch must select the id and system columns of the row, along with __created
+//      // (whether the row was inserted), and select no row if it is soft deleted.
+// provider.formatCreateTable = function (schemaName, table) { return sql; }
+//      // required if autoCreateTables is true or tables declare their columns
+// provider.formatCurrentDateQuery = function () { return sql; }
+// provider.convertResults = function (results, tableMetadata) { return results; }
+//      // converts values the driver can't return as their javascript types, such
+//      // as the json text of json columns (see SqlHelpers.parseJsonColumns) and
+//      // the points of geography columns, which are written as well known text
+// provider.isTableNotFoundError = function (err) { return true; }
+// provider.isUniqueConstraintViolation = function (err) { return true; }
+
+var _ = require('underscore'),
     _str = require('underscore.string'),
     resource = require('../resources'),
     core = require('../core'),
-    TableMetadata = require('./tablemetadata');
+    uuid = require('request/uuid'),
+    TableMetadata = require('./tablemetadata'),
+    TableSchema = require('./tableschema'),
+    KeysetPaging = require('./keysetpaging'),
+    Geography = require('../query/geography');
 
 _.mixin(_str.exports());
 
 require('./sqlhelpers');
-require('./sqlformatter');
 require('../core');
+require('../query/expressions');
+require('../query/queryparser');
 
 exports = module.exports = Storage;
 
 var logSource = 'Storage';
 
+var providers = {
+    sqlserver: './providers/sqlserver',
+    sqlite: './providers/sqlite',
+    postgres: './providers/postgres'
+};
+
+// Options parameter format:
+// var options = {
+//    provider: the storage provider, created with Storage.createProvider. Defaults to sqlserver.
+//    retryMaxCount: 3,
+//    retryIntervalMS: 4000
+// }
 function Storage(connection, appName, dynamicSchemaEnabled, logger, metrics, options) {
+    options = options || {};
+
     this.connection = connection;
     this.schemaName = SqlHelpers.formatSchemaName(appName);
     this.globalLogger = logger;
     this.metrics = metrics;
     this.dynamicSchemaEnabled = (dynamicSchemaEnabled === undefined) ? true : dynamicSchemaEnabled;
-    this.sql = sql;
+    this.provider = options.provider || Storage.createProvider();
 
-    options = options || {};
     this.retryMaxCount = options.retryMaxCount || 3;
     this.retryIntervalMS = options.retryIntervalMS || 4000;    
 
     this.metadata = {};
+
+    // the tables that declare their columns in the data model, keyed
+    // by lower case name. Dynamic schema is disabled for these tables.
+    this.declaredTables = {};
+
+    // The lower case names of the json columns of tables, keyed by lower case table
+    // name. Columns that hold json text can't be told apart from text columns by their
+    // type, so they are those declared as json in the data model, along with those
+    // added for the objects and arrays of items by dynamic schema.
+    this.jsonColumns = {};
 }
 
+// creates the storage provider with the specified name
+Storage.createProvider = function (name) {
+    name = (name || 'sqlserver').toLowerCase();
+
+    if (!providers.hasOwnProperty(name)) {
+        throw new Error(_.sprintf("Unsupported storage provider '%s'.", name));
+    }
+
+    var Provider = require(providers[name]);
+    return new Provider();
+};
+
+// creates the storage for the named provider. The 'memory' provider keeps
+// tables in memory instead of a database (see ./memorystorage).
+Storage.create = function (providerName, connection, appName, dynamicSchemaEnabled, logger, metrics) {
+    if (providerName && providerName.toLowerCase() === 'memory') {
+        var MemoryStorage = require('./memorystorage');
+        return new MemoryStorage(appName, dynamicSchemaEnabled, logger, metrics);
+    }
+
+    return new Storage(connection, appName, dynamicSchemaEnabled, logger, metrics, { provider: Storage.createProvider(providerName) });
+};
+
+// Begins a transaction, calling back with a storage whose operations all
+// run in it until it is ended by commit or rollback
+Storage.prototype.beginTransaction = function (logger, callback) {
+    var self = this;
+
+    logger.trace(logSource, 'Beginning transaction');
+
+    this.provider.beginTransaction(this.connection, function (err, transaction) {
+        if (err) {
+            self._handleSystemError(err, logger, callback);
+            return;
+        }
+
+        // the storage shares the table metadata of this storage
+        var storage = Object.create(self);
+        storage.transaction = transaction;
+        callback(null, storage);
+    });
+};
+
+Storage.prototype.commit = function (logger, callback) {
+    this._endTransaction('commit', logger, callback);
+};
+
+Storage.prototype.rollback = function (logger, callback) {
+    var self = this;
+
+    // columns added by the transaction are removed by the rollback
+    _.each(_.keys(this.metadata), function (table) {
+        self._clearTableMetadata(table);
+    });
+
+    this._endTransaction('rollback', logger, callback);
+};
+
+Storage.prototype._endTransaction = function (method, logger, callback) {
+    var transaction = this.transaction;
+
+    if (!transaction || transaction.completed) {
+        callback(new core.MobileServiceError(resource.transactionCompleted));
+        return;
+    }
+
+    logger.trace(logSource, _.sprintf('Ending transaction (%s)', method));
+
+    transaction.completed = true;
+    transaction[method](function (err) {
+        callback(err ? new core.MobileServiceError(err) : null);
+    });
+};
+
 Storage.prototype.getTableMetadata = function (table, logger, callback) {
     var tableMetadata = this.metadata[table];
 
@@ -49,7 +225,7 @@ Storage.prototype.getTableMetadata = function (table, logger, callback) {
             return;
         }
 
-        tableMetadata = TableMetadata.fromColumns(columns);
+        tableMetadata = self._createTableMetadata(table, columns);
         
         // table doesn't exist or if there are no columns in it. no need to cache the metadata.
         if (columns.length > 0) {
@@ -60,23 +236,165 @@ Storage.prototype.getTableMetadata = function (table, logger, callback) {
     });
 };
 
+// Options parameter format:
+// var options = {
+//    systemProperties: [],
+//    includeDeleted: false,
+//    paging: 'continuation',       // page the query by continuation tokens rather than $skip
+//    continuationToken: 'token',   // the continuationToken of the results of the previous page
+//    rowFilter: { userId: 'id' },  // the values of the columns of the rows the user can access
+//    search: { columns: [], ... }  // the full-text search of the rows (see ./search)
+// }
+// The skip and top of a query with a partitionBy column apply to each set
+// of rows that have the same value of that column, rather than to all rows.
 Storage.prototype.query = function (query, logger, options, callback) {
     query.systemProperties = this._getSystemPropertiesFromOptions(options);
     query.includeDeleted = options && options.includeDeleted;
+
+    if (options && options.search) {
+        query = _.extend({}, query, { search: options.search });
+    }
+
+    try {
+        if (options && options.rowFilter) {
+            query = this._createRowFilterQuery(query, options.rowFilter);
+        }
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    if (options && options.paging === 'continuation') {
+        try {
+            query = this._createContinuationQuery(query, options.continuationToken);
+        }
+        catch (error) {
+            callback(error);
+            return;
+        }
+    }
+
     this._query(query, logger, callback);
 };
 
+// Returns a copy of the query that only selects the rows with the values of the row filter
+Storage.prototype._createRowFilterQuery = function (query, rowFilter) {
+    var filter = null;
+
+    try {
+        if (query._parsed && query._parsed.filter) {
+            filter = query._parsed.filter;
+        }
+        else if (query.filter) {
+            filter = QueryParser.filter(query.filter);
+        }
+    }
+    catch (error) {
+        throw new core.MobileServiceError('Invalid query specified. ' + error, core.ErrorCodes.BadInput);
+    }
+
+    _.each(rowFilter, function (value, column) {
+        var equal = new BinaryExpression(new MemberExpression(new ParameterExpression(), column), new ConstantExpression(value), ExpressionType.Equal);
+        filter = filter ? new BinaryExpression(filter, equal, ExpressionType.And) : equal;
+    });
+
+    return _.extend({}, query, {
+        _parsed: _.extend({}, query._parsed, { filter: filter })
+    });
+};
+
+// Returns a copy of the query that selects the page following the position
+// encoded in the continuation token, or the first page if there is no token.
+// If the query returns a full page, its results will have the continuationToken
+// of the next page. Results with any rows have the positionToken of the last row,
+// from which the query can be resumed later, even if the page isn't full.
+Storage.prototype._createContinuationQuery = function (query, continuationToken) {
+    if (query.skip > 0 || query.inlineCount === 'allpages' || query.apply) {
+        throw new core.MobileServiceError(resource.continuationPagingOptionNotSupported, core.ErrorCodes.BadInput);
+    }
+
+    var orderings = KeysetPaging.getOrderings(query),
+        filter = null;
+
+    try {
+        if (query._parsed && query._parsed.filter) {
+            filter = query._parsed.filter;
+        }
+        else if (query.filter) {
+            filter = QueryParser.filter(query.filter);
+        }
+    }
+    catch (error) {
+        throw new core.MobileServiceError('Invalid query specified. ' + error, core.ErrorCodes.BadInput);
+    }
+
+    if (continuationToken) {
+        var seekFilter = KeysetPaging.createSeekFilter(orderings, continuationToken);
+        filter = filter ? new BinaryExpression(filter, seekFilter, ExpressionType.And) : seekFilter;
+    }
+
+    var pageQuery = _.extend({}, query, {
+        orderBy: KeysetPaging.formatOrderBy(orderings),
+        _parsed: { orderBy: orderings },
+        continuation: { orderings: orderings, addedColumns: [] }
+    });
+    delete pageQuery.skip;
+
+    if (filter) {
+        pageQuery._parsed.filter = filter;
+    }
+
+    // the token is created from the last row, so the columns the query is
+    // ordered by are also selected, and removed from the results
+    if (query.select) {
+        var selectedColumns = query.select.split(',').map(function (column) {
+            return column.trim().toLowerCase();
+        });
+
+        KeysetPaging.getColumns(orderings).forEach(function (column) {
+            if (!_.contains(selectedColumns, column.toLowerCase())) {
+                pageQuery.select += ',' + column;
+                pageQuery.continuation.addedColumns.push(column.toLowerCase());
+            }
+        });
+    }
+
+    return pageQuery;
+};
+
 Storage.prototype.insert = function (table, item, logger, options, callback) {
-    // item can either be a singleton or a homogeneous array
-    // of items to insert in a single batch
+    // item can either be a singleton or an array of items to insert
+    // in a single transaction, in which case either all or none of them
+    // are inserted. The items of an array are copied, and the copies are
+    // given the ids and system properties of the inserted rows.
+    if (core.isArray(item)) {
+        item = item.map(function (item) {
+            return _.clone(item);
+        });
+    }
+
+    if (options && options.rowFilter) {
+        (core.isArray(item) ? item : [item]).forEach(function (item) {
+            setRowFilterValues(item, options.rowFilter);
+        });
+    }
+
     var insertOptions = {
         table: table,
         item: item,
         logger: logger,
-        retry: this.dynamicSchemaEnabled,
+        retry: this._isDynamicSchemaEnabled(table),
         systemProperties: this._getSystemPropertiesFromOptions(options)
     };
 
+    if (core.isArray(item) && item.length === 0) {
+        process.nextTick(function () {
+            callback(null, item);
+        });
+        return;
+    }
+
     this._insert(insertOptions, callback);
 };
 
@@ -88,6 +406,10 @@ Storage.prototype.update = function (table, id, item, logger, options, callback)
             return;
         }
 
+        if (item && options && options.rowFilter) {
+            setRowFilterValues(item, options.rowFilter);
+        }
+
         var keyCount = item === null ? 0 : Object.keys(item).length;
         if (keyCount === 0) {
             callback(new core.MobileServiceError('One or more update values must be specified.', core.ErrorCodes.BadInput), 0);
@@ -103,14 +425,47 @@ Storage.prototype.update = function (table, id, item, logger, options, callback)
             id: id,
             item: item,
             logger: logger,
-            retry: self.dynamicSchemaEnabled,
-            systemProperties: self._getSystemPropertiesFromOptions(options)
+            retry: self._isDynamicSchemaEnabled(table),
+            systemProperties: self._getSystemPropertiesFromOptions(options),
+            rowFilter: options && options.rowFilter
         };
 
         self._update(updateOptions, callback);
     });
 };
 
+// Inserts the item or replaces the values of the existing item with its id,
+// calling back with whether the item was inserted. Columns that the item has
+// no value for are set to null. options.condition can require the item to
+// already exist ('exists') or not to exist ('notExists'). An item with a
+// __version only replaces the existing item with that version.
+Storage.prototype.upsert = function (table, item, logger, options, callback) {
+    var self = this;
+    this._validateId(table, item.id, logger, function (error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (options && options.rowFilter) {
+            setRowFilterValues(item, options.rowFilter);
+        }
+
+        var upsertOptions = {
+            table: table,
+            id: item.id,
+            item: item,
+            logger: logger,
+            retry: self._isDynamicSchemaEnabled(table),
+            systemProperties: self._getSystemPropertiesFromOptions(options),
+            condition: options && options.condition,
+            rowFilter: options && options.rowFilter
+        };
+
+        self._upsert(upsertOptions, callback);
+    });
+};
+
 Storage.prototype.del = function (table, id, version, logger, options, callback) {
     var self = this;
     this._validateId(table, id, logger, function (error) {
@@ -119,7 +474,194 @@ Storage.prototype.del = function (table, id, version, logger, options, callback)
             return;
         }
 
-        self._del(table, id, version, logger, callback);
+        self._del(table, id, version, logger, options, callback);
+    });
+};
+
+// Updates the rows of the table of the query that its filter selects with the values
+// of the item, calling back with the number of rows updated. Soft deleted rows aren't
+// updated, and the id and version of the item are ignored.
+Storage.prototype.bulkUpdate = function (query, item, logger, options, callback) {
+    if (options && options.rowFilter) {
+        setRowFilterValues(item, options.rowFilter);
+    }
+
+    var bulkOptions = {
+        table: query.table,
+        item: item,
+        logger: logger,
+        retry: this._isDynamicSchemaEnabled(query.table)
+    };
+
+    try {
+        bulkOptions.query = this._createBulkQuery(query, options);
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    this._bulkUpdate(bulkOptions, callback);
+};
+
+// Deletes the rows of the table of the query that its filter selects, calling back
+// with the number of rows deleted. The rows of tables that support soft delete are
+// soft deleted, unless options.purge is set, in which case the rows are deleted
+// permanently whether or not they are soft deleted.
+Storage.prototype.bulkDel = function (query, logger, options, callback) {
+    try {
+        query = this._createBulkQuery(query, options);
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    this._bulkDel(query, logger, !!(options && options.purge), callback);
+};
+
+// creates the table with a string id and all system columns if it doesn't
+// already exist. Only supported by providers that auto create tables.
+Storage.prototype.createTable = function (table, logger, callback) {
+    var statement;
+    try {
+        statement = this.provider.formatCreateTable(this.schemaName, table);
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    logger.trace(logSource, 'Creating table', 'SQL: ' + statement);
+
+    var self = this;
+    this._executeSql('CREATE', statement, null, logger, null, callback, function (error, results, more) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (!more) {
+            self._clearTableMetadata(table);
+            callback(null);
+        }
+    });
+};
+
+// Creates the table if it doesn't exist and adds or alters its columns to match
+// the columns declared for it in the data model (see ./tableschema). Dynamic
+// schema is disabled for the table, so items can only have declared properties.
+Storage.prototype.syncTableSchema = function (table, columns, logger, callback) {
+    var declaredColumns;
+    try {
+        declaredColumns = TableSchema.parseColumns(table, columns);
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    this.declaredTables[table.toLowerCase()] = true;
+    this.jsonColumns[table.toLowerCase()] = _.filter(declaredColumns, function (column) {
+        return column.type === 'json';
+    }).map(function (column) {
+        return column.name.toLowerCase();
+    });
+    this._clearTableMetadata(table);
+
+    var self = this;
+    function getTableColumns(done) {
+        self._getTableColumns(table, logger, function (error, existingColumns) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            done(existingColumns);
+        });
+    }
+
+    function alterTableSchema(existingColumns) {
+        self._alterTableSchema(table, TableSchema.getChanges(declaredColumns, existingColumns), logger, callback);
+    }
+
+    getTableColumns(function (existingColumns) {
+        if (existingColumns.length > 0) {
+            alterTableSchema(existingColumns);
+            return;
+        }
+
+        // a table without columns doesn't exist
+        self.createTable(table, logger, function (error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            getTableColumns(alterTableSchema);
+        });
+    });
+};
+
+Storage.prototype._isDynamicSchemaEnabled = function (table) {
+    return this.dynamicSchemaEnabled && !this.declaredTables[table.toLowerCase()];
+};
+
+// applies the changes returned by TableSchema.getChanges to the table
+Storage.prototype._alterTableSchema = function (table, changes, logger, callback) {
+    if (changes.add.length === 0 && changes.alter.length === 0) {
+        logger.trace(logSource, _.sprintf("The schema of table '%s' matches its declaration.", table));
+        callback(null);
+        return;
+    }
+
+    var self = this,
+        statements = [],
+        alterError = null,
+        tableName;
+
+    function toProviderColumn(column) {
+        return _.extend(_.clone(column), { type: self.provider.getColumnType(column) });
+    }
+
+    try {
+        tableName = this.provider.formatTableName(this.schemaName, table);
+
+        if (changes.add.length > 0) {
+            statements.push(this.provider.formatAddColumns(tableName, changes.add.map(toProviderColumn)));
+        }
+
+        if (changes.alter.length > 0 && !this.provider.formatAlterColumn) {
+            // the missing columns are still added
+            alterError = new core.MobileServiceError(_.sprintf(resource.cannotAlterDeclaredColumns, table, _.pluck(changes.alter, 'name').join("', '"), this.provider.name));
+        }
+        else {
+            changes.alter.forEach(function (column) {
+                statements.push(self.provider.formatAlterColumn(tableName, toProviderColumn(column)));
+            });
+        }
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    if (statements.length === 0) {
+        callback(alterError);
+        return;
+    }
+
+    var statement = statements.join('; ');
+    logger.trace(logSource, 'Updating declared schema', 'SQL: ' + statement);
+
+    this._executeSql('ALTER', statement, null, logger, null, callback, function (error, results, more) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (!more) {
+            self._clearTableMetadata(table);
+            callback(alterError);
+        }
     });
 };
 
@@ -203,19 +745,14 @@ Storage.prototype._updateSchema = function (table, item, logger, callback) {
             }
 
             // generate the add column(s) sql
-            // note - we've already validated these identifiers in the original create,
-            // so we don't need to do so again here
-            var addColumnsSql = '';
+            var columnsToAdd = [];
             var columnsToAddError = null;
             cols.forEach(function (col) {
                 if (core.isSystemColumnName(col) &&
                     self.metadata[table].hasStringId) {
                     columnsToAddError = new core.MobileServiceError(_.sprintf("The column '%s' can not be dynamically added. Columns that begin with a '__' are considered system columns.", col), core.ErrorCodes.BadInput);
                 }
-                if (addColumnsSql.length > 0) {
-                    addColumnsSql += ', ';
-                }
-                addColumnsSql += _.sprintf("[%s] %s NULL", col, SqlHelpers.getSqlType(item[col]));
+                columnsToAdd.push({ name: col, type: self.provider.getSqlType(item[col]) });
             });
 
             if (columnsToAddError) {
@@ -223,14 +760,22 @@ Storage.prototype._updateSchema = function (table, item, logger, callback) {
                 return;
             }
 
+            cols.forEach(function (col) {
+                if (core.isJsonValue(item[col]) && !Geography.isPoint(item[col])) {
+                    self._addJsonColumn(table, col);
+                }
+            });
+
             // update the schema
-            var tableName = SqlHelpers.formatTableName(self.schemaName, table);
-            var cmdText = _.sprintf("ALTER TABLE %s ADD %s;", tableName, addColumnsSql);
+            var tableName = self.provider.formatTableName(self.schemaName, table);
+            var cmdText = self.provider.formatAddColumns(tableName, columnsToAdd);
             logger.trace(logSource, 'Updating schema', 'SQL: ' + cmdText);
 
             self._executeSql('ALTER', cmdText, null, logger, null, callback, function (err) {
                 if (!err) {
                     logger.trace(logSource, 'Schema update succeeded.');
+                    // the cached metadata doesn't include the new columns
+                    self._clearTableMetadata(table);
                     callback(null);
                 }
                 else {
@@ -255,7 +800,7 @@ Storage.prototype._updateSchema = function (table, item, logger, callback) {
 };
 
 Storage.prototype._getTableColumns = function (table, logger, callback) {
-    var statement = _.sprintf("SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = '%s' AND TABLE_SCHEMA = '%s'", table, this.schemaName);
+    var statement = this.provider.formatTableColumnsQuery(this.schemaName, table);
 
     var self = this;
     this._executeSql('SELECT', statement, null, logger, null, callback, function (error, results) {
@@ -266,9 +811,12 @@ Storage.prototype._getTableColumns = function (table, logger, callback) {
 
         var columns = [];
         for (var index in results) {
+            var maxLength = results[index].CHARACTER_MAXIMUM_LENGTH;
             var columnInfo = {
                 name: results[index].COLUMN_NAME.toLowerCase(),
-                type: results[index].DATA_TYPE
+                type: results[index].DATA_TYPE,
+                nullable: results[index].IS_NULLABLE === 'YES',
+                maxLength: maxLength > 0 ? maxLength : null // max lengths are reported as -1
             };
             columns.push(columnInfo);
         }
@@ -277,6 +825,22 @@ Storage.prototype._getTableColumns = function (table, logger, callback) {
     });
 };
 
+// creates the metadata of the table from its columns, typing its json columns as json
+Storage.prototype._createTableMetadata = function (table, columns) {
+    var jsonColumns = this.jsonColumns[table.toLowerCase()] || [];
+
+    return TableMetadata.fromColumns(columns.map(function (column) {
+        return _.contains(jsonColumns, column.name) ? _.extend({}, column, { type: 'json' }) : column;
+    }));
+};
+
+Storage.prototype._addJsonColumn = function (table, column) {
+    var jsonColumns = this.jsonColumns[table.toLowerCase()] = this.jsonColumns[table.toLowerCase()] || [];
+    if (!_.contains(jsonColumns, column.toLowerCase())) {
+        jsonColumns.push(column.toLowerCase());
+    }
+};
+
 Storage.prototype._getColumnsToAdd = function (table, item, logger, callback) {
     var self = this;
     this._getTableColumns(table, logger, function (error, results) {
@@ -285,7 +849,7 @@ Storage.prototype._getColumnsToAdd = function (table, item, logger, callback) {
             return;
         }
 
-        var tableMetadata = TableMetadata.fromColumns(results);
+        var tableMetadata = self._createTableMetadata(table, results);
         self.metadata[table] = tableMetadata;
 
         var existingColumnNames = [];
@@ -348,6 +912,7 @@ Storage.prototype._update = function (options, callback) {
                 options.updateStatement = updateStatement;
                 options.parameters = parameters;
                 options.systemProperties = systemProperties;
+                options.tableMetadata = tableMetadata;
 
                 if (version) {
                     options.version = version;
@@ -398,17 +963,18 @@ Storage.prototype._executeSqlUpdate = function (options, callback) {
             var isUndelete = item.__deleted === false;
 
             if ((!version && isUndelete) || updateRowCount > 0) {
+                lastResult = self.provider.convertResults(lastResult, options.tableMetadata);
                 self._handleUpdateSuccess(updateRowCount, item, lastResult, logger, callback);
                 return;
             }
             // find the row to see if version mismatch occured or the record was soft deleted
-            self._handleUpdateOrDeleteFailure(logger, table, item, callback, 'update');
+            self._handleUpdateOrDeleteFailure(logger, table, item, callback, 'update', options.rowFilter);
         }
     });
 };
 
 // when update or delete statement affects 0 records this method checks to see if the version check failed or the record does not exist
-Storage.prototype._handleUpdateOrDeleteFailure = function (logger, table, item, callback, forOperation) {
+Storage.prototype._handleUpdateOrDeleteFailure = function (logger, table, item, callback, forOperation, rowFilter) {
 
     this._readItemForError(logger, table, item.id, function (error, result) {
         if (error || !result) {
@@ -426,16 +992,17 @@ Storage.prototype._handleUpdateOrDeleteFailure = function (logger, table, item,
             logger.trace(logSource, 'Record found with same id and version but update or delete failed.');
             callback(null, 0);
         }
-    },  _.sprintf('Select for %s with version check failed. ', forOperation) + '%s');    
+    },  _.sprintf('Select for %s with version check failed. ', forOperation) + '%s', rowFilter);    
 };
 
-Storage.prototype._readItemForError = function (logger, table, id, callback, readErrorFormat) {
+// rows that the row filter excludes are read as if they didn't exist
+Storage.prototype._readItemForError = function (logger, table, id, callback, readErrorFormat, rowFilter) {
     var query = {
         table: table,
         id: id
     };
 
-    var queryOptions = { systemProperties: ['*'], includeDeleted: true };
+    var queryOptions = { systemProperties: ['*'], includeDeleted: true, rowFilter: rowFilter };
 
     this.query(query, logger, queryOptions, function (error, results) {
         if (error) {
@@ -463,8 +1030,10 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
         logger = options.logger,
         id = options.id;
 
-    var tableName = SqlHelpers.formatTableName(this.schemaName, table),
+    var provider = this.provider,
+                     tableName = provider.formatTableName(this.schemaName, table),
                      setStatements = '',
+                     whereClause = '',
                      selectItemProperties = '',
                      versionValue = '',
                      hasStringId = tableMetadata.hasStringId,
@@ -479,7 +1048,7 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
             if (selectItemProperties.length > 0) {
                 selectItemProperties += ', ';
             }
-            selectItemProperties += _.sprintf('[%1$s] AS [%1$s]', prop);
+            selectItemProperties += _.sprintf('%1$s AS %1$s', provider.formatMember(prop));
             versionValue = value;
             continue;
         }
@@ -501,7 +1070,7 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
         if (setStatements.length > 0) {
             setStatements += ', ';
         }
-        setStatements += '[' + prop + '] = ?';
+        setStatements += provider.formatMember(prop) + ' = ?';
 
         // Check for binary data that needs to be
         // converted into a buffer instance
@@ -510,20 +1079,18 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
             value = new Buffer(value, 'base64');
         }
 
-        parameters.push(value);
+        parameters.push(toParameterValue(value, prop, tableMetadata));
     }
 
-    if (setStatements.length > 0) {
-        updateStmt = _.sprintf("UPDATE %s SET %s WHERE [id] = ? ", tableName, setStatements);
-    }
-    else {
-        updateStmt = _.sprintf("UPDATE %s SET [id] = ? WHERE [id] = ? ", tableName, setStatements);
+    if (setStatements.length === 0) {
+        setStatements = provider.formatMember('id') + ' = ?';
         parameters.push(id);
     }
+    whereClause = provider.formatMember('id') + ' = ?';
     parameters.push(id);
 
     if (versionValue) {
-        updateStmt += "AND [__version] = ? ";
+        whereClause += ' AND ' + provider.formatMember('__version') + ' = ?';
         if (!this._trySetVersionParameter(versionValue, parameters, callback))
         {
             return;
@@ -533,10 +1100,11 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
     // filter out deleted rows unless we want to undelete the item
     var isUndelete = item.__deleted === false;
     if (tableMetadata.supportsSoftDelete && !isUndelete) {
-        updateStmt += "AND [__deleted] = 0 ";
+        whereClause += ' AND ' + provider.formatMember('__deleted') + ' = ?';
+        parameters.push(false);
     }
 
-    updateStmt += '; SELECT @@rowcount as __rowcount';
+    whereClause += this._formatRowFilter(options.rowFilter, parameters);
 
     // Add the SELECT clause if the id is a string
     if (hasStringId) {
@@ -546,20 +1114,35 @@ Storage.prototype._buildSqlUpdate = function (options, tableMetadata, systemProp
                     if (selectItemProperties.length > 0) {
                         selectItemProperties += ', ';
                     }
-                    selectItemProperties += _.sprintf('[__%1$s] AS [__%1$s]', systemProperty);
+                    selectItemProperties += _.sprintf('%1$s AS %1$s', provider.formatMember('__' + systemProperty));
                 }
             });
         }
         if (selectItemProperties.length > 0) {
-            updateStmt += _.sprintf("; SELECT %s FROM %s WHERE [id] = ?", selectItemProperties, tableName);
             parameters.push(id);
         }
-    }    
+    }
+
+    updateStmt = provider.formatUpdate(tableName, setStatements, whereClause, selectItemProperties);
 
     callback(null, updateStmt, parameters, versionValue);
 };
 
-Storage.prototype._trySetVersionParameter = function (version, parameters, callback) {
+// returns the conditions of a where clause that restrict a statement to the rows
+// with the values of the row filter, adding their parameters
+Storage.prototype._formatRowFilter = function (rowFilter, parameters) {
+    var provider = this.provider;
+
+    return _.map(rowFilter || {}, function (value, column) {
+        if (value === null) {
+            return ' AND ' + provider.formatMember(column) + ' IS NULL';
+        }
+        parameters.push(value);
+        return ' AND ' + provider.formatMember(column) + ' = ?';
+    }).join('');
+};
+
+Storage.prototype._trySetVersionParameter = function (version, parameters, callback) {
     var versionBuffer = null;
     try {
         versionBuffer = new Buffer(version, 'base64');
@@ -592,7 +1175,7 @@ Storage.prototype._handleUpdateError = function (error, options, logger, callbac
         if (options.retry && isInvalidColumnSqlError) {
             this._retryUpdate(options, callback);
         }
-        else if (!this.dynamicSchemaEnabled && isInvalidColumnSqlError) {
+        else if (!this._isDynamicSchemaEnabled(options.table) && isInvalidColumnSqlError) {
             callback(new core.MobileServiceError(resource.colNotInSchema, core.ErrorCodes.BadInput));
         }
         else if (error.sqlstate === SqlErrorCodes.ColumnSizeExceeded) {
@@ -618,11 +1201,216 @@ Storage.prototype._retryUpdate = function (options, callback) {
     });
 };
 
-Storage.prototype._del = function (table, id, version, logger, callback) {
+Storage.prototype._upsert = function (options, callback) {
+    var self = this,
+        item = options.item;
+
+    this._getTableMetadataAndSupportedSystemProperties(options.table, options.systemProperties, options.logger, function (error, systemProperties, tableMetadata) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (!tableMetadata.hasStringId) {
+            callback(new core.MobileServiceError(resource.upsertNotSupported, core.ErrorCodes.BadInput));
+            return;
+        }
+
+        // the item replaces all of the values of an existing item
+        var properties = _.keys(item).map(function (property) { return property.toLowerCase(); });
+        _.each(tableMetadata.columnTypes, function (type, column) {
+            if (column !== 'id' && !core.isSystemColumnName(column) && !_.contains(properties, column.toLowerCase())) {
+                item[column] = null;
+            }
+        });
+
+        if (item.__version || options.condition === 'exists') {
+            self._replaceExisting(options, callback);
+        }
+        else if (options.condition === 'notExists') {
+            self._insertIfNotExists(options, callback);
+        }
+        else if (options.rowFilter) {
+            // a merge would replace an existing item the row filter excludes
+            self._replaceOrInsert(options, callback);
+        }
+        else {
+            self._merge(options, tableMetadata, systemProperties, callback);
+        }
+    });
+};
+
+Storage.prototype._replaceExisting = function (options, callback) {
+    var updateOptions = _.pick(options, 'table', 'id', 'item', 'logger', 'retry', 'systemProperties', 'rowFilter');
+
+    this._update(updateOptions, function (error, rowCount) {
+        if (error) {
+            callback(error);
+        }
+        else if (rowCount === 0) {
+            callback(new core.MobileServiceError(_.sprintf(resource.itemNotFound, options.id), core.ErrorCodes.ItemNotFound));
+        }
+        else {
+            callback(null, false);
+        }
+    });
+};
+
+// replaces the existing item, or inserts the item if there is none
+Storage.prototype._replaceOrInsert = function (options, callback) {
+    var self = this,
+        updateOptions = _.pick(options, 'table', 'id', 'item', 'logger', 'retry', 'systemProperties', 'rowFilter');
+
+    this._update(updateOptions, function (error, rowCount) {
+        if (error) {
+            callback(error);
+        }
+        else if (rowCount === 0) {
+            self._insertIfNotExists(options, callback);
+        }
+        else {
+            callback(null, false);
+        }
+    });
+};
+
+Storage.prototype._insertIfNotExists = function (options, callback) {
+    var self = this,
+        insertOptions = _.pick(options, 'table', 'item', 'logger', 'retry', 'systemProperties');
+
+    this._insert(insertOptions, function (error) {
+        if (!error) {
+            callback(null, true);
+            return;
+        }
+
+        if (!error.isConflict) {
+            callback(error);
+            return;
+        }
+
+        // the existing item is returned, as it is for a failed version check
+        self._readItemForError(options.logger, options.table, options.id, function (err, result) {
+            if (err || !result) {
+                callback(err || error);
+                return;
+            }
+            callback(new core.MobileServiceError(result, core.ErrorCodes.MergeConflict));
+        }, 'Select for upsert failed. %s', options.rowFilter);
+    });
+};
+
+Storage.prototype._merge = function (options, tableMetadata, systemProperties, callback) {
+    var self = this,
+        item = options.item,
+        logger = options.logger,
+        provider = this.provider,
+        tableName = provider.formatTableName(this.schemaName, options.table),
+        columns = ['id'];
+
+    if (!core.isValidStringId(item.id)) {
+        callback(new core.MobileServiceError(resource.stringIdNotValid, core.ErrorCodes.BadInput));
+        return;
+    }
+
+    try {
+        _.each(item, function (value, prop) {
+            self._validateProperty(prop, value);
+            if (prop !== 'id') {
+                columns.push(prop);
+            }
+        });
+    }
+    catch (error) {
+        callback(error);
+        return;
+    }
+
+    var parameters = columns.map(function (column) {
+        var value = item[column];
+
+        // Check for binary data that needs to be
+        // converted into a buffer instance
+        if (_.contains(tableMetadata.binaryColumns, column.toLowerCase()) &&
+            core.isString(value)) {
+            value = new Buffer(value, 'base64');
+        }
+
+        return toParameterValue(value, column, tableMetadata);
+    });
+
+    var systemColumns = systemProperties.map(core.systemPropertyToColumnName),
+        upsertStmt = provider.formatUpsert(tableName, columns, systemColumns, tableMetadata.supportsSoftDelete),
+        result = {};
+
+    logger.trace(logSource, 'Executing upsert', 'SQL: ' + upsertStmt);
+
+    this._executeSql('MERGE', upsertStmt, parameters, logger, null, callback, function (error, results, more) {
+        if (error) {
+            self._handleUpsertError(error, options, logger, callback);
+            return;
+        }
+
+        // the row and whether it was created can be selected separately
+        results.forEach(function (row) {
+            core.extend(result, row);
+        });
+
+        if (!more) {
+            if (result.id === undefined) {
+                logger.trace(logSource, 'Upsert failed. The item is soft deleted.');
+                callback(new core.MobileServiceError(_.sprintf(resource.itemNotFound, item.id), core.ErrorCodes.ItemSoftDeleted));
+                return;
+            }
+
+            var created = !!result.__created;
+            delete result.__created;
+
+            logger.trace(logSource, _.sprintf('Upsert completed successfully. The item was %s.', created ? 'inserted' : 'replaced'));
+            core.extend(item, provider.convertResults([result], tableMetadata)[0]);
+            callback(null, created);
+        }
+    });
+};
+
+Storage.prototype._handleUpsertError = function (error, options, logger, callback) {
+    logger.trace(logSource, 'Upsert failed. ' + error.toString());
+
+    var isInvalidColumnSqlError = error.sqlstate === SqlErrorCodes.InvalidColumnName;
+    if (options.retry && isInvalidColumnSqlError) {
+        this._retryUpsert(options, callback);
+    }
+    else if (!this._isDynamicSchemaEnabled(options.table) && isInvalidColumnSqlError) {
+        callback(new core.MobileServiceError(resource.colNotInSchema, core.ErrorCodes.BadInput));
+    }
+    else if (error.sqlstate === SqlErrorCodes.ColumnSizeExceeded) {
+        callback(new core.MobileServiceError(resource.maxColSizeExceeded, core.ErrorCodes.BadInput));
+    }
+    else {
+        callback(new core.MobileServiceError(error));
+    }
+};
+
+Storage.prototype._retryUpsert = function (options, callback) {
+    var self = this;
+    this._updateSchema(options.table, options.item, options.logger, function (error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        // the schema update succeeded, so retry the upsert
+        options.retry = false;
+        self._upsert(options, callback);
+    });
+};
+
+Storage.prototype._del = function (table, id, version, logger, options, callback) {
     var parameters = [],
         item = { id: id, __version: version },
-        tableName = SqlHelpers.formatTableName(this.schemaName, table),
-        deleteStmt = _.sprintf("DELETE FROM %s WHERE [id] = ?", tableName),
+        provider = this.provider,
+        tableName = provider.formatTableName(this.schemaName, table),
+        deleteStmt = _.sprintf("DELETE FROM %s WHERE %s = ?", tableName, provider.formatMember('id')),
         sqlEventName = 'DELETE',
         forOperation = 'delete',
         errorPrefix = 'Delete',
@@ -636,20 +1424,23 @@ Storage.prototype._del = function (table, id, version, logger, callback) {
         }
 
         if (tableMetadata.supportsSoftDelete) {
-            deleteStmt = _.sprintf("UPDATE TOP (1) %s SET [__deleted] = 1 WHERE [id] = ? AND [__deleted] = 0", tableName);
+            deleteStmt = _.sprintf("UPDATE %1$s SET %2$s = ? WHERE %3$s = ? AND %2$s = ?", tableName, provider.formatMember('__deleted'), provider.formatMember('id'));
+            parameters = [true, id, false];
             sqlEventName = 'UPDATE';
             forOperation = 'update';
             errorPrefix = 'Soft delete';
         }
 
         if (version) {
-            deleteStmt += " AND [__version] = ? ";
+            deleteStmt += _.sprintf(" AND %s = ? ", provider.formatMember('__version'));
 
             if (!self._trySetVersionParameter(version, parameters, callback)) {
                 return;
             }
         }
 
+        deleteStmt += self._formatRowFilter(options && options.rowFilter, parameters);
+
         logger.trace(logSource, 'Executing delete', 'SQL: ' + deleteStmt);
         
         var deleteRowCount = 0;
@@ -671,7 +1462,7 @@ Storage.prototype._del = function (table, id, version, logger, callback) {
                         return;
                     }
 
-                    self._handleUpdateOrDeleteFailure(logger, table, item, callback, forOperation);
+                    self._handleUpdateOrDeleteFailure(logger, table, item, callback, forOperation, options && options.rowFilter);
                 }
             }
             else {
@@ -684,6 +1475,201 @@ Storage.prototype._del = function (table, id, version, logger, callback) {
     });
 };
 
+// Returns the query of the rows a bulk update or delete applies to, which are all of
+// the rows the filter of the query selects other than soft deleted rows, unless they
+// are being purged. The other options of the query, such as its paging and ordering,
+// don't apply.
+Storage.prototype._createBulkQuery = function (query, options) {
+    query = _.extend(_.pick(query, 'table', 'filter', '_parsed'), { includeDeleted: !!(options && options.purge) });
+
+    if (options && options.rowFilter) {
+        query = this._createRowFilterQuery(query, options.rowFilter);
+    }
+
+    return query;
+};
+
+Storage.prototype._bulkUpdate = function (options, callback) {
+    var logger = options.logger,
+        self = this;
+
+    this.getTableMetadata(options.table, logger, function (error, tableMetadata) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        var statement;
+        try {
+            statement = self._buildSqlBulkUpdate(options.query, options.item, tableMetadata);
+        }
+        catch (e) {
+            callback(e);
+            return;
+        }
+
+        logger.trace(logSource, 'Executing bulk update', 'SQL: ' + statement.sql);
+
+        self._executeBulkStatement('UPDATE', statement, logger, function (error, rowCount) {
+            if (error) {
+                if (options.retry && error.sqlstate === SqlErrorCodes.InvalidColumnName) {
+                    self._retryBulkUpdate(options, callback);
+                }
+                else {
+                    self._handleUpdateError(error, _.extend({}, options, { retry: false }), logger, callback);
+                }
+                return;
+            }
+
+            logger.trace(logSource, 'Bulk update completed successfully. Rows affected: ' + rowCount);
+            callback(null, rowCount);
+        });
+    });
+};
+
+Storage.prototype._retryBulkUpdate = function (options, callback) {
+    var self = this;
+    this._updateSchema(options.table, options.item, options.logger, function (error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        // the schema update succeeded, so retry the update
+        options.retry = false;
+        self._bulkUpdate(options, callback);
+    });
+};
+
+// returns the statement that sets the columns of the item on the rows the filter of
+// the query selects as { sql, parameters }, throwing if the item or query is invalid
+Storage.prototype._buildSqlBulkUpdate = function (query, item, tableMetadata) {
+    var provider = this.provider,
+        binaryColumns = tableMetadata.binaryColumns,
+        parameters = [],
+        setStatements = [],
+        self = this;
+
+    _.each(item, function (value, prop) {
+        if (_.contains(['id', '__version'], prop.toLowerCase())) {
+            return;
+        }
+
+        self._validateProperty(prop, value);
+
+        // binary values are sent as base64 strings
+        if (_.contains(binaryColumns, prop.toLowerCase()) && core.isString(value)) {
+            value = new Buffer(value, 'base64');
+        }
+
+        setStatements.push(provider.formatMember(prop) + ' = ?');
+        parameters.push(toParameterValue(value, prop, tableMetadata));
+    });
+
+    if (setStatements.length === 0) {
+        throw new core.MobileServiceError('One or more update values must be specified.', core.ErrorCodes.BadInput);
+    }
+
+    var where = this._formatBulkWhere(query, tableMetadata);
+
+    return {
+        sql: provider.formatUpdate(provider.formatTableName(this.schemaName, query.table), setStatements.join(', '), where.sql),
+        parameters: parameters.concat(where.parameters)
+    };
+};
+
+Storage.prototype._bulkDel = function (query, logger, purge, callback) {
+    var provider = this.provider,
+        tableName = provider.formatTableName(this.schemaName, query.table),
+        self = this;
+
+    this.getTableMetadata(query.table, logger, function (error, tableMetadata) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        var where;
+        try {
+            where = self._formatBulkWhere(query, tableMetadata);
+        }
+        catch (e) {
+            callback(e);
+            return;
+        }
+
+        var statement = {
+                sql: _.sprintf("DELETE FROM %s WHERE %s", tableName, where.sql),
+                parameters: where.parameters
+            },
+            sqlEventName = 'DELETE',
+            errorPrefix = 'Bulk delete';
+
+        if (tableMetadata.supportsSoftDelete && !purge) {
+            statement = {
+                sql: provider.formatUpdate(tableName, provider.formatMember('__deleted') + ' = ?', where.sql),
+                parameters: [true].concat(where.parameters)
+            };
+            sqlEventName = 'UPDATE';
+            errorPrefix = 'Bulk soft delete';
+        }
+
+        logger.trace(logSource, 'Executing bulk delete', 'SQL: ' + statement.sql);
+
+        self._executeBulkStatement(sqlEventName, statement, logger, function (error, rowCount) {
+            if (error) {
+                logger.trace(logSource, _.sprintf('%s failed. %s', errorPrefix, error.toString()));
+                callback(new core.MobileServiceError(error));
+                return;
+            }
+
+            logger.trace(logSource, _.sprintf('%s completed successfully. Rows affected: %d', errorPrefix, rowCount));
+            callback(null, rowCount);
+        });
+    });
+};
+
+// formats the where clause of the rows the filter of the query selects
+// using the formatter of the provider, as { sql, parameters }
+Storage.prototype._formatBulkWhere = function (query, tableMetadata) {
+    var formatter = this.provider.createFormatter(this.schemaName, tableMetadata);
+    try {
+        formatter.formatWhere(query);
+    }
+    catch (error) {
+        throw new core.MobileServiceError('Invalid query specified. ' + error, core.ErrorCodes.BadInput);
+    }
+
+    return {
+        sql: formatter.sql,
+        parameters: _.pluck(formatter.parameters, 'value')
+    };
+};
+
+// Executes the update or delete statement, calling back with the number of rows it
+// affected, which updates select as __rowcount and deletes report as their row count
+Storage.prototype._executeBulkStatement = function (sqlEventName, statement, logger, callback) {
+    var affectedRowCount = 0;
+
+    this._executeSql(sqlEventName, statement.sql, statement.parameters, logger, null, callback, function (error, results, more, rowCount) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (results && results.length === 1 && results[0].__rowcount !== undefined) {
+            affectedRowCount = Number(results[0].__rowcount);
+        }
+        else if (rowCount > affectedRowCount) {
+            affectedRowCount = rowCount;
+        }
+
+        if (!more) {
+            callback(null, affectedRowCount);
+        }
+    });
+};
+
 Storage.prototype._insert = function (options, callback) {
     var table = options.table,
         systemProperties = options.systemProperties,
@@ -703,6 +1689,23 @@ Storage.prototype._insert = function (options, callback) {
             // this is a retry, sql already built
             self._executeSqlInsert(options, callback);
         }
+        else if (options.statements) {
+            self._executeSqlBatchInsert(options, callback);
+        }
+        else if (core.isArray(item)) {
+            self._buildSqlBatchInsert(table, item, tableMetadata, systemProperties, logger, function (error, statements) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                options.statements = statements;
+                options.systemProperties = systemProperties;
+                options.tableMetadata = tableMetadata;
+
+                self._executeSqlBatchInsert(options, callback);
+            });
+        }
         else {
             // we are building the insert statement for the first time
             self._buildSqlInsert(table, item, tableMetadata, systemProperties, logger, function (error, insertStatement, parameters) {
@@ -714,6 +1717,7 @@ Storage.prototype._insert = function (options, callback) {
                 options.insertStatement = insertStatement;
                 options.parameters = parameters;
                 options.systemProperties = systemProperties;
+                options.tableMetadata = tableMetadata;
 
                 self._executeSqlInsert(options, callback);
             });
@@ -737,105 +1741,201 @@ Storage.prototype._executeSqlInsert = function (options, callback) {
         }
 
         if (!more) {
+            results = self.provider.convertResults(results, options.tableMetadata);
             self._handleInsertSuccess(item, results, logger, callback);
         }
     });
 };
 
-Storage.prototype._buildSqlInsert = function (table, item, tableMetadata, systemProperties, logger, callback) {
-    var parameters = [],
-        hasStringId = tableMetadata.hasStringId,
-        binaryColumns = tableMetadata.binaryColumns,
-        tableName = SqlHelpers.formatTableName(this.schemaName, table),
-        self = this,
-        invalidIdError = null,
-        columnNames = '',
-        valueParams = '';
+// Executes the statements of a batch insert in a transaction, unless there is only one or
+// the storage is already in a transaction, so that either all or none of the items are inserted
+Storage.prototype._executeSqlBatchInsert = function (options, callback) {
+    var self = this,
+        logger = options.logger;
 
-    _.each(item, function (value, prop) {
-        if (!invalidIdError) {
-            // validate the property
-            try {
-                self._validateProperty(prop, value);
-            }
-            catch (error) {
-                invalidIdError = error;
+    function insertCompleted(error) {
+        if (error) {
+            self._handleInsertError(error, options, logger, callback);
+            return;
+        }
+
+        logger.trace(logSource, 'Insert completed successfully.');
+        callback(null, options.item);
+    }
+
+    if (options.statements.length === 1 || this.transaction) {
+        this._executeSqlInsertStatements(options, insertCompleted);
+        return;
+    }
+
+    this.beginTransaction(logger, function (error, storage) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        storage._executeSqlInsertStatements(options, function (error) {
+            if (error) {
+                storage.rollback(logger, function () {
+                    insertCompleted(error);
+                });
+                return;
             }
 
-            if (prop === 'id' && value) {
-                if (!hasStringId) {
-                    invalidIdError = new core.MobileServiceError(resource.intIdValueNotAllowedOnInsert, core.ErrorCodes.BadInput);
-                }
-                else if (!core.isValidStringId(value)) {
-                    invalidIdError = new core.MobileServiceError("The value specified for property 'id' is invalid. An id must not contain any control characters or the characters \",+,?,\\,`.", core.ErrorCodes.BadInput);
+            storage.commit(logger, function (error) {
+                if (error) {
+                    callback(error);
                     return;
                 }
-            }
+                insertCompleted(null);
+            });
+        });
+    });
+};
 
-            // ignore the property if it is a default id
-            if (prop !== 'id' || value) {
-                // get the column names and values
-                if (columnNames.length > 0) {
-                    columnNames += ', ';
-                }
-                columnNames += '[' + prop + ']';
+// executes the statements of a batch insert one at a time, merging
+// the rows each of them selects into its items
+Storage.prototype._executeSqlInsertStatements = function (options, callback) {
+    var self = this,
+        logger = options.logger;
+
+    var inserts = options.statements.map(function (statement) {
+        return function (done) {
+            logger.trace(logSource, 'Executing insert', 'SQL: ' + statement.sql);
 
-                if (valueParams.length > 0) {
-                    valueParams += ', ';
+            self._executeSql('INSERT', statement.sql, statement.parameters, logger, null, done, function (error, results, more) {
+                if (error) {
+                    done(error);
+                    return;
                 }
-                valueParams += '?';
 
-                // Check for binary data that needs to be
-                // converted into a buffer instance
-                if (_.contains(binaryColumns, prop.toLowerCase()) &&
-                        core.isString(value)) {
-                    value = new Buffer(value, 'base64');
+                if (!more) {
+                    self._mergeInsertedRows(statement.items, self.provider.convertResults(results, options.tableMetadata));
+                    done(null);
                 }
+            });
+        };
+    });
 
-                parameters.push(value);
+    core.async.series(inserts, callback);
+};
+
+// Builds the statements of a batch insert as [{ sql, parameters, items }]. Items with the
+// same properties are inserted together, so that the columns they have no value for get
+// their defaults, in statements within the parameter and row limits of the provider.
+Storage.prototype._buildSqlBatchInsert = function (table, items, tableMetadata, systemProperties, logger, callback) {
+    var self = this,
+        groups = {},
+        statements = [],
+        buildError = null;
+
+    // the rows of a batch are matched with their items by id, so items
+    // without an id are given one rather than using the column default
+    if (tableMetadata.hasStringId) {
+        items.forEach(function (item) {
+            if (!item.id) {
+                item.id = uuid().toUpperCase();
             }
+        });
+    }
+
+    items.forEach(function (item) {
+        // a default id is ignored, as it is by _buildSqlInsert
+        var key = JSON.stringify(_.keys(item).filter(function (prop) {
+            return prop !== 'id' || item[prop];
+        }).sort());
+
+        groups[key] = groups[key] || [];
+        groups[key].push(item);
+    });
+
+    _.each(groups, function (groupItems, key) {
+        var columnCount = Math.max(JSON.parse(key).length, 1),
+            rowCount = Math.max(Math.floor(self.provider.maxParameterCount / columnCount), 1);
+
+        if (self.provider.maxInsertRowCount) {
+            rowCount = Math.min(rowCount, self.provider.maxInsertRowCount);
+        }
+
+        for (var i = 0; i < groupItems.length && !buildError; i += rowCount) {
+            var chunk = groupItems.slice(i, i + rowCount);
+            self._buildSqlInsert(table, chunk, tableMetadata, systemProperties, logger, addStatement(chunk));
         }
     });
 
+    function addStatement(chunk) {
+        return function (error, sql, parameters) {
+            buildError = buildError || error;
+            statements.push({ sql: sql, parameters: parameters, items: chunk });
+        };
+    }
+
+    callback(buildError, buildError ? null : statements);
+};
+
+Storage.prototype._buildSqlInsert = function (table, item, tableMetadata, systemProperties, logger, callback) {
+    var parameters = [],
+        hasStringId = tableMetadata.hasStringId,
+        binaryColumns = tableMetadata.binaryColumns,
+        tableName = this.provider.formatTableName(this.schemaName, table),
+        items = core.isArray(item) ? item : [item],
+        self = this,
+        invalidIdError = null,
+        columns = [];
+
+    items.forEach(function (item) {
+        _.each(item, function (value, prop) {
+            if (!invalidIdError) {
+                // validate the property
+                try {
+                    self._validateProperty(prop, value);
+                }
+                catch (error) {
+                    invalidIdError = error;
+                }
+
+                if (prop === 'id' && value) {
+                    if (!hasStringId) {
+                        invalidIdError = new core.MobileServiceError(resource.intIdValueNotAllowedOnInsert, core.ErrorCodes.BadInput);
+                    }
+                    else if (!core.isValidStringId(value)) {
+                        invalidIdError = new core.MobileServiceError("The value specified for property 'id' is invalid. An id must not contain any control characters or the characters \",+,?,\\,`.", core.ErrorCodes.BadInput);
+                        return;
+                    }
+                }
+
+                // ignore the property if it is a default id
+                if ((prop !== 'id' || value) && !_.contains(columns, prop)) {
+                    // get the column names
+                    columns.push(prop);
+                }
+            }
+        });
+    });
 
     if (invalidIdError) {
         callback(invalidIdError);
         return;
     }
 
-    // to select the inserted row's id we need to use OUTPUT clause and for a table with triggers OUTPUT INTO is required so we need a temp table
-    var insertStmt = _.sprintf('DECLARE  @temp table(id %s) ', hasStringId ? 'nvarchar(MAX)' : 'bigint');
+    // the items of a batch have the same properties (see _buildSqlBatchInsert)
+    items.forEach(function (item) {
+        columns.forEach(function (column) {
+            var value = item[column] === undefined ? null : item[column];
 
-    // Create the VALUES clause and add the INSERT clause
-    var valuesClause;
-    if (columnNames.length > 0) {
-        valuesClause = _.sprintf(" VALUES (%s) ", valueParams);
-        insertStmt += _.sprintf("INSERT INTO %s (%s)", tableName, columnNames);
-    }
-    else {
-        // no values being inserted, so insert defaults
-        valuesClause = " DEFAULT VALUES ";
-        insertStmt += _.sprintf("INSERT INTO %s ", tableName);
-    }
+            // Check for binary data that needs to be
+            // converted into a buffer instance
+            if (_.contains(binaryColumns, column.toLowerCase()) &&
+                    core.isString(value)) {
+                value = new Buffer(value, 'base64');
+            }
 
-    // Add the OUTPUT clause
-    var outputClause = ' OUTPUT INSERTED.id INTO @temp';
+            parameters.push(toParameterValue(value, column, tableMetadata));
+        });
+    });
 
-    insertStmt += outputClause + valuesClause;
-
-    if (hasStringId) {
-        var selectItemProperties = '[appTable].[id] AS [id]';
-        if (systemProperties) {
-            systemProperties.forEach(function (systemProperty) {
-                selectItemProperties += _.sprintf(', [appTable].[__%1$s] AS [__%1$s]', systemProperty);
-            });
-        }
-        // select the system properties and generated ids for the rows from data added to temp table using output clause
-        insertStmt += _.sprintf('SELECT %s FROM %s AS appTable INNER JOIN @temp AS temp ON [appTable].[id] = [temp].[id] ', selectItemProperties, tableName);
-    }
-    else {
-        insertStmt += 'SELECT id from @temp';
-    }
+    var systemColumns = hasStringId ? (systemProperties || []).map(core.systemPropertyToColumnName) : [];
+    var insertStmt = this.provider.formatInsert(tableName, columns, hasStringId, systemColumns, items.length);
 
     callback(null, insertStmt, parameters);
 };
@@ -844,12 +1944,26 @@ Storage.prototype._handleInsertSuccess = function (item, results, logger, callba
     logger.trace(logSource, 'Insert completed successfully.');
 
     if (callback) {
-        var result = results[0];
-        core.extend(item, result);
+        core.extend(item, results[0]);
         callback(null, item);
     }
 };
 
+// merges the rows selected by a batch insert into their items. Rows are
+// matched by id for tables with string ids, and otherwise by position.
+Storage.prototype._mergeInsertedRows = function (items, rows) {
+    var rowsById = {};
+
+    rows.forEach(function (row) {
+        rowsById[String(row.id).toLowerCase()] = row;
+    });
+
+    items.forEach(function (item, index) {
+        var row = item.id ? rowsById[String(item.id).toLowerCase()] : rows[index];
+        core.extend(item, row);
+    });
+};
+
 Storage.prototype._handleInsertError = function (error, options, logger, callback) {
     logger.trace(logSource, 'Insert failed. ' + error.toString());    
     if (callback) {
@@ -857,13 +1971,13 @@ Storage.prototype._handleInsertError = function (error, options, logger, callbac
         if (options.retry && isInvalidColumnSqlError) {
             this._retryInsert(options, callback);
         }
-        else if (!this.dynamicSchemaEnabled && isInvalidColumnSqlError) {
+        else if (!this._isDynamicSchemaEnabled(options.table) && isInvalidColumnSqlError) {
             callback(new core.MobileServiceError(resource.colNotInSchema, core.ErrorCodes.BadInput));
         }
         else if (error.sqlstate === SqlErrorCodes.ColumnSizeExceeded) {
             callback(new core.MobileServiceError(resource.maxColSizeExceeded, core.ErrorCodes.BadInput));
         }
-        else if (error.sqlstate === SqlErrorCodes.ConstraintViolation && error.code === SqlErrorNumbers.SqlUniqueConstraintViolationError) {
+        else if (this.provider.isUniqueConstraintViolation(error)) {
             callback(new core.MobileServiceError(resource.itemWithIdAlreadyExists, core.ErrorCodes.Conflict));
         } else {
             callback(new core.MobileServiceError(error));
@@ -874,9 +1988,19 @@ Storage.prototype._handleInsertError = function (error, options, logger, callbac
 Storage.prototype._retryInsert = function (options, callback) {
     var self = this;
 
-    // if we have an item array, reschematize based on the first item.
-    // this of course assumes homogenous arrays
-    var item = core.isArray(options.item) ? options.item[0] : options.item;
+    // if we have an item array, reschematize based on the first
+    // non null value of each property of its items
+    var item = options.item;
+    if (core.isArray(item)) {
+        item = _.reduce(options.item, function (memo, item) {
+            _.each(item, function (value, prop) {
+                if (memo[prop] === undefined || memo[prop] === null) {
+                    memo[prop] = value;
+                }
+            });
+            return memo;
+        }, {});
+    }
 
     this._updateSchema(options.table, item, options.logger, function (err) {
         if (!err) {
@@ -928,7 +2052,7 @@ Storage.prototype._query = function (query, logger, callback) {
 
 Storage.prototype._buildSqlQuery = function (query, tableMetadata, callback) {
     // SQL format the query
-    var formatter = new SqlFormatter(this.schemaName, tableMetadata);
+    var formatter = this.provider.createFormatter(this.schemaName, tableMetadata);
     try {
         formatter.format(query);
     }
@@ -950,14 +2074,15 @@ Storage.prototype._handleQueryError = function (query, error, logger, callback)
     logger.trace(logSource, 'Query failed. ' + error.toString());
          
     if (callback) {
-        var isInvalidColumnSqlError = error.sqlstate === SqlErrorCodes.InvalidColumnName;
+        var isInvalidColumnSqlError = error.sqlstate === SqlErrorCodes.InvalidColumnName,
+            dynamicSchemaEnabled = this._isDynamicSchemaEnabled(query.table);
 
-        if (this.dynamicSchemaEnabled && isInvalidColumnSqlError) {
+        if (dynamicSchemaEnabled && isInvalidColumnSqlError) {
             // if dynamic schema is enabled and the query failed due to an invalid column
             // name, return an empty result set
             callback(null, []);
         }
-        else if (!this.dynamicSchemaEnabled && isInvalidColumnSqlError) {
+        else if (!dynamicSchemaEnabled && isInvalidColumnSqlError) {
             callback(new core.MobileServiceError("Invalid column name specified in query.", core.ErrorCodes.BadInput));
         }
         else {
@@ -967,6 +2092,11 @@ Storage.prototype._handleQueryError = function (query, error, logger, callback)
 };
 
 Storage.prototype._getSystemPropertiesToDeleteFromQueryResults = function (query, tableMetadata) {
+    // aggregated results only have the properties $apply specifies
+    if (query.apply) {
+        return [];
+    }
+
     // get a normalized (trimmed, all lowercase) list of the select properties
     var selectedProperties = [];
     if (query.select) {
@@ -998,13 +2128,28 @@ Storage.prototype._getSystemPropertiesToDeleteFromQueryResults = function (query
 Storage.prototype._handleQuerySuccess = function (query, results, tableMetadata, logger, callback) {
     if (callback) {
         // if there is a second result set, it is an inline count result
-        var queryResult = results[0];
+        var queryResult = this.provider.convertResults(results[0], tableMetadata);
+
+        // the token of the position of the last row, which is the continuation token
+        // of the next page if the page is full, is created before any columns are removed
+        var positionToken = null,
+            continuationToken = null;
+        if (query.continuation && queryResult.length > 0) {
+            positionToken = KeysetPaging.createToken(query.continuation.orderings, _.last(queryResult));
+            if (query.top > 0 && queryResult.length === query.top) {
+                continuationToken = positionToken;
+            }
+        }
 
-        // determine if any system properties were returned that need to be deleted
+        // determine if any system properties were returned that need to be deleted,
+        // along with any columns only selected to create the continuation token
         var systemPropertiesToDelete = this._getSystemPropertiesToDeleteFromQueryResults(query, tableMetadata);
+        if (query.continuation) {
+            systemPropertiesToDelete = systemPropertiesToDelete.concat(query.continuation.addedColumns);
+        }
 
-        // determine if the query was paged
-        var pagedQuery = query.skip >= 0 && query.top >= 0;
+        // determine if the query was paged, or partitioned, which also numbers the rows
+        var pagedQuery = (query.skip >= 0 && query.top >= 0) || !!query.partitionBy;
 
         // iterate through the results to remove row numbers or system properties
         // that were not requested
@@ -1024,6 +2169,13 @@ Storage.prototype._handleQuerySuccess = function (query, results, tableMetadata,
             });
         }
 
+        if (positionToken) {
+            Object.defineProperty(queryResult, 'positionToken', { value: positionToken });
+        }
+        if (continuationToken) {
+            Object.defineProperty(queryResult, 'continuationToken', { value: continuationToken });
+        }
+
         // check if total count was requested
         if (results.length > 1) {
             queryResult = {
@@ -1093,11 +2245,24 @@ Storage.prototype._executeSql = function (sqlEventName, sqlStmt, parameters, log
         retryCount = 0,
         disableUserLog = options.disableUserLog || false;
 
+    if (this.transaction && this.transaction.completed) {
+        callback(new core.MobileServiceError(resource.transactionCompleted));
+        return;
+    }
+
+    // statements of a transaction are run in its connection
+    function query(callback) {
+        if (self.transaction) {
+            return self.transaction.query(sqlStmt, parameters, callback);
+        }
+        return self.provider.query(self.connection, sqlStmt, parameters, callback);
+    }
+
     // to facilitate retries, define a function that will actually execute the sql
     function executeSql() {
         try {
             var event = self.metrics.startEvent('sql.command.' + sqlEventName);
-            var stmt = self.sql.query(self.connection, sqlStmt, parameters, function (err, results, more) {
+            var stmt = query(function (err, results, more) {
                 self.metrics.endEvent(event);
 
                 if (err) {
@@ -1112,7 +2277,8 @@ Storage.prototype._executeSql = function (sqlEventName, sqlStmt, parameters, log
                         logger.error(logSource, err);
                     }
 
-                    if (SqlHelpers.isTemporaryError(err) && (retryCount++ < self.retryMaxCount)) {
+                    // a statement can't be retried once its transaction may have been rolled back
+                    if (SqlHelpers.isTemporaryError(err) && !self.transaction && (retryCount++ < self.retryMaxCount)) {
                         // an error occurred for which we'll retry the sql again
                         logger.log(LogLevel.Warning, LogType.Warning, logSource,
                         _.sprintf("SQL statement failed with temporary error '%s'. Retrying.", err), { sql: sqlStmt, retry: retryCount });
@@ -1157,3 +2323,25 @@ Storage.prototype._executeSql = function (sqlEventName, sqlStmt, parameters, log
 
     executeSql();
 };
+
+// GeoJSON points are stored as their well known text, unless the column
+// is a json column, and other objects and arrays are stored as json text
+function toParameterValue(value, column, tableMetadata) {
+    if (Geography.isPoint(value) && !tableMetadata.hasJsonColumn(column)) {
+        return Geography.format(value);
+    }
+    return core.isJsonValue(value) ? JSON.stringify(value) : value;
+}
+
+// sets the values of the row filter on the item, replacing any values it
+// has for those columns, whatever the casing of their names
+function setRowFilterValues(item, rowFilter) {
+    _.each(rowFilter, function (value, column) {
+        _.each(_.keys(item), function (property) {
+            if (property.toLowerCase() === column.toLowerCase()) {
+                delete item[property];
+            }
+        });
+        item[column] = value;
+    });
+}
@@ -16,6 +16,9 @@ function TableMetadata () {
     this.supportsSoftDelete = false;
     this.systemProperties = [];
     this.binaryColumns = [];
+    this.jsonColumns = [];
+    this.geographyColumns = [];
+    this.columnTypes = {};
 
     Object.defineProperty(this, 'hasStringId', {
         get: function () { return this.idType === 'string'; }
@@ -26,7 +29,17 @@ TableMetadata.prototype.hasBinaryColumn = function (name) {
     return _.contains(this.binaryColumns, name.toLowerCase());
 };
 
+TableMetadata.prototype.hasJsonColumn = function (name) {
+    return _.contains(this.jsonColumns, name.toLowerCase());
+};
+
+TableMetadata.prototype.hasGeographyColumn = function (name) {
+    return _.contains(this.geographyColumns, name.toLowerCase());
+};
+
 TableMetadata.prototype._addColumn = function (column) {
+    this.columnTypes[column.name] = column.type;
+
     // check if the column is id
     if (column.name === 'id') {
         this.idType = this._getTableIdType(column.type);
@@ -41,6 +54,16 @@ TableMetadata.prototype._addColumn = function (column) {
     if (column.type === 'binary' || column.type == 'timestamp') {
         this.binaryColumns.push(column.name);
     }
+
+    // check if the column holds objects and arrays as json
+    if (column.type === 'json') {
+        this.jsonColumns.push(column.name);
+    }
+
+    // check if the column holds points (see ../query/geography)
+    if (column.type === 'geography') {
+        this.geographyColumns.push(column.name);
+    }
 };
 
 TableMetadata.prototype._addSystemColumn = function (column) {
@@ -0,0 +1,187 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// This module parses the columns declared for a table in datamodel.json and
+// compares them with the columns of the table in the database. Columns are
+// declared by name, for example:
+//
+// "columns": {
+//     "text": { "type": "nvarchar", "maxLength": 255, "nullable": false, "default": "" },
+//     "complete": { "type": "bit", "default": false },
+//     "dueDate": { "type": "datetimeoffset" },
+//     "address": { "type": "json" },
+//     "location": { "type": "geography" }
+// }
+//
+// The types are the SQL Server type names reported by INFORMATION_SCHEMA, which
+// the storage providers map to their own types. Columns are nullable unless
+// declared otherwise, and nvarchar columns without a maxLength are nvarchar(max).
+// json columns hold objects and arrays, geography columns hold GeoJSON points
+// (see ../query/geography), and neither can have a default.
+
+var _ = require('underscore'),
+    _str = require('underscore.string'),
+    core = require('../core');
+
+require('./sqlhelpers');
+
+_.mixin(_str.exports());
+
+// the javascript type of the values of each of the supported column types
+var columnTypes = {
+    nvarchar: 'string',
+    bit: 'boolean',
+    int: 'number',
+    bigint: 'number',
+    float: 'number',
+    datetimeoffset: 'date',
+    json: 'object',
+    geography: 'object'
+};
+
+// the largest length of an nvarchar column that isn't nvarchar(max)
+var maxNVarCharLength = 4000;
+
+// the types the text columns that hold json are reported as, by providers without a json type
+var jsonTextTypes = ['nvarchar', 'text'];
+
+exports.columnTypes = _.keys(columnTypes);
+
+// Returns the declared columns of the table as an array of
+// { name, type, maxLength, nullable, defaultValue }, throwing
+// an error if any of them aren't valid.
+exports.parseColumns = function (table, columns) {
+    if (!core.isObject(columns)) {
+        throw new Error(_.sprintf("The columns of table '%s' must be an object with a property per column.", table));
+    }
+
+    return _.map(columns, function (declaration, name) {
+        return parseColumn(table, name, declaration);
+    });
+};
+
+// Returns the changes needed for the existing columns of a table, reported
+// by Storage._getTableColumns, to match its declared columns, as
+// { add: [columns], alter: [columns] }. Columns that aren't declared are left
+// as they are, as are the defaults of existing columns.
+exports.getChanges = function (declaredColumns, existingColumns) {
+    var changes = { add: [], alter: [] },
+        existingColumnMap = {};
+
+    core.toLookup(existingColumns, existingColumnMap, function (column) {
+        return column.name.toLowerCase();
+    });
+
+    declaredColumns.forEach(function (column) {
+        var existingColumn = existingColumnMap[column.name.toLowerCase()];
+
+        if (!existingColumn) {
+            changes.add.push(column);
+        }
+        else if (!isSameType(column, existingColumn) ||
+                 existingColumn.nullable !== column.nullable ||
+                 (column.type === 'nvarchar' && existingColumn.maxLength !== column.maxLength)) {
+            changes.alter.push(column);
+        }
+    });
+
+    return changes;
+};
+
+// returns the names of the properties of the item that aren't declared columns
+exports.getUndeclaredProperties = function (item, columns) {
+    var columnNames = _.keys(columns).map(function (name) {
+        return name.toLowerCase();
+    });
+
+    return _.filter(_.keys(item), function (property) {
+        property = property.toLowerCase();
+        return property !== 'id' && !core.isSystemColumnName(property) && !_.contains(columnNames, property);
+    });
+};
+
+// json columns are text columns of unlimited length on providers without a json type
+function isSameType(column, existingColumn) {
+    if (column.type === 'json') {
+        return existingColumn.type === 'json' || (_.contains(jsonTextTypes, existingColumn.type) && !existingColumn.maxLength);
+    }
+    return existingColumn.type === column.type;
+}
+
+function parseColumn(table, name, declaration) {
+    function invalidDeclaration(format) {
+        var message = _.sprintf("The declaration of column '%s' of table '%s' is invalid. ", name, table);
+        return new Error(message + _.sprintf.apply(_, _.toArray(arguments)));
+    }
+
+    if (!SqlHelpers.isValidIdentifier(name)) {
+        throw invalidDeclaration("'%s' is not a valid column name.", name);
+    }
+
+    if (name.toLowerCase() === 'id' || core.isSystemColumnName(name)) {
+        throw invalidDeclaration("The id and system columns cannot be declared.");
+    }
+
+    if (!core.isObject(declaration)) {
+        throw invalidDeclaration("A column must be declared with an object.");
+    }
+
+    var type = core.isString(declaration.type) ? declaration.type.toLowerCase() : declaration.type;
+    if (!_.has(columnTypes, type)) {
+        throw invalidDeclaration("The type must be one of: %s.", exports.columnTypes.join(', '));
+    }
+
+    var maxLength = declaration.maxLength;
+    if (maxLength !== undefined && maxLength !== null) {
+        if (type !== 'nvarchar') {
+            throw invalidDeclaration("Only nvarchar columns can have a maxLength.");
+        }
+        if (!core.isNumber(maxLength) || maxLength % 1 !== 0 || maxLength < 1 || maxLength > maxNVarCharLength) {
+            throw invalidDeclaration("The maxLength must be an integer between 1 and %d.", maxNVarCharLength);
+        }
+    }
+    else {
+        maxLength = null;
+    }
+
+    var nullable = declaration.nullable;
+    if (nullable === undefined) {
+        nullable = true;
+    }
+    else if (typeof nullable !== 'boolean') {
+        throw invalidDeclaration("The nullable setting must be true or false.");
+    }
+
+    var defaultValue = declaration['default'];
+    if (defaultValue === undefined) {
+        defaultValue = null;
+    }
+    else if (defaultValue !== null) {
+        if (type === 'json' || type === 'geography') {
+            throw invalidDeclaration("%s columns cannot have a default.", type);
+        }
+
+        // dates can only be declared as strings in json
+        if (columnTypes[type] === 'date' && core.isString(defaultValue)) {
+            defaultValue = core.parseISODate(defaultValue) || defaultValue;
+        }
+        if (core.classof(defaultValue) !== columnTypes[type]) {
+            throw invalidDeclaration("The default must be a value of type '%s'.", columnTypes[type]);
+        }
+        if ((type === 'int' || type === 'bigint') && defaultValue % 1 !== 0) {
+            throw invalidDeclaration("The default must be an integer.");
+        }
+        if (maxLength && defaultValue.length > maxLength) {
+            throw invalidDeclaration("The default is longer than the maxLength.");
+        }
+    }
+
+    return {
+        name: name,
+        type: type,
+        maxLength: maxLength,
+        nullable: nullable,
+        defaultValue: defaultValue
+    };
+}
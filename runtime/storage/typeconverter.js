@@ -5,13 +5,18 @@
 (function (global) {
 
     var core = require('../core'),
-        _ = require('underscore');
+        resource = require('../resources'),
+        Geography = require('../query/geography'),
+        _ = require('underscore'),
+        _str = require('underscore.string');
 
     require('../query/expressions');
     require('../query/expressionvisitor');
     require('../query/queryparser');
     require('./sqlhelpers');
 
+    _.mixin(_str.exports());
+
     var ctor = function (tableMetadata) {
         this.tableMetadata = tableMetadata;
     };
@@ -36,12 +41,65 @@
             return expr;
         },
 
+        // the arguments of the geo functions must be geography columns or literals,
+        // and geography literals can't be used elsewhere. Geography columns hold
+        // points, and polygon literals can only be intersected with points.
+        visitFunction: function (expr) {
+            if (expr.memberInfo.type !== 'geo') {
+                return this._super.visitFunction.call(this, expr);
+            }
+
+            var self = this;
+            expr.args.forEach(function (arg) {
+                if (!self._isGeographyConstant(arg) && !self._isGeographyMemberAccess(arg)) {
+                    throw new core.MobileServiceError(_.sprintf(resource.geographyArgumentNotValid, expr.memberInfo.memberName), core.ErrorCodes.BadInput);
+                }
+            });
+
+            var polygons = expr.args.filter(function (arg) {
+                return arg.expressionType === ExpressionType.Constant && !Geography.isPoint(arg.value);
+            });
+            if (polygons.length > (expr.memberInfo.memberName === 'geo.intersects' ? 1 : 0)) {
+                throw new core.MobileServiceError(resource.geographyPolygonNotValid, core.ErrorCodes.BadInput);
+            }
+
+            return expr;
+        },
+
+        visitConstant: function (expr) {
+            if (this._isGeographyConstant(expr)) {
+                throw new core.MobileServiceError(resource.geographyLiteralNotValid, core.ErrorCodes.BadInput);
+            }
+
+            return expr;
+        },
+
+        // member paths can only reach into json columns
+        visitMember: function (expr) {
+            if (core.isString(expr.member) && expr.instance.expressionType === ExpressionType.MemberAccess) {
+                SqlHelpers.getJsonPath(expr, this.tableMetadata);
+            }
+
+            return expr;
+        },
+
         _isStringConstant: function(expr) {
             return expr &&
                    expr.expressionType === ExpressionType.Constant &&
                    core.isString(expr.value);
         },
 
+        _isGeographyConstant: function (expr) {
+            return expr.expressionType === ExpressionType.Constant && Geography.isGeography(expr.value);
+        },
+
+        _isGeographyMemberAccess: function (expr) {
+            return expr.expressionType === ExpressionType.MemberAccess &&
+                   core.isString(expr.member) &&
+                   expr.instance.expressionType !== ExpressionType.MemberAccess &&
+                   this.tableMetadata.hasGeographyColumn(expr.member);
+        },
+
         _isBinaryMemberAccess: function (expr) {
             return expr &&
                    expr.expressionType === ExpressionType.MemberAccess &&
@@ -203,7 +203,7 @@ UserService.create = function (options, previewFeatures, metrics, logger) {
 
     var encryptClaims = core.parseBoolean(options.MS_UsersEncryptClaims);
     var dynamicSchemaEnabled = true;
-    var storage = new Storage(options.MS_SqlConnectionString, options.MS_MobileServiceName, dynamicSchemaEnabled, logger, metrics, {});
+    var storage = Storage.create(options.MS_StorageProvider, options.MS_SqlConnectionString, options.MS_MobileServiceName, dynamicSchemaEnabled, logger, metrics);
     var userStore = new UserStore(logger, storage);
     var userProperties = new UserProperties(options.MS_MasterKey);
     var userService = new UserService(logger, userStore, userProperties, encryptClaims);
@@ -129,8 +129,7 @@ UserStore.prototype._callErrorCallback = function (err, callback) {
 UserStore.prototype._isTableNotFoundError = function (err) {
     var isTableNotFound = err &&
                           err.innerError &&
-                          err.innerError.sqlstate === '42S02' &&
-                          err.innerError.code === 208;
+                          this.storage.provider.isTableNotFoundError(err.innerError);
 
     return isTableNotFound;
 };
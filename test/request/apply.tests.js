@@ -0,0 +1,49 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the validation of the query options of table requests with $apply,
+// whose results can't be skipped, selected or counted.
+
+var assert = require('assert'),
+    path = require('path'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Request = require(path.join('..', '..', 'runtime', 'request', 'request'));
+
+describe('request $apply', function () {
+    function validate(query) {
+        var request = Request.parse({
+            url: '/tables/sales',
+            method: 'GET',
+            headers: {},
+            params: { operation: 'tables' },
+            query: query
+        });
+        Request.validateQuery(request);
+        return request;
+    }
+
+    function assertBadInput(query, message) {
+        assert.throws(function () {
+            validate(query);
+        }, function (error) {
+            return error instanceof core.MobileServiceError && error.code === core.ErrorCodes.BadInput && message.test(error.message);
+        });
+    }
+
+    var apply = 'groupby((category), aggregate(amount with sum as total))';
+
+    it('accepts $apply with $filter, $orderby and $top', function () {
+        var request = validate({ $apply: apply, $filter: 'amount gt 10', $orderby: 'total desc', $top: '5', $skip: '0', $inlinecount: 'none' });
+
+        assert.deepEqual(request.query._parsed.apply.groupBy, ['category']);
+    });
+
+    it('rejects $apply with $skip, $select and $inlinecount', function () {
+        var message = /The \$skip, \$select, \$inlinecount and \$count query options cannot be used with \$apply/;
+
+        assertBadInput({ $apply: apply, $skip: '10' }, message);
+        assertBadInput({ $apply: apply, $select: 'category' }, message);
+        assertBadInput({ $apply: apply, $inlinecount: 'allpages' }, message);
+    });
+});
@@ -0,0 +1,124 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the audit log of tables, which records the changes the operations of
+// DataOperation make to the items of audited tables in the __audit table.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    AuditLog = require(path.join('..', '..', 'runtime', 'request', 'auditlog')),
+    DataOperation = require(path.join('..', '..', 'runtime', 'request', 'dataoperation'));
+
+describe('audit log', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { },
+        requestID: 'request1'
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var user = { level: 'authenticated', userId: 'facebook:1' };
+
+    function createDataModel(audit) {
+        return {
+            getTable: function (name) {
+                return name === 'todoitem' ? { name: 'todoitem', audit: audit } : null;
+            }
+        };
+    }
+
+    var storage, dataOperation;
+
+    function readHistory(id, callback) {
+        AuditLog.readHistory(storage, 'todoitem', id, logger, function (error, records) {
+            assert.ifError(error);
+            callback(records);
+        });
+    }
+
+    beforeEach(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+
+        var auditLog = AuditLog.create(createDataModel(true), storage, 'todoitem', user, logger);
+        dataOperation = new DataOperation(storage, '/table/todoitem.insert.js', logger, null, auditLog);
+
+        AuditLog.syncTable(storage, logger, function (error) {
+            assert.ifError(error);
+            storage.createTable('todoitem', logger, done);
+        });
+    });
+
+    it('is only created for tables that declare audit', function () {
+        assert.strictEqual(AuditLog.create(createDataModel(undefined), storage, 'todoitem', user, logger), null);
+        assert.strictEqual(AuditLog.create(createDataModel('yes'), storage, 'todoitem', user, logger), null);
+        assert.strictEqual(AuditLog.create(createDataModel(true), storage, 'other', user, logger), null);
+    });
+
+    it('records the changed values of inserts, updates and deletes with their user, oldest first', function (done) {
+        dataOperation.insert('todoitem', { id: 'a', text: 'milk', complete: false }, {}, function (error) {
+            assert.ifError(error);
+
+            dataOperation.update('todoitem', { id: 'a', text: 'oat milk' }, {}, function (error) {
+                assert.ifError(error);
+
+                dataOperation.del('todoitem', 'a', {}, function (error) {
+                    assert.ifError(error);
+
+                    readHistory('a', function (records) {
+                        assert.deepEqual(_.pluck(records, 'operation'), ['insert', 'update', 'delete']);
+
+                        assert.strictEqual(records[0].before, null);
+                        assert.deepEqual(records[0].after, { text: 'milk', complete: false, __deleted: false });
+                        assert.deepEqual(records[1].before, { text: 'milk' });
+                        assert.deepEqual(records[1].after, { text: 'oat milk' });
+
+                        // the table soft deletes its items
+                        assert.deepEqual(records[2].before, { __deleted: false });
+                        assert.deepEqual(records[2].after, { __deleted: true });
+
+                        assert.equal(records[0].itemId, 'a');
+                        assert.equal(records[0].userId, 'facebook:1');
+                        assert.equal(records[0].provider, 'facebook');
+                        assert.equal(records[0].requestId, 'request1');
+                        assert.ok(records[0].timestamp instanceof Date);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('records nothing for operations that fail, and rolls them back', function (done) {
+        var auditLog = AuditLog.create(createDataModel(true), storage, 'todoitem', user, logger);
+
+        auditLog.run('insert', null, function (storage, callback) {
+            storage.insert('todoitem', { id: 'b', text: 'eggs' }, logger, null, function (error) {
+                assert.ifError(error);
+                callback(new core.MobileServiceError('failed'));
+            });
+        }, function (error) {
+            assert.equal(error.message, 'failed');
+
+            storage.query({ table: 'todoitem' }, logger, null, function (error, results) {
+                assert.ifError(error);
+                assert.deepEqual(results, []);
+
+                readHistory('b', function (records) {
+                    assert.deepEqual(records, []);
+                    done();
+                });
+            });
+        });
+    });
+});
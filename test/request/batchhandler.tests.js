@@ -0,0 +1,208 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of POST /$batch, which dispatches several table and api requests through
+// the routes of the app, optionally in a single transaction.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    BatchHandler = require(path.join('..', '..', 'runtime', 'request', 'batchhandler'));
+
+describe('batch handler', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var scriptManager = {
+        getDataModel: function () {
+            return {
+                getTable: function (name) {
+                    return _.contains(['todoitem', 'scripted'], name.toLowerCase()) ? { name: name.toLowerCase() } : null;
+                }
+            };
+        },
+        hasTableScript: function (table, operation) {
+            return table === 'scripted' && operation === 'insert';
+        }
+    };
+
+    var storage, dispatched;
+
+    // An app that inserts the body of POST /tables/todoitem with the storage of the
+    // batch transaction, if there is one, and fails the other requests with 400
+    var app = {
+        handle: function (req, res) {
+            dispatched.push(req.method + ' ' + req.url);
+
+            function respond(statusCode, body) {
+                res.statusCode = statusCode;
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify(body));
+            }
+
+            if (req.method !== 'POST' || req.url !== '/tables/todoitem') {
+                respond(400, { error: 'bad request', authorization: req.headers['x-zumo-auth'] });
+                return;
+            }
+
+            (req._batchStorage || storage).insert('todoitem', req.body, logger, null, function (error) {
+                if (error) {
+                    respond(409, { error: error.message });
+                    return;
+                }
+                respond(201, req.body);
+            });
+        }
+    };
+
+    function handle(requests, query, callback) {
+        var handler = new BatchHandler(app, storage, scriptManager),
+            req = {
+                body: requests,
+                query: query,
+                headers: { 'x-zumo-auth': 'token', 'content-length': '100' },
+                httpVersion: '1.1',
+                httpVersionMajor: 1,
+                httpVersionMinor: 1,
+                _context: {
+                    logger: logger,
+                    responseCallback: function (error, results, statusCode) {
+                        callback(error, results, statusCode);
+                    }
+                }
+            };
+
+        handler.handle(req, {});
+    }
+
+    function readIds(callback) {
+        storage.query({ table: 'todoitem', orderBy: 'id' }, logger, null, function (error, results) {
+            assert.ifError(error);
+            callback(_.pluck(results, 'id'));
+        });
+    }
+
+    beforeEach(function (done) {
+        dispatched = [];
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        storage.createTable('todoitem', logger, function (error) {
+            assert.ifError(error);
+            storage.insert('todoitem', { id: 'a', text: 'milk' }, logger, null, done);
+        });
+    });
+
+    it('makes each request in order, and responds with their responses', function (done) {
+        handle([
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'b', text: 'eggs' } },
+            { method: 'GET', url: '/api/orders' },
+            { method: 'post', url: '/tables/todoitem', body: { id: 'c', text: 'bread' } }
+        ], {}, function (error, results, statusCode) {
+            assert.ifError(error);
+            assert.equal(statusCode, 200);
+            assert.deepEqual(_.pluck(results, 'statusCode'), [201, 400, 201]);
+            assert.deepEqual(results[0].body, { id: 'b', text: 'eggs' });
+            assert.deepEqual(results[0].headers, { 'content-type': 'application/json' });
+
+            // the requests inherit the headers of the batch, other than those of its body
+            assert.equal(results[1].body.authorization, 'token');
+
+            readIds(function (ids) {
+                assert.deepEqual(ids, ['a', 'b', 'c']);
+                done();
+            });
+        });
+    });
+
+    it('rolls back atomic batches when a request fails, and fails the others with 424', function (done) {
+        handle([
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'b', text: 'eggs' } },
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'a', text: 'milk' } },
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'c', text: 'bread' } }
+        ], { __atomic: 'true' }, function (error, results, statusCode) {
+            assert.ifError(error);
+            assert.equal(statusCode, 200);
+            assert.deepEqual(_.pluck(results, 'statusCode'), [424, 409, 424]);
+            assert.strictEqual(results[0].body, undefined);
+
+            // the requests after the one that failed aren't made
+            assert.equal(dispatched.length, 2);
+
+            readIds(function (ids) {
+                assert.deepEqual(ids, ['a']);
+                done();
+            });
+        });
+    });
+
+    it('commits atomic batches when all of the requests succeed', function (done) {
+        handle([
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'b', text: 'eggs' } },
+            { method: 'POST', url: '/tables/todoitem', body: { id: 'c', text: 'bread' } }
+        ], { __ATOMIC: 'true' }, function (error, results) {
+            assert.ifError(error);
+            assert.deepEqual(_.pluck(results, 'statusCode'), [201, 201]);
+
+            readIds(function (ids) {
+                assert.deepEqual(ids, ['a', 'b', 'c']);
+                done();
+            });
+        });
+    });
+
+    it('rejects batches that are not valid as bad input', function (done) {
+        function assertBadInput(requests, query, message, next) {
+            handle(requests, query, function (error) {
+                assert.equal(error.code, core.ErrorCodes.BadInput);
+                assert.ok(message.test(error.message), error.message);
+                next();
+            });
+        }
+
+        assertBadInput({ method: 'GET', url: '/tables/todoitem' }, {}, /array/, function () {
+            assertBadInput([{ method: 'HEAD', url: '/tables/todoitem' }], {}, /The method must be one of/, function () {
+                assertBadInput([{ method: 'GET', url: '/login/facebook' }], {}, /The url must be the path of a table or api/, function () {
+                    assertBadInput([{ method: 'POST', url: '/tables/todoitem', body: 'text' }], {}, /The body must be a JSON object or array/, function () {
+                        assertBadInput([{ method: 'GET', url: '/api/orders' }], { __atomic: 'true' }, /atomic/i, function () {
+                            assert.deepEqual(dispatched, []);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('only makes requests of the items of tables without scripts atomic', function () {
+        var handler = new BatchHandler(app, storage, scriptManager);
+
+        function isAtomicRequest(method, url) {
+            return handler._isAtomicRequest({ method: method, url: url });
+        }
+
+        assert.ok(isAtomicRequest('POST', '/tables/todoitem'));
+        assert.ok(isAtomicRequest('PATCH', '/tables/TodoItem/1?__systemProperties=*'));
+        assert.ok(isAtomicRequest('DELETE', '/tables/todoitem/1/'));
+        assert.ok(isAtomicRequest('GET', '/tables/todoitem/changes2'));
+
+        assert.ok(!isAtomicRequest('GET', '/tables/todoitem/changes'));
+        assert.ok(!isAtomicRequest('GET', '/tables/todoitem/1/history'));
+        assert.ok(!isAtomicRequest('GET', '/tables/$metadata'));
+        assert.ok(!isAtomicRequest('POST', '/tables/scripted'));
+        assert.ok(isAtomicRequest('PATCH', '/tables/scripted/1'));
+        assert.ok(!isAtomicRequest('POST', '/tables/missing'));
+        assert.ok(!isAtomicRequest('GET', '/api/orders'));
+    });
+});
@@ -0,0 +1,107 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of PATCH and DELETE /tables/:table?$filter=..., which update or delete all
+// of the items the filter selects and respond with their number.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    Request = require(path.join('..', '..', 'runtime', 'request', 'request')),
+    AuditLog = require(path.join('..', '..', 'runtime', 'request', 'auditlog')),
+    DataOperation = require(path.join('..', '..', 'runtime', 'request', 'dataoperation'));
+
+describe('request bulk operations', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    function parse(method, query) {
+        return Request.parse({
+            url: '/tables/todoitem',
+            method: method,
+            headers: {},
+            params: { operation: 'tables' },
+            query: query
+        });
+    }
+
+    it('keeps the $filter of updates and deletes, and skips their other query options', function () {
+        ['PATCH', 'DELETE'].forEach(function (method) {
+            var request = parse(method, { $filter: 'price gt 1', $top: '5' });
+
+            assert.equal(request.query.filter, 'price gt 1');
+            assert.ok(request.query._parsed.filter);
+            assert.strictEqual(request.query.top, undefined);
+        });
+
+        assert.strictEqual(parse('POST', { $filter: 'price gt 1' }).query.filter, undefined);
+    });
+
+    describe('data operations', function () {
+        var storage;
+
+        beforeEach(function (done) {
+            storage = Storage.create('memory', null, 'app', true, logger, metrics);
+            AuditLog.syncTable(storage, logger, function (error) {
+                assert.ifError(error);
+
+                storage.createTable('todoitem', logger, function (error) {
+                    assert.ifError(error);
+                    storage.insert('todoitem', [{ id: 'a', price: 3 }, { id: 'b', price: 2 }, { id: 'c', price: 1 }], logger, null, done);
+                });
+            });
+        });
+
+        it('responds with the number of items updated or deleted', function (done) {
+            var dataOperation = new DataOperation(storage, '/table/todoitem.update.js', logger, null, null);
+
+            dataOperation.bulkUpdate('todoitem', { filter: 'price gt 1' }, { price: 5 }, {}, function (error, result, statusCode) {
+                assert.ifError(error);
+                assert.deepEqual(result, { count: 2 });
+                assert.equal(statusCode, 200);
+
+                dataOperation.bulkDel('todoitem', { filter: 'price eq 5' }, {}, function (error, result, statusCode) {
+                    assert.ifError(error);
+                    assert.deepEqual(result, { count: 2 });
+                    assert.equal(statusCode, 200);
+                    done();
+                });
+            });
+        });
+
+        it('records the change of each item in the audit log of the table', function (done) {
+            var dataModel = {
+                    getTable: function (name) {
+                        return { name: name, audit: true };
+                    }
+                },
+                auditLog = AuditLog.create(dataModel, storage, 'todoitem', { level: 'admin' }, logger),
+                dataOperation = new DataOperation(storage, '/table/todoitem.update.js', logger, null, auditLog);
+
+            dataOperation.bulkUpdate('todoitem', { filter: 'price lt 3' }, { price: 5 }, {}, function (error) {
+                assert.ifError(error);
+
+                storage.query({ table: '__audit', orderBy: 'itemId' }, logger, null, function (error, records) {
+                    assert.ifError(error);
+                    assert.deepEqual(_.pluck(records, 'itemId'), ['b', 'c']);
+                    assert.deepEqual(_.pluck(records, 'operation'), ['update', 'update']);
+                    assert.equal(records[1].before, JSON.stringify({ price: 1 }));
+                    assert.equal(records[1].after, JSON.stringify({ price: 5 }));
+                    done();
+                });
+            });
+        });
+    });
+});
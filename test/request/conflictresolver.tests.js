@@ -0,0 +1,222 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the conflict policies of tables, which resolve the version conflicts of
+// updates and deletes in favor of the client, the server, or each by field.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    ConflictResolver = require(path.join('..', '..', 'runtime', 'request', 'conflictresolver')),
+    DataOperation = require(path.join('..', '..', 'runtime', 'request', 'dataoperation'));
+
+describe('conflict resolver', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    // a script manager of the todoitem table with the policy, and of a shared
+    // conflicts script whose resolveItem function is the resolver
+    function createScriptManager(policy, resolver) {
+        return {
+            getDataModel: function () {
+                return {
+                    getTable: function (name) {
+                        return name === 'todoitem' ? { name: 'todoitem', conflictPolicy: policy } : null;
+                    }
+                };
+            },
+            hasSharedScript: function (name) {
+                return name === 'conflicts';
+            },
+            runSharedScript: function (name, functionName, args) {
+                resolver.apply(null, args);
+            }
+        };
+    }
+
+    // resolves the conflict, with the resolver of the shared script if it is passed
+    function resolve(policy, operation, item, serverItem, resolver, callback) {
+        if (!callback) {
+            callback = resolver;
+            resolver = null;
+        }
+
+        var conflictResolver = ConflictResolver.create(createScriptManager(policy, resolver), 'todoitem', logger);
+        conflictResolver.resolve(operation, item, serverItem, callback);
+    }
+
+    describe('policies', function () {
+        var item = { id: 'a', text: 'oat milk', price: 2, __version: 'AAAA' },
+            serverItem = { id: 'a', text: 'milk', price: 3, __version: 'BBBB' };
+
+        it('is only created for tables with a conflict policy', function () {
+            assert.strictEqual(ConflictResolver.create(createScriptManager(undefined), 'todoitem', logger), null);
+            assert.strictEqual(ConflictResolver.create(createScriptManager('clientWins'), 'other', logger), null);
+        });
+
+        it('resolves conflicts for the client or the server', function (done) {
+            resolve('clientWins', 'update', item, serverItem, function (error, resolution) {
+                assert.ifError(error);
+                assert.deepEqual(resolution, { policy: 'clientWins', values: {} });
+
+                resolve('serverWins', 'del', item, serverItem, function (error, resolution) {
+                    assert.ifError(error);
+                    assert.deepEqual(resolution, { policy: 'serverWins', values: {} });
+                    done();
+                });
+            });
+        });
+
+        it('resolves the fields of updates by their policies, and deletes by the default', function (done) {
+            var policy = { fields: { Price: 'serverWins' } };
+
+            resolve(policy, 'update', item, serverItem, function (error, resolution) {
+                assert.ifError(error);
+                assert.deepEqual(resolution, { policy: 'clientWins', values: { price: 3 } });
+
+                // the server wins if none of the fields win for the client
+                resolve(policy, 'update', { id: 'a', price: 2 }, serverItem, function (error, resolution) {
+                    assert.ifError(error);
+                    assert.deepEqual(resolution, { policy: 'serverWins', values: {} });
+
+                    resolve({ fields: { price: 'clientWins' }, 'default': 'serverWins' }, 'del', item, serverItem, function (error, resolution) {
+                        assert.ifError(error);
+                        assert.equal(resolution.policy, 'serverWins');
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('resolves conflicts with the resolver of a shared script', function (done) {
+            var policy = { resolver: 'conflicts.resolveItem' };
+
+            resolve(policy, 'del', item, serverItem, function (operation, item, serverItem, done) {
+                assert.equal(operation, 'delete');
+                done('clientWins', { text: item.text + ' and ' + serverItem.text, __version: 'CCCC' });
+            }, function (error, resolution) {
+                assert.ifError(error);
+                assert.deepEqual(resolution, { policy: 'clientWins', values: { text: 'oat milk and milk' } });
+
+                // a resolver that passes no policy leaves the conflict unresolved
+                resolve(policy, 'update', item, serverItem, function (operation, item, serverItem, done) {
+                    done();
+                }, function (error, resolution) {
+                    assert.ifError(error);
+                    assert.strictEqual(resolution, null);
+
+                    resolve(policy, 'update', item, serverItem, function (operation, item, serverItem, done) {
+                        done('bothWin');
+                    }, function (error) {
+                        assert.equal(error.code, core.ErrorCodes.ScriptError);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('reports policies that are not valid', function (done) {
+            resolve('lastWins', 'update', item, serverItem, function (error) {
+                assert.ok(/conflict policy/i.test(error.message));
+
+                resolve({ resolver: 'missing.resolveItem' }, 'update', item, serverItem, function (error) {
+                    assert.ok(/conflict policy/i.test(error.message));
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('outcomes', function () {
+        var storage, staleVersion;
+
+        function update(policy, item, callback) {
+            var conflictResolver = ConflictResolver.create(createScriptManager(policy), 'todoitem', logger),
+                dataOperation = new DataOperation(storage, '/table/todoitem.update.js', logger, conflictResolver);
+
+            dataOperation.update('todoitem', _.extend({ id: 'a', __version: staleVersion }, item), {}, callback);
+        }
+
+        function read(callback) {
+            storage.query({ table: 'todoitem', id: 'a' }, logger, null, function (error, results) {
+                assert.ifError(error);
+                callback(results[0]);
+            });
+        }
+
+        beforeEach(function (done) {
+            storage = Storage.create('memory', null, 'app', true, logger, metrics);
+            storage.createTable('todoitem', logger, function (error) {
+                assert.ifError(error);
+
+                var item = { id: 'a', text: 'milk', price: 3 };
+                storage.insert('todoitem', item, logger, { systemProperties: ['version'] }, function (error) {
+                    assert.ifError(error);
+                    staleVersion = item.__version;
+
+                    // the item changes on the server after the client read it
+                    storage.update('todoitem', 'a', { text: 'whole milk' }, logger, null, done);
+                });
+            });
+        });
+
+        it('applies the update over the server item if the client wins', function (done) {
+            update('clientWins', { text: 'oat milk' }, function (error, result, statusCode) {
+                assert.ifError(error);
+                assert.equal(statusCode, 200);
+
+                read(function (item) {
+                    assert.equal(item.text, 'oat milk');
+                    done();
+                });
+            });
+        });
+
+        it('leaves the server item unchanged and responds with it if the server wins', function (done) {
+            update('serverWins', { text: 'oat milk' }, function (error, result, statusCode) {
+                assert.ifError(error);
+                assert.equal(statusCode, 200);
+                assert.equal(result.text, 'whole milk');
+
+                read(function (item) {
+                    assert.equal(item.text, 'whole milk');
+                    done();
+                });
+            });
+        });
+
+        it('keeps the server values of the fields the server wins', function (done) {
+            update({ fields: { price: 'serverWins' } }, { text: 'oat milk', price: 2 }, function (error) {
+                assert.ifError(error);
+
+                read(function (item) {
+                    assert.equal(item.text, 'oat milk');
+                    assert.equal(item.price, 3);
+                    done();
+                });
+            });
+        });
+
+        it('reports the conflict without a policy', function (done) {
+            var dataOperation = new DataOperation(storage, '/table/todoitem.update.js', logger, null);
+
+            dataOperation.update('todoitem', { id: 'a', text: 'oat milk', __version: staleVersion }, {}, function (error) {
+                assert.ok(error.isMergeConflict);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,48 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the preconditions of upserts, which ETagHelper parses from the
+// if-match and if-none-match headers of PUT requests.
+
+var assert = require('assert'),
+    path = require('path'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    ETagHelper = require(path.join('..', '..', 'runtime', 'request', 'etaghelper'));
+
+describe('upsert preconditions', function () {
+    var tableMetadata = { supportsConflict: true };
+
+    function getCondition(headers, item) {
+        return ETagHelper.getUpsertCondition({ headers: headers }, item || {}, tableMetadata);
+    }
+
+    it('requires the item not to exist with if-none-match: *', function () {
+        assert.equal(getCondition({ 'if-none-match': '*' }), 'notExists');
+        assert.throws(function () {
+            getCondition({ 'if-none-match': '"AAAA"' });
+        }, function (error) {
+            return error.code === core.ErrorCodes.BadInput;
+        });
+    });
+
+    it('requires the item to exist, with the version of the etag, with if-match', function () {
+        var item = {};
+
+        assert.equal(getCondition({ 'if-match': '*' }, item), 'exists');
+        assert.strictEqual(item.__version, undefined);
+
+        assert.equal(getCondition({ 'if-match': '"AAAA"' }, item), 'exists');
+        assert.equal(item.__version, 'AAAA');
+
+        assert.strictEqual(getCondition({}), null);
+    });
+
+    it('rejects both if-match and if-none-match', function () {
+        assert.throws(function () {
+            getCondition({ 'if-match': '*', 'if-none-match': '*' });
+        }, function (error) {
+            return error.code === core.ErrorCodes.BadInput;
+        });
+    });
+});
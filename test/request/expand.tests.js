@@ -0,0 +1,128 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of $expand, which includes the rows of the relationships declared in
+// datamodel.json with the results of a query.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Request = require(path.join('..', '..', 'runtime', 'request', 'request')),
+    ExpandHelper = require(path.join('..', '..', 'runtime', 'request', 'expandhelper'));
+
+require(path.join('..', '..', 'runtime', 'query', 'queryparser'));
+
+describe('request $expand', function () {
+    var tables = {
+        customer: { name: 'customer', relationships: { orders: { table: 'order', foreignKey: 'customerId', many: true } } },
+        order: { name: 'order', relationships: { customer: { table: 'customer', foreignKey: 'customerId' }, product: { table: 'product', foreignKey: 'productId' } } }
+    };
+
+    var dataModel = {
+        getTable: function (name) {
+            return tables[name.toLowerCase()] || null;
+        }
+    };
+
+    function validate(query) {
+        var request = Request.parse({
+            url: '/tables/customer',
+            method: 'GET',
+            headers: {},
+            params: { operation: 'tables' },
+            query: query
+        });
+        Request.validateQuery(request);
+        return request;
+    }
+
+    function assertBadInput(fn, message) {
+        assert.throws(fn, function (error) {
+            return error.code === core.ErrorCodes.BadInput && message.test(error.message);
+        });
+    }
+
+    describe('parsing', function () {
+        it('parses the relationships and their options', function () {
+            assert.deepEqual(QueryParser.expand("orders($select=id,total;$filter=note eq 'a;b)';$orderby=total desc;$top=5), address"), [
+                { name: 'orders', select: 'id,total', filter: "note eq 'a;b)'", orderBy: 'total desc', top: 5 },
+                { name: 'address' }
+            ]);
+        });
+
+        it('rejects expansions that are not valid', function () {
+            assert.throws(function () { QueryParser.expand('orders,Orders'); }, /Duplicate relationship 'Orders'/);
+            assert.throws(function () { QueryParser.expand('orders($skip=5)'); }, /Invalid \$expand option '\$skip'/);
+            assert.throws(function () { QueryParser.expand('orders($top=all)'); }, /must be a number/);
+            assert.throws(function () { QueryParser.expand('orders($top=5'); }, /Unbalanced parentheses or quotes/);
+        });
+
+        it('rejects $top over 1000 and $apply with $expand as bad input', function () {
+            assert.equal(validate({ $expand: 'orders($top=1000)' }).query._parsed.expand[0].top, 1000);
+
+            assertBadInput(function () { validate({ $expand: 'orders($top=1001)' }); }, /cannot exceed 1000/);
+            assertBadInput(function () { validate({ $expand: 'orders', $apply: 'groupby((name))' }); }, /\$expand and \$apply query options cannot be used together/);
+            assertBadInput(function () { validate({ $expand: 'orders($filter=total gt)' }); }, /Invalid query specified/);
+        });
+    });
+
+    describe('relationships', function () {
+        it('looks up the declared relationships ignoring case', function () {
+            assert.deepEqual(ExpandHelper.getRelationship(dataModel, 'customer', 'ORDERS'),
+                { name: 'orders', table: 'order', foreignKey: 'customerId', many: true });
+
+            assertBadInput(function () {
+                ExpandHelper.getRelationship(dataModel, 'customer', 'invoices');
+            }, /'invoices' is not a relationship of table 'customer'/);
+
+            // the related table of the relationship isn't in the data model
+            assert.throws(function () {
+                ExpandHelper.getRelationship(dataModel, 'order', 'product');
+            }, /must specify an existing table/);
+        });
+
+        it('queries the related rows of the keys, partitioned by one-to-many relationships', function () {
+            var orders = ExpandHelper.getRelationship(dataModel, 'customer', 'orders'),
+                query = ExpandHelper.createQuery(orders, { filter: 'total gt 10', top: 2 }, ['a', "o'b", 'c']);
+
+            assert.equal(query.filter, "(total gt 10) and (((customerId eq 'a') or (customerId eq 'o''b')) or (customerId eq 'c'))");
+            assert.equal(query.partitionBy, 'customerId');
+            assert.equal(query.top, 2);
+
+            var customer = ExpandHelper.getRelationship(dataModel, 'order', 'customer');
+            query = ExpandHelper.createQuery(customer, {}, ['a', 'b']);
+
+            assert.equal(query.filter, "(id eq 'a') or (id eq 'b')");
+            assert.strictEqual(query.partitionBy, undefined);
+            assert.equal(query.top, 2);
+        });
+
+        it('nests the related items by their keys, ignoring case', function () {
+            var customers = [{ id: 'a' }, { id: 'b' }],
+                orders = [{ id: '1', customerId: 'A' }, { id: '2', customerId: 'a' }, { id: '3', customerId: null }];
+
+            ExpandHelper.nest(customers, ExpandHelper.getRelationship(dataModel, 'customer', 'orders'), orders);
+            assert.deepEqual(_.pluck(customers[0].orders, 'id'), ['1', '2']);
+            assert.deepEqual(customers[1].orders, []);
+
+            ExpandHelper.nest(orders, ExpandHelper.getRelationship(dataModel, 'order', 'customer'), customers);
+            assert.equal(orders[0].customer.id, 'a');
+            assert.strictEqual(orders[2].customer, null);
+        });
+
+        it('selects the key columns that are not selected, to remove them from the results', function () {
+            var query = { select: 'name' };
+
+            assert.strictEqual(ExpandHelper.selectColumn(query, 'id'), true);
+            assert.equal(query.select, 'name,id');
+            assert.strictEqual(ExpandHelper.selectColumn(query, 'ID'), false);
+            assert.strictEqual(ExpandHelper.selectColumn({}, 'id'), false);
+
+            var items = [{ name: 'x', Id: 'a' }];
+            ExpandHelper.removeColumns(items, ['id']);
+            assert.deepEqual(items, [{ name: 'x' }]);
+        });
+    });
+});
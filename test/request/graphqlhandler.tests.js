@@ -0,0 +1,195 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the GraphQL route, which plans the fields of operations as requests of the
+// table routes and runs them through the table handler below, outside of the app.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    GraphQLHandler = require(path.join('..', '..', 'runtime', 'request', 'graphqlhandler'));
+
+describe('graphql handler', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var tables = {
+        todoitem: { name: 'todoitem' },
+        secret: { name: 'secret' }
+    };
+
+    var scriptManager = {
+        getDataModel: function () {
+            return {
+                getTable: function (name) {
+                    return tables[name.toLowerCase()];
+                }
+            };
+        }
+    };
+
+    var tableRequests, respond;
+
+    // the table handler records the requests of fields and answers them with respond
+    var tableHandler = {
+        getRequiredPermission: function (table) {
+            return table === 'secret' ? 'admin' : 'public';
+        },
+        handle: function (req) {
+            tableRequests.push(req);
+            var response = respond(req._context.parsedRequest, req.body);
+            setImmediate(function () {
+                req._context.responseCallback(response.error || null, response.result, response.statusCode || 200);
+            });
+        }
+    };
+
+    function run(method, params, callback) {
+        var handler = new GraphQLHandler(tableHandler, scriptManager, { masterKey: 'master' });
+
+        handler.handle({
+            method: method,
+            query: method === 'GET' ? params : undefined,
+            body: method === 'GET' ? undefined : params,
+            _context: {
+                logger: logger,
+                parsedRequest: { headers: { 'if-match': '"AAAA"' }, query: {} },
+                responseCallback: function (error, result, statusCode) {
+                    callback(result, statusCode);
+                }
+            }
+        });
+    }
+
+    beforeEach(function () {
+        tableRequests = [];
+        respond = function () {
+            return { result: [] };
+        };
+    });
+
+    describe('planning', function () {
+        function assertBadRequest(params, message, done) {
+            run('POST', params, function (result, statusCode) {
+                assert.equal(statusCode, 400);
+                assert.equal(result.errors.length, 1);
+                assert.ok(message.test(result.errors[0].message), result.errors[0].message);
+                assert.equal(tableRequests.length, 0);
+                done();
+            });
+        }
+
+        it('fails with the location of syntax errors', function (done) {
+            run('POST', { query: '{ todoitem { nodes { id } }' }, function (result, statusCode) {
+                assert.equal(statusCode, 400);
+                assert.deepEqual(result.errors[0].locations, [{ line: 1, column: 28 }]);
+                done();
+            });
+        });
+
+        it('fails for unknown tables and fields', function (done) {
+            assertBadRequest({ query: '{ orders { nodes { id } } }' }, /Cannot query field 'orders' on type 'Query'/, function () {
+                assertBadRequest({ query: '{ todoitem { items { id } } }' }, /Cannot query field 'items' on type 'todoitemConnection'/, function () {
+                    assertBadRequest({ query: 'mutation { upsert_todoitem(item: {}) { id } }' }, /Cannot query field 'upsert_todoitem' on type 'Mutation'/, done);
+                });
+            });
+        });
+
+        it('fails for unknown and invalid arguments', function (done) {
+            assertBadRequest({ query: '{ todoitem(last: 1) { nodes { id } } }' }, /Unknown argument 'last' on field 'todoitem'/, function () {
+                assertBadRequest({ query: '{ todoitem(first: "10") { nodes { id } } }' }, /The argument 'first' of field 'todoitem' must be of type 'Int'/, function () {
+                    assertBadRequest({ query: 'mutation { delete_todoitem(version: "AAAA") }' }, /The argument 'id' of field 'delete_todoitem' must be of type 'ID!'/, done);
+                });
+            });
+        });
+
+        it('fails for a negative first with a specific error', function (done) {
+            assertBadRequest({ query: '{ todoitem(first: -1) { nodes { id } } }' }, /The argument 'first' of field 'todoitem' must not be negative/, done);
+        });
+
+        it('fails for missing required variables and selections', function (done) {
+            assertBadRequest({ query: 'query ($id: ID!) { todoitem(filter: $id) { nodes { id } } }' }, /Variable '\$id' of required type 'ID!' was not provided/, function () {
+                assertBadRequest({ query: '{ todoitem }' }, /Field 'todoitem' must have a selection of subfields/, done);
+            });
+        });
+
+        it('fails for mutations sent with GET', function (done) {
+            run('GET', { query: 'mutation { delete_todoitem(id: "1") }' }, function (result, statusCode) {
+                assert.equal(statusCode, 405);
+                assert.equal(tableRequests.length, 0);
+                done();
+            });
+        });
+
+        it('reads the fields of queries with the query options of their arguments', function (done) {
+            run('POST', { query: '{ todoitem(filter: "complete eq false", orderBy: "text", first: 10) { nodes { text __createdAt } pageInfo { hasNextPage } } }' }, function (result, statusCode) {
+                assert.equal(statusCode, 200);
+                assert.equal(tableRequests.length, 1);
+
+                var query = tableRequests[0]._context.parsedRequest.query;
+                assert.equal(query.select, 'id,text');
+                assert.equal(query.filter, 'complete eq false');
+                assert.equal(query.orderBy, 'text');
+                assert.equal(query.top, 10);
+                assert.deepEqual(query.systemProperties, ['createdAt']);
+                assert.deepEqual(result.data, { todoitem: { nodes: [], pageInfo: { hasNextPage: false } } });
+                done();
+            });
+        });
+    });
+
+    describe('limits', function () {
+        it('runs the table requests of fields as OData v3 requests without the precondition headers of the request', function (done) {
+            run('POST', { query: '{ todoitem { nodes { id } } }' }, function () {
+                var tableRequest = tableRequests[0]._context.parsedRequest;
+                assert.equal(tableRequest.url, '/tables/todoitem');
+                assert.equal(tableRequest.odataVersion, 3);
+                assert.ok(!_.has(tableRequest.headers, 'if-match'));
+                done();
+            });
+        });
+
+        it('rejects the OData v4 syntax in arguments', function (done) {
+            run('POST', { query: '{ todoitem(filter: "contains(text, \'milk\')") { nodes { id } } }' }, function (result, statusCode) {
+                assert.equal(statusCode, 200);
+                assert.strictEqual(result.data.todoitem, null);
+                assert.equal(result.errors[0].extensions.statusCode, 400);
+                assert.equal(tableRequests.length, 0);
+                done();
+            });
+        });
+
+        it('authorizes the permission of the table route of each field', function (done) {
+            run('POST', { query: '{ todoitem { nodes { id } } secret { nodes { id } } }' }, function (result, statusCode) {
+                assert.equal(statusCode, 200);
+                assert.deepEqual(result.data.todoitem, { nodes: [] });
+                assert.strictEqual(result.data.secret, null);
+                assert.deepEqual(result.errors, [{ message: 'Unauthorized', extensions: { statusCode: 401 }, locations: [{ line: 1, column: 29 }], path: ['secret'] }]);
+                assert.equal(tableRequests.length, 1);
+                done();
+            });
+        });
+
+        it('runs the fields of mutations one after another without a transaction', function (done) {
+            respond = function (request, item) {
+                return item.text === 'b' ? { result: { error: 'The item is invalid.' }, statusCode: 400 } : { result: item, statusCode: 201 };
+            };
+
+            var query = 'mutation { a: insert_todoitem(item: { text: "a" }) { text } b: insert_todoitem(item: { text: "b" }) { text } c: insert_todoitem(item: { text: "c" }) { text } }';
+            run('POST', { query: query }, function (result) {
+                assert.deepEqual(_.pluck(tableRequests, 'body'), [{ text: 'a' }, { text: 'b' }, { text: 'c' }]);
+                assert.deepEqual(result.data, { a: { text: 'a' }, b: null, c: { text: 'c' } });
+                assert.equal(result.errors.length, 1);
+                assert.equal(result.errors[0].message, 'The item is invalid.');
+                assert.deepEqual(result.errors[0].extensions, { statusCode: 400 });
+                assert.deepEqual(result.errors[0].path, ['b']);
+                done();
+            });
+        });
+    });
+});
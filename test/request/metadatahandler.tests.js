@@ -0,0 +1,127 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of GET /tables/$metadata, which describes the tables of the data model the
+// caller can read in the OData metadata document (CSDL), as XML or JSON.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    MetadataHandler = require(path.join('..', '..', 'runtime', 'request', 'metadatahandler'));
+
+describe('metadata handler', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var tables = [
+        {
+            name: 'customer',
+            columns: { Name: { type: 'nvarchar', maxLength: 100, nullable: false }, address: { type: 'json' } },
+            relationships: { orders: { table: 'order', foreignKey: 'customerId', many: true }, notes: { table: 'note', foreignKey: 'customerId', many: true } }
+        },
+        {
+            name: 'order',
+            columns: { customerId: { type: 'nvarchar' }, total: { type: 'float' } },
+            relationships: { customer: { table: 'customer', foreignKey: 'customerId' } }
+        },
+        { name: 'note', columns: { text: { type: 'nvarchar' } } },
+        { name: 'missing' }
+    ];
+
+    var scriptManager = {
+        getDataModel: function () {
+            return {
+                tables: tables,
+                getTable: function (name) {
+                    return _.find(tables, function (table) { return table.name === name.toLowerCase(); }) || null;
+                }
+            };
+        },
+        getTablePermission: function (table) {
+            return table === 'note' ? 'admin' : 'public';
+        }
+    };
+
+    var storage;
+
+    function handle(parsedRequest, callback) {
+        var handler = new MetadataHandler(storage, scriptManager, { masterKey: 'secret' }),
+            req = {
+                _context: {
+                    logger: logger,
+                    parsedRequest: _.extend({ query: {}, headers: {} }, parsedRequest),
+                    responseCallback: function (error, result, statusCode, headers) {
+                        assert.ifError(error);
+                        assert.equal(statusCode, 200);
+                        assert.equal(headers['OData-Version'], '4.01');
+                        callback(result, headers);
+                    }
+                }
+            };
+
+        handler.handle(req, {});
+    }
+
+    before(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+
+        // the missing table of the data model isn't created
+        var syncFunctions = _.initial(tables).map(function (table) {
+            return function (next) {
+                storage.syncTableSchema(table.name, table.columns, logger, next);
+            };
+        });
+
+        core.async.series(syncFunctions, done);
+    });
+
+    it('describes the tables the caller can read as JSON', function (done) {
+        handle({ query: { format: 'json' } }, function (document) {
+            var schema = document.Default;
+
+            assert.equal(document.$Version, '4.01');
+            assert.equal(document.$EntityContainer, 'Default.Container');
+            assert.deepEqual(_.keys(schema), ['customer', 'order', 'Container']);
+
+            assert.deepEqual(schema.customer.$Key, ['id']);
+            assert.deepEqual(schema.customer.Name, { $MaxLength: 100 });
+            assert.deepEqual(schema.customer.address, { $Type: 'Edm.Untyped', $Nullable: true });
+            assert.deepEqual(schema.customer.__version, { $Type: 'Edm.Binary', $Nullable: true, '@Core.Computed': true });
+            assert.deepEqual(schema.order.total, { $Type: 'Edm.Double', $Nullable: true });
+
+            // the relationships to tables the caller can't read are left out
+            assert.deepEqual(schema.customer.orders, { $Kind: 'NavigationProperty', $Type: 'Default.order', $Collection: true });
+            assert.strictEqual(schema.customer.notes, undefined);
+            assert.deepEqual(schema.order.customer, { $Kind: 'NavigationProperty', $Type: 'Default.customer', $Nullable: true });
+            assert.deepEqual(schema.Container.customer, { $Collection: true, $Type: 'Default.customer', $NavigationPropertyBinding: { orders: 'order' } });
+            done();
+        });
+    });
+
+    it('describes the tables admins can read as XML by default', function (done) {
+        handle({ masterKey: 'secret', headers: { accept: 'application/json, application/xml' } }, function (document, headers) {
+            assert.equal(headers['content-type'], 'application/xml');
+            assert.ok(/^<\?xml version="1.0" encoding="utf-8"\?>/.test(document));
+            assert.ok(document.indexOf('<EntityType Name="note">') >= 0);
+            assert.ok(document.indexOf('<Property Name="Name" Type="Edm.String" Nullable="false" MaxLength="100"/>') >= 0);
+            assert.ok(document.indexOf('<NavigationProperty Name="notes" Type="Collection(Default.note)"/>') >= 0);
+            assert.ok(document.indexOf('<NavigationPropertyBinding Path="orders" Target="order"/>') >= 0);
+            assert.ok(document.indexOf('<EntitySet Name="note" EntityType="Default.note"/>') >= 0);
+            assert.ok(document.indexOf('missing') < 0);
+            done();
+        });
+    });
+});
@@ -0,0 +1,143 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of GET /openapi.json, which describes the table and custom api routes the
+// caller can call in an OpenAPI 3 document.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    OpenApiHandler = require(path.join('..', '..', 'runtime', 'request', 'openapihandler'));
+
+describe('openapi handler', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var tables = [
+        { name: 'todoitem', audit: true, columns: { text: { type: 'nvarchar', maxLength: 100 }, complete: { type: 'bit' } } },
+        { name: 'secret', columns: { text: { type: 'nvarchar' } } }
+    ];
+
+    var scriptManager = {
+        getDataModel: function () {
+            return {
+                tables: tables,
+                getTable: function (name) {
+                    return _.find(tables, function (table) { return table.name === name; }) || null;
+                }
+            };
+        },
+        getTablePermission: function (table, operation) {
+            return (table === 'secret' || operation === 'delete') ? 'admin' : 'application';
+        }
+    };
+
+    // an api with routes of the methods of its metadata, and all methods of an id
+    var routeMetadata = {
+        '/': {
+            get: { permission: 'public', description: 'Lists the orders.', responseSchema: { type: 'array' } },
+            post: { permission: 'user', requestSchema: { type: 'object' } }
+        }
+    };
+
+    var apiBuilder = {
+        apis: {
+            orders: {
+                name: 'orders',
+                baseRoute: '/api/orders',
+                routes: {
+                    '/api/orders': { methods: ['get', 'post'] },
+                    '/api/orders/:id': { methods: ['all'] }
+                },
+                metadata: {
+                    getRouteMetadata: function (route, method) {
+                        return routeMetadata[route] && routeMetadata[route][method.toLowerCase()];
+                    }
+                }
+            }
+        }
+    };
+
+    var storage;
+
+    function handle(parsedRequest, callback) {
+        var handler = new OpenApiHandler('todolist', storage, scriptManager, apiBuilder, { applicationKey: 'key', masterKey: 'secret' }),
+            req = {
+                _context: {
+                    logger: logger,
+                    parsedRequest: _.extend({ query: {}, headers: {} }, parsedRequest),
+                    responseCallback: function (error, document, statusCode) {
+                        assert.ifError(error);
+                        assert.equal(statusCode, 200);
+                        callback(document);
+                    }
+                }
+            };
+
+        handler.handle(req, {});
+    }
+
+    before(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        storage.syncTableSchema('todoitem', tables[0].columns, logger, function (error) {
+            assert.ifError(error);
+            storage.syncTableSchema('secret', tables[1].columns, logger, done);
+        });
+    });
+
+    it('describes the routes the application key can call', function (done) {
+        handle({ applicationKey: 'key' }, function (document) {
+            assert.equal(document.openapi, '3.0.3');
+            assert.equal(document.info.title, 'todolist');
+
+            assert.deepEqual(_.keys(document.components.schemas), ['Error', 'todoitem']);
+            assert.deepEqual(document.components.schemas.todoitem.properties.text, { type: 'string', nullable: true, maxLength: 100 });
+            assert.deepEqual(document.components.schemas.todoitem.properties.complete, { type: 'boolean', nullable: true });
+            assert.equal(document.components.schemas.todoitem.properties.__version.readOnly, true);
+
+            assert.deepEqual(_.keys(document.paths).sort(), ['/api/orders', '/tables/todoitem', '/tables/todoitem/changes', '/tables/todoitem/{id}']);
+            assert.deepEqual(_.keys(document.paths['/tables/todoitem']), ['get', 'post']);
+            assert.deepEqual(_.keys(document.paths['/tables/todoitem/{id}']), ['get', 'post', 'patch', 'put']);
+            assert.deepEqual(document.paths['/tables/todoitem'].get.security, [{ applicationKey: [] }, { masterKey: [] }]);
+            assert.deepEqual(document.paths['/tables/todoitem'].get.tags, ['todoitem']);
+
+            var listOrders = document.paths['/api/orders'].get;
+            assert.deepEqual(_.keys(document.paths['/api/orders']), ['get']);
+            assert.deepEqual(listOrders.security, []);
+            assert.equal(listOrders.description, 'Lists the orders.');
+            assert.deepEqual(listOrders.responses['200'].content['application/json'].schema, { type: 'array' });
+            done();
+        });
+    });
+
+    it('describes all of the routes to admins', function (done) {
+        handle({ masterKey: 'secret' }, function (document) {
+            assert.ok(document.components.schemas.secret);
+            assert.deepEqual(_.keys(document.paths['/tables/todoitem']), ['get', 'post', 'patch', 'delete']);
+            assert.deepEqual(document.paths['/tables/todoitem'].patch.parameters, [{ $ref: '#/components/parameters/bulkFilter' }]);
+            assert.deepEqual(document.paths['/tables/todoitem/{id}']['delete'].security, [{ masterKey: [] }]);
+
+            // the history of items is only routed for audited tables
+            assert.ok(document.paths['/tables/todoitem/{id}/history'].get);
+            assert.strictEqual(document.paths['/tables/secret/{id}/history'], undefined);
+
+            assert.deepEqual(_.keys(document.paths['/api/orders']), ['get', 'post']);
+            assert.deepEqual(document.paths['/api/orders'].post.requestBody, { required: true, content: { 'application/json': { schema: { type: 'object' } } } });
+            assert.deepEqual(_.keys(document.paths['/api/orders/{id}']), ['get', 'put', 'post', 'patch', 'delete']);
+            assert.deepEqual(document.paths['/api/orders/{id}'].get.parameters, [{ name: 'id', 'in': 'path', required: true, schema: { type: 'string' } }]);
+            done();
+        });
+    });
+});
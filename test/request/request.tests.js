@@ -0,0 +1,83 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the OData version negotiated by the headers of table requests, which
+// determines whether their queries can use the OData v4 syntax.
+
+var assert = require('assert'),
+    path = require('path'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Request = require(path.join('..', '..', 'runtime', 'request', 'request'));
+
+describe('request OData version', function () {
+    function parse(query, headers) {
+        return Request.parse({
+            url: '/tables/todoitem',
+            method: 'GET',
+            headers: headers || {},
+            params: { operation: 'tables' },
+            query: query
+        });
+    }
+
+    function assertBadInput(query, headers, message) {
+        assert.throws(function () {
+            parse(query, headers);
+        }, function (error) {
+            return error.code === core.ErrorCodes.BadInput && message.test(error.message);
+        });
+    }
+
+    var v4Headers = { 'odata-maxversion': '4.0' };
+
+    it('negotiates v3 by default and v4 with the OData-Version headers', function () {
+        assert.equal(parse({}).odataVersion, 3);
+        assert.equal(parse({}, v4Headers).odataVersion, 4);
+        assert.equal(parse({}, { 'odata-version': '4.0' }).odataVersion, 4);
+        assert.equal(parse({}, { 'odata-version': '4.0', 'odata-maxversion': '3.0' }).odataVersion, 3);
+    });
+
+    it('rejects the v4 syntax in v3 requests', function () {
+        assertBadInput({ $filter: "contains(text, 'milk')" }, null, /Function 'contains' requires an OData-Version or OData-MaxVersion header of 4\.0/);
+        assertBadInput({ $filter: "category in ('books', 'music')" }, null, /The 'in' operator requires/);
+        assertBadInput({ $filter: 'dueDate lt now()' }, null, /Function 'now' requires/);
+        assertBadInput({ $filter: 'date(dueDate) eq 2001-04-01' }, null, /Function 'date' requires/);
+        assertBadInput({ $filter: 'dueDate eq 2001-04-01T10:30:00Z' }, null, /The date literal '2001-04-01T10:30:00Z' requires/);
+        assertBadInput({ $orderby: 'totaloffsetminutes(dueDate)' }, null, /Function 'totaloffsetminutes' requires/);
+        assertBadInput({ $count: 'true' }, null, /The \$count query option requires/);
+    });
+
+    it('rejects the v4 syntax in the expanded relationships of v3 requests', function () {
+        assertBadInput({ $expand: "orders($filter=contains(text, 'milk'))" }, null, /Function 'contains' requires/);
+    });
+
+    it('accepts the v3 syntax in v3 requests', function () {
+        var request = parse({ $filter: "substringof('milk', text) and dueDate lt datetime'2001-04-01T00:00:00Z'", $inlinecount: 'allpages' });
+
+        assert.ok(request.query._parsed.filter);
+        assert.equal(request.query.inlineCount, 'allpages');
+    });
+
+    it('rejects $count with $apply in v4 requests', function () {
+        var request = parse({ $apply: 'groupby((category))', $count: 'true' }, v4Headers);
+
+        assert.throws(function () {
+            Request.validateQuery(request);
+        }, function (error) {
+            return error.code === core.ErrorCodes.BadInput && /The \$skip, \$select, \$inlinecount and \$count query options cannot be used with \$apply/.test(error.message);
+        });
+    });
+
+    it('accepts the v4 syntax in v4 requests', function () {
+        var request = parse({
+            $filter: "contains(text, 'milk') and category in ('books', 'music') and dueDate lt now() and date(dueDate) eq 2001-04-01",
+            $orderby: 'totaloffsetminutes(dueDate)',
+            $count: 'true'
+        }, v4Headers);
+
+        assert.ok(request.query._parsed.filter);
+        assert.ok(request.query._parsed.orderBy);
+        assert.equal(request.query.inlineCount, 'allpages');
+    });
+});
@@ -0,0 +1,185 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the row filters of tables, which restrict the rows users can read and
+// write to those with the values of the owner column or of a predicate.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    RowFilter = require(path.join('..', '..', 'runtime', 'request', 'rowfilter'));
+
+describe('row filter', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var owner = { level: 'authenticated', userId: 'facebook:1' };
+
+    // a script manager of the todoitem table with the row filter, and of a
+    // shared security script whose filterRows function is the predicate
+    function createScriptManager(rowFilter, predicate) {
+        return {
+            getDataModel: function () {
+                return {
+                    getTable: function (name) {
+                        return name === 'todoitem' ? { name: 'todoitem', rowFilter: rowFilter } : null;
+                    }
+                };
+            },
+            hasSharedScript: function (name) {
+                return name === 'security';
+            },
+            runSharedScript: function (name, functionName, args) {
+                predicate.apply(null, args);
+            }
+        };
+    }
+
+    function getValues(rowFilter, user, predicate, callback) {
+        if (!callback) {
+            callback = predicate;
+            predicate = null;
+        }
+
+        RowFilter.create(createScriptManager(rowFilter, predicate), 'todoitem', user, logger).getValues('read', callback);
+    }
+
+    describe('declarations', function () {
+        it('is not created for admins or tables without a row filter', function () {
+            var ownerColumn = { ownerColumn: 'userId' };
+
+            assert.strictEqual(RowFilter.create(createScriptManager(ownerColumn), 'todoitem', { level: 'admin' }, logger), null);
+            assert.strictEqual(RowFilter.create(createScriptManager(undefined), 'todoitem', owner, logger), null);
+            assert.ok(RowFilter.create(createScriptManager(ownerColumn), 'todoitem', owner, logger));
+        });
+
+        it('filters rows by the owner column, requiring an authenticated user', function (done) {
+            getValues({ ownerColumn: 'userId' }, owner, function (error, values) {
+                assert.ifError(error);
+                assert.deepEqual(values, { userId: 'facebook:1' });
+
+                getValues({ ownerColumn: 'userId' }, { level: 'anonymous' }, function (error, values, statusCode) {
+                    assert.ok(error);
+                    assert.equal(statusCode, 401);
+                    done();
+                });
+            });
+        });
+
+        it('filters rows by the values of the predicate of a shared script', function (done) {
+            getValues({ predicate: 'security.filterRows' }, owner, function (user, operation, done) {
+                assert.equal(operation, 'read');
+                done({ teamId: user.userId === 'facebook:1' ? 'red' : 'blue' });
+            }, function (error, values) {
+                assert.ifError(error);
+                assert.deepEqual(values, { teamId: 'red' });
+
+                getValues({ predicate: 'security.filterRows' }, owner, function (user, operation, done) {
+                    done({ __version: 'AAAA' });
+                }, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.ScriptError);
+                    done();
+                });
+            });
+        });
+
+        it('reports row filters that are not valid', function (done) {
+            getValues({ ownerColumn: 'id' }, owner, function (error) {
+                assert.ok(/row filter/i.test(error.message));
+
+                getValues({ predicate: 'missing.filterRows' }, owner, function (error) {
+                    assert.ok(/row filter/i.test(error.message));
+                    done();
+                });
+            });
+        });
+    });
+
+    _.each({
+        memory: function () {
+            return Storage.create('memory', null, 'app', true, logger, metrics);
+        },
+        sqlite: function () {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+    }, function (createStorage, providerName) {
+        describe('on ' + providerName, function () {
+            var ownerFilter = { rowFilter: { userId: 'facebook:1' } },
+                tableCount = 0,
+                storage, table;
+
+            function readIds(options, callback) {
+                storage.query({ table: table, orderBy: 'id' }, logger, options, function (error, results) {
+                    assert.ifError(error);
+                    callback(_.pluck(results, 'id'));
+                });
+            }
+
+            beforeEach(function (done) {
+                storage = createStorage();
+                table = 'rowfilter' + (++tableCount);
+                storage.createTable(table, logger, function (error) {
+                    assert.ifError(error);
+
+                    storage.insert(table, { id: 'a', text: 'milk', userId: 'facebook:1' }, logger, null, function (error) {
+                        assert.ifError(error);
+                        storage.insert(table, { id: 'b', text: 'eggs', userId: 'facebook:2' }, logger, null, done);
+                    });
+                });
+            });
+
+            it('reads only the rows of the filter, and all rows without it', function (done) {
+                readIds(ownerFilter, function (ids) {
+                    assert.deepEqual(ids, ['a']);
+
+                    readIds(null, function (ids) {
+                        assert.deepEqual(ids, ['a', 'b']);
+                        done();
+                    });
+                });
+            });
+
+            it('sets the values of the filter on the items it writes', function (done) {
+                storage.insert(table, { id: 'c', text: 'bread', userId: 'facebook:2' }, logger, ownerFilter, function (error) {
+                    assert.ifError(error);
+
+                    readIds(ownerFilter, function (ids) {
+                        assert.deepEqual(ids, ['a', 'c']);
+                        done();
+                    });
+                });
+            });
+
+            it('updates and deletes the rows the filter excludes as if they did not exist', function (done) {
+                storage.update(table, 'b', { id: 'b', text: 'butter' }, logger, ownerFilter, function (error, rowCount) {
+                    assert.ifError(error);
+                    assert.strictEqual(rowCount, 0);
+
+                    storage.del(table, 'b', null, logger, ownerFilter, function (error, rowCount) {
+                        assert.ifError(error);
+                        assert.strictEqual(rowCount, 0);
+
+                        storage.query({ table: table, id: 'b' }, logger, null, function (error, results) {
+                            assert.ifError(error);
+                            assert.equal(results[0].text, 'eggs');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
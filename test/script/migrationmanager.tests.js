@@ -0,0 +1,159 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the schema migrations, which are applied in order on startup,
+// recorded in the __migrations table and rolled back from the last applied.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    MigrationManager = require(path.join('..', '..', 'runtime', 'script', 'migrationmanager'));
+
+// the migration errors are logged with the log types the logger defines
+require(path.join('..', '..', 'runtime', 'logger'));
+
+describe('migrations', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var scriptManager = {
+        buildScriptService: function () {
+            return {};
+        }
+    };
+
+    var storage, manager, calls;
+
+    // loads a migration script that records its calls and fails if told to
+    function load(fileName, failures, hasDown) {
+        var module = {
+            up: function (service, done) {
+                calls.push('up ' + fileName);
+                done(failures && failures.up);
+            }
+        };
+
+        if (hasDown !== false) {
+            module.down = function (service, done) {
+                calls.push('down ' + fileName);
+                done(failures && failures.down);
+            };
+        }
+
+        manager._onScriptLoad({ scriptFileName: fileName, name: fileName.replace('.js', ''), module: module });
+    }
+
+    function getStatus(callback) {
+        manager.getStatus(logger, function (error, status) {
+            assert.ifError(error);
+            callback(status.map(function (migration) {
+                return _.pick(migration, 'version', 'name', 'applied');
+            }));
+        });
+    }
+
+    beforeEach(function () {
+        calls = [];
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        manager = new MigrationManager(scriptManager, storage, logger, metrics, '.');
+    });
+
+    it('applies the pending migrations in order and records them', function (done) {
+        load('002-add-index.js');
+        load('001-add-orders.js');
+        load('readme.js');
+
+        manager.migrate(function () {
+            assert.deepEqual(calls, ['up 001-add-orders.js', 'up 002-add-index.js']);
+
+            getStatus(function (status) {
+                assert.deepEqual(status, [
+                    { version: 1, name: 'add-orders', applied: true },
+                    { version: 2, name: 'add-index', applied: true }
+                ]);
+
+                calls = [];
+                manager.migrate(function () {
+                    assert.deepEqual(calls, []);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('stops at the first migration that fails', function (done) {
+        load('001-add-orders.js');
+        load('002-add-index.js', { up: new Error('the index exists') });
+        load('003-add-view.js');
+
+        manager.migrate(function () {
+            assert.deepEqual(calls, ['up 001-add-orders.js', 'up 002-add-index.js']);
+
+            getStatus(function (status) {
+                assert.deepEqual(_.pluck(status, 'applied'), [true, false, false]);
+                done();
+            });
+        });
+    });
+
+    it('rolls back the last applied migration, which can be applied again', function (done) {
+        load('001-add-orders.js');
+        load('002-add-index.js');
+
+        manager.migrate(function () {
+            manager.rollback(logger, function (error, status) {
+                assert.ifError(error);
+                assert.deepEqual(_.pluck(status, 'applied'), [true, false]);
+                assert.equal(_.last(calls), 'down 002-add-index.js');
+
+                manager.migrate(function () {
+                    assert.equal(_.last(calls), 'up 002-add-index.js');
+
+                    getStatus(function (status) {
+                        assert.deepEqual(_.pluck(status, 'applied'), [true, true]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('rejects rollbacks of migrations without a down function and when none are applied', function (done) {
+        load('001-add-orders.js', null, false);
+
+        manager.rollback(logger, function (error) {
+            assert.equal(error.code, core.ErrorCodes.BadInput);
+
+            manager.migrate(function () {
+                manager.rollback(logger, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.BadInput);
+                    assert.ok(/cannot be rolled back/.test(error.message));
+                    done();
+                });
+            });
+        });
+    });
+
+    it('runs one apply or rollback at a time', function (done) {
+        load('001-add-orders.js');
+
+        manager.migrate(function () { });
+        manager.rollback(logger, function (error) {
+            assert.equal(error.code, core.ErrorCodes.Conflict);
+            done();
+        });
+    });
+});
@@ -0,0 +1,155 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the retention rules of tables, which expire rows older than a number of
+// days and purge the soft deleted rows that were deleted more than a number of days ago.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    AuditLog = require(path.join('..', '..', 'runtime', 'request', 'auditlog')),
+    RetentionManager = require(path.join('..', '..', 'runtime', 'script', 'retentionmanager'));
+
+// the failures are logged with the log types the logger defines
+require(path.join('..', '..', 'runtime', 'logger'));
+
+describe('retention manager', function () {
+    var msPerDay = 24 * 60 * 60 * 1000,
+        now = Date.now;
+
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function (source, type, message) {
+            userLog.push({ type: type, message: message });
+        }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var storage, userLog;
+
+    function createManager(tables) {
+        var scriptManager = {
+            getDataModel: function () {
+                return {
+                    tables: tables,
+                    getTable: function (name) {
+                        return _.find(tables, function (table) { return table.name === name; }) || null;
+                    }
+                };
+            }
+        };
+
+        return new RetentionManager(scriptManager, storage, logger, metrics);
+    }
+
+    function daysAgo(days) {
+        return new Date(now() - days * msPerDay);
+    }
+
+    function readIds(table, callback) {
+        storage.query({ table: table, orderBy: 'id' }, logger, { includeDeleted: true, systemProperties: ['deleted'] }, function (error, results) {
+            assert.ifError(error);
+            callback(results.map(function (result) {
+                return result.__deleted ? result.id + ' (deleted)' : result.id;
+            }));
+        });
+    }
+
+    beforeEach(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        userLog = [];
+
+        storage.createTable('todoitem', logger, function (error) {
+            assert.ifError(error);
+
+            var items = _.range(1, 6).map(function (i) {
+                return { id: String(i), dueDate: daysAgo(i * 10) };
+            });
+            storage.insert('todoitem', items, logger, null, done);
+        });
+    });
+
+    afterEach(function () {
+        Date.now = now;
+    });
+
+    it('soft deletes the rows that expired, in batches', function (done) {
+        var manager = createManager([{ name: 'todoitem', retention: { expireAfterDays: 25, expireColumn: 'dueDate' } }]);
+        manager.batchSize = 2;
+
+        manager.purge(function () {
+            readIds('todoitem', function (ids) {
+                assert.deepEqual(ids, ['1', '2', '3 (deleted)', '4 (deleted)', '5 (deleted)']);
+                assert.deepEqual(userLog, [{
+                    type: LogType.Information,
+                    message: "Expired 3 row(s) of table 'todoitem' whose dueDate was more than 25 days ago."
+                }]);
+                done();
+            });
+        });
+    });
+
+    it('purges the rows that were soft deleted more than the days ago', function (done) {
+        var manager = createManager([{ name: 'todoitem', retention: { purgeDeletedAfterDays: 30 } }]);
+
+        storage.del('todoitem', '1', null, logger, null, function (error) {
+            assert.ifError(error);
+
+            manager.purge(function () {
+                readIds('todoitem', function (ids) {
+                    assert.deepEqual(ids, ['1 (deleted)', '2', '3', '4', '5']);
+
+                    // the rules are enforced 31 days after the row was deleted
+                    Date.now = function () { return now() + 31 * msPerDay; };
+
+                    manager.purge(function () {
+                        readIds('todoitem', function (ids) {
+                            assert.deepEqual(ids, ['2', '3', '4', '5']);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('records the expired rows of audited tables in the audit log', function (done) {
+        AuditLog.syncTable(storage, logger, function (error) {
+            assert.ifError(error);
+
+            createManager([{ name: 'todoitem', audit: true, retention: { expireAfterDays: 45, expireColumn: 'dueDate' } }]).purge(function () {
+                storage.query({ table: '__audit' }, logger, null, function (error, records) {
+                    assert.ifError(error);
+                    assert.deepEqual(_.pluck(records, 'itemId'), ['5']);
+                    assert.equal(records[0].operation, 'delete');
+                    assert.strictEqual(records[0].userId, null);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('logs retentions that are not valid, and enforces those of the other tables', function (done) {
+        createManager([
+            { name: 'other', retention: { expireAfterDays: -1 } },
+            { name: 'todoitem', retention: { expireAfterDays: 45, expireColumn: 'dueDate' } }
+        ]).purge(function () {
+            assert.equal(userLog[0].type, LogType.Error);
+            assert.ok(/The retention of table 'other' must declare/.test(userLog[0].message));
+
+            readIds('todoitem', function (ids) {
+                assert.deepEqual(ids, ['1', '2', '3', '4', '5 (deleted)']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of tables.transaction, which commits the operations of server scripts
+// once all of their callbacks have returned, and rolls them back on failure.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    Transaction = require(path.join('..', '..', 'runtime', 'script', 'transaction'));
+
+// the script errors are logged with the log types the logger defines
+require(path.join('..', '..', 'runtime', 'logger'));
+
+describe('transaction', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var storage, responses;
+
+    function run(callback, callbackOptions) {
+        var transaction = new Transaction(storage, '/table/todoitem.insert.js', logger, metrics, function (error) {
+            responses.push(error);
+        }, null);
+        transaction.run(callback, callbackOptions);
+    }
+
+    function readIds(callback) {
+        storage.query({ table: 'todoitem', orderBy: 'id' }, logger, null, function (error, results) {
+            assert.ifError(error);
+            callback(_.pluck(results, 'id'));
+        });
+    }
+
+    beforeEach(function (done) {
+        responses = [];
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        storage.createTable('todoitem', logger, done);
+    });
+
+    it('commits the operations once their callbacks have returned', function (done) {
+        run(function (tx) {
+            var todoitem = tx.getTable('todoitem');
+            todoitem.insert({ id: 'a', text: 'milk' }, {
+                success: function () {
+                    todoitem.insert({ id: 'b', text: 'eggs' });
+                }
+            });
+        }, {
+            success: function () {
+                readIds(function (ids) {
+                    assert.deepEqual(ids, ['a', 'b']);
+                    done();
+                });
+            }
+        });
+    });
+
+    it('rolls back the operations if a callback throws', function (done) {
+        run(function (tx) {
+            tx.getTable('todoitem').insert({ id: 'a', text: 'milk' }, {
+                success: function () {
+                    throw new Error('the script failed');
+                }
+            });
+        }, {
+            error: function (error) {
+                assert.ok(/the script failed/.test(error.message));
+                readIds(function (ids) {
+                    assert.deepEqual(ids, []);
+                    done();
+                });
+            }
+        });
+    });
+
+    it('rolls back the operations if one fails without an error callback', function (done) {
+        run(function (tx) {
+            var todoitem = tx.getTable('todoitem');
+            todoitem.insert({ id: 'a', text: 'milk' });
+            todoitem.insert({ id: 'a', text: 'eggs' });
+        }, {
+            error: function () {
+                readIds(function (ids) {
+                    assert.deepEqual(ids, []);
+                    done();
+                });
+            }
+        });
+    });
+
+    it('commits the operations whose failures are handled by error callbacks', function (done) {
+        run(function (tx) {
+            var todoitem = tx.getTable('todoitem');
+            todoitem.insert({ id: 'a', text: 'milk' });
+            todoitem.insert({ id: 'a', text: 'eggs' }, { error: function () { } });
+        }, {
+            success: function () {
+                readIds(function (ids) {
+                    assert.deepEqual(ids, ['a']);
+                    done();
+                });
+            }
+        });
+    });
+
+    it('rejects operations once the transaction has completed', function (done) {
+        var table;
+
+        run(function (tx) {
+            table = tx.getTable('todoitem');
+        }, {
+            success: function () {
+                assert.throws(function () {
+                    table.insert({ text: 'milk' });
+                }, /already been committed or rolled back/);
+                done();
+            }
+        });
+    });
+});
@@ -0,0 +1,94 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the queries that group and aggregate rows with $apply, which the
+// providers format as GROUP BY queries of the aggregates.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    driver = require('./sqlserverdriver'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('aggregation', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    describe('on sqlserver', function () {
+        var column = driver.column;
+
+        function query(query, callback) {
+            var storage = new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+            storage.query(_.extend({ table: 'sales' }, query), logger, null, function (error) {
+                callback(error, _.last(driver.statements), _.last(driver.parameters));
+            });
+        }
+
+        beforeEach(function () {
+            driver.reset([column('id', 'nvarchar', 255), column('category', 'nvarchar', -1), column('amount', 'int')]);
+        });
+
+        it('formats the groups and aggregates of $apply', function (done) {
+            var apply = 'groupby((category), aggregate(amount with sum as total, amount with countdistinct as amounts, $count as count))';
+
+            query({ apply: apply, filter: 'amount gt 4', orderBy: 'total desc', top: 2 }, function (error, sql, parameters) {
+                assert.ifError(error);
+                assert.equal(sql, 'SELECT TOP 2 [category], SUM([amount]) AS [total], COUNT(DISTINCT [amount]) AS [amounts], COUNT(*) AS [count] ' +
+                    'FROM [app].[sales] WHERE ([amount] > ?) GROUP BY [category] ORDER BY [total] DESC');
+                assert.deepEqual(parameters, [4]);
+                done();
+            });
+        });
+
+        it('formats the aggregates of all rows without GROUP BY', function (done) {
+            query({ apply: 'aggregate(amount with min as lowest, amount with max as highest)' }, function (error, sql) {
+                assert.ifError(error);
+                assert.equal(sql, 'SELECT MIN([amount]) AS [lowest], MAX([amount]) AS [highest] FROM [app].[sales]');
+                done();
+            });
+        });
+
+        it('rejects orderings by other than the properties of the results', function (done) {
+            query({ apply: 'groupby((category))', orderBy: 'amount' }, function (error) {
+                assert.ok(/can only be ordered by its grouped properties and aggregates/.test(error.message));
+                done();
+            });
+        });
+    });
+
+    describe('on sqlite', function () {
+        it('groups and aggregates the rows', function (done) {
+            var storage = new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') }),
+                items = [{ category: 'x', amount: 10 }, { category: 'x', amount: 5 }, { category: 'y', amount: 7 }, { category: 'y', amount: 7 }, { category: 'z', amount: 1 }];
+
+            storage.createTable('sales', logger, function (error) {
+                assert.ifError(error);
+
+                storage.insert('sales', items, logger, null, function (error) {
+                    assert.ifError(error);
+
+                    var apply = 'groupby((category), aggregate(amount with sum as total, amount with countdistinct as amounts, $count as count))';
+                    storage.query({ table: 'sales', apply: apply, filter: 'amount gt 4', orderBy: 'total desc' }, logger, null, function (error, results) {
+                        assert.ifError(error);
+                        assert.deepEqual(results, [
+                            { category: 'x', total: 15, amounts: 2, count: 2 },
+                            { category: 'y', total: 14, amounts: 1, count: 2 }
+                        ]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the batch inserts of the sqlserver provider, which are split into
+// statements within the limits of SQL Server and run in a single transaction.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    driver = require('./sqlserverdriver'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('batch inserts on sqlserver', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var column = driver.column;
+
+    function createStorage() {
+        return new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+    }
+
+    function getInserts() {
+        return driver.statements.filter(function (statement) {
+            return /INSERT INTO/.test(statement);
+        });
+    }
+
+    function getInsertParameters() {
+        return driver.parameters.filter(function (parameters, index) {
+            return /INSERT INTO/.test(driver.statements[index]);
+        });
+    }
+
+    beforeEach(function () {
+        driver.reset([column('id', 'nvarchar', 255), column('text', 'nvarchar', -1), column('complete', 'bit'), column('priority', 'int')]);
+    });
+
+    it('inserts a small batch with a single statement outside of a transaction', function (done) {
+        createStorage().insert('todoitem', [{ text: 'a' }, { text: 'b' }], logger, null, function (error, results) {
+            assert.ifError(error);
+            assert.equal(results.length, 2);
+            assert.equal(getInserts().length, 1);
+            assert.ok(!_.contains(driver.statements, 'BEGIN TRANSACTION'));
+            done();
+        });
+    });
+
+    it('splits batches into statements within the parameter limit in a transaction', function (done) {
+        var items = _.range(1000).map(function (index) {
+            return { text: 'item ' + index, complete: false, priority: index };
+        });
+
+        createStorage().insert('todoitem', items, logger, null, function (error, results) {
+            assert.ifError(error);
+            assert.equal(results.length, 1000);
+
+            var parameters = getInsertParameters();
+            assert.equal(parameters.length, 2);
+            parameters.forEach(function (parameters) {
+                assert.ok(parameters.length <= 2100);
+            });
+            assert.equal(parameters[0].length + parameters[1].length, 4000);
+
+            assert.equal(driver.statements[1], 'BEGIN TRANSACTION');
+            assert.equal(_.last(driver.statements), 'COMMIT');
+            done();
+        });
+    });
+
+    it('inserts no more than 1000 rows with a statement', function (done) {
+        var items = _.range(1500).map(function () {
+            return {};
+        });
+
+        createStorage().insert('todoitem', items, logger, null, function (error) {
+            assert.ifError(error);
+
+            var parameters = getInsertParameters();
+            assert.equal(parameters.length, 2);
+            assert.equal(parameters[0].length, 1000);
+            assert.equal(parameters[1].length, 500);
+            done();
+        });
+    });
+
+    it('inserts the items with different properties with different statements', function (done) {
+        var items = [{ text: 'a' }, { text: 'b', complete: true }, { text: 'c' }];
+
+        createStorage().insert('todoitem', items, logger, null, function (error) {
+            assert.ifError(error);
+
+            var inserts = getInserts(),
+                parameters = getInsertParameters();
+
+            assert.equal(inserts.length, 2);
+            assert.ok(/\(\[text\], \[id\]\)/.test(inserts[0]));
+            assert.ok(/\(\[text\], \[complete\], \[id\]\)/.test(inserts[1]));
+            assert.equal(parameters[0].length, 4);
+            assert.equal(parameters[1].length, 3);
+            parameters.forEach(function (parameters) {
+                assert.ok(!_.contains(parameters, null));
+            });
+            done();
+        });
+    });
+
+    it('does not modify the items it inserts', function (done) {
+        var items = [{ text: 'a' }, { text: 'b' }];
+
+        createStorage().insert('todoitem', items, logger, null, function (error, results) {
+            assert.ifError(error);
+            assert.deepEqual(items, [{ text: 'a' }, { text: 'b' }]);
+            assert.ok(results[0].id);
+            assert.ok(results[1].id);
+            assert.notEqual(results[0].id, results[1].id);
+            done();
+        });
+    });
+
+    it('rolls back the statements of a batch if one fails', function (done) {
+        var insertCount = 0;
+        driver.respond = function (statement) {
+            if (/INSERT INTO/.test(statement) && ++insertCount === 2) {
+                throw new Error('insert failed');
+            }
+            return [];
+        };
+
+        var items = [{ text: 'a' }, { text: 'b', complete: true }];
+
+        createStorage().insert('todoitem', items, logger, null, function (error) {
+            assert.ok(error);
+            assert.equal(_.last(driver.statements), 'ROLLBACK');
+            assert.ok(!_.contains(driver.statements, 'COMMIT'));
+            done();
+        });
+    });
+
+    it('runs the statements of a batch in the transaction of the storage', function (done) {
+        createStorage().beginTransaction(logger, function (error, storage) {
+            assert.ifError(error);
+
+            storage.insert('todoitem', [{ text: 'a' }, { complete: true }], logger, null, function (error) {
+                assert.ifError(error);
+                assert.equal(getInserts().length, 2);
+                assert.equal(_.filter(driver.statements, function (statement) {
+                    return statement === 'BEGIN TRANSACTION';
+                }).length, 1);
+                assert.ok(!_.contains(driver.statements, 'COMMIT'));
+
+                storage.commit(logger, done);
+            });
+        });
+    });
+});
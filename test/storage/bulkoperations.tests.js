@@ -0,0 +1,129 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of bulk updates and deletes, which update or delete all of the rows of a
+// table that the filter of a query selects in one statement.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('bulk operations', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    _.each({
+        memory: function () {
+            return Storage.create('memory', null, 'app', true, logger, metrics);
+        },
+        sqlite: function () {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+    }, function (createStorage, providerName) {
+        describe('on ' + providerName, function () {
+            var tableCount = 0,
+                storage, table;
+
+            function read(options, callback) {
+                storage.query({ table: table, orderBy: 'id' }, logger, options, function (error, results) {
+                    assert.ifError(error);
+                    callback(results);
+                });
+            }
+
+            beforeEach(function (done) {
+                storage = createStorage();
+                table = 'bulk' + (++tableCount);
+                storage.createTable(table, logger, function (error) {
+                    assert.ifError(error);
+
+                    var items = [
+                        { id: 'a', text: 'milk', price: 3, userId: 'facebook:1' },
+                        { id: 'b', text: 'eggs', price: 2, userId: 'facebook:2' },
+                        { id: 'c', text: 'bread', price: 4, userId: 'facebook:1' }
+                    ];
+                    storage.insert(table, items, logger, null, function (error) {
+                        assert.ifError(error);
+                        storage.del(table, 'c', null, logger, null, done);
+                    });
+                });
+            });
+
+            it('updates the rows the filter selects, other than soft deleted rows', function (done) {
+                storage.bulkUpdate({ table: table, filter: 'price gt 1', top: 1 }, { id: 'x', text: 'sold out' }, logger, null, function (error, rowCount) {
+                    assert.ifError(error);
+                    assert.strictEqual(rowCount, 2);
+
+                    read({ includeDeleted: true }, function (results) {
+                        assert.deepEqual(_.pluck(results, 'id'), ['a', 'b', 'c']);
+                        assert.deepEqual(_.pluck(results, 'text'), ['sold out', 'sold out', 'bread']);
+                        done();
+                    });
+                });
+            });
+
+            it('updates only the rows of the row filter, with its values', function (done) {
+                var options = { rowFilter: { userId: 'facebook:1' } };
+
+                storage.bulkUpdate({ table: table, filter: 'price gt 1' }, { text: 'sold out', userId: 'facebook:2' }, logger, options, function (error, rowCount) {
+                    assert.ifError(error);
+                    assert.strictEqual(rowCount, 1);
+
+                    read(null, function (results) {
+                        assert.deepEqual(_.pluck(results, 'text'), ['sold out', 'eggs']);
+                        assert.equal(results[0].userId, 'facebook:1');
+                        done();
+                    });
+                });
+            });
+
+            it('soft deletes the rows the filter selects', function (done) {
+                storage.bulkDel({ table: table, filter: 'price lt 4' }, logger, null, function (error, rowCount) {
+                    assert.ifError(error);
+                    assert.strictEqual(rowCount, 2);
+
+                    read(null, function (results) {
+                        assert.deepEqual(results, []);
+
+                        read({ includeDeleted: true }, function (results) {
+                            assert.deepEqual(_.pluck(results, 'id'), ['a', 'b', 'c']);
+                            done();
+                        });
+                    });
+                });
+            });
+
+            it('purges the rows the filter selects, including soft deleted rows, with the purge option', function (done) {
+                storage.bulkDel({ table: table, filter: 'price gt 2' }, logger, { purge: true }, function (error, rowCount) {
+                    assert.ifError(error);
+                    assert.strictEqual(rowCount, 2);
+
+                    read({ includeDeleted: true }, function (results) {
+                        assert.deepEqual(_.pluck(results, 'id'), ['b']);
+                        done();
+                    });
+                });
+            });
+
+            it('rejects filters that are not valid as bad input', function (done) {
+                storage.bulkDel({ table: table, filter: 'price gt' }, logger, null, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.BadInput);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,110 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the queries of GET /tables/:table/changes, which read the items changed
+// since the position of a token with continuation paging ordered by __updatedAt and
+// id, including deleted items.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('changes', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var storage;
+
+    // reads the changes as the table handler does
+    function readChanges(since, top, callback) {
+        var query = { table: 'todoitem', orderBy: '__updatedAt,id', top: top },
+            options = {
+                systemProperties: ['updatedAt', 'version', 'deleted'],
+                includeDeleted: true,
+                paging: 'continuation',
+                continuationToken: since
+            };
+
+        storage.query(query, logger, options, function (error, results) {
+            assert.ifError(error);
+            callback(results);
+        });
+    }
+
+    // inserts the items one at a time, so that they are updated in order
+    function insert(items, callback) {
+        if (items.length === 0) {
+            callback();
+            return;
+        }
+
+        storage.insert('todoitem', items[0], logger, null, function (error) {
+            assert.ifError(error);
+            setTimeout(function () {
+                insert(items.slice(1), callback);
+            }, 2);
+        });
+    }
+
+    beforeEach(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        storage.createTable('todoitem', logger, function (error) {
+            assert.ifError(error);
+            insert([{ id: 'a', text: 'milk' }, { id: 'b', text: 'eggs' }, { id: 'c', text: 'bread' }], done);
+        });
+    });
+
+    it('reads the changes in pages, with the position of the last change of each', function (done) {
+        readChanges(null, 2, function (results) {
+            assert.deepEqual(_.pluck(results, 'id'), ['a', 'b']);
+            assert.ok(results.continuationToken);
+            assert.equal(results.positionToken, results.continuationToken);
+
+            readChanges(results.continuationToken, 2, function (results) {
+                assert.deepEqual(_.pluck(results, 'id'), ['c']);
+                assert.strictEqual(results.continuationToken, undefined);
+                assert.ok(results.positionToken);
+
+                readChanges(results.positionToken, 2, function (results) {
+                    assert.deepEqual(results, []);
+                    assert.strictEqual(results.positionToken, undefined);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('reads the updates and deletes made since the position', function (done) {
+        readChanges(null, 10, function (results) {
+            var since = results.positionToken;
+
+            storage.update('todoitem', 'a', { text: 'oat milk' }, logger, null, function (error) {
+                assert.ifError(error);
+
+                storage.del('todoitem', 'b', null, logger, null, function (error) {
+                    assert.ifError(error);
+
+                    readChanges(since, 10, function (results) {
+                        assert.deepEqual(_.pluck(results, 'id'), ['a', 'b']);
+                        assert.equal(results[0].text, 'oat milk');
+                        assert.strictEqual(results[0].__deleted, false);
+                        assert.strictEqual(results[1].__deleted, true);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
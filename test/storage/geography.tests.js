@@ -0,0 +1,102 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the geo.distance and geo.intersects filters, which sqlserver and postgres
+// format with their geography functions, and sqlite computes from the coordinates of
+// the points it stores as text, except for distances, which it can't compute.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    TableMetadata = require(path.join('..', '..', 'runtime', 'storage', 'tablemetadata'));
+
+// the sqlserver provider requires the driver that only runs on Windows
+require('./sqlserverdriver');
+
+describe('geography', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var distanceFilter = "geo.distance(location, geography'POINT(-122.3 47.6)') lt 5000",
+        intersectsFilter = "geo.intersects(location, geography'POLYGON((-123 47, -122 47, -122 48, -123 48, -123 47))')";
+
+    function format(providerName, filter) {
+        var tableMetadata = TableMetadata.fromColumns([{ name: 'id', type: 'nvarchar' }, { name: 'location', type: 'geography' }]),
+            formatter = Storage.createProvider(providerName).createFormatter('app', tableMetadata);
+
+        formatter.format({ table: 'places', filter: filter });
+        return { sql: formatter.sql, parameters: _.pluck(formatter.parameters, 'value') };
+    }
+
+    it('formats the geo functions with the geography methods of sqlserver', function () {
+        assert.deepEqual(format('sqlserver', distanceFilter), {
+            sql: "SELECT * FROM [app].[places] WHERE ([location].STDistance(geography::STGeomFromText('POINT(-122.3 47.6)', 4326)) < ?)",
+            parameters: [5000]
+        });
+        assert.equal(format('sqlserver', intersectsFilter).sql,
+            "SELECT * FROM [app].[places] WHERE ([location].STIntersects(geography::STGeomFromText('POLYGON((-123 47, -122 47, -122 48, -123 48, -123 47))', 4326)) = 1)");
+    });
+
+    it('formats the geo functions with the PostGIS functions of postgres', function () {
+        assert.deepEqual(format('postgres', distanceFilter), {
+            sql: "SELECT * FROM \"app\".\"places\" WHERE (ST_Distance(\"location\", ST_GeogFromText('SRID=4326;POINT(-122.3 47.6)')) < ?)",
+            parameters: [5000]
+        });
+        assert.equal(format('postgres', intersectsFilter).sql,
+            "SELECT * FROM \"app\".\"places\" WHERE ST_Intersects(\"location\", ST_GeogFromText('SRID=4326;POLYGON((-123 47, -122 47, -122 48, -123 48, -123 47))'))");
+    });
+
+    it('rejects geo.distance on sqlite as bad input', function () {
+        assert.throws(function () {
+            format('sqlite', distanceFilter);
+        }, function (error) {
+            return error.code === core.ErrorCodes.BadInput && /geo\.distance is not supported by the 'sqlite' storage provider/.test(error.message);
+        });
+    });
+
+    it('formats geo.intersects on sqlite without math functions', function () {
+        var sql = format('sqlite', intersectsFilter).sql;
+
+        assert.ok(/CASE WHEN/.test(sql));
+        assert.ok(!/RADIANS|ASIN|SQRT|POWER|SIN\(|COS\(/.test(sql));
+    });
+
+    it('filters the points of sqlite tables', function (done) {
+        var storage = new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') }),
+            items = [
+                { id: 'seattle', location: { type: 'Point', coordinates: [-122.335, 47.608] } },
+                { id: 'portland', location: { type: 'Point', coordinates: [-122.676, 45.523] } }
+            ];
+
+        storage.createTable('places', logger, function (error) {
+            assert.ifError(error);
+
+            storage.insert('places', items, logger, null, function (error) {
+                assert.ifError(error);
+
+                storage.query({ table: 'places', filter: intersectsFilter }, logger, null, function (error, results) {
+                    assert.ifError(error);
+                    assert.deepEqual(_.pluck(results, 'id'), ['seattle']);
+
+                    storage.query({ table: 'places', filter: distanceFilter }, logger, null, function (error) {
+                        assert.equal(error.code, core.ErrorCodes.BadInput);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
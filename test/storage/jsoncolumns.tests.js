@@ -0,0 +1,122 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the json columns of the sqlserver provider, which stores them as
+// nvarchar(max) text that INFORMATION_SCHEMA reports as nvarchar.
+
+var assert = require('assert'),
+    path = require('path'),
+    driver = require('./sqlserverdriver'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('json columns on sqlserver', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    function createStorage() {
+        return new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+    }
+
+    var column = driver.column,
+        rows;
+
+    beforeEach(function () {
+        driver.reset([column('id', 'nvarchar', 255), column('text', 'nvarchar', -1), column('address', 'nvarchar', -1)]);
+        driver.respond = function () {
+            return rows;
+        };
+        rows = [];
+    });
+
+    it('stores objects and arrays as nvarchar(max)', function () {
+        var provider = Storage.createProvider('sqlserver');
+
+        assert.equal(provider.getSqlType({ city: 'Seattle' }), 'NVARCHAR(MAX)');
+        assert.equal(provider.getSqlType([1, 2]), 'NVARCHAR(MAX)');
+        assert.equal(provider.getColumnType({ name: 'address', type: 'json' }), 'NVARCHAR(MAX)');
+    });
+
+    it('does not alter the nvarchar(max) column of a declared json column', function (done) {
+        var storage = createStorage();
+
+        storage.syncTableSchema('people', { text: { type: 'nvarchar' }, address: { type: 'json' } }, logger, function (error) {
+            assert.ifError(error);
+            assert.equal(driver.statements.length, 1);
+            assert.ok(/INFORMATION_SCHEMA/.test(driver.statements[0]));
+            done();
+        });
+    });
+
+    it('alters a declared json column of limited length', function (done) {
+        driver.columns[2] = column('address', 'nvarchar', 255);
+        var storage = createStorage();
+
+        storage.syncTableSchema('people', { address: { type: 'json' } }, logger, function (error) {
+            assert.ifError(error);
+            assert.equal(driver.statements.length, 2);
+            assert.ok(/ALTER COLUMN \[address\] NVARCHAR\(MAX\)/.test(driver.statements[1]));
+            done();
+        });
+    });
+
+    it('reads the metadata of declared json columns as json', function (done) {
+        var storage = createStorage();
+
+        storage.syncTableSchema('people', { address: { type: 'json' } }, logger, function (error) {
+            assert.ifError(error);
+
+            storage.getTableMetadata('people', logger, function (error, tableMetadata) {
+                assert.ifError(error);
+                assert.ok(tableMetadata.hasJsonColumn('address'));
+                assert.ok(!tableMetadata.hasJsonColumn('text'));
+                done();
+            });
+        });
+    });
+
+    it('parses the json of the results and filters on the members of json columns', function (done) {
+        rows = [{ id: '1', text: '{"a":1}', address: '{"city":"Seattle"}' }];
+        var storage = createStorage();
+
+        storage.syncTableSchema('people', { text: { type: 'nvarchar' }, address: { type: 'json' } }, logger, function (error) {
+            assert.ifError(error);
+
+            storage.query({ table: 'people', filter: "address/city eq 'Seattle'" }, logger, null, function (error, results) {
+                assert.ifError(error);
+                assert.ok(/JSON_VALUE\(\[address\], '\$\.city'\)/.test(driver.statements[driver.statements.length - 1]));
+                assert.deepEqual(results, [{ id: '1', text: '{"a":1}', address: { city: 'Seattle' } }]);
+                done();
+            });
+        });
+    });
+
+    it('rejects member paths of columns that are not json', function (done) {
+        var storage = createStorage();
+
+        storage.syncTableSchema('people', { text: { type: 'nvarchar' } }, logger, function (error) {
+            assert.ifError(error);
+
+            storage.query({ table: 'people', filter: "text/city eq 'Seattle'" }, logger, null, function (error) {
+                assert.ok(error);
+                assert.ok(/not a json column/.test(error.message));
+                done();
+            });
+        });
+    });
+
+    it('maps json to the types of the other providers', function () {
+        assert.equal(Storage.createProvider('postgres').getColumnType({ name: 'address', type: 'json' }).toLowerCase(), 'jsonb');
+        assert.equal(Storage.createProvider('sqlite').getColumnType({ name: 'address', type: 'json' }).toUpperCase(), 'TEXT');
+    });
+});
@@ -0,0 +1,160 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of continuation (keyset) paging, which seeks past the sort key of the
+// last row of the previous page rather than skipping the rows of the previous pages.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    driver = require('./sqlserverdriver'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    TableMetadata = require(path.join('..', '..', 'runtime', 'storage', 'tablemetadata')),
+    KeysetPaging = require(path.join('..', '..', 'runtime', 'storage', 'keysetpaging'));
+
+describe('keyset paging', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var continuation = { paging: 'continuation' };
+
+    function createToken(orderBy, row) {
+        return KeysetPaging.createToken(KeysetPaging.getOrderings({ orderBy: orderBy }), row);
+    }
+
+    describe('on sqlserver', function () {
+        var column = driver.column;
+
+        function query(query, options, callback) {
+            var storage = new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+            storage.query(_.extend({ table: 'todoitem' }, query), logger, options, function (error, results) {
+                callback(error, _.last(driver.statements), _.last(driver.parameters), results);
+            });
+        }
+
+        beforeEach(function () {
+            driver.reset([column('id', 'nvarchar', 255), column('text', 'nvarchar', -1), column('priority', 'int')]);
+        });
+
+        it('orders the first page by id', function (done) {
+            query({ top: 2 }, continuation, function (error, sql) {
+                assert.ifError(error);
+                assert.equal(sql, 'SELECT TOP 2 * FROM [app].[todoitem] ORDER BY [id]');
+                done();
+            });
+        });
+
+        it('seeks past the sort key of the token', function (done) {
+            var options = { paging: 'continuation', continuationToken: createToken('priority desc', { id: 'b', priority: 3 }) };
+
+            query({ top: 2, orderBy: 'priority desc', select: 'text' }, options, function (error, sql, parameters) {
+                assert.ifError(error);
+                assert.equal(sql, 'SELECT TOP 2 [text], [priority], [id] FROM [app].[todoitem] ' +
+                    'WHERE ((([priority] < ?) OR ([priority] IS NULL)) OR (([priority] = ?) AND ([id] > ?))) ORDER BY [priority] DESC, [id]');
+                assert.deepEqual(parameters, [3, 3, 'b']);
+                done();
+            });
+        });
+
+        it('returns the token of the next page of full pages, without the columns only selected for it', function (done) {
+            driver.respond = function () {
+                return [{ text: 'milk', priority: 1, id: 'a' }, { text: 'eggs', priority: 2, id: 'b' }];
+            };
+
+            query({ top: 2, orderBy: 'priority', select: 'text' }, continuation, function (error, sql, parameters, results) {
+                assert.ifError(error);
+                assert.deepEqual(results, [{ text: 'milk' }, { text: 'eggs' }]);
+                assert.equal(results.continuationToken, createToken('priority', { id: 'b', priority: 2 }));
+
+                query({ top: 3, orderBy: 'priority', select: 'text' }, continuation, function (error, sql, parameters, results) {
+                    assert.ifError(error);
+                    assert.strictEqual(results.continuationToken, undefined);
+                    done();
+                });
+            });
+        });
+
+        it('rejects tokens of other orderings, $skip and $inlinecount', function (done) {
+            var options = { paging: 'continuation', continuationToken: createToken('priority', { id: 'b', priority: 3 }) };
+
+            query({ top: 2, orderBy: 'text' }, options, function (error) {
+                assert.equal(error.code, core.ErrorCodes.BadInput);
+
+                query({ top: 2, skip: 2 }, continuation, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.BadInput);
+
+                    query({ top: 2, inlineCount: 'allpages' }, continuation, function (error) {
+                        assert.equal(error.code, core.ErrorCodes.BadInput);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('orders nulls first on postgres, as SQL Server does', function () {
+        var storage = new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('postgres') }),
+            tableMetadata = TableMetadata.fromColumns([{ name: 'id', type: 'nvarchar' }, { name: 'priority', type: 'int' }]),
+            formatter = storage.provider.createFormatter('app', tableMetadata);
+
+        formatter.format(storage._createContinuationQuery({ table: 'todoitem', orderBy: 'priority desc', top: 2 }));
+        assert.equal(formatter.sql, 'SELECT * FROM "app"."todoitem" ORDER BY "priority" DESC NULLS LAST, "id" NULLS FIRST LIMIT 2');
+    });
+
+    _.each({
+        memory: function () {
+            return Storage.create('memory', null, 'app', true, logger, metrics);
+        },
+        sqlite: function () {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+    }, function (createStorage, providerName) {
+        it('pages through all of the rows on ' + providerName, function (done) {
+            var storage = createStorage(),
+                table = 'keyset' + providerName,
+                ids = [];
+
+            // the rows have duplicate and null sort keys
+            var items = [
+                { id: 'a', priority: 2 }, { id: 'b', priority: null }, { id: 'c', priority: 1 },
+                { id: 'd', priority: 2 }, { id: 'e', priority: null }, { id: 'f', priority: 3 }
+            ];
+
+            function readPage(token) {
+                var options = { paging: 'continuation', continuationToken: token };
+                storage.query({ table: table, orderBy: 'priority desc', top: 4 }, logger, options, function (error, results) {
+                    assert.ifError(error);
+                    ids = ids.concat(_.pluck(results, 'id'));
+
+                    if (results.continuationToken) {
+                        readPage(results.continuationToken);
+                        return;
+                    }
+
+                    assert.deepEqual(ids, ['f', 'a', 'd', 'c', 'b', 'e']);
+                    done();
+                });
+            }
+
+            storage.createTable(table, logger, function (error) {
+                assert.ifError(error);
+                storage.insert(table, items, logger, null, function (error) {
+                    assert.ifError(error);
+                    readPage(null);
+                });
+            });
+        });
+    });
+});
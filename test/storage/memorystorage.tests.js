@@ -0,0 +1,166 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the in-memory storage, which evaluates the expressions of queries in
+// javascript with the semantics of the SQL the formatters generate.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+require(path.join('..', '..', 'runtime', 'storage', 'expressionevaluator'));
+require(path.join('..', '..', 'runtime', 'query', 'queryparser'));
+
+describe('memory storage', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var items = [
+        { id: 'a', text: 'Milk', priority: 2, complete: false },
+        { id: 'b', text: 'eggs', priority: 1, complete: true },
+        { id: 'c', text: 'Bread', priority: null, complete: false }
+    ];
+
+    var storage;
+
+    function query(query, options, callback) {
+        storage.query(_.extend({ table: 'todoitem' }, query), logger, options, function (error, results) {
+            assert.ifError(error);
+            callback(results);
+        });
+    }
+
+    beforeEach(function (done) {
+        storage = Storage.create('memory', null, 'app', true, logger, metrics);
+        storage.createTable('todoitem', logger, function (error) {
+            assert.ifError(error);
+
+            (function insert(index) {
+                if (index === items.length) {
+                    done();
+                    return;
+                }
+                storage.insert('todoitem', _.clone(items[index]), logger, null, function (error) {
+                    assert.ifError(error);
+                    insert(index + 1);
+                });
+            })(0);
+        });
+    });
+
+    describe('expression evaluator', function () {
+        function evaluate(filter, item) {
+            var evaluator = new ExpressionEvaluator(function (item, member) {
+                return item[member];
+            });
+            return evaluator.evaluate(QueryParser.filter(filter), item);
+        }
+
+        it('compares strings case insensitively', function () {
+            assert.strictEqual(evaluate("text eq 'MILK'", { text: 'milk' }), true);
+            assert.strictEqual(evaluate("text lt 'b'", { text: 'Apple' }), true);
+        });
+
+        it('evaluates comparisons with null as unknown', function () {
+            assert.strictEqual(evaluate('priority gt 1', { priority: null }), null);
+            assert.strictEqual(evaluate('not (priority gt 1)', { priority: null }), null);
+            assert.strictEqual(evaluate('priority gt 1 or true', { priority: null }), true);
+            assert.strictEqual(evaluate('priority eq null', { priority: null }), true);
+        });
+
+        it('evaluates the functions of queries', function () {
+            var item = { text: 'Milk', due: new Date(Date.UTC(2020, 5, 15)), price: 2.5 };
+
+            assert.strictEqual(evaluate("substringof('il', text) and startswith(text, 'm') and length(text) eq 4", item), true);
+            assert.strictEqual(evaluate('year(due) eq 2020 and month(due) eq 6 and day(due) eq 15', item), true);
+            assert.strictEqual(evaluate('round(price) eq 3 and floor(price) eq 2 and price mul 2 eq 5', item), true);
+        });
+    });
+
+    it('inserts items with generated ids and system properties', function (done) {
+        storage.insert('todoitem', { text: 'butter' }, logger, { systemProperties: ['*'] }, function (error, item) {
+            assert.ifError(error);
+            assert.ok(item.id);
+            assert.ok(item.__createdAt instanceof Date);
+            assert.ok(item.__version);
+            done();
+        });
+    });
+
+    it('filters, orders, skips and counts the rows as SQL does', function (done) {
+        query({ filter: 'priority ge 1 or complete eq false', orderBy: 'text', skip: 1, top: 1, inlineCount: 'allpages' }, null, function (results) {
+            assert.equal(results.count, 3);
+            assert.deepEqual(_.pluck(results.results, 'id'), ['b']);
+
+            // nulls are ordered first, and rows with unknown conditions are filtered out
+            query({ filter: 'not (priority gt 1)', orderBy: 'priority' }, null, function (results) {
+                assert.deepEqual(_.pluck(results, 'id'), ['b']);
+
+                query({ orderBy: 'priority desc' }, null, function (results) {
+                    assert.deepEqual(_.pluck(results, 'id'), ['a', 'b', 'c']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('reports merge conflicts of updates and deletes of other versions', function (done) {
+        query({ id: 'a' }, { systemProperties: ['version'] }, function (results) {
+            var version = results[0].__version;
+
+            storage.update('todoitem', 'a', { text: 'Oat milk', __version: version }, logger, null, function (error, rowCount) {
+                assert.ifError(error);
+                assert.equal(rowCount, 1);
+
+                storage.update('todoitem', 'a', { text: 'Soy milk', __version: version }, logger, null, function (error) {
+                    assert.ok(error.isMergeConflict);
+                    assert.equal(error.item.text, 'Oat milk');
+
+                    storage.del('todoitem', 'a', version, logger, null, function (error) {
+                        assert.ok(error.isMergeConflict);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('soft deletes the rows of tables with a __deleted column', function (done) {
+        storage.del('todoitem', 'b', null, logger, null, function (error, rowCount) {
+            assert.ifError(error);
+            assert.equal(rowCount, 1);
+
+            query({}, null, function (results) {
+                assert.deepEqual(_.pluck(results, 'id'), ['a', 'c']);
+
+                query({}, { includeDeleted: true }, function (results) {
+                    assert.deepEqual(_.pluck(results, 'id'), ['a', 'b', 'c']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('adds the columns of new properties', function (done) {
+        storage.update('todoitem', 'c', { notes: 'whole grain' }, logger, null, function (error) {
+            assert.ifError(error);
+
+            query({ filter: "notes eq 'whole grain'" }, null, function (results) {
+                assert.deepEqual(_.pluck(results, 'id'), ['c']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,80 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of partitioned queries, which skip and limit the rows of each set of rows
+// with the same value of a column, as $expand does for one-to-many relationships.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    driver = require('./sqlserverdriver'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('partitioned query', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var items = [
+        { id: '1', customerId: 'a', total: 5 },
+        { id: '2', customerId: 'b', total: 20 },
+        { id: '3', customerId: 'a', total: 30 },
+        { id: '4', customerId: 'a', total: 10 },
+        { id: '5', customerId: 'b', total: 15 }
+    ];
+
+    it('numbers the rows of each partition on sqlserver', function (done) {
+        var column = driver.column,
+            storage = new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+
+        driver.reset([column('id', 'nvarchar', 255), column('customerId', 'nvarchar', 255), column('total', 'int')]);
+
+        storage.query({ table: 'order', filter: 'total gt 1', orderBy: 'total desc', partitionBy: 'customerId', top: 2 }, logger, null, function (error) {
+            assert.ifError(error);
+            assert.equal(_.last(driver.statements),
+                'SELECT * FROM (SELECT ROW_NUMBER() OVER (PARTITION BY [customerId] ORDER BY [total] DESC) AS [ROW_NUMBER], * ' +
+                'FROM [app].[order] WHERE ([total] > ?)) AS [t1] WHERE [ROW_NUMBER] > 0 AND [ROW_NUMBER] <= 2 ORDER BY [customerId], [ROW_NUMBER]');
+            assert.deepEqual(_.last(driver.parameters), [1]);
+            done();
+        });
+    });
+
+    _.each({
+        memory: function () {
+            return Storage.create('memory', null, 'app', true, logger, metrics);
+        },
+        sqlite: function () {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+    }, function (createStorage, providerName) {
+        it('limits the rows of each partition on ' + providerName, function (done) {
+            var storage = createStorage(),
+                table = 'partitioned' + providerName;
+
+            storage.createTable(table, logger, function (error) {
+                assert.ifError(error);
+
+                storage.insert(table, _.map(items, _.clone), logger, null, function (error) {
+                    assert.ifError(error);
+
+                    storage.query({ table: table, orderBy: 'total desc', partitionBy: 'customerId', top: 2 }, logger, null, function (error, results) {
+                        assert.ifError(error);
+                        assert.deepEqual(_.pluck(results, 'id'), ['3', '4', '2', '5']);
+                        assert.ok(!_.has(results[0], 'ROW_NUMBER'));
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,134 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the full-text search of tables, which the sqlserver provider formats as
+// CONTAINS and FREETEXT conditions of the search parameter, and the other providers
+// as LIKE conditions of the terms.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    driver = require('./sqlserverdriver'),
+    Search = require(path.join('..', '..', 'runtime', 'storage', 'search')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('search', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var table = { name: 'books', search: { columns: ['title', 'summary'] } };
+
+    it('parses phrases in double quotes as single terms', function () {
+        assert.deepEqual(Search.parseTerms('red  "big   dog" it\'s'), ['red', 'big dog', 'it\'s']);
+        assert.deepEqual(Search.create(table, 'books', 'red', true), { columns: ['title', 'summary'], mode: 'contains', terms: ['red'], score: true });
+    });
+
+    it('rejects searches of tables without search columns and of text without terms', function () {
+        assert.throws(function () {
+            Search.create({ name: 'books' }, 'books', 'red');
+        }, /books/);
+        assert.throws(function () {
+            Search.create(table, 'books', ' "" ');
+        });
+    });
+
+    describe('on sqlserver', function () {
+        var column = driver.column;
+
+        function query(query, search, callback) {
+            var storage = new Storage('connection', 'app', false, logger, metrics, { provider: Storage.createProvider('sqlserver') });
+            storage.query(_.extend({ table: 'books' }, query), logger, { search: search }, function (error) {
+                assert.ifError(error);
+                callback(_.last(driver.statements), _.last(driver.parameters));
+            });
+        }
+
+        beforeEach(function () {
+            driver.reset([column('id', 'nvarchar', 255), column('title', 'nvarchar', -1), column('summary', 'nvarchar', -1)]);
+        });
+
+        it('passes the search as a parameter of CONTAINS with the terms as phrases', function (done) {
+            var search = Search.create(table, 'books', "red \"o'brien's dog\"");
+
+            query({}, search, function (sql, parameters) {
+                assert.equal(sql, "SELECT * FROM [app].[books] WHERE CONTAINS(([title], [summary]), ?)");
+                assert.deepEqual(parameters, ['"red" AND "o\'brien\'s dog"']);
+                done();
+            });
+        });
+
+        it('passes the text of freetext searches as a parameter of FREETEXT', function (done) {
+            var search = Search.create({ name: 'books', search: { columns: ['title'], mode: 'freetext' } }, 'books', 'red dog');
+
+            query({}, search, function (sql, parameters) {
+                assert.equal(sql, "SELECT * FROM [app].[books] WHERE FREETEXT(([title]), ?)");
+                assert.deepEqual(parameters, ['red dog']);
+                done();
+            });
+        });
+
+        it('passes the search after the parameters of the filter', function (done) {
+            var search = Search.create(table, 'books', 'red');
+
+            query({ filter: "author eq 'x'" }, search, function (sql, parameters) {
+                assert.equal(sql, "SELECT * FROM [app].[books] WHERE (([author] = ?) AND CONTAINS(([title], [summary]), ?))");
+                assert.deepEqual(parameters, ['x', '"red"']);
+                done();
+            });
+        });
+
+        it('passes the search of each score in the order of the statement', function (done) {
+            var search = Search.create(table, 'books', 'red', true);
+
+            query({ filter: "author eq 'x'", skip: 10, top: 5 }, search, function (sql, parameters) {
+                var positions = [sql.indexOf('ROW_NUMBER() OVER (ORDER BY (SELECT'), sql.indexOf('[RANK] FROM CONTAINSTABLE', sql.indexOf('AS [ROW_NUMBER], ')), sql.indexOf('[author] = ?')];
+                assert.ok(positions[0] >= 0 && positions[0] < positions[1] && positions[1] < positions[2], sql);
+                assert.deepEqual(parameters, ['"red"', '"red"', 'x', '"red"']);
+                done();
+            });
+        });
+    });
+
+    describe('on sqlite', function () {
+        function createStorage() {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+
+        it('matches the rows with each term, or any term in freetext mode, in a column', function (done) {
+            var storage = createStorage(),
+                items = [{ title: 'The red dog', summary: 'barks' }, { title: 'A blue cat', summary: '100% red' }, { title: 'Green', summary: 'grass' }];
+
+            storage.createTable('books', logger, function (error) {
+                assert.ifError(error);
+
+                storage.insert('books', items, logger, null, function (error) {
+                    assert.ifError(error);
+
+                    storage.query({ table: 'books', orderBy: 'title' }, logger, { search: Search.create(table, 'books', 'red') }, function (error, results) {
+                        assert.ifError(error);
+                        assert.deepEqual(_.pluck(results, 'title'), ['A blue cat', 'The red dog']);
+
+                        var search = Search.create({ name: 'books', search: { columns: ['title', 'summary'], mode: 'freetext' } }, 'books', 'grass "0% r"', true);
+                        storage.query({ table: 'books', orderBy: 'title' }, logger, { search: search }, function (error, results) {
+                            assert.ifError(error);
+                            assert.deepEqual(_.pluck(results, 'title'), ['A blue cat', 'Green']);
+                            assert.deepEqual(_.pluck(results, Search.scoreProperty), [1, 1]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
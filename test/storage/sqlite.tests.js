@@ -0,0 +1,153 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the sqlite provider, which runs the runtime against an in-memory
+// SQLite database. The in-memory database is shared by the storages of the
+// process, so each test uses tables of its own.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('sqlite provider', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    function createStorage() {
+        return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+    }
+
+    function open(callback) {
+        Storage.createProvider('sqlite').open(':memory:', function (error, connection) {
+            assert.ifError(error);
+            callback(connection);
+        });
+    }
+
+    function read(storage, table, id, callback) {
+        storage.query({ table: table, id: id }, logger, { systemProperties: ['*'] }, function (error, results) {
+            assert.ifError(error);
+            callback(results[0]);
+        });
+    }
+
+    it('creates tables with a string id and the system columns', function (done) {
+        createStorage().createTable('sqlitecreate', logger, function (error) {
+            assert.ifError(error);
+
+            open(function (connection) {
+                connection.query('PRAGMA table_info([sqlitecreate])', function (error, columns) {
+                    assert.ifError(error);
+                    assert.deepEqual(_.pluck(columns, 'name'), ['id', '__createdAt', '__updatedAt', '__version', '__deleted']);
+                    assert.equal(columns[0].pk, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('inserts items with generated ids and system properties, and adds the columns of new properties', function (done) {
+        var storage = createStorage();
+
+        storage.createTable('sqliteinsert', logger, function (error) {
+            assert.ifError(error);
+
+            storage.insert('sqliteinsert', { text: 'milk', complete: false, due: new Date(Date.UTC(2020, 0, 1)) }, logger, { systemProperties: ['*'] }, function (error, item) {
+                assert.ifError(error);
+                assert.ok(item.id);
+                assert.ok(item.__createdAt instanceof Date);
+                assert.ok(Buffer.isBuffer(item.__version));
+
+                read(storage, 'sqliteinsert', item.id, function (result) {
+                    assert.equal(result.text, 'milk');
+                    assert.strictEqual(result.complete, false);
+                    assert.deepEqual(result.due, new Date(Date.UTC(2020, 0, 1)));
+                    done();
+                });
+            });
+        });
+    });
+
+    it('rejects items with existing ids as conflicts', function (done) {
+        var storage = createStorage();
+
+        storage.createTable('sqliteconflict', logger, function (error) {
+            assert.ifError(error);
+
+            storage.insert('sqliteconflict', { id: 'a', text: 'milk' }, logger, null, function (error) {
+                assert.ifError(error);
+
+                storage.insert('sqliteconflict', { id: 'a', text: 'eggs' }, logger, null, function (error) {
+                    assert.ok(error.isConflict);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('updates the version and update time of rows with the trigger', function (done) {
+        var storage = createStorage();
+
+        storage.createTable('sqlitetrigger', logger, function (error) {
+            assert.ifError(error);
+
+            storage.insert('sqlitetrigger', { id: 'a', text: 'milk' }, logger, null, function (error) {
+                assert.ifError(error);
+
+                read(storage, 'sqlitetrigger', 'a', function (inserted) {
+                    // the times have millisecond precision
+                    setTimeout(function () {
+                        storage.update('sqlitetrigger', 'a', { text: 'eggs' }, logger, null, function (error) {
+                            assert.ifError(error);
+
+                            read(storage, 'sqlitetrigger', 'a', function (updated) {
+                                assert.equal(updated.text, 'eggs');
+                                assert.notDeepEqual(updated.__version, inserted.__version);
+                                assert.ok(updated.__updatedAt > inserted.__updatedAt);
+                                assert.deepEqual(updated.__createdAt, inserted.__createdAt);
+                                done();
+                            });
+                        });
+                    }, 5);
+                });
+            });
+        });
+    });
+
+    it('classifies the errors of sqlite by the equivalent sqlstate', function (done) {
+        open(function (connection) {
+            connection.query('SELECT * FROM [sqlitemissing]', function (error) {
+                assert.equal(error.sqlstate, SqlErrorCodes.CannotDropTable);
+
+                connection.query('CREATE TABLE [sqliteerrors] ([id] NVARCHAR(255) NOT NULL PRIMARY KEY)', function (error) {
+                    assert.ifError(error);
+
+                    connection.query('SELECT [missing] FROM [sqliteerrors]', function (error) {
+                        assert.equal(error.sqlstate, SqlErrorCodes.InvalidColumnName);
+
+                        connection.query('ALTER TABLE [sqliteerrors] ADD [id] NVARCHAR(255)', function (error) {
+                            assert.equal(error.sqlstate, SqlErrorCodes.ColumnNamesMustBeUnique);
+
+                            connection.query('INSERT INTO [sqliteerrors] ([id]) VALUES (NULL)', function (error) {
+                                assert.equal(error.sqlstate, SqlErrorCodes.ConstraintViolation);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// The sqlserver driver only runs on Windows, so the tests of the sqlserver provider
+// require this module, which loads the driver below in its place. The driver reports
+// the columns set by the test for INFORMATION_SCHEMA queries, answers other statements
+// with the rows returned by respond, and records the statements in order, along with
+// the beginning and end of transactions.
+
+var Module = require('module');
+
+var driver = {
+    open: function (connection, callback) {
+        setImmediate(callback, null, {
+            beginTransaction: function (callback) {
+                record('BEGIN TRANSACTION', null);
+                setImmediate(callback, null);
+            },
+            query: query,
+            queryRaw: query,
+            commit: function (callback) {
+                record('COMMIT', null);
+                setImmediate(callback, null);
+            },
+            rollback: function (callback) {
+                record('ROLLBACK', null);
+                setImmediate(callback, null);
+            },
+            close: function () { }
+        });
+    },
+
+    query: function (connection, statement, parameters, callback) {
+        return query(statement, parameters, callback);
+    }
+};
+
+driver.queryRaw = driver.query;
+
+// records the statement, and its parameters with the same index
+function record(statement, parameters) {
+    exports.statements.push(statement);
+    exports.parameters.push(parameters);
+}
+
+// answers the statement asynchronously, as the driver does, so that the
+// errors of the callback aren't caught by the storage as driver errors
+function query(statement, parameters, callback) {
+    record(statement, parameters);
+
+    var error = null,
+        results;
+
+    if (/INFORMATION_SCHEMA/.test(statement)) {
+        results = exports.columns;
+    }
+    else {
+        try {
+            results = exports.respond(statement, parameters);
+        }
+        catch (e) {
+            error = e;
+        }
+    }
+
+    setImmediate(function () {
+        callback(error, error ? undefined : results, false);
+    });
+}
+
+var resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request) {
+    return request === 'sqlserver' ? 'sqlserver' : resolveFilename.apply(this, arguments);
+};
+require.cache.sqlserver = { id: 'sqlserver', filename: 'sqlserver', loaded: true, exports: driver };
+
+// returns an INFORMATION_SCHEMA row of a column
+exports.column = function (name, type, maxLength) {
+    return { COLUMN_NAME: name, DATA_TYPE: type, IS_NULLABLE: name === 'id' ? 'NO' : 'YES', CHARACTER_MAXIMUM_LENGTH: maxLength || null };
+};
+
+exports.reset = function (columns) {
+    exports.statements = [];
+    exports.parameters = [];
+    exports.columns = columns || [];
+    exports.respond = function () {
+        return [];
+    };
+};
+
+exports.reset();
@@ -0,0 +1,152 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of the columns tables declare in datamodel.json, which are parsed by
+// TableSchema and synced with the tables of the database on startup.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage')),
+    TableSchema = require(path.join('..', '..', 'runtime', 'storage', 'tableschema'));
+
+describe('table schema', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var columns = {
+        text: { type: 'nvarchar', maxLength: 10, nullable: false, 'default': '' },
+        complete: { type: 'bit', 'default': false },
+        due: { type: 'datetimeoffset' }
+    };
+
+    describe('declarations', function () {
+        function assertInvalid(columns, pattern) {
+            assert.throws(function () {
+                TableSchema.parseColumns('todoitem', columns);
+            }, pattern);
+        }
+
+        it('parses the columns with their defaults', function () {
+            assert.deepEqual(TableSchema.parseColumns('todoitem', columns), [
+                { name: 'text', type: 'nvarchar', maxLength: 10, nullable: false, defaultValue: '' },
+                { name: 'complete', type: 'bit', maxLength: null, nullable: true, defaultValue: false },
+                { name: 'due', type: 'datetimeoffset', maxLength: null, nullable: true, defaultValue: null }
+            ]);
+        });
+
+        it('rejects declarations that are not valid', function () {
+            assertInvalid([], /must be an object with a property per column/);
+            assertInvalid({ __version: { type: 'bit' } }, /id and system columns cannot be declared/);
+            assertInvalid({ text: { type: 'text' } }, /type must be one of: nvarchar, bit, int, bigint, float, datetimeoffset/);
+            assertInvalid({ count: { type: 'int', maxLength: 4 } }, /Only nvarchar columns can have a maxLength/);
+            assertInvalid({ text: { type: 'nvarchar', maxLength: 4001 } }, /maxLength must be an integer between 1 and 4000/);
+            assertInvalid({ count: { type: 'int', 'default': 1.5 } }, /default must be an integer/);
+            assertInvalid({ text: { type: 'nvarchar', maxLength: 2, 'default': 'abc' } }, /default is longer than the maxLength/);
+        });
+
+        it('compares the declared columns with those of the table', function () {
+            var declaredColumns = TableSchema.parseColumns('todoitem', columns),
+                changes = TableSchema.getChanges(declaredColumns, [
+                    { name: 'Text', type: 'nvarchar', maxLength: null, nullable: true },
+                    { name: 'complete', type: 'bit', maxLength: null, nullable: true },
+                    { name: 'notes', type: 'nvarchar', maxLength: null, nullable: true }
+                ]);
+
+            assert.deepEqual(_.pluck(changes.add, 'name'), ['due']);
+            assert.deepEqual(_.pluck(changes.alter, 'name'), ['text']);
+        });
+
+        it('reports the properties of items that are not declared', function () {
+            assert.deepEqual(TableSchema.getUndeclaredProperties({ id: 'a', __version: 'AAAA', TEXT: 'milk', notes: '' }, columns), ['notes']);
+        });
+    });
+
+    describe('on memory', function () {
+        var storage;
+
+        beforeEach(function (done) {
+            storage = Storage.create('memory', null, 'app', true, logger, metrics);
+            storage.createTable('todoitem', logger, function (error) {
+                assert.ifError(error);
+                storage.insert('todoitem', { id: 'a', notes: 'skimmed' }, logger, null, function (error) {
+                    assert.ifError(error);
+                    storage.syncTableSchema('todoitem', columns, logger, done);
+                });
+            });
+        });
+
+        it('adds the declared columns with their defaults', function (done) {
+            storage.query({ table: 'todoitem', id: 'a' }, logger, null, function (error, results) {
+                assert.ifError(error);
+                assert.strictEqual(results[0].text, '');
+                assert.strictEqual(results[0].complete, false);
+                assert.strictEqual(results[0].due, null);
+                done();
+            });
+        });
+
+        it('enforces the nullability and max length of declared columns', function (done) {
+            storage.insert('todoitem', { text: null }, logger, null, function (error) {
+                assert.ok(error);
+
+                storage.insert('todoitem', { text: 'more than ten' }, logger, null, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.BadInput);
+                    done();
+                });
+            });
+        });
+
+        it('disables dynamic schema for the tables', function (done) {
+            storage.insert('todoitem', { text: 'milk', priority: 1 }, logger, null, function (error) {
+                assert.equal(error.code, core.ErrorCodes.BadInput);
+                done();
+            });
+        });
+    });
+
+    describe('on sqlite', function () {
+        it('creates the tables with the declared columns', function (done) {
+            var storage = new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+
+            storage.syncTableSchema('declared', columns, logger, function (error) {
+                assert.ifError(error);
+
+                storage._getTableColumns('declared', logger, function (error, tableColumns) {
+                    assert.ifError(error);
+                    assert.deepEqual(_.map(_.filter(tableColumns, function (column) {
+                        return !core.isSystemColumnName(column.name) && column.name !== 'id';
+                    }), function (column) {
+                        return _.pick(column, 'name', 'type', 'nullable', 'maxLength');
+                    }), [
+                        { name: 'text', type: 'nvarchar', nullable: false, maxLength: 10 },
+                        { name: 'complete', type: 'bit', nullable: true, maxLength: null },
+                        { name: 'due', type: 'datetimeoffset', nullable: true, maxLength: null }
+                    ]);
+
+                    storage.insert('declared', { text: 'milk' }, logger, null, function (error, item) {
+                        assert.ifError(error);
+
+                        storage.query({ table: 'declared', id: item.id }, logger, null, function (error, results) {
+                            assert.ifError(error);
+                            assert.strictEqual(results[0].complete, false);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+//
+// Tests of Storage.upsert, which inserts an item or replaces all of the values of
+// the existing item with its id, on the in-memory storage and the sqlite provider.
+
+var assert = require('assert'),
+    path = require('path'),
+    _ = require('underscore'),
+    core = require(path.join('..', '..', 'runtime', 'core')),
+    Storage = require(path.join('..', '..', 'runtime', 'storage', 'storage'));
+
+describe('upsert', function () {
+    var logger = {
+        trace: function () { },
+        log: function () { },
+        error: function () { },
+        logUser: function () { }
+    };
+
+    var metrics = {
+        startEvent: function () { },
+        endEvent: function () { },
+        event: function () { }
+    };
+
+    var providers = {
+        memory: function () {
+            return Storage.create('memory', null, 'app', true, logger, metrics);
+        },
+        // the in-memory sqlite database is shared, so each test uses a table of its own
+        sqlite: function () {
+            return new Storage(':memory:', 'app', true, logger, metrics, { provider: Storage.createProvider('sqlite') });
+        }
+    };
+
+    _.each(providers, function (createStorage, providerName) {
+        describe('on ' + providerName, function () {
+            var tableCount = 0,
+                storage, table;
+
+            function read(id, callback) {
+                storage.query({ table: table, id: id }, logger, { systemProperties: ['*'] }, function (error, results) {
+                    assert.ifError(error);
+                    callback(results[0]);
+                });
+            }
+
+            beforeEach(function (done) {
+                storage = createStorage();
+                table = 'upsert' + (++tableCount);
+                storage.createTable(table, logger, function (error) {
+                    assert.ifError(error);
+                    storage.insert(table, { id: 'a', text: 'milk', notes: 'skimmed' }, logger, null, done);
+                });
+            });
+
+            it('inserts items with new ids', function (done) {
+                var item = { id: 'b', text: 'eggs' };
+
+                storage.upsert(table, item, logger, { systemProperties: ['version'] }, function (error, created) {
+                    assert.ifError(error);
+                    assert.strictEqual(created, true);
+                    assert.ok(item.__version);
+
+                    read('b', function (result) {
+                        assert.equal(result.text, 'eggs');
+                        done();
+                    });
+                });
+            });
+
+            it('replaces all of the values of existing items', function (done) {
+                storage.upsert(table, { id: 'a', text: 'oat milk' }, logger, null, function (error, created) {
+                    assert.ifError(error);
+                    assert.strictEqual(created, false);
+
+                    read('a', function (result) {
+                        assert.equal(result.text, 'oat milk');
+                        assert.strictEqual(result.notes, null);
+                        done();
+                    });
+                });
+            });
+
+            it('only inserts items that must not exist', function (done) {
+                storage.upsert(table, { id: 'a', text: 'eggs' }, logger, { condition: 'notExists' }, function (error) {
+                    assert.ok(error.isMergeConflict);
+                    assert.equal(error.item.text, 'milk');
+
+                    storage.upsert(table, { id: 'b', text: 'eggs' }, logger, { condition: 'notExists' }, function (error, created) {
+                        assert.ifError(error);
+                        assert.strictEqual(created, true);
+                        done();
+                    });
+                });
+            });
+
+            it('only replaces items that must exist', function (done) {
+                storage.upsert(table, { id: 'b', text: 'eggs' }, logger, { condition: 'exists' }, function (error) {
+                    assert.equal(error.code, core.ErrorCodes.ItemNotFound);
+
+                    storage.upsert(table, { id: 'a', text: 'eggs' }, logger, { condition: 'exists' }, function (error, created) {
+                        assert.ifError(error);
+                        assert.strictEqual(created, false);
+                        done();
+                    });
+                });
+            });
+
+            it('only replaces items of the version of the item', function (done) {
+                read('a', function (original) {
+                    storage.upsert(table, { id: 'a', text: 'oat milk', __version: original.__version }, logger, null, function (error) {
+                        assert.ifError(error);
+
+                        storage.upsert(table, { id: 'a', text: 'soy milk', __version: original.__version }, logger, null, function (error) {
+                            assert.ok(error.isMergeConflict);
+                            assert.equal(error.item.text, 'oat milk');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});